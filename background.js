@@ -1,16 +1,64 @@
 // Background script
+// "rep-panel" ports consume captured requests; while none is connected nothing
+// is captured. Channel ports (match & replace rules, replays, interception)
+// only get the messages meant for them, so an open channel never keeps capture
+// running.
 const ports = new Set();
+const CHANNEL_PORT_NAMES = new Set(['rep-rules', 'rep-replay', 'rep-intercept']);
+const channelPorts = new Set();
 const requestMap = new Map();
 
+// Interception state (Burp-style "intercept is on")
+// Only one panel drives interception at a time; paused requests are resolved
+// when that panel forwards, drops, disables interception or disconnects.
+let interceptPort = null;
+let interceptTabId = null;
+const pendingIntercepts = new Map(); // interceptId -> { resolve, original }
+let interceptCounter = 0;
+
+// Response body capture (filterResponseData)
+// Bodies larger than the cap are passed through untouched but only the first
+// MAX_RESPONSE_BODY_BYTES are reported to the panel. Other request types are
+// reported without a body (responseBodySkipped). When the filter cannot be
+// attached the request is reported with responseBodyUnavailable instead.
+const MAX_RESPONSE_BODY_BYTES = 1024 * 1024;
+const BODY_CAPTURE_TYPES = new Set(['main_frame', 'sub_frame', 'xmlhttprequest', 'script', 'other']);
+// Response body rules hold back the whole body to rewrite it: text responses
+// of these types only, up to MAX_REWRITE_BODY_BYTES. Larger bodies are passed
+// through untouched.
+const REWRITE_BODY_TYPES = new Set(['main_frame', 'sub_frame', 'xmlhttprequest', 'script', 'stylesheet', 'other']);
+const MAX_REWRITE_BODY_BYTES = 2 * 1024 * 1024;
+
+// Match & replace rules, pushed by each panel over its port.
+// Rules only apply while the panel that sent them is connected.
+const rulesByPort = new Map(); // port -> rule[]
+// Body rules could not be applied (no response filter); reported once
+let bodyRulesUnavailableReported = false;
+
+// Replays tagged with X-Rep-Plus-Replay-Id. Their 3xx hops and the headers
+// actually sent are reported to the panel (a manual-redirect fetch only sees an
+// opaque response). The panel may register the exact editor headers for an id;
+// they replace whatever fetch was allowed to set, once.
+const REPLAY_ID_HEADER = 'x-rep-plus-replay-id';
+const REPLAY_OVERRIDE_TTL = 60000;
+const replayRequests = new Map(); // requestId -> replayId
+const replayHeaderOverrides = new Map(); // replayId -> { headers, createdAt }
+
 // Handle connections from DevTools panels
 browser.runtime.onConnect.addListener((port) => {
-    if (port.name !== "rep-panel") return;
+    const isChannel = CHANNEL_PORT_NAMES.has(port.name);
+    if (port.name !== "rep-panel" && !isChannel) return;
     console.log("DevTools panel connected");
-    ports.add(port);
+    (isChannel ? channelPorts : ports).add(port);
 
     port.onDisconnect.addListener(() => {
         console.log("DevTools panel disconnected");
         ports.delete(port);
+        channelPorts.delete(port);
+        rulesByPort.delete(port);
+        if (port === interceptPort) {
+            setIntercept(null, false, null);
+        }
     });
 
     // Listen for messages from panel (e.g. to toggle capture, local model requests)
@@ -19,6 +67,21 @@ browser.runtime.onConnect.addListener((port) => {
         if (msg.type === 'ping') {
             console.log('Background: Responding to ping');
             port.postMessage({ type: 'pong' });
+        } else if (msg.type === 'replay-register') {
+            replayHeaderOverrides.set(msg.replayId, {
+                headers: Array.isArray(msg.headers) ? msg.headers : [],
+                createdAt: Date.now()
+            });
+            port.postMessage({ type: 'replay-registered', replayId: msg.replayId });
+        } else if (msg.type === 'rules-set') {
+            rulesByPort.set(port, Array.isArray(msg.rules) ? msg.rules : []);
+            bodyRulesUnavailableReported = false;
+        } else if (msg.type === 'intercept-set') {
+            setIntercept(port, msg.enabled, msg.tabId);
+        } else if (msg.type === 'intercept-forward') {
+            forwardIntercepted(msg.interceptId, msg.edits);
+        } else if (msg.type === 'intercept-drop') {
+            resolveIntercept(msg.interceptId, { cancel: true });
         } else if (msg.type === 'local-model-request' || msg.type === 'local-model-chat') {
             // Handle local model request via port
             const requestId = msg.requestId || `local-${Date.now()}-${Math.random()}`;
@@ -310,10 +373,14 @@ function parseRequestBody(requestBody) {
 
 // Listener functions
 function handleBeforeRequest(details) {
-    if (ports.size === 0) return;
+    // Without a capture consumer, only body rules need the request
+    if (ports.size === 0 && rulesByPort.size === 0) return;
     // Filter out Firefox extension URLs
     if (details.url.startsWith('moz-extension://')) return;
 
+    // Firefox fires onBeforeRequest again for each redirect hop (same requestId)
+    const previous = requestMap.get(details.requestId);
+
     requestMap.set(details.requestId, {
         requestId: details.requestId,
         url: details.url,
@@ -322,48 +389,609 @@ function handleBeforeRequest(details) {
         timeStamp: Date.now(),
         requestBody: parseRequestBody(details.requestBody),
         tabId: details.tabId,
-        initiator: details.initiator
+        initiator: details.initiator,
+        redirectChain: previous && previous.redirectChain ? previous.redirectChain : undefined,
+        // Images, media and fonts are not worth streaming through the extension
+        responseBodySkipped: !BODY_CAPTURE_TYPES.has(details.type)
     });
+
+    captureResponseBody(details);
+
+    // Kept only while a body rule is rewriting the response
+    if (ports.size === 0 && !requestMap.get(details.requestId).bodyPending) {
+        requestMap.delete(details.requestId);
+    }
+}
+
+function captureResponseBody(details) {
+    const bodyRules = rulesByPort.size > 0 && REWRITE_BODY_TYPES.has(details.type)
+        ? getActiveRules('response-body', details.url)
+        : [];
+    const capturing = ports.size > 0 && BODY_CAPTURE_TYPES.has(details.type);
+    if (!capturing && bodyRules.length === 0) return;
+
+    const req = requestMap.get(details.requestId);
+    if (!req) return;
+
+    // Needs the webRequestFilterResponse permission (Firefox 110+)
+    let filter;
+    try {
+        filter = browser.webRequest.filterResponseData(details.requestId);
+    } catch (e) {
+        console.error('Error attaching response filter:', e);
+        req.responseBodyUnavailable = true;
+        if (bodyRules.length > 0 && !bodyRulesUnavailableReported) {
+            bodyRulesUnavailableReported = true;
+            broadcastToPorts({ type: 'body-rules-unavailable', error: e.message });
+        }
+        return;
+    }
+
+    // Decided on the first chunk, once the response headers are in: body rules
+    // hold back text responses so they can be rewritten, anything else streams
+    let rewriting = null;
+    const chunks = [];
+    let capturedBytes = 0;
+    let truncated = false;
+    req.bodyPending = true;
+
+    const keep = (data) => {
+        if (capturedBytes >= MAX_RESPONSE_BODY_BYTES) {
+            truncated = true;
+            return;
+        }
+        const remaining = MAX_RESPONSE_BODY_BYTES - capturedBytes;
+        const chunk = data.byteLength > remaining ? data.slice(0, remaining) : data;
+        if (chunk.byteLength < data.byteLength) truncated = true;
+        chunks.push(new Uint8Array(chunk));
+        capturedBytes += chunk.byteLength;
+    };
+
+    filter.ondata = (event) => {
+        if (rewriting === null) {
+            rewriting = bodyRules.length > 0 && isTextContentType(req.responseContentType);
+            if (!rewriting && !capturing) {
+                // Nothing to rewrite or report: hand the stream back to the browser
+                filter.write(event.data);
+                filter.disconnect();
+                req.bodyPending = false;
+                if (req.completed) {
+                    postCapturedRequest(req);
+                }
+                return;
+            }
+        }
+
+        if (rewriting) {
+            chunks.push(new Uint8Array(event.data));
+            capturedBytes += event.data.byteLength;
+            if (capturedBytes <= MAX_REWRITE_BODY_BYTES) return;
+
+            // Too large to rewrite: release what was held back and stream the rest
+            rewriting = false;
+            const held = joinChunks(chunks, capturedBytes);
+            chunks.length = 0;
+            capturedBytes = 0;
+            filter.write(held);
+            keep(held);
+            return;
+        }
+
+        // Pass the data through unchanged
+        filter.write(event.data);
+        keep(event.data);
+    };
+
+    const finish = () => {
+        let bytes = joinChunks(chunks, capturedBytes);
+
+        if (rewriting) {
+            const original = new TextDecoder('utf-8').decode(bytes);
+            const fired = [];
+            let text = original;
+            bodyRules.forEach(rule => {
+                const next = replaceWithRule(text, rule);
+                if (next !== text) {
+                    fired.push(rule.name || rule.id);
+                    text = next;
+                }
+            });
+            if (text !== original) {
+                bytes = new TextEncoder().encode(text);
+            }
+            recordFiredRules(details, fired);
+            filter.write(bytes);
+
+            if (bytes.byteLength > MAX_RESPONSE_BODY_BYTES) {
+                bytes = bytes.slice(0, MAX_RESPONSE_BODY_BYTES);
+                truncated = true;
+            }
+        }
+
+        try {
+            filter.close();
+        } catch (e) {
+            // Filter already closed or disconnected
+        }
+
+        // Binary bodies go to the panel as base64 (like DevTools getContent)
+        if (isTextContentType(req.responseContentType)) {
+            req.responseBody = new TextDecoder('utf-8').decode(bytes);
+        } else {
+            req.responseBody = bytesToBase64(bytes);
+            req.responseEncoding = 'base64';
+        }
+        req.responseBodyTruncated = truncated;
+        req.responseBodySkipped = false;
+        req.bodyPending = false;
+
+        // onCompleted may already have fired while the body was still streaming
+        if (req.completed) {
+            postCapturedRequest(req);
+        }
+    };
+
+    filter.onstop = finish;
+    filter.onerror = () => {
+        req.bodyPending = false;
+        if (req.completed) {
+            postCapturedRequest(req);
+        }
+    };
+}
+
+function joinChunks(chunks, byteLength) {
+    const bytes = new Uint8Array(byteLength);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+    });
+    return bytes;
 }
 
 function handleBeforeSendHeaders(details) {
     if (ports.size === 0) return;
     const req = requestMap.get(details.requestId);
-    if (req) {
+    // The blocking listener may already have stored rule-rewritten headers
+    if (req && !req.requestHeaders) {
         req.requestHeaders = details.requestHeaders;
     }
 }
 
 function handleCompleted(details) {
-    if (ports.size === 0) return;
+    replayRequests.delete(details.requestId);
+    if (ports.size === 0) {
+        requestMap.delete(details.requestId);
+        return;
+    }
     const req = requestMap.get(details.requestId);
     if (req) {
         req.statusCode = details.statusCode;
         req.statusLine = details.statusLine;
         req.responseHeaders = details.responseHeaders;
+        req.completed = true;
 
-        const message = {
-            type: 'captured_request',
-            data: req
-        };
-
-        ports.forEach(p => {
-            try {
-                p.postMessage(message);
-            } catch (e) {
-                console.error('Error sending to port:', e);
-                ports.delete(p);
-            }
-        });
+        // Wait for the response filter to hand over the body
+        if (req.bodyPending) return;
 
-        requestMap.delete(details.requestId);
+        postCapturedRequest(req);
     }
 }
 
+function postCapturedRequest(req) {
+    const message = {
+        type: 'captured_request',
+        data: req
+    };
+
+    ports.forEach(p => {
+        try {
+            p.postMessage(message);
+        } catch (e) {
+            console.error('Error sending to port:', e);
+            ports.delete(p);
+        }
+    });
+
+    requestMap.delete(req.requestId);
+}
+
 function handleErrorOccurred(details) {
+    replayRequests.delete(details.requestId);
     requestMap.delete(details.requestId);
 }
 
+// Redirect chains
+function buildRedirectHop(details) {
+    const headers = details.responseHeaders || [];
+    const location = headers.find(h => h.name.toLowerCase() === 'location');
+    return {
+        url: details.url,
+        method: details.method,
+        status: details.statusCode,
+        statusLine: details.statusLine || '',
+        location: details.redirectUrl || (location ? location.value : ''),
+        setCookies: headers
+            .filter(h => h.name.toLowerCase() === 'set-cookie')
+            .map(h => h.value),
+        responseHeaders: headers,
+        timeStamp: Date.now()
+    };
+}
+
+function handleBeforeRedirect(details) {
+    const req = requestMap.get(details.requestId);
+    if (!req) return;
+    req.redirectChain = (req.redirectChain || []).concat(buildRedirectHop(details));
+}
+
+function broadcastToPorts(message) {
+    [ports, channelPorts].forEach(set => set.forEach(p => {
+        try {
+            p.postMessage(message);
+        } catch (e) {
+            set.delete(p);
+        }
+    }));
+}
+
+// onHeadersReceived sees every 3xx of a replay, including the ones a
+// redirect: 'manual' fetch stops at (onBeforeRedirect does not fire for those),
+// and the headers of the final response, Set-Cookie included (fetch hides it)
+function reportReplayResponse(details) {
+    const replayId = replayRequests.get(details.requestId);
+    if (!replayId) return;
+
+    if (details.statusCode >= 300 && details.statusCode < 400) {
+        const hop = buildRedirectHop(details);
+        if (hop.location) {
+            broadcastToPorts({ type: 'replay-redirect', replayId, hop });
+            return;
+        }
+    }
+    broadcastToPorts({
+        type: 'replay-response-headers',
+        replayId,
+        headers: details.responseHeaders || []
+    });
+}
+
+// Replay headers
+// Registered editor headers are used as-is (Host and forbidden headers
+// included); only Content-Length is left to the browser, which knows the body.
+function buildReplayHeaders(browserHeaders, override) {
+    const headers = override.headers
+        .filter(h => h && h.name && h.name.toLowerCase() !== 'content-length')
+        .map(h => ({ name: h.name, value: h.value }));
+    const contentLength = browserHeaders.find(h => h.name.toLowerCase() === 'content-length');
+    if (contentLength) {
+        headers.push(contentLength);
+    }
+    return headers;
+}
+
+// Remember the replay id, mark the request as ours and drop the tag header.
+// Returns the headers to send, or null for regular traffic.
+function prepareReplayHeaders(details) {
+    const headers = details.requestHeaders || [];
+    const idHeader = headers.find(h => h.name.toLowerCase() === REPLAY_ID_HEADER);
+    if (!idHeader) return null;
+
+    const replayId = idHeader.value;
+    const isRedirectHop = replayRequests.has(details.requestId);
+    replayRequests.set(details.requestId, replayId);
+
+    const req = requestMap.get(details.requestId);
+    if (req) {
+        req.isReplay = true;
+    }
+
+    // Overrides are one-time: redirect hops go out with the browser's headers
+    const override = isRedirectHop ? null : replayHeaderOverrides.get(replayId);
+    if (override) {
+        replayHeaderOverrides.delete(replayId);
+        return buildReplayHeaders(headers, override);
+    }
+    return headers.filter(h => h !== idHeader);
+}
+
+// onSendHeaders reports the final headers, after every rewrite
+function handleReplaySendHeaders(details) {
+    const replayId = replayRequests.get(details.requestId);
+    if (!replayId) return;
+    broadcastToPorts({
+        type: 'replay-sent-headers',
+        replayId,
+        url: details.url,
+        headers: details.requestHeaders || []
+    });
+}
+
+// Match & replace rules
+// Rule shape: { id, name, enabled, target, header, match, replace, isRegex, urlFilter }
+// target is 'request-header', 'response-header' or 'response-body'.
+// Header rules with an empty match set the header to `replace` (removing it
+// when `replace` is empty too); otherwise matches inside the value are replaced.
+function getActiveRules(target, url) {
+    const active = [];
+    rulesByPort.forEach(rules => {
+        rules.forEach(rule => {
+            if (!rule || !rule.enabled || rule.target !== target) return;
+            if (rule.urlFilter && !url.includes(rule.urlFilter)) return;
+            active.push(rule);
+        });
+    });
+    return active;
+}
+
+function replaceWithRule(text, rule) {
+    if (!rule.match) return text;
+    if (rule.isRegex) {
+        try {
+            return text.replace(new RegExp(rule.match, 'g'), rule.replace || '');
+        } catch (e) {
+            console.error(`Invalid regex in rule "${rule.name}":`, e);
+            return text;
+        }
+    }
+    return text.split(rule.match).join(rule.replace || '');
+}
+
+// Returns the rewritten header list, or null when no rule changed anything
+function applyHeaderRules(headers, rules, fired) {
+    let result = headers.map(h => ({ name: h.name, value: h.value }));
+    let changed = false;
+
+    rules.forEach(rule => {
+        const name = (rule.header || '').trim();
+        if (!name) return;
+        const lowerName = name.toLowerCase();
+        const existing = result.filter(h => h.name.toLowerCase() === lowerName);
+
+        if (!rule.match) {
+            if (!rule.replace) {
+                if (existing.length === 0) return;
+                result = result.filter(h => h.name.toLowerCase() !== lowerName);
+            } else if (existing.length > 0) {
+                existing.forEach(h => { h.value = rule.replace; });
+            } else {
+                result.push({ name, value: rule.replace });
+            }
+        } else {
+            let hit = false;
+            existing.forEach(h => {
+                const value = replaceWithRule(h.value || '', rule);
+                if (value !== h.value) {
+                    h.value = value;
+                    hit = true;
+                }
+            });
+            if (!hit) return;
+        }
+
+        changed = true;
+        fired.push(rule.name || rule.id);
+    });
+
+    return changed ? result : null;
+}
+
+function recordFiredRules(details, fired) {
+    if (fired.length === 0) return;
+
+    const req = requestMap.get(details.requestId);
+    if (req) {
+        req.matchedRules = Array.from(new Set([...(req.matchedRules || []), ...fired]));
+    }
+
+    const message = {
+        type: 'rule-matched',
+        data: {
+            requestId: details.requestId,
+            url: details.url,
+            method: details.method,
+            tabId: details.tabId,
+            rules: fired,
+            timeStamp: Date.now()
+        }
+    };
+    broadcastToPorts(message);
+}
+
+function applyRequestRules(details) {
+    if (rulesByPort.size === 0) return null;
+    const rules = getActiveRules('request-header', details.url);
+    if (rules.length === 0) return null;
+
+    const fired = [];
+    const headers = applyHeaderRules(details.requestHeaders || [], rules, fired);
+    recordFiredRules(details, fired);
+    return headers;
+}
+
+function handleRewriteHeadersReceived(details) {
+    reportReplayResponse(details);
+
+    const req = requestMap.get(details.requestId);
+    if (req) {
+        const contentType = (details.responseHeaders || [])
+            .find(h => h.name.toLowerCase() === 'content-type');
+        req.responseContentType = contentType ? contentType.value : '';
+    }
+
+    if (rulesByPort.size === 0) return {};
+    const rules = getActiveRules('response-header', details.url);
+    if (rules.length === 0) return {};
+
+    const fired = [];
+    const headers = applyHeaderRules(details.responseHeaders || [], rules, fired);
+    recordFiredRules(details, fired);
+    return headers ? { responseHeaders: headers } : {};
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function isTextContentType(contentType) {
+    if (!contentType) return true;
+    return /text\/|json|javascript|xml|html|x-www-form-urlencoded/i.test(contentType);
+}
+
+// Interception helpers
+function setIntercept(port, enabled, tabId) {
+    if (enabled) {
+        interceptPort = port;
+        interceptTabId = typeof tabId === 'number' ? tabId : null;
+        return;
+    }
+
+    if (port && port !== interceptPort) return;
+    interceptPort = null;
+    interceptTabId = null;
+
+    // Let everything that was paused continue untouched
+    for (const interceptId of Array.from(pendingIntercepts.keys())) {
+        releaseIntercept(interceptId);
+    }
+}
+
+function shouldIntercept(details) {
+    if (!interceptPort) return false;
+    if (!details.url.startsWith('http')) return false;
+    // Never hold back our own replays or other extension traffic
+    if (details.tabId === -1) return false;
+    if ((details.originUrl || '').startsWith('moz-extension://')) return false;
+    if (interceptTabId !== null && details.tabId !== interceptTabId) return false;
+    const isReplay = (details.requestHeaders || []).some(h =>
+        h.name.toLowerCase() === 'x-rep-plus-replay'
+    );
+    return !isReplay;
+}
+
+// Continue a paused request as it was when it was paused (rule rewrites included)
+function releaseIntercept(interceptId) {
+    const pending = pendingIntercepts.get(interceptId);
+    if (!pending) return;
+    resolveIntercept(interceptId, pending.passThrough);
+}
+
+function resolveIntercept(interceptId, blockingResponse) {
+    const pending = pendingIntercepts.get(interceptId);
+    if (!pending) return;
+    pendingIntercepts.delete(interceptId);
+    pending.resolve(blockingResponse);
+}
+
+function handleBlockingSendHeaders(details) {
+    const replayHeaders = prepareReplayHeaders(details);
+    const ruleTarget = replayHeaders ? { ...details, requestHeaders: replayHeaders } : details;
+    const rewrittenHeaders = applyRequestRules(ruleTarget) || replayHeaders;
+
+    const requestHeaders = rewrittenHeaders || details.requestHeaders || [];
+    const passThrough = rewrittenHeaders ? { requestHeaders } : {};
+
+    const req = requestMap.get(details.requestId);
+    if (req) {
+        req.requestHeaders = requestHeaders;
+    }
+
+    if (!shouldIntercept(details)) return passThrough;
+
+    const interceptId = `intercept-${++interceptCounter}`;
+    const original = {
+        method: details.method,
+        url: details.url,
+        headers: requestHeaders,
+        body: req ? req.requestBody : null
+    };
+
+    return new Promise((resolve) => {
+        pendingIntercepts.set(interceptId, { resolve, original, passThrough });
+        try {
+            interceptPort.postMessage({
+                type: 'intercepted_request',
+                data: {
+                    interceptId,
+                    ...original,
+                    type: details.type,
+                    tabId: details.tabId,
+                    documentUrl: details.documentUrl || details.originUrl || '',
+                    timeStamp: Date.now()
+                }
+            });
+        } catch (e) {
+            console.error('Error sending intercepted request to panel:', e);
+            releaseIntercept(interceptId);
+        }
+    });
+}
+
+// Forward a paused request. Header edits are applied in place; webRequest
+// cannot change the method, URL or body of an in-flight request, so those
+// edits cancel the original and re-issue the edited request from here.
+function forwardIntercepted(interceptId, edits) {
+    const pending = pendingIntercepts.get(interceptId);
+    if (!pending) return;
+
+    if (!edits) {
+        releaseIntercept(interceptId);
+        return;
+    }
+
+    const { original } = pending;
+    const needsReissue = edits.method !== original.method ||
+        edits.url !== original.url ||
+        edits.body !== undefined;
+
+    if (!needsReissue) {
+        resolveIntercept(interceptId, { requestHeaders: edits.headers });
+        return;
+    }
+
+    resolveIntercept(interceptId, { cancel: true });
+
+    const headers = {};
+    (edits.headers || []).forEach(h => {
+        if (h && h.name && h.name.toLowerCase() !== 'host') {
+            headers[h.name] = h.value;
+        }
+    });
+    const body = edits.body !== undefined ? edits.body : original.body;
+    const options = { method: edits.method, headers, credentials: 'include' };
+    if (body && !['GET', 'HEAD'].includes(edits.method)) {
+        options.body = body;
+    }
+
+    fetch(edits.url, options)
+        .then(response => notifyInterceptPort({
+            type: 'intercept-result',
+            interceptId,
+            reissued: true,
+            status: response.status
+        }))
+        .catch(error => notifyInterceptPort({
+            type: 'intercept-result',
+            interceptId,
+            reissued: true,
+            error: error.message
+        }));
+}
+
+function notifyInterceptPort(message) {
+    if (!interceptPort) return;
+    try {
+        interceptPort.postMessage(message);
+    } catch (e) {
+        console.error('Error sending to intercept port:', e);
+    }
+}
+
 function setupListeners() {
     if (browser.webRequest) {
         if (!browser.webRequest.onBeforeRequest.hasListener(handleBeforeRequest)) {
@@ -380,6 +1008,34 @@ function setupListeners() {
                 ["requestHeaders"]
             );
         }
+        if (!browser.webRequest.onBeforeSendHeaders.hasListener(handleBlockingSendHeaders)) {
+            browser.webRequest.onBeforeSendHeaders.addListener(
+                handleBlockingSendHeaders,
+                { urls: ["<all_urls>"] },
+                ["blocking", "requestHeaders"]
+            );
+        }
+        if (!browser.webRequest.onSendHeaders.hasListener(handleReplaySendHeaders)) {
+            browser.webRequest.onSendHeaders.addListener(
+                handleReplaySendHeaders,
+                { urls: ["<all_urls>"] },
+                ["requestHeaders"]
+            );
+        }
+        if (!browser.webRequest.onHeadersReceived.hasListener(handleRewriteHeadersReceived)) {
+            browser.webRequest.onHeadersReceived.addListener(
+                handleRewriteHeadersReceived,
+                { urls: ["<all_urls>"] },
+                ["blocking", "responseHeaders"]
+            );
+        }
+        if (!browser.webRequest.onBeforeRedirect.hasListener(handleBeforeRedirect)) {
+            browser.webRequest.onBeforeRedirect.addListener(
+                handleBeforeRedirect,
+                { urls: ["<all_urls>"] },
+                ["responseHeaders"]
+            );
+        }
         if (!browser.webRequest.onCompleted.hasListener(handleCompleted)) {
             browser.webRequest.onCompleted.addListener(
                 handleCompleted,
@@ -410,4 +1066,9 @@ setInterval(() => {
             requestMap.delete(id);
         }
     }
+    for (const [replayId, override] of replayHeaderOverrides.entries()) {
+        if (now - override.createdAt > REPLAY_OVERRIDE_TTL) {
+            replayHeaderOverrides.delete(replayId);
+        }
+    }
 }, 30000);
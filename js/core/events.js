@@ -106,6 +106,8 @@ export const EVENT_NAMES = {
     UI_UPDATE_REGEX_TOGGLE: 'ui:update-regex-toggle',
     UI_UPDATE_DIFF_TOGGLE_VISIBILITY: 'ui:update-diff-toggle-visibility',
     UI_CLEAR_ALL: 'ui:clear-all',
+    EDITOR_CONTEXT_CHANGING: 'editor:context-changing',
+    EDITOR_RESPONSE_RECEIVED: 'editor:response-received',
     
     // Network events
     NETWORK_REQUEST_CAPTURED: 'network:request-captured',
@@ -116,6 +118,7 @@ export const EVENT_NAMES = {
     STATE_REQUESTS_CLEARED: 'state:requests-cleared',
     STATE_FILTER_CHANGED: 'state:filter-changed',
     STATE_SEARCH_CHANGED: 'state:search-changed',
+    STATE_SCOPE_CHANGED: 'state:scope-changed',
     
     // History events
     HISTORY_UPDATED: 'history:updated',
@@ -124,5 +127,28 @@ export const EVENT_NAMES = {
     // Export/Import events
     REQUESTS_EXPORTED: 'requests:exported',
     REQUESTS_IMPORTED: 'requests:imported',
+    
+    // Repeater tab events
+    REPEATER_TABS_UPDATED: 'repeater:tabs-updated',
+    
+    // Environment events
+    ENVIRONMENTS_UPDATED: 'environments:updated',
+    
+    // Session macro events
+    MACROS_UPDATED: 'macros:updated',
+    MACRO_VARIABLES_UPDATED: 'macros:variables-updated',
+    
+    // Workflow events
+    WORKFLOWS_UPDATED: 'workflows:updated',
+    
+    // Comparer events
+    COMPARER_UPDATED: 'comparer:updated',
+    RESPONSE_HISTORY_UPDATED: 'comparer:response-history-updated',
+    
+    // Project events
+    PROJECT_DIRTY: 'project:dirty',
+    PROJECT_SAVING: 'project:saving', // Sync live state into section data before it is serialized
+    PROJECT_LOADED: 'project:loaded',
+    PROJECTS_UPDATED: 'project:list-updated',
 };
 
@@ -16,7 +16,14 @@ export {
     timelineState,
     uiState,
     attackSurfaceState,
-    blockingState
+    blockingState,
+    projectState,
+    scopeState,
+    repeaterState,
+    environmentState,
+    macroState,
+    workflowState,
+    comparerState
 } from './state/index.js';
 
 // Re-export action creators for convenience
@@ -28,5 +35,11 @@ export {
     timelineActions,
     historyActions,
     diffActions,
-    attackSurfaceActions
+    attackSurfaceActions,
+    scopeActions,
+    repeaterActions,
+    environmentActions,
+    macroActions,
+    workflowActions,
+    comparerActions
 } from './state/index.js';
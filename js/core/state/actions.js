@@ -5,6 +5,7 @@
 import { state } from './index.js';
 import { events, EVENT_NAMES } from '../events.js';
 import { getHostname } from '../utils/network.js';
+import { DEFAULT_SCOPE_CONFIG } from '../utils/scope.js';
 
 /**
  * Action creators for state mutations
@@ -226,6 +227,7 @@ export const requestActions = {
         state.historyIndex = -1;
         state.regularRequestBaseline = null;
         state.currentResponse = null;
+        state.currentResponseBody = null;
         state.timelineFilterTimestamp = null;
         state.timelineFilterRequestIndex = null;
         state.attackSurfaceCategories = {};
@@ -233,6 +235,8 @@ export const requestActions = {
         // Clear starred pages and domains
         state.starredPages.clear();
         state.starredDomains.clear();
+        // Response history is keyed by request index
+        state.responseHistory = {};
         
         // Emit events
         events.emit(EVENT_NAMES.STATE_REQUESTS_CLEARED);
@@ -576,6 +580,17 @@ export const blockingActions = {
         events.emit('block-queue:updated');
     },
     
+    /**
+     * Remove a request from the blocked queue
+     * @param {Object} request - Queued request to remove
+     */
+    removeFromBlockedQueue(request) {
+        state.blockedQueue = state.blockedQueue.filter(r => r !== request);
+        
+        // Emit event
+        events.emit('block-queue:updated');
+    },
+    
     /**
      * Clear blocked queue
      */
@@ -719,6 +734,483 @@ export const attackSurfaceActions = {
     }
 };
 
+// Scope Actions
+export const scopeActions = {
+    /**
+     * Replace the capture scope configuration
+     * @param {{include: Array, exclude: Array}} config - Scope config (defaults when omitted)
+     */
+    setConfig(config) {
+        const source = config || DEFAULT_SCOPE_CONFIG;
+        state.scopeConfig = {
+            include: (source.include || []).map(rule => ({ ...rule })),
+            exclude: (source.exclude || []).map(rule => ({ ...rule }))
+        };
+        
+        // Emit event
+        events.emit(EVENT_NAMES.STATE_SCOPE_CHANGED, state.scopeConfig);
+    },
+    
+    /**
+     * Add a rule to the include or exclude list
+     * @param {'include'|'exclude'} list - Which list to add to
+     * @param {Object} rule - Scope rule { type, pattern }
+     */
+    addRule(list, rule) {
+        state.scopeConfig[list].push({ enabled: true, ...rule });
+        events.emit(EVENT_NAMES.STATE_SCOPE_CHANGED, state.scopeConfig);
+    },
+    
+    /**
+     * Remove a rule from the include or exclude list
+     * @param {'include'|'exclude'} list - Which list to remove from
+     * @param {number} index - Rule index
+     */
+    removeRule(list, index) {
+        state.scopeConfig[list].splice(index, 1);
+        events.emit(EVENT_NAMES.STATE_SCOPE_CHANGED, state.scopeConfig);
+    },
+    
+    /**
+     * Enable or disable a rule
+     * @param {'include'|'exclude'} list - Which list the rule is in
+     * @param {number} index - Rule index
+     * @param {boolean} enabled
+     */
+    setRuleEnabled(list, index, enabled) {
+        const rule = state.scopeConfig[list][index];
+        if (!rule) return;
+        rule.enabled = enabled;
+        events.emit(EVENT_NAMES.STATE_SCOPE_CHANGED, state.scopeConfig);
+    }
+};
+
+// Repeater Tab Actions
+let repeaterTabCounter = 0;
+
+export const repeaterActions = {
+    /**
+     * Create a Repeater tab and make it the last one
+     * @param {Object} options
+     * @param {string} [options.name] - Tab name (defaults to "Tab N")
+     * @param {string} options.rawText - Raw request text
+     * @param {boolean} options.useHttps - Whether to use HTTPS
+     * @returns {Object} The created tab
+     */
+    create({ name, rawText, useHttps }) {
+        const tab = {
+            id: `tab-${Date.now()}-${++repeaterTabCounter}`,
+            name: name || `Tab ${state.repeaterTabs.length + 1}`,
+            rawText,
+            useHttps,
+            history: [{ rawText, useHttps }],
+            historyIndex: 0,
+            undoStack: [rawText],
+            redoStack: [],
+            response: null,
+            baseline: null
+        };
+        state.repeaterTabs.push(tab);
+        
+        // Emit event
+        events.emit(EVENT_NAMES.REPEATER_TABS_UPDATED);
+        return tab;
+    },
+    
+    /**
+     * Rename a tab
+     * @param {string} id - Tab id
+     * @param {string} name - New name
+     */
+    rename(id, name) {
+        const tab = state.repeaterTabs.find(t => t.id === id);
+        if (!tab || !name) return;
+        tab.name = name;
+        events.emit(EVENT_NAMES.REPEATER_TABS_UPDATED);
+    },
+    
+    /**
+     * Remove a tab (deactivates it first if it is active)
+     * @param {string} id - Tab id
+     */
+    remove(id) {
+        state.repeaterTabs = state.repeaterTabs.filter(t => t.id !== id);
+        if (state.activeRepeaterTabId === id) {
+            state.activeRepeaterTabId = null;
+        }
+        events.emit(EVENT_NAMES.REPEATER_TABS_UPDATED);
+    },
+    
+    /**
+     * Move a tab to a new position
+     * @param {string} id - Tab id
+     * @param {number} toIndex - Target index
+     */
+    move(id, toIndex) {
+        const fromIndex = state.repeaterTabs.findIndex(t => t.id === id);
+        if (fromIndex === -1 || fromIndex === toIndex) return;
+        const [tab] = state.repeaterTabs.splice(fromIndex, 1);
+        state.repeaterTabs.splice(Math.max(0, Math.min(toIndex, state.repeaterTabs.length)), 0, tab);
+        events.emit(EVENT_NAMES.REPEATER_TABS_UPDATED);
+    },
+    
+    /**
+     * Set the active tab (null when the editor shows a captured request)
+     * @param {string|null} id - Tab id
+     */
+    setActive(id) {
+        state.activeRepeaterTabId = id;
+        events.emit(EVENT_NAMES.REPEATER_TABS_UPDATED);
+    },
+    
+    /**
+     * Replace all tabs (project restore)
+     * @param {Array<Object>} tabs
+     */
+    setAll(tabs) {
+        state.repeaterTabs = Array.isArray(tabs) ? tabs : [];
+        state.activeRepeaterTabId = null;
+        events.emit(EVENT_NAMES.REPEATER_TABS_UPDATED);
+    }
+};
+
+// Environment Actions
+let environmentCounter = 0;
+
+export const environmentActions = {
+    /**
+     * Create an environment
+     * @param {string} name - Environment name
+     * @param {Array<{key: string, value: string, enabled?: boolean}>} [variables=[]]
+     * @returns {Object} The created environment
+     */
+    create(name, variables = []) {
+        const environment = {
+            id: `env-${Date.now()}-${++environmentCounter}`,
+            name: name || `Environment ${state.environments.length + 1}`,
+            variables: variables.map(v => ({ key: v.key, value: v.value, enabled: v.enabled !== false }))
+        };
+        state.environments.push(environment);
+        
+        // Emit event
+        events.emit(EVENT_NAMES.ENVIRONMENTS_UPDATED);
+        return environment;
+    },
+    
+    /**
+     * Rename an environment
+     * @param {string} id - Environment id
+     * @param {string} name - New name
+     */
+    rename(id, name) {
+        const environment = state.environments.find(env => env.id === id);
+        if (!environment || !name) return;
+        environment.name = name;
+        events.emit(EVENT_NAMES.ENVIRONMENTS_UPDATED);
+    },
+    
+    /**
+     * Replace the variables of an environment
+     * @param {string} id - Environment id
+     * @param {Array<{key: string, value: string, enabled?: boolean}>} variables
+     */
+    setVariables(id, variables) {
+        const environment = state.environments.find(env => env.id === id);
+        if (!environment) return;
+        environment.variables = variables.map(v => ({ key: v.key, value: v.value, enabled: v.enabled !== false }));
+        events.emit(EVENT_NAMES.ENVIRONMENTS_UPDATED);
+    },
+    
+    /**
+     * Remove an environment (deactivates it first if it is active)
+     * @param {string} id - Environment id
+     */
+    remove(id) {
+        state.environments = state.environments.filter(env => env.id !== id);
+        if (state.activeEnvironmentId === id) {
+            state.activeEnvironmentId = null;
+        }
+        events.emit(EVENT_NAMES.ENVIRONMENTS_UPDATED);
+    },
+    
+    /**
+     * Set the environment used for substitution (null for none)
+     * @param {string|null} id - Environment id
+     */
+    setActive(id) {
+        state.activeEnvironmentId = state.environments.some(env => env.id === id) ? id : null;
+        events.emit(EVENT_NAMES.ENVIRONMENTS_UPDATED);
+    },
+    
+    /**
+     * Replace all environments (project restore)
+     * @param {Array<Object>} environments
+     * @param {string|null} [activeId=null]
+     */
+    setAll(environments, activeId = null) {
+        state.environments = Array.isArray(environments) ? environments : [];
+        state.activeEnvironmentId = state.environments.some(env => env.id === activeId) ? activeId : null;
+        events.emit(EVENT_NAMES.ENVIRONMENTS_UPDATED);
+    }
+};
+
+// Session Macro Actions
+let macroCounter = 0;
+
+function normalizeMacro(macro) {
+    const trigger = macro.trigger || {};
+    return {
+        id: macro.id,
+        name: macro.name,
+        enabled: macro.enabled !== false,
+        urlFilter: macro.urlFilter || '',
+        steps: (macro.steps || []).map(step => ({ rawText: step.rawText || '', useHttps: step.useHttps !== false })),
+        extractions: (macro.extractions || []).map(e => ({ variable: e.variable || '', source: e.source || 'regex', expression: e.expression || '' })),
+        injections: (macro.injections || []).map(i => ({ variable: i.variable || '', target: i.target || 'header', name: i.name || '' })),
+        trigger: {
+            before: !!trigger.before,
+            statuses: (trigger.statuses || []).map(Number).filter(Number.isFinite),
+            bodyPattern: trigger.bodyPattern || ''
+        }
+    };
+}
+
+export const macroActions = {
+    /**
+     * Create a session macro
+     * @param {Object} [macro] - Fields of the macro (see state/macros.js)
+     * @returns {Object} The created macro
+     */
+    create(macro = {}) {
+        const created = normalizeMacro({
+            ...macro,
+            id: `macro-${Date.now()}-${++macroCounter}`,
+            name: macro.name || `Macro ${state.macros.length + 1}`
+        });
+        state.macros.push(created);
+        
+        // Emit event
+        events.emit(EVENT_NAMES.MACROS_UPDATED);
+        return created;
+    },
+    
+    /**
+     * Update a macro
+     * @param {string} id - Macro id
+     * @param {Object} changes - Fields to replace
+     */
+    update(id, changes) {
+        const index = state.macros.findIndex(macro => macro.id === id);
+        if (index === -1) return;
+        state.macros[index] = normalizeMacro({ ...state.macros[index], ...changes, id });
+        events.emit(EVENT_NAMES.MACROS_UPDATED);
+    },
+    
+    /**
+     * Remove a macro
+     * @param {string} id - Macro id
+     */
+    remove(id) {
+        state.macros = state.macros.filter(macro => macro.id !== id);
+        events.emit(EVENT_NAMES.MACROS_UPDATED);
+    },
+    
+    /**
+     * Replace all macros (project restore); extracted values are dropped
+     * @param {Array<Object>} macros
+     */
+    setAll(macros) {
+        state.macros = Array.isArray(macros) ? macros.map(normalizeMacro) : [];
+        state.macroVariables = {};
+        events.emit(EVENT_NAMES.MACROS_UPDATED);
+        events.emit(EVENT_NAMES.MACRO_VARIABLES_UPDATED);
+    },
+    
+    /**
+     * Store values extracted by a macro run (merged over earlier ones)
+     * @param {Object<string, string>} values - Values by variable name
+     */
+    setVariables(values) {
+        state.macroVariables = { ...state.macroVariables, ...values };
+        events.emit(EVENT_NAMES.MACRO_VARIABLES_UPDATED);
+    },
+    
+    /**
+     * Forget all extracted values
+     */
+    clearVariables() {
+        state.macroVariables = {};
+        events.emit(EVENT_NAMES.MACRO_VARIABLES_UPDATED);
+    }
+};
+
+// Workflow Actions
+let workflowCounter = 0;
+let workflowStepCounter = 0;
+
+function normalizeWorkflowStep(step) {
+    return {
+        id: step.id || `step-${Date.now()}-${++workflowStepCounter}`,
+        name: step.name || '',
+        rawText: step.rawText || '',
+        useHttps: step.useHttps !== false,
+        extractions: (step.extractions || []).map(e => ({ variable: e.variable || '', source: e.source || 'regex', expression: e.expression || '' })),
+        assertions: (step.assertions || []).map(a => ({ type: a.type || 'status', value: a.value ?? '' }))
+    };
+}
+
+function normalizeWorkflow(workflow) {
+    return {
+        id: workflow.id,
+        name: workflow.name,
+        stopOnFailure: workflow.stopOnFailure !== false,
+        steps: (workflow.steps || []).map(normalizeWorkflowStep)
+    };
+}
+
+export const workflowActions = {
+    /**
+     * Create a workflow
+     * @param {Object} [workflow] - Fields of the workflow (see state/workflows.js)
+     * @returns {Object} The created workflow
+     */
+    create(workflow = {}) {
+        const created = normalizeWorkflow({
+            ...workflow,
+            id: `workflow-${Date.now()}-${++workflowCounter}`,
+            name: workflow.name || `Workflow ${state.workflows.length + 1}`
+        });
+        state.workflows.push(created);
+        
+        // Emit event
+        events.emit(EVENT_NAMES.WORKFLOWS_UPDATED);
+        return created;
+    },
+    
+    /**
+     * Update a workflow
+     * @param {string} id - Workflow id
+     * @param {Object} changes - Fields to replace (steps are replaced as a whole)
+     */
+    update(id, changes) {
+        const index = state.workflows.findIndex(workflow => workflow.id === id);
+        if (index === -1) return;
+        state.workflows[index] = normalizeWorkflow({ ...state.workflows[index], ...changes, id });
+        events.emit(EVENT_NAMES.WORKFLOWS_UPDATED);
+    },
+    
+    /**
+     * Append a step to a workflow
+     * @param {string} id - Workflow id
+     * @param {Object} step - Step fields
+     * @returns {Object|null} The added step
+     */
+    addStep(id, step) {
+        const workflow = state.workflows.find(w => w.id === id);
+        if (!workflow) return null;
+        const added = normalizeWorkflowStep({ ...step, id: null });
+        workflow.steps.push(added);
+        events.emit(EVENT_NAMES.WORKFLOWS_UPDATED);
+        return added;
+    },
+    
+    /**
+     * Move a step within its workflow
+     * @param {string} id - Workflow id
+     * @param {number} fromIndex
+     * @param {number} toIndex
+     */
+    moveStep(id, fromIndex, toIndex) {
+        const workflow = state.workflows.find(w => w.id === id);
+        if (!workflow || toIndex < 0 || toIndex >= workflow.steps.length) return;
+        const [step] = workflow.steps.splice(fromIndex, 1);
+        if (!step) return;
+        workflow.steps.splice(toIndex, 0, step);
+        events.emit(EVENT_NAMES.WORKFLOWS_UPDATED);
+    },
+    
+    /**
+     * Remove a workflow
+     * @param {string} id - Workflow id
+     */
+    remove(id) {
+        state.workflows = state.workflows.filter(workflow => workflow.id !== id);
+        events.emit(EVENT_NAMES.WORKFLOWS_UPDATED);
+    },
+    
+    /**
+     * Replace all workflows (project restore)
+     * @param {Array<Object>} workflows
+     */
+    setAll(workflows) {
+        state.workflows = Array.isArray(workflows) ? workflows.map(normalizeWorkflow) : [];
+        events.emit(EVENT_NAMES.WORKFLOWS_UPDATED);
+    }
+};
+
+// Comparer Actions
+let comparerCounter = 0;
+const RESPONSE_HISTORY_LIMIT = 20;
+
+export const comparerActions = {
+    /**
+     * Add an item to the comparer
+     * @param {{label: string, source: string, request: string, response: string}} item
+     * @returns {Object} The added item
+     */
+    add(item) {
+        const added = {
+            id: `cmp-${Date.now()}-${++comparerCounter}`,
+            label: item.label || `Item ${state.comparerItems.length + 1}`,
+            source: item.source || 'request',
+            request: item.request || '',
+            response: item.response || ''
+        };
+        state.comparerItems.push(added);
+        
+        // Emit event
+        events.emit(EVENT_NAMES.COMPARER_UPDATED);
+        return added;
+    },
+    
+    /**
+     * Remove an item from the comparer
+     * @param {string} id - Item id
+     */
+    remove(id) {
+        state.comparerItems = state.comparerItems.filter(item => item.id !== id);
+        events.emit(EVENT_NAMES.COMPARER_UPDATED);
+    },
+    
+    /**
+     * Remove all comparer items
+     */
+    clear() {
+        state.comparerItems = [];
+        events.emit(EVENT_NAMES.COMPARER_UPDATED);
+    },
+    
+    /**
+     * Record a response received in the editor (the oldest ones are dropped)
+     * @param {string} key - Editor context key ('request:<index>' or 'tab:<id>')
+     * @param {{label: string, request: string, response: string}} entry
+     * @returns {Object} The recorded item
+     */
+    recordResponse(key, entry) {
+        const history = state.responseHistory[key] || [];
+        const recorded = {
+            id: `resp-${Date.now()}-${++comparerCounter}`,
+            label: entry.label || `Response ${history.length + 1}`,
+            source: 'history',
+            request: entry.request || '',
+            response: entry.response || ''
+        };
+        state.responseHistory[key] = history.concat(recorded).slice(-RESPONSE_HISTORY_LIMIT);
+        events.emit(EVENT_NAMES.RESPONSE_HISTORY_UPDATED, { key });
+        return recorded;
+    }
+};
+
 // Unified actions export (for convenience)
 export const actions = {
     request: requestActions,
@@ -728,6 +1220,12 @@ export const actions = {
     timeline: timelineActions,
     history: historyActions,
     diff: diffActions,
-    attackSurface: attackSurfaceActions
+    attackSurface: attackSurfaceActions,
+    scope: scopeActions,
+    repeater: repeaterActions,
+    environment: environmentActions,
+    macro: macroActions,
+    workflow: workflowActions,
+    comparer: comparerActions
 };
 
@@ -1,6 +1,7 @@
 // Bulk Replay State Management
 export const bulkReplayState = {
     positionConfigs: [],
+    positionContexts: [], // Detected insertion context of each § position
     currentAttackType: 'sniper',
     shouldStopBulk: false,
     shouldPauseBulk: false
@@ -0,0 +1,7 @@
+// Comparer State Management
+// item: { id, label, source: 'request'|'bulk'|'history', request, response }
+// responseHistory: editor context key ('request:<index>' or 'tab:<id>') -> [item], newest last
+export const comparerState = {
+    comparerItems: [],
+    responseHistory: {}
+};
@@ -1,6 +1,8 @@
 // Diff State Management
 export const diffState = {
     regularRequestBaseline: null,
-    currentResponse: null
+    currentResponse: null,
+    // Raw body of the response on screen: { contentType, base64, url } or null
+    currentResponseBody: null
 };
 
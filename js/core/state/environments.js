@@ -0,0 +1,6 @@
+// Environments State Management
+// environment: { id, name, variables: [{ key, value, enabled }] }
+export const environmentState = {
+    environments: [],
+    activeEnvironmentId: null
+};
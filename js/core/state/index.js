@@ -13,6 +13,13 @@ import { timelineState } from './timeline.js';
 import { uiState } from './ui.js';
 import { attackSurfaceState } from './attack-surface.js';
 import { blockingState } from './blocking.js';
+import { projectState } from './project.js';
+import { scopeState } from './scope.js';
+import { repeaterState } from './repeater.js';
+import { environmentState } from './environments.js';
+import { macroState } from './macros.js';
+import { workflowState } from './workflows.js';
+import { comparerState } from './comparer.js';
 
 // Unified state object for backward compatibility
 // All existing code can continue using state.requests, state.currentFilter, etc.
@@ -48,16 +55,37 @@ export const state = {
     ...attackSurfaceState,
     
     // Blocking state
-    ...blockingState
+    ...blockingState,
+    
+    // Project state
+    ...projectState,
+    
+    // Capture scope state
+    ...scopeState,
+    
+    // Repeater tabs state
+    ...repeaterState,
+    
+    // Environments state
+    ...environmentState,
+    
+    // Session macros state
+    ...macroState,
+    
+    // Workflows state
+    ...workflowState,
+    
+    // Comparer state
+    ...comparerState
 };
 
 // Re-export individual state objects for direct access if needed
 export { requestState, filterState, historyState, undoRedoState, bulkReplayState };
 export { diffState, starringState, timelineState, uiState };
-export { attackSurfaceState, blockingState };
+export { attackSurfaceState, blockingState, projectState, scopeState, repeaterState, environmentState, macroState, workflowState, comparerState };
 
 // Re-export actions (new centralized state mutations)
-export { actions, requestActions, filterActions, starringActions, blockingActions, timelineActions, historyActions, diffActions, attackSurfaceActions } from './actions.js';
+export { actions, requestActions, filterActions, starringActions, blockingActions, timelineActions, historyActions, diffActions, attackSurfaceActions, scopeActions, repeaterActions, environmentActions, macroActions, workflowActions, comparerActions } from './actions.js';
 
 // Import actions for use in legacy functions
 import { requestActions, historyActions } from './actions.js';
@@ -0,0 +1,11 @@
+// Session Macros State Management
+// macro: { id, name, enabled, urlFilter, steps: [{ rawText, useHttps }],
+//          extractions: [{ variable, source, expression }],
+//          injections: [{ variable, target, name }],
+//          trigger: { before, statuses: number[], bodyPattern } }
+// macroVariables holds the values extracted by the last macro runs; they are
+// session-only (tokens expire) and never saved with the project.
+export const macroState = {
+    macros: [],
+    macroVariables: {}
+};
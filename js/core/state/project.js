@@ -0,0 +1,5 @@
+// Project State Management
+export const projectState = {
+    activeProjectId: null,
+    projects: [] // [{ id, name, createdAt, updatedAt }]
+};
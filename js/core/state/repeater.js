@@ -0,0 +1,5 @@
+// Repeater Tabs State Management
+export const repeaterState = {
+    repeaterTabs: [],
+    activeRepeaterTabId: null
+};
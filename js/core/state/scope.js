@@ -0,0 +1,6 @@
+// Capture Scope State Management
+import { DEFAULT_SCOPE_CONFIG } from '../utils/scope.js';
+
+export const scopeState = {
+    scopeConfig: JSON.parse(JSON.stringify(DEFAULT_SCOPE_CONFIG))
+};
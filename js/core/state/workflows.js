@@ -0,0 +1,7 @@
+// Workflows State Management
+// workflow: { id, name, stopOnFailure, steps: [step] }
+// step: { id, name, rawText, useHttps, extractions: [{ variable, source, expression }],
+//         assertions: [{ type, value }] }
+export const workflowState = {
+    workflows: []
+};
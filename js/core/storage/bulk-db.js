@@ -0,0 +1,133 @@
+// Bulk Attack Database - IndexedDB persistence for bulk replay
+// Three object stores:
+//   attack-configs  - { id, name, template, setup, savedAt }
+//   attack-runs     - { id, template, setup, total, nextIndex, completed, status, owner, startedAt, updatedAt, heartbeatAt }
+//   attack-results  - { runId, index, result, statusLabel, skipped }
+import { createDatabase, promisifyTransaction } from './idb.js';
+
+const DB_NAME = 'rep-plus-bulk';
+const DB_VERSION = 1;
+const CONFIGS_STORE = 'attack-configs';
+const RUNS_STORE = 'attack-runs';
+const RESULTS_STORE = 'attack-results';
+
+// Every result of a run, in request order
+const runResults = runId => IDBKeyRange.bound([runId, -Infinity], [runId, Infinity]);
+
+const { open: openDatabase, withStore } = createDatabase(DB_NAME, DB_VERSION, db => {
+    if (!db.objectStoreNames.contains(CONFIGS_STORE)) {
+        db.createObjectStore(CONFIGS_STORE, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(RUNS_STORE)) {
+        db.createObjectStore(RUNS_STORE, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(RESULTS_STORE)) {
+        const results = db.createObjectStore(RESULTS_STORE, { keyPath: ['runId', 'index'] });
+        results.createIndex('runId', 'runId');
+    }
+});
+
+/**
+ * List saved attack configs, most recently saved first
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listAttackConfigs() {
+    const configs = await withStore(CONFIGS_STORE, 'readonly', store => store.getAll());
+    return configs.sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getAttackConfig(id) {
+    return withStore(CONFIGS_STORE, 'readonly', store => store.get(id));
+}
+
+/**
+ * Create or replace an attack config
+ * @param {Object} config - {id, name, template, setup}
+ * @returns {Promise<Object>} The stored record
+ */
+export async function saveAttackConfig(config) {
+    const record = { ...config, savedAt: Date.now() };
+    await withStore(CONFIGS_STORE, 'readwrite', store => store.put(record));
+    return record;
+}
+
+/**
+ * @param {string} id
+ */
+export async function deleteAttackConfig(id) {
+    await withStore(CONFIGS_STORE, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * List attack runs, most recently updated first
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listAttackRuns() {
+    const runs = await withStore(RUNS_STORE, 'readonly', store => store.getAll());
+    return runs.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+/**
+ * Save the state of a run and the results completed since the last save, in
+ * one transaction so the two never disagree after a crash
+ * @param {Object} run - Run record (see attack-runs)
+ * @param {Array<Object>} [results] - Result records (see attack-results)
+ */
+export async function saveAttackRun(run, results = []) {
+    const db = await openDatabase();
+    const tx = db.transaction([RUNS_STORE, RESULTS_STORE], 'readwrite');
+    tx.objectStore(RUNS_STORE).put(run);
+    const resultsStore = tx.objectStore(RESULTS_STORE);
+    results.forEach(result => resultsStore.put({ ...result, runId: run.id }));
+    await promisifyTransaction(tx);
+}
+
+/**
+ * Go through the results of a run by request index, one at a time, so a
+ * large run is never held in memory whole
+ * @param {string} runId
+ * @param {Function} visit - (result) => boolean|void; return false to stop
+ * @returns {Promise<void>}
+ */
+export async function forEachAttackResult(runId, visit) {
+    const db = await openDatabase();
+    const tx = db.transaction(RESULTS_STORE, 'readonly');
+    const request = tx.objectStore(RESULTS_STORE).openCursor(runResults(runId));
+    await new Promise((resolve, reject) => {
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor || visit(cursor.value) === false) {
+                resolve();
+                return;
+            }
+            cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * One saved result of a run
+ * @param {string} runId
+ * @param {number} index - Request index
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getAttackResult(runId, index) {
+    return withStore(RESULTS_STORE, 'readonly', store => store.get([runId, index]));
+}
+
+/**
+ * Delete a run and its results
+ * @param {string} runId
+ */
+export async function deleteAttackRun(runId) {
+    const db = await openDatabase();
+    const tx = db.transaction([RUNS_STORE, RESULTS_STORE], 'readwrite');
+    tx.objectStore(RUNS_STORE).delete(runId);
+    tx.objectStore(RESULTS_STORE).delete(runResults(runId));
+    await promisifyTransaction(tx);
+}
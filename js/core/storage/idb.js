@@ -0,0 +1,74 @@
+// IndexedDB helpers shared by the project and bulk attack databases
+
+/**
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} The request's result
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>} Resolves once everything in the transaction is written
+ */
+export function promisifyTransaction(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * A database opened on first use (and again after a failed open)
+ * @param {string} name
+ * @param {number} version
+ * @param {Function} upgrade - (db) => void, creates the stores that are missing
+ * @returns {{open: Function, withStore: Function}}
+ */
+export function createDatabase(name, version, upgrade) {
+    let dbPromise = null;
+
+    function open() {
+        if (dbPromise) return dbPromise;
+
+        dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(name, version);
+            request.onupgradeneeded = () => upgrade(request.result);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return dbPromise;
+    }
+
+    return {
+        /** @returns {Promise<IDBDatabase>} */
+        open,
+
+        /**
+         * Run one request against a store in its own transaction
+         * @param {string} storeName
+         * @param {'readonly'|'readwrite'} mode
+         * @param {Function} fn - (store) => IDBRequest
+         * @returns {Promise<*>} The request's result
+         */
+        async withStore(storeName, mode, fn) {
+            const db = await open();
+            const tx = db.transaction(storeName, mode);
+            return promisifyRequest(fn(tx.objectStore(storeName)));
+        }
+    };
+}
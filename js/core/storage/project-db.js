@@ -0,0 +1,121 @@
+// Project Database - IndexedDB persistence for named projects
+// Three object stores:
+//   projects          - { id, name, createdAt, updatedAt }
+//   project-data      - { projectId, sections: { [sectionName]: data } }
+//   project-requests  - { projectId, id, request } (one per captured request)
+import { createDatabase, promisifyTransaction } from './idb.js';
+
+const DB_NAME = 'rep-plus';
+const DB_VERSION = 2;
+const PROJECTS_STORE = 'projects';
+const DATA_STORE = 'project-data';
+const REQUESTS_STORE = 'project-requests';
+
+const projectRequests = projectId => IDBKeyRange.bound([projectId, -Infinity], [projectId, Infinity]);
+
+const { open: openDatabase, withStore } = createDatabase(DB_NAME, DB_VERSION, db => {
+    if (!db.objectStoreNames.contains(PROJECTS_STORE)) {
+        db.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(DATA_STORE)) {
+        db.createObjectStore(DATA_STORE, { keyPath: 'projectId' });
+    }
+    if (!db.objectStoreNames.contains(REQUESTS_STORE)) {
+        db.createObjectStore(REQUESTS_STORE, { keyPath: ['projectId', 'id'] });
+    }
+});
+
+/**
+ * List all projects, most recently updated first
+ * @returns {Promise<Array<{id: string, name: string, createdAt: number, updatedAt: number}>>}
+ */
+export async function listProjects() {
+    const projects = await withStore(PROJECTS_STORE, 'readonly', store => store.getAll());
+    return projects.sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+/**
+ * Create a new, empty project
+ * @param {string} name - Project name
+ * @returns {Promise<Object>} The created project record
+ */
+export async function createProject(name) {
+    const now = Date.now();
+    const project = {
+        id: `project-${now}-${Math.random().toString(36).slice(2, 8)}`,
+        name,
+        createdAt: now,
+        updatedAt: now
+    };
+    await withStore(PROJECTS_STORE, 'readwrite', store => store.put(project));
+    return project;
+}
+
+/**
+ * Rename a project
+ * @param {string} projectId
+ * @param {string} name
+ */
+export async function renameProject(projectId, name) {
+    const project = await withStore(PROJECTS_STORE, 'readonly', store => store.get(projectId));
+    if (!project) throw new Error('Project not found');
+    project.name = name;
+    project.updatedAt = Date.now();
+    await withStore(PROJECTS_STORE, 'readwrite', store => store.put(project));
+    return project;
+}
+
+/**
+ * Delete a project and its data
+ * @param {string} projectId
+ */
+export async function deleteProject(projectId) {
+    await withStore(PROJECTS_STORE, 'readwrite', store => store.delete(projectId));
+    await withStore(DATA_STORE, 'readwrite', store => store.delete(projectId));
+    await withStore(REQUESTS_STORE, 'readwrite', store => store.delete(projectRequests(projectId)));
+}
+
+/**
+ * Load the saved sections of a project
+ * @param {string} projectId
+ * @returns {Promise<Object>} Section data keyed by section name (empty when nothing saved yet)
+ */
+export async function loadProjectData(projectId) {
+    const record = await withStore(DATA_STORE, 'readonly', store => store.get(projectId));
+    return record ? record.sections || {} : {};
+}
+
+/**
+ * Load the saved requests of a project, in capture order
+ * @param {string} projectId
+ * @returns {Promise<Array<{id: number, request: Object}>>}
+ */
+export async function loadProjectRequests(projectId) {
+    const records = await withStore(REQUESTS_STORE, 'readonly', store => store.getAll(projectRequests(projectId)));
+    return records.sort((a, b) => a.id - b.id).map(({ id, request }) => ({ id, request }));
+}
+
+/**
+ * Save the sections of a project with the requests that changed since the
+ * last save, in one transaction, and bump its updatedAt
+ * @param {string} projectId
+ * @param {Object} sections - Section data keyed by section name
+ * @param {Object} [requests]
+ * @param {Array<{id: number, request: Object}>} [requests.put] - New or changed requests (storable)
+ * @param {Array<number>} [requests.remove] - Ids of requests no longer in the project
+ */
+export async function saveProjectData(projectId, sections, { put = [], remove = [] } = {}) {
+    const db = await openDatabase();
+    const tx = db.transaction([DATA_STORE, REQUESTS_STORE], 'readwrite');
+    tx.objectStore(DATA_STORE).put({ projectId, sections });
+    const requestsStore = tx.objectStore(REQUESTS_STORE);
+    put.forEach(({ id, request }) => requestsStore.put({ projectId, id, request }));
+    remove.forEach(id => requestsStore.delete([projectId, id]));
+    await promisifyTransaction(tx);
+
+    const project = await withStore(PROJECTS_STORE, 'readonly', store => store.get(projectId));
+    if (project) {
+        project.updatedAt = Date.now();
+        await withStore(PROJECTS_STORE, 'readwrite', store => store.put(project));
+    }
+}
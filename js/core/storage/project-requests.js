@@ -0,0 +1,100 @@
+// Project Requests - Which captured requests a project save has to write
+// Captured requests are saved one record each ({ id, request }) instead of
+// inside the project's sections, so a save only writes the requests that are
+// new or changed since the last one and deletes the ones that are gone.
+// Ids grow with capture order, so sorting records by id restores the list.
+// After capture only a request's star, color, name and rule matches (which
+// can arrive late) change; those are compared instead of serializing every
+// request again.
+
+const MUTABLE_FIELDS = ['starred', 'color', 'name', 'matchedRules'];
+
+function snapshot(request) {
+    const fields = {};
+    MUTABLE_FIELDS.forEach(field => {
+        const value = request[field] ?? null;
+        fields[field] = Array.isArray(value) ? [...value] : value;
+    });
+    return fields;
+}
+
+function sameValue(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, i) => item === b[i]);
+    }
+    return a === b;
+}
+
+function sameFields(a, b) {
+    return MUTABLE_FIELDS.every(field => sameValue(a[field], b[field]));
+}
+
+/**
+ * Tracks the saved record of each request of the open project
+ * @returns {{reset: Function, changes: Function, commit: Function}}
+ */
+export function createRequestRecordTracker() {
+    let saved = new WeakMap(); // request -> { id, fields }
+    let savedIds = new Set();
+    let nextId = 1;
+    let generation = 0;
+
+    return {
+        /**
+         * Start over with the records of a project that was just loaded
+         * @param {Array<{id: number, request: Object}>} [records] - The request objects now in the list
+         */
+        reset(records = []) {
+            saved = new WeakMap();
+            savedIds = new Set();
+            nextId = 1;
+            generation++;
+            records.forEach(({ id, request }) => {
+                saved.set(request, { id, fields: snapshot(request) });
+                savedIds.add(id);
+                nextId = Math.max(nextId, id + 1);
+            });
+        },
+
+        /**
+         * What a save has to write for the current list of requests. Nothing
+         * is marked saved until commit(), so a failed save is retried next time.
+         * @param {Array<Object>} requests
+         * @returns {{put: Array<{id: number, request: Object, fields: Object}>, remove: Array<number>, generation: number}}
+         */
+        changes(requests) {
+            const put = [];
+            const current = new Set();
+            requests.forEach(request => {
+                const entry = saved.get(request);
+                let id = entry && entry.id;
+                if (!entry) {
+                    id = nextId++;
+                    // Keep the id even if this save fails, so the order stays the same
+                    saved.set(request, { id, fields: null });
+                }
+                current.add(id);
+                const fields = snapshot(request);
+                if (!entry || !entry.fields || !sameFields(entry.fields, fields)) {
+                    put.push({ id, request, fields });
+                }
+            });
+            const remove = [...savedIds].filter(id => !current.has(id));
+            return { put, remove, generation };
+        },
+
+        /**
+         * Mark the changes of a finished save as saved
+         * @param {Object} changes - From changes()
+         */
+        commit({ put, remove, generation: changesGeneration }) {
+            // A project was opened while the save was running
+            if (changesGeneration !== generation) return;
+            put.forEach(({ id, request, fields }) => {
+                saved.set(request, { id, fields });
+                savedIds.add(id);
+            });
+            remove.forEach(id => savedIds.delete(id));
+        }
+    };
+}
@@ -0,0 +1,60 @@
+// Project Sections - Registry of everything that is saved with a project
+// Modules that own persistent data register a section once at load time:
+//   registerProjectSection('chat', { serialize, restore })
+// serialize() returns structured-clone-safe data; restore(data) receives it
+// back (or undefined for a project that never saved that section).
+
+const sections = new Map();
+
+/**
+ * Register a section that is saved and restored with the active project
+ * @param {string} name - Unique section name
+ * @param {{serialize: Function, restore: Function}} handlers
+ */
+export function registerProjectSection(name, { serialize, restore }) {
+    if (typeof serialize !== 'function' || typeof restore !== 'function') {
+        throw new Error(`Project section "${name}" needs serialize and restore functions`);
+    }
+    sections.set(name, { serialize, restore });
+}
+
+/**
+ * Collect data from all registered sections
+ * @returns {Object} Section data keyed by section name
+ */
+export function serializeProjectSections() {
+    const data = {};
+    sections.forEach((handlers, name) => {
+        try {
+            data[name] = handlers.serialize();
+        } catch (e) {
+            console.error(`Failed to serialize project section "${name}":`, e);
+        }
+    });
+    return data;
+}
+
+/**
+ * Hand saved data back to every registered section.
+ * Sections without saved data are restored with undefined so they reset.
+ * @param {Object} data - Section data keyed by section name
+ */
+export async function restoreProjectSections(data = {}) {
+    for (const [name, handlers] of sections) {
+        try {
+            await handlers.restore(data[name]);
+        } catch (e) {
+            console.error(`Failed to restore project section "${name}":`, e);
+        }
+    }
+}
+
+/**
+ * Make a value safe for IndexedDB (drops functions such as HAR getContent)
+ * @param {*} value
+ * @returns {*}
+ */
+export function toStorable(value) {
+    if (value === undefined) return undefined;
+    return JSON.parse(JSON.stringify(value));
+}
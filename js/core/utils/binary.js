@@ -0,0 +1,153 @@
+// Binary body utilities
+// Response bodies are kept as bytes; text views decode them, hex/preview/save
+// use the bytes as they came off the wire.
+
+import { formatBytes } from './format.js';
+
+const FILE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg',
+    'image/x-icon': 'ico',
+    'image/vnd.microsoft.icon': 'ico',
+    'image/bmp': 'bmp',
+    'image/avif': 'avif',
+    'audio/mpeg': 'mp3',
+    'audio/ogg': 'ogg',
+    'audio/wav': 'wav',
+    'audio/webm': 'weba',
+    'video/mp4': 'mp4',
+    'video/webm': 'webm',
+    'application/pdf': 'pdf',
+    'application/zip': 'zip',
+    'application/json': 'json',
+    'application/javascript': 'js',
+    'application/xml': 'xml',
+    'text/html': 'html',
+    'text/css': 'css',
+    'text/javascript': 'js',
+    'text/plain': 'txt',
+    'text/xml': 'xml'
+};
+
+/**
+ * Media type without parameters, lowercased ("text/html; charset=utf-8" -> "text/html")
+ * @param {string} contentType
+ * @returns {string}
+ */
+export function getMimeType(contentType) {
+    return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Whether a content type is text that can be decoded and shown as-is
+ * (an unknown type counts as text, like in background.js)
+ * @param {string} contentType
+ * @returns {boolean}
+ */
+export function isTextContentType(contentType) {
+    if (!contentType) return true;
+    return /text\/|json|javascript|xml|html|x-www-form-urlencoded/i.test(contentType);
+}
+
+/**
+ * How the Preview tab can render a body
+ * @param {string} contentType
+ * @returns {'image'|'audio'|'video'|'pdf'|null}
+ */
+export function getMediaKind(contentType) {
+    const mime = getMimeType(contentType);
+    if (mime.startsWith('image/')) return 'image';
+    if (mime.startsWith('audio/')) return 'audio';
+    if (mime.startsWith('video/')) return 'video';
+    if (mime === 'application/pdf') return 'pdf';
+    return null;
+}
+
+function looksBinary(bytes) {
+    const sample = bytes.subarray(0, 1024);
+    return sample.includes(0);
+}
+
+/**
+ * Whether a body should be treated as binary
+ * @param {Uint8Array} bytes
+ * @param {string} contentType
+ * @returns {boolean}
+ */
+export function isBinaryBody(bytes, contentType) {
+    if (!bytes || bytes.length === 0) return false;
+    return contentType ? !isTextContentType(contentType) : looksBinary(bytes);
+}
+
+/**
+ * Text to show for a body: the decoded text (charset from the content type,
+ * UTF-8 otherwise), or a short placeholder for binary bodies
+ * @param {Uint8Array} bytes
+ * @param {string} contentType
+ * @returns {string}
+ */
+export function getBodyText(bytes, contentType) {
+    if (!bytes || bytes.length === 0) return '';
+    if (isBinaryBody(bytes, contentType)) {
+        const mime = getMimeType(contentType) || 'unknown type';
+        return `[Binary body: ${formatBytes(bytes.length)}, ${mime}. See the Hex or Preview tab.]`;
+    }
+
+    const charset = /charset=["']?([\w.:-]+)/i.exec(contentType || '');
+    try {
+        return new TextDecoder(charset ? charset[1] : 'utf-8').decode(bytes);
+    } catch (e) {
+        // Unknown charset label
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+/**
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+export function base64ToBytes(base64) {
+    const binary = atob(base64 || '');
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * File name for saving a body, from the URL path or the content type
+ * @param {string} url
+ * @param {string} contentType
+ * @returns {string}
+ */
+export function suggestFileName(url, contentType) {
+    let name = '';
+    try {
+        const path = new URL(url).pathname;
+        name = decodeURIComponent(path.substring(path.lastIndexOf('/') + 1));
+    } catch (e) {
+        // No usable URL
+    }
+    name = name.replace(/[\\/:*?"<>|]+/g, '_');
+
+    const extension = FILE_EXTENSIONS[getMimeType(contentType)] || 'bin';
+    if (!name) return `response.${extension}`;
+    return name.includes('.') ? name : `${name}.${extension}`;
+}
@@ -60,6 +60,21 @@ export function downloadCSV(data, filename, headers = null) {
     URL.revokeObjectURL(url);
 }
 
+/**
+ * Download raw bytes as a file (response bodies, binary or not)
+ */
+export function downloadBytes(bytes, filename, mimeType = 'application/octet-stream') {
+    const blob = new Blob([bytes], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Download data as JSON file (for Postman collections, etc.)
  */
@@ -0,0 +1,139 @@
+// Scope Utilities - Include/exclude rules shared by every capture path
+//
+// A scope config is { include: rule[], exclude: rule[] } where a rule is
+// { type: 'host' | 'path' | 'mime' | 'extension', pattern: string, enabled?: boolean }.
+// A request is in scope when it matches at least one include rule (or there
+// are none) and no exclude rule.
+
+export const SCOPE_RULE_TYPES = ['host', 'path', 'mime', 'extension'];
+
+// Defaults mirror the old hardcoded static-resource filter, minus .svg and
+// .pdf which are worth keeping (XSS via SVG, documents with sensitive data).
+export const DEFAULT_SCOPE_CONFIG = {
+    include: [],
+    exclude: [
+        '.css', '.jpg', '.jpeg', '.png', '.gif', '.webp', '.ico',
+        '.woff', '.woff2', '.ttf', '.eot', '.otf',
+        '.mp4', '.webm', '.mp3', '.wav'
+    ].map(pattern => ({ type: 'extension', pattern, enabled: true }))
+};
+
+/**
+ * Convert a glob (`*` and `?` wildcards) to an anchored, case-insensitive RegExp
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+    const escaped = glob
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+/**
+ * Match a hostname against a host glob. `*.example.com` also matches `example.com`.
+ * @param {string} pattern
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+export function matchHostGlob(pattern, hostname) {
+    const glob = pattern.trim().toLowerCase();
+    const host = (hostname || '').toLowerCase();
+    if (!glob) return false;
+    if (glob.startsWith('*.') && host === glob.slice(2)) return true;
+    return globToRegExp(glob).test(host);
+}
+
+/**
+ * Build the values a rule is matched against from a URL and MIME type
+ * @param {string} url
+ * @param {string} [mimeType]
+ * @returns {{hostname: string, path: string, pathname: string, mimeType: string}}
+ */
+export function getScopeTarget(url, mimeType = '') {
+    let hostname = '';
+    let pathname = '';
+    let path = '';
+    try {
+        const urlObj = new URL(url);
+        hostname = urlObj.hostname;
+        pathname = urlObj.pathname;
+        path = urlObj.pathname + urlObj.search;
+    } catch (e) {
+        pathname = url || '';
+        path = url || '';
+    }
+    return {
+        hostname,
+        path,
+        pathname,
+        mimeType: (mimeType || '').split(';')[0].trim().toLowerCase()
+    };
+}
+
+/**
+ * Check a single rule against a scope target
+ * @param {Object} rule
+ * @param {Object} target - Result of getScopeTarget()
+ * @returns {boolean}
+ */
+export function matchesScopeRule(rule, target) {
+    if (!rule || rule.enabled === false || !rule.pattern) return false;
+    const pattern = rule.pattern.trim();
+
+    switch (rule.type) {
+        case 'host':
+            return matchHostGlob(pattern, target.hostname);
+        case 'path':
+            try {
+                return new RegExp(pattern, 'i').test(target.path);
+            } catch (e) {
+                return false; // Invalid regex never matches
+            }
+        case 'mime':
+            return !!target.mimeType && globToRegExp(pattern.toLowerCase()).test(target.mimeType);
+        case 'extension': {
+            const ext = pattern.startsWith('.') ? pattern : `.${pattern}`;
+            return target.pathname.toLowerCase().endsWith(ext.toLowerCase());
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Decide whether a URL (and optional MIME type) is in scope
+ * @param {{include: Array, exclude: Array}} config
+ * @param {string} url
+ * @param {string} [mimeType]
+ * @returns {boolean}
+ */
+export function isInScope(config, url, mimeType = '') {
+    const target = getScopeTarget(url, mimeType);
+    const include = (config && config.include || []).filter(rule => rule.enabled !== false);
+    const exclude = (config && config.exclude) || [];
+
+    if (include.length > 0 && !include.some(rule => matchesScopeRule(rule, target))) {
+        return false;
+    }
+    return !exclude.some(rule => matchesScopeRule(rule, target));
+}
+
+/**
+ * Validate a rule before it is added to a config
+ * @param {Object} rule
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateScopeRule(rule) {
+    if (!rule || !SCOPE_RULE_TYPES.includes(rule.type)) return 'Unknown rule type';
+    if (!rule.pattern || !rule.pattern.trim()) return 'Pattern is required';
+    if (rule.type === 'path') {
+        try {
+            new RegExp(rule.pattern);
+        } catch (e) {
+            return `Invalid regex: ${e.message}`;
+        }
+    }
+    return null;
+}
@@ -0,0 +1,305 @@
+// Semantic diff - Compare two raw responses by meaning instead of by line
+// The status line is compared as-is, headers as sets (order and case of names
+// do not matter) and JSON bodies path by path, so reordered keys are no change.
+// Ignore rules drop volatile parts (timestamps, nonces, request ids):
+//   $.path.to.field, $..requestId, $.items[*].updatedAt  - JSON paths (and their children)
+//   header:Date, header:X-Request-*                       - headers
+//   anything else                                         - regex; matching parts of values are ignored
+// Non-JSON bodies fall back to a line diff with the regex rules applied.
+import { escapeHtml } from './dom.js';
+import { renderDiff } from './misc.js';
+
+const MODE_KEY = 'rep_diff_mode';
+const IGNORE_KEY = 'rep_diff_ignore_rules';
+const MASK = '«ignored»';
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * @returns {'lines'|'semantic'} Diff mode of the diff toggles
+ */
+export function getDiffMode() {
+    return localStorage.getItem(MODE_KEY) === 'semantic' ? 'semantic' : 'lines';
+}
+
+/**
+ * @param {'lines'|'semantic'} mode
+ */
+export function setDiffMode(mode) {
+    localStorage.setItem(MODE_KEY, mode === 'semantic' ? 'semantic' : 'lines');
+}
+
+/**
+ * @returns {string[]} Ignore rules, one per entry
+ */
+export function getDiffIgnoreRules() {
+    try {
+        const rules = JSON.parse(localStorage.getItem(IGNORE_KEY) || '[]');
+        return Array.isArray(rules) ? rules : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * @param {string[]} rules - Blank lines and # comments are dropped
+ */
+export function setDiffIgnoreRules(rules) {
+    const cleaned = rules.map(rule => rule.trim()).filter(rule => rule && !rule.startsWith('#'));
+    localStorage.setItem(IGNORE_KEY, JSON.stringify(cleaned));
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function globToRegex(glob) {
+    return new RegExp(`^${escapeRegex(glob).replace(/\\\*/g, '.*')}$`, 'i');
+}
+
+function pathPatternToRegex(pattern) {
+    const source = escapeRegex(pattern)
+        .replace(/\\\[\\\*\\\]/g, '\\[\\d+\\]')
+        .replace(/\\\.\\\./g, '(?:.*)?\\.')
+        .replace(/\\\*/g, '[^.\\[\\]]+');
+    // A path rule also covers everything below it
+    return new RegExp(`^${source}(?:$|[.\\[])`);
+}
+
+/**
+ * Sort ignore rules into JSON path, header and value (regex) rules.
+ * Invalid regexes are reported instead of thrown.
+ * @param {string[]} rules
+ * @returns {{paths: RegExp[], headers: RegExp[], values: RegExp[], errors: string[]}}
+ */
+export function compileIgnoreRules(rules) {
+    const compiled = { paths: [], headers: [], values: [], errors: [] };
+    (rules || []).forEach(raw => {
+        const rule = String(raw || '').trim();
+        if (!rule || rule.startsWith('#')) return;
+
+        if (rule.startsWith('$')) {
+            compiled.paths.push(pathPatternToRegex(rule));
+        } else if (/^header:/i.test(rule)) {
+            compiled.headers.push(globToRegex(rule.substring('header:'.length).trim()));
+        } else {
+            try {
+                compiled.values.push(new RegExp(rule, 'g'));
+            } catch (e) {
+                compiled.errors.push(`${rule}: ${e.message}`);
+            }
+        }
+    });
+    return compiled;
+}
+
+function maskValue(value, valueRules) {
+    return valueRules.reduce((text, regex) => text.replace(regex, MASK), String(value));
+}
+
+/**
+ * Split a raw HTTP response into status line, headers and body
+ * @param {string} raw
+ * @returns {{statusLine: string, headers: Array<{name: string, value: string}>, body: string}}
+ */
+export function parseRawResponse(raw) {
+    const lines = String(raw || '').replace(/\r\n/g, '\n').split('\n');
+    const headers = [];
+    let index = 1;
+    for (; index < lines.length && lines[index].trim() !== ''; index++) {
+        const colon = lines[index].indexOf(':');
+        if (colon > 0) {
+            headers.push({
+                name: lines[index].substring(0, colon).trim(),
+                value: lines[index].substring(colon + 1).trim()
+            });
+        }
+    }
+    return {
+        statusLine: (lines[0] || '').trim(),
+        headers,
+        body: lines.slice(index + 1).join('\n')
+    };
+}
+
+function parseJsonBody(body) {
+    const trimmed = body.trim();
+    if (!/^[[{]/.test(trimmed)) return undefined;
+    try {
+        return JSON.parse(trimmed);
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Flatten JSON into path -> leaf value (JSON text); empty objects/arrays are leaves
+ * @param {*} value
+ * @param {string} [path='$']
+ * @param {Map<string, string>} [out]
+ * @returns {Map<string, string>}
+ */
+export function flattenJson(value, path = '$', out = new Map()) {
+    if (Array.isArray(value) && value.length) {
+        value.forEach((item, i) => flattenJson(item, `${path}[${i}]`, out));
+    } else if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length) {
+        Object.keys(value).forEach(key => {
+            const childPath = IDENTIFIER.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+            flattenJson(value[key], childPath, out);
+        });
+    } else {
+        out.set(path, JSON.stringify(value));
+    }
+    return out;
+}
+
+function compareEntry(key, baseline, current, masked) {
+    if (baseline === current) return null;
+    if (baseline === undefined) return { key, type: 'added', current };
+    if (current === undefined) return { key, type: 'removed', baseline };
+    if (masked(baseline) === masked(current)) return { key, type: 'ignored', baseline, current };
+    return { key, type: 'changed', baseline, current };
+}
+
+function groupHeaders(headers) {
+    const groups = new Map();
+    headers.forEach(({ name, value }) => {
+        const lower = name.toLowerCase();
+        if (!groups.has(lower)) groups.set(lower, { name, values: [] });
+        groups.get(lower).values.push(value);
+    });
+    groups.forEach(group => group.values.sort());
+    return groups;
+}
+
+/**
+ * Compare two raw responses semantically
+ * @param {string} baselineRaw
+ * @param {string} currentRaw
+ * @param {string[]} [rules] - Ignore rules (see top of file)
+ * @returns {{status: Object|null, headers: Array<Object>, body: {kind: 'json'|'text', entries?: Array<Object>, baseline?: string, current?: string}, ignored: number, errors: string[]}}
+ *   Entries have {key, type: 'added'|'removed'|'changed'|'ignored', baseline, current}
+ */
+export function semanticDiff(baselineRaw, currentRaw, rules = []) {
+    const compiled = compileIgnoreRules(rules);
+    const masked = value => maskValue(value, compiled.values);
+    const baseline = parseRawResponse(baselineRaw);
+    const current = parseRawResponse(currentRaw);
+    let ignored = 0;
+    const keep = entry => {
+        if (!entry) return false;
+        if (entry.type === 'ignored') {
+            ignored++;
+            return false;
+        }
+        return true;
+    };
+
+    // Status line
+    const statusEntry = compareEntry('status', baseline.statusLine, current.statusLine, masked);
+    const status = keep(statusEntry) ? statusEntry : null;
+
+    // Headers as sets of values per name
+    const baselineHeaders = groupHeaders(baseline.headers);
+    const currentHeaders = groupHeaders(current.headers);
+    const headerNames = [...new Set([...baselineHeaders.keys(), ...currentHeaders.keys()])];
+    const headers = headerNames.map(lower => {
+        const before = baselineHeaders.get(lower);
+        const after = currentHeaders.get(lower);
+        const name = (before || after).name;
+        const entry = compareEntry(name,
+            before ? before.values.join(', ') : undefined,
+            after ? after.values.join(', ') : undefined,
+            masked);
+        if (entry && compiled.headers.some(regex => regex.test(name))) {
+            ignored++;
+            return null;
+        }
+        return entry;
+    }).filter(keep);
+
+    // JSON bodies by path, everything else as masked text
+    const baselineJson = parseJsonBody(baseline.body);
+    const currentJson = parseJsonBody(current.body);
+    let body;
+    if (baselineJson !== undefined && currentJson !== undefined) {
+        const before = flattenJson(baselineJson);
+        const after = flattenJson(currentJson);
+        const paths = [...new Set([...before.keys(), ...after.keys()])];
+        const entries = paths.map(path => {
+            const entry = compareEntry(path, before.get(path), after.get(path), masked);
+            if (entry && compiled.paths.some(regex => regex.test(path))) {
+                ignored++;
+                return null;
+            }
+            return entry;
+        }).filter(keep);
+        body = { kind: 'json', entries };
+    } else {
+        body = { kind: 'text', baseline: masked(baseline.body), current: masked(current.body) };
+    }
+
+    return { status, headers, body, ignored, errors: compiled.errors };
+}
+
+function renderEntry(label, entry) {
+    const prefix = label ? `${escapeHtml(label)}: ` : '';
+    let html = '';
+    if (entry.type !== 'added') html += `<div class="diff-remove">- ${prefix}${escapeHtml(entry.baseline)}</div>`;
+    if (entry.type !== 'removed') html += `<div class="diff-add">+ ${prefix}${escapeHtml(entry.current)}</div>`;
+    return html;
+}
+
+/**
+ * Render a semantic diff of two raw responses as HTML
+ * @param {string} baseline
+ * @param {string} current
+ * @param {string[]} [rules] - Ignore rules
+ * @returns {string}
+ */
+export function renderSemanticDiff(baseline, current, rules = []) {
+    const diff = semanticDiff(baseline, current, rules);
+    const textChanged = diff.body.kind === 'text' && diff.body.baseline !== diff.body.current;
+    const changes = (diff.status ? 1 : 0) + diff.headers.length +
+        (diff.body.kind === 'json' ? diff.body.entries.length : (textChanged ? 1 : 0));
+
+    const summary = [
+        changes ? `${changes} difference${changes === 1 ? '' : 's'}` : 'No differences',
+        diff.ignored ? `${diff.ignored} ignored` : ''
+    ].filter(Boolean).join(' · ');
+
+    let html = '<div class="semantic-diff">';
+    html += `<div class="semantic-diff-summary">${escapeHtml(summary)}</div>`;
+    diff.errors.forEach(error => {
+        html += `<div class="semantic-diff-error">Invalid ignore rule ${escapeHtml(error)}</div>`;
+    });
+
+    if (diff.status) {
+        html += '<div class="semantic-diff-section">Status</div>' + renderEntry('', diff.status);
+    }
+    if (diff.headers.length) {
+        html += '<div class="semantic-diff-section">Headers</div>' +
+            diff.headers.map(entry => renderEntry(entry.key, entry)).join('');
+    }
+    if (diff.body.kind === 'json' && diff.body.entries.length) {
+        html += '<div class="semantic-diff-section">Body (JSON)</div>' +
+            diff.body.entries.map(entry => renderEntry(entry.key, entry)).join('');
+    } else if (textChanged) {
+        html += '<div class="semantic-diff-section">Body</div>' + renderDiff(diff.body.baseline, diff.body.current);
+    }
+
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Render the diff view of the response pane in the chosen mode
+ * (line diff or semantic diff with the saved ignore rules)
+ * @param {string} baseline - Raw baseline response
+ * @param {string} current - Raw current response
+ * @returns {string} HTML
+ */
+export function renderResponseDiff(baseline, current) {
+    return getDiffMode() === 'semantic'
+        ? renderSemanticDiff(baseline, current, getDiffIgnoreRules())
+        : renderDiff(baseline, current);
+}
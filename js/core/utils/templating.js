@@ -0,0 +1,68 @@
+// Templating utilities - {{variable}} placeholders in raw requests
+// Variables come from the active environment and from session macros (values
+// they extracted win over environment variables of the same name). Placeholders
+// without a value are left untouched and reported, so they can be flagged before a send.
+
+const PLACEHOLDER_REGEX = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+
+/**
+ * Names of all placeholders in a text, in order of first appearance
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function findPlaceholders(text) {
+    const names = [];
+    for (const match of String(text || '').matchAll(PLACEHOLDER_REGEX)) {
+        if (!names.includes(match[1])) names.push(match[1]);
+    }
+    return names;
+}
+
+/**
+ * Replace {{name}} placeholders with variable values
+ * @param {string} text - Raw request (or any text)
+ * @param {Object<string, string>} variables - Values by name
+ * @returns {{text: string, unresolved: string[]}} Substituted text and the names that had no value
+ */
+export function substituteVariables(text, variables = {}) {
+    const unresolved = [];
+    const result = String(text || '').replace(PLACEHOLDER_REGEX, (placeholder, name) => {
+        if (Object.prototype.hasOwnProperty.call(variables, name)) {
+            return String(variables[name]);
+        }
+        if (!unresolved.includes(name)) unresolved.push(name);
+        return placeholder;
+    });
+    return { text: result, unresolved };
+}
+
+/**
+ * Variables of the active environment as a name -> value map
+ * (disabled variables and empty names are skipped)
+ * @param {{environments: Array, activeEnvironmentId: string|null}} state
+ * @returns {Object<string, string>}
+ */
+export function getActiveEnvironmentVariables(state) {
+    const environment = (state.environments || []).find(env => env.id === state.activeEnvironmentId);
+    const variables = {};
+    if (!environment) return variables;
+
+    (environment.variables || []).forEach(({ key, value, enabled }) => {
+        const name = String(key || '').trim();
+        if (name && enabled !== false) variables[name] = value ?? '';
+    });
+    return variables;
+}
+
+/**
+ * Substitute the active environment and macro-extracted values into a text
+ * @param {string} text
+ * @param {Object} state - App state (environments, activeEnvironmentId, macroVariables)
+ * @returns {{text: string, unresolved: string[]}}
+ */
+export function applyEnvironment(text, state) {
+    return substituteVariables(text, {
+        ...getActiveEnvironmentVariables(state),
+        ...(state.macroVariables || {})
+    });
+}
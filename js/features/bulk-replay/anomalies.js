@@ -0,0 +1,274 @@
+// Bulk Replay Anomalies - Baseline, outliers and clusters of bulk responses
+// Every body gets a 64-bit simhash: similar bodies (a reflected payload, a
+// timestamp) differ in a few bits, different pages in many. Responses with the
+// same status and a close simhash form a cluster, and each response is
+// compared to the baseline of the whole run (typical status, size, words,
+// lines, time and body) to flag the ones that stand out.
+import { formatBytes } from '../../core/utils/format.js';
+
+const SIMHASH_MAX_CHARS = 65536; // Hash the start of very large bodies only
+const SHINGLE_SIZE = 2;
+const EMPTY_SIMHASH = '0000000000000000';
+
+export const CLUSTER_DISTANCE = 8; // Bits two bodies of a cluster may differ by
+export const STRUCTURE_DISTANCE = 10; // Bits from the baseline body to stand out
+export const MIN_BASELINE = 5; // Responses needed before anything is flagged
+
+const RARE_STATUS_SHARE = 0.1;
+const OUTLIER_MADS = 3.5;
+const MAD_SCALE = 1.4826; // MAD to standard deviation, for normal data
+
+// Smallest deviation from the median that counts, so that identical
+// responses do not flag a one-byte difference. Only slower times stand out.
+const MIN_DEVIATION = {
+    size: median => Math.max(16, median * 0.05),
+    words: median => Math.max(2, median * 0.05),
+    lines: median => Math.max(1, median * 0.05),
+    time: median => Math.max(250, median)
+};
+
+const METRICS = Object.keys(MIN_DEVIATION);
+
+function hash32(text, seed) {
+    let hash = seed;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    // Final mix so every bit depends on every character
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+}
+
+function toHex(high, low) {
+    return high.toString(16).padStart(8, '0') + low.toString(16).padStart(8, '0');
+}
+
+/**
+ * 64-bit simhash of a response body, over pairs of words and punctuation.
+ * Numbers count as one token, so ids and timestamps do not change it.
+ * @param {string} text
+ * @returns {string} 16 hex digits
+ */
+export function simhash(text) {
+    const tokens = String(text || '').slice(0, SIMHASH_MAX_CHARS).toLowerCase()
+        .match(/[a-z0-9_]+|[^\sa-z0-9_]/g);
+    if (!tokens) return EMPTY_SIMHASH;
+    tokens.forEach((token, i) => {
+        if (/^\d+$/.test(token)) tokens[i] = '0';
+    });
+
+    const features = [];
+    if (tokens.length < SHINGLE_SIZE) {
+        features.push(tokens.join(' '));
+    } else {
+        for (let i = 0; i <= tokens.length - SHINGLE_SIZE; i++) {
+            features.push(tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+        }
+    }
+
+    const weights = new Int32Array(64);
+    features.forEach(feature => {
+        const high = hash32(feature, 0x811c9dc5);
+        const low = hash32(feature, 0x050c5d1f);
+        for (let bit = 0; bit < 32; bit++) {
+            weights[bit] += (high >>> bit) & 1 ? 1 : -1;
+            weights[32 + bit] += (low >>> bit) & 1 ? 1 : -1;
+        }
+    });
+
+    let high = 0;
+    let low = 0;
+    for (let bit = 0; bit < 32; bit++) {
+        if (weights[bit] > 0) high |= 1 << bit;
+        if (weights[32 + bit] > 0) low |= 1 << bit;
+    }
+    return toHex(high >>> 0, low >>> 0);
+}
+
+function popcount(value) {
+    let v = value - ((value >>> 1) & 0x55555555);
+    v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+    return (Math.imul((v + (v >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24);
+}
+
+/**
+ * Number of differing bits between two simhashes
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 to 64
+ */
+export function hammingDistance(a, b) {
+    const high = parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16);
+    const low = parseInt(a.slice(8), 16) ^ parseInt(b.slice(8), 16);
+    return popcount(high >>> 0) + popcount(low >>> 0);
+}
+
+/**
+ * Clusters of responses, built as results come in. A response joins the
+ * first cluster with its status and a body within `maxDistance` bits of the
+ * cluster's first body, so ids never change during a run.
+ * @param {{maxDistance?: number}} [options]
+ * @returns {{add: Function, getClusters: Function, reset: Function}}
+ */
+export function createClusterIndex({ maxDistance = CLUSTER_DISTANCE } = {}) {
+    let clusters = [];
+
+    return {
+        /**
+         * @param {{status: number|string, simhash: string|null, size?: number}} response - simhash is null without a body (errors)
+         * @returns {number} Cluster id, from 1
+         */
+        add({ status, simhash: hash, size }) {
+            let cluster = clusters.find(c => c.status === status &&
+                (c.simhash === null || hash === null ? c.simhash === hash : hammingDistance(c.simhash, hash) <= maxDistance));
+            if (!cluster) {
+                cluster = { id: clusters.length + 1, status, simhash: hash, size: size ?? null, count: 0, minSize: size ?? null, maxSize: size ?? null, identical: true };
+                clusters.push(cluster);
+            }
+            cluster.count++;
+            if (typeof size === 'number') {
+                cluster.minSize = cluster.minSize === null ? size : Math.min(cluster.minSize, size);
+                cluster.maxSize = cluster.maxSize === null ? size : Math.max(cluster.maxSize, size);
+            }
+            if (hash !== cluster.simhash || (size ?? null) !== cluster.size) cluster.identical = false;
+            return cluster.id;
+        },
+
+        /** Clusters, largest first */
+        getClusters() {
+            return [...clusters].sort((a, b) => b.count - a.count || a.id - b.id);
+        },
+
+        reset() {
+            clusters = [];
+        }
+    };
+}
+
+/**
+ * Summary of a cluster, e.g. "980 × identical 403 (1.2 KB)"
+ * @param {Object} cluster - See createClusterIndex
+ * @returns {string}
+ */
+export function formatCluster(cluster) {
+    let size = '';
+    if (cluster.minSize !== null) {
+        size = cluster.minSize === cluster.maxSize
+            ? ` (${formatBytes(cluster.minSize)})`
+            : ` (${formatBytes(cluster.minSize)} - ${formatBytes(cluster.maxSize)})`;
+    }
+    const kind = cluster.count > 1 ? (cluster.identical ? 'identical ' : 'similar ') : '';
+    return `${cluster.count} × ${kind}${cluster.status}${size}`;
+}
+
+function median(sorted) {
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function describe(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = median(sorted);
+    const deviations = sorted.map(v => Math.abs(v - mid)).sort((a, b) => a - b);
+    return { median: mid, mad: median(deviations) };
+}
+
+/**
+ * Typical response of a run: most common status, median and median absolute
+ * deviation of each metric, and the bitwise majority of the body simhashes
+ * @param {Array<Object>} rows - {status, size, words, lines, time, simhash, skipped}
+ * @returns {Object|null} null until MIN_BASELINE responses are in
+ */
+export function computeBaseline(rows) {
+    // Requests in flight have no status yet
+    const done = rows.filter(row => !row.skipped && row.status !== null && row.status !== undefined);
+    const responses = done.filter(row => typeof row.simhash === 'string');
+    if (responses.length < MIN_BASELINE) return null;
+
+    const statusCounts = new Map();
+    done.forEach(row => statusCounts.set(row.status, (statusCounts.get(row.status) || 0) + 1));
+    const [status] = [...statusCounts.entries()].sort((a, b) => b[1] - a[1])[0];
+
+    const baseline = { count: done.length, status, statusCounts };
+    METRICS.forEach(metric => {
+        const values = responses.map(row => row[metric]).filter(value => typeof value === 'number');
+        baseline[metric] = values.length >= MIN_BASELINE ? describe(values) : null;
+    });
+
+    const bits = new Int32Array(64);
+    responses.forEach(row => {
+        const high = parseInt(row.simhash.slice(0, 8), 16);
+        const low = parseInt(row.simhash.slice(8), 16);
+        for (let bit = 0; bit < 32; bit++) {
+            bits[bit] += (high >>> bit) & 1;
+            bits[32 + bit] += (low >>> bit) & 1;
+        }
+    });
+    let high = 0;
+    let low = 0;
+    for (let bit = 0; bit < 32; bit++) {
+        if (bits[bit] * 2 > responses.length) high |= 1 << bit;
+        if (bits[32 + bit] * 2 > responses.length) low |= 1 << bit;
+    }
+    baseline.simhash = toHex(high >>> 0, low >>> 0);
+    return baseline;
+}
+
+function formatMetric(metric, value) {
+    switch (metric) {
+        case 'size':
+            return formatBytes(value);
+        case 'time':
+            return `${Math.round(value)}ms`;
+        default:
+            return `${Math.round(value)} ${metric}`;
+    }
+}
+
+/**
+ * Ways a response stands out from the baseline
+ * @param {Object} row - {status, size, words, lines, time, simhash}
+ * @param {Object|null} baseline - From computeBaseline
+ * @returns {Array<{metric: string, message: string}>} metric is status, size, words, lines, time or structure
+ */
+export function findAnomalies(row, baseline) {
+    if (!baseline || row.skipped || row.status === null || row.status === undefined) return [];
+    const anomalies = [];
+
+    const statusCount = baseline.statusCounts.get(row.status) || 0;
+    if (row.status !== baseline.status && statusCount <= baseline.count * RARE_STATUS_SHARE) {
+        anomalies.push({
+            metric: 'status',
+            message: `Status ${row.status}: ${statusCount} of ${baseline.count} responses (usually ${baseline.status})`
+        });
+    }
+
+    METRICS.forEach(metric => {
+        const stats = baseline[metric];
+        const value = row[metric];
+        if (!stats || typeof value !== 'number' || typeof row.simhash !== 'string') return;
+        const threshold = Math.max(OUTLIER_MADS * MAD_SCALE * stats.mad, MIN_DEVIATION[metric](stats.median));
+        if (Math.abs(value - stats.median) > threshold) {
+            anomalies.push({
+                metric,
+                message: `${formatMetric(metric, value)} (typical ${formatMetric(metric, stats.median)})`
+            });
+        }
+    });
+
+    if (typeof row.simhash === 'string') {
+        const distance = hammingDistance(row.simhash, baseline.simhash);
+        if (distance > STRUCTURE_DISTANCE) {
+            anomalies.push({
+                metric: 'structure',
+                message: `Body differs from the typical response (${distance}/64 bits)`
+            });
+        }
+    }
+    return anomalies;
+}
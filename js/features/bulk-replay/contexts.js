@@ -0,0 +1,166 @@
+// Insertion Contexts for rep+ Bulk Replay
+// Works out where each § position sits in the request (URL query, header, JSON
+// string, form body...) and which escaping keeps a payload from breaking it.
+// In URL, cookie and form contexts only the characters that would end the
+// value are escaped: `/` and `../` stay as they are in a path, and `%` is
+// never encoded, so payloads that are already URL-encoded are sent as is.
+
+export const ENCODINGS = [
+    { value: 'none', label: 'None (raw)' },
+    { value: 'url-path', label: 'Escape ? # and spaces' },
+    { value: 'url-query', label: 'Escape & # ? and spaces' },
+    { value: 'cookie', label: 'Escape ; and spaces' },
+    { value: 'form-value', label: 'Escape & and spaces' },
+    { value: 'url', label: 'URL-encode' },
+    { value: 'form', label: 'Form-encode' },
+    { value: 'json-string', label: 'JSON string escape' },
+    { value: 'xml', label: 'XML escape' },
+    { value: 'header', label: 'Strip line breaks' }
+];
+
+const CONTEXTS = {
+    'request-line': { label: 'Request line', encoding: 'none' },
+    'url-path': { label: 'URL path', encoding: 'url-path' },
+    'url-query': { label: 'URL query', encoding: 'url-query' },
+    'header': { label: 'Header', encoding: 'header' },
+    'cookie': { label: 'Cookie', encoding: 'cookie' },
+    'json-string': { label: 'JSON string', encoding: 'json-string' },
+    'json-value': { label: 'JSON value', encoding: 'none' },
+    'form': { label: 'Form body', encoding: 'form-value' },
+    'xml': { label: 'XML body', encoding: 'xml' },
+    'multipart': { label: 'Multipart body', encoding: 'none' },
+    'body': { label: 'Body', encoding: 'none' }
+};
+
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+// Characters that end a value in each context (control characters end them all)
+const BREAKING_CHARACTERS = {
+    'url-path': /[\x00-\x20\x7f?#]/g,
+    'url-query': /[\x00-\x20\x7f&#?]/g,
+    'cookie': /[\x00-\x20\x7f;]/g,
+    'form-value': /[\x00-\x1f\x7f&]/g
+};
+
+function percentEncode(char) {
+    return `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
+/**
+ * Escape a payload for where it is inserted
+ * @param {string} value
+ * @param {string} encoding - Value of ENCODINGS
+ * @returns {string}
+ */
+export function encodePayload(value, encoding) {
+    switch (encoding) {
+        case 'url-path':
+        case 'url-query':
+        case 'cookie':
+            return String(value).replace(BREAKING_CHARACTERS[encoding], percentEncode);
+        case 'form-value':
+            return String(value).replace(BREAKING_CHARACTERS[encoding], percentEncode).replace(/ /g, '+');
+        case 'url':
+            return encodeURIComponent(value);
+        case 'form':
+            return encodeURIComponent(value).replace(/%20/g, '+');
+        case 'json-string':
+            return JSON.stringify(String(value)).slice(1, -1);
+        case 'xml':
+            return String(value).replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+        case 'header':
+            return String(value).replace(/[\r\n]/g, '');
+        default:
+            return value;
+    }
+}
+
+/**
+ * Encoding to use for a position: its override, or the one of its context
+ * @param {{encoding?: string, context?: {encoding: string}}} config - Position config
+ * @returns {string}
+ */
+export function getPositionEncoding(config) {
+    if (config.encoding && config.encoding !== 'auto') return config.encoding;
+    return config.context ? config.context.encoding : 'none';
+}
+
+// Whether `offset` in a JSON text is inside a string literal
+function isInJsonString(text, offset) {
+    let inString = false;
+    for (let i = 0; i < offset; i++) {
+        const char = text[i];
+        if (inString && char === '\\') {
+            i++;
+        } else if (char === '"') {
+            inString = !inString;
+        }
+    }
+    return inString;
+}
+
+function getBodyContext(contentType, body, offset) {
+    const type = contentType.toLowerCase();
+    const trimmed = body.trim();
+    const looksJson = /^[[{]/.test(trimmed);
+
+    if (type.includes('json') || (!type && looksJson)) {
+        return isInJsonString(body, offset) ? 'json-string' : 'json-value';
+    }
+    if (type.includes('x-www-form-urlencoded') || (!type && /^[^\s=&]+=[^\s]*$/.test(trimmed))) return 'form';
+    if (type.includes('multipart/')) return 'multipart';
+    if (type.includes('xml')) return 'xml';
+    return 'body';
+}
+
+/**
+ * Context of each § position of a request template
+ * @param {string} template - Raw request with § markers
+ * @returns {Array<{context: string, label: string, encoding: string}>} One per position, in order
+ */
+export function detectPositionContexts(template) {
+    const text = String(template || '').replace(/\r\n/g, '\n');
+    const headerEnd = text.indexOf('\n\n');
+    const head = headerEnd === -1 ? text : text.slice(0, headerEnd);
+    const bodyStart = headerEnd === -1 ? text.length : headerEnd + 2;
+    const body = text.slice(bodyStart);
+    const requestLineEnd = head.indexOf('\n') === -1 ? head.length : head.indexOf('\n');
+
+    const contentTypeMatch = /^content-type:[ \t]*(.*)$/im.exec(head.slice(requestLineEnd));
+    const contentType = contentTypeMatch ? contentTypeMatch[1] : '';
+
+    const contexts = [];
+    const markerRegex = /§[\s\S]*?§/g;
+    let match;
+    while ((match = markerRegex.exec(text)) !== null) {
+        const offset = match.index;
+        let context;
+
+        if (offset < requestLineEnd) {
+            // METHOD URL VERSION: only the URL is encoded
+            const line = head.slice(0, requestLineEnd);
+            const urlStart = line.indexOf(' ') + 1;
+            const urlEnd = line.lastIndexOf(' ') > urlStart ? line.lastIndexOf(' ') : line.length;
+            const queryStart = line.indexOf('?', urlStart);
+            if (urlStart === 0 || offset < urlStart || offset >= urlEnd) {
+                context = 'request-line';
+            } else {
+                context = queryStart !== -1 && queryStart < offset ? 'url-query' : 'url-path';
+            }
+        } else if (offset < bodyStart) {
+            const lineStart = head.lastIndexOf('\n', offset - 1) + 1;
+            const line = head.slice(lineStart);
+            const colon = line.indexOf(':');
+            if (colon === -1 || offset - lineStart < colon) {
+                context = 'header';
+            } else {
+                context = /^cookie$/i.test(line.slice(0, colon).trim()) ? 'cookie' : 'header';
+            }
+        } else {
+            context = getBodyContext(contentType, body, offset - bodyStart);
+        }
+
+        contexts.push({ context, ...CONTEXTS[context] });
+    }
+    return contexts;
+}
@@ -1,135 +1,193 @@
 // Attack Mode Engine for rep+ Bulk Replay
 // Implements Burp Suite Intruder-style attack modes
+import { createPayloadSet } from './payloads.js';
+import { compileProcessing } from './processing.js';
+import { encodePayload, getPositionEncoding } from './contexts.js';
 
 /**
- * Generate attack requests based on attack type
+ * Lazily generated attack: the exact number of requests and random access to
+ * each one. Nothing is built until a request is asked for, so the size of an
+ * attack is bounded by the wordlists, not by their product.
  * @param {string} attackType - 'sniper', 'battering-ram', 'pitchfork', or 'cluster-bomb'
  * @param {Array} positionConfigs - Array of position configurations
  * @param {string} template - Request template with § markers
- * @returns {Array} Array of {payloads: Array, requestContent: string}
+ * @returns {{total: number, requestAt: Function}} requestAt(index) returns
+ *   {index, payloads, encodedPayloads, requestContent, skipped}: payloads after
+ *   processing, as inserted after context encoding, and whether a "skip if
+ *   matches" step matched
  */
-export function generateAttackRequests(attackType, positionConfigs, template) {
+export function createAttack(attackType, positionConfigs, template) {
+    const sets = [];
+    const processors = [];
+    const encodings = positionConfigs.map(getPositionEncoding);
+    positionConfigs.forEach((config, i) => {
+        try {
+            sets.push(createPayloadSet(config));
+            processors.push(compileProcessing(config.processing));
+        } catch (error) {
+            throw new Error(`Position ${i + 1}: ${error.message}`);
+        }
+    });
+    const sources = resolveCopies(positionConfigs);
+    // Positions that get payloads of their own; copies follow their source
+    const independent = sources.map((source, i) => source === i ? i : -1).filter(i => i !== -1);
+    let plan;
+
     switch (attackType) {
         case 'sniper':
-            return generateSniperRequests(positionConfigs, template);
+            plan = planSniper(positionConfigs, sets, independent);
+            break;
         case 'battering-ram':
-            return generateBatteringRamRequests(positionConfigs, template);
+            plan = planBatteringRam(positionConfigs, sets);
+            break;
         case 'pitchfork':
-            return generatePitchforkRequests(positionConfigs, template);
+            plan = planPitchfork(sets, independent);
+            break;
         case 'cluster-bomb':
-            return generateClusterBombRequests(positionConfigs, template);
+            plan = planClusterBomb(sets, independent);
+            break;
         default:
             throw new Error(`Unknown attack type: ${attackType}`);
     }
-}
 
-/**
- * Sniper Mode: One position at a time
- * For each position, iterate through its payloads while keeping others at original value
- */
-function generateSniperRequests(positionConfigs, template) {
-    const requests = [];
-
-    positionConfigs.forEach((config, posIndex) => {
-        const payloads = generatePayloadsForPosition(config);
-
-        payloads.forEach(payload => {
-            const payloadArray = positionConfigs.map((c, i) =>
-                i === posIndex ? payload : c.originalValue
-            );
-            const requestContent = replacePositions(template, payloadArray);
-            requests.push({ payloads: payloadArray, requestContent });
-        });
-    });
+    if (!Number.isSafeInteger(plan.total)) {
+        throw new Error('Too many requests. Use smaller payload sets.');
+    }
 
-    return requests;
+    return {
+        total: plan.total,
+        requestAt(index) {
+            if (!Number.isInteger(index) || index < 0 || index >= plan.total) {
+                throw new RangeError(`Request index ${index} is outside 0-${plan.total - 1}`);
+            }
+            const raw = plan.payloadsAt(index);
+            sources.forEach((source, i) => {
+                if (source !== i) raw[i] = raw[source];
+            });
+
+            let skipped = false;
+            const payloads = [];
+            const encodedPayloads = [];
+            raw.forEach((payload, i) => {
+                // Positions left alone (sniper) keep their value as it is;
+                // a copy of one keeps the value of its source
+                if (payload === null) {
+                    payloads[i] = encodedPayloads[i] = positionConfigs[sources[i]].originalValue;
+                    return;
+                }
+                const result = processors[i](payload);
+                if (result.skipped) skipped = true;
+                payloads[i] = result.value;
+                encodedPayloads[i] = encodePayload(result.value, encodings[i]);
+            });
+            return { index, payloads, encodedPayloads, requestContent: replacePositions(template, encodedPayloads), skipped };
+        }
+    };
 }
 
 /**
- * Battering Ram Mode: Same payload for all positions
- * Uses first position's config for payload generation
+ * For each position, the position its value comes from ('copy-position'
+ * follows chains of copies; any other type is its own source)
+ * @param {Array} positionConfigs
+ * @returns {Array<number>}
  */
-function generateBatteringRamRequests(positionConfigs, template) {
-    const requests = [];
-
-    // Use first position's config (or shared config if implemented)
-    const payloads = generatePayloadsForPosition(positionConfigs[0]);
-
-    payloads.forEach(payload => {
-        const payloadArray = positionConfigs.map(() => payload);
-        const requestContent = replacePositions(template, payloadArray);
-        requests.push({ payloads: payloadArray, requestContent });
+function resolveCopies(positionConfigs) {
+    return positionConfigs.map((config, i) => {
+        const seen = new Set([i]);
+        let source = i;
+        while (positionConfigs[source].type === 'copy-position') {
+            source = Number(positionConfigs[source].copyFrom);
+            if (!positionConfigs[source]) {
+                throw new Error(`Position ${i + 1}: choose a position to copy`);
+            }
+            if (seen.has(source)) {
+                throw new Error(`Position ${i + 1}: copies form a loop`);
+            }
+            seen.add(source);
+        }
+        return source;
     });
-
-    return requests;
 }
 
 /**
- * Pitchfork Mode: Zip payloads across positions (index-wise)
- * Stops when shortest list ends
+ * Generate attack requests on demand
+ * @param {string} attackType - 'sniper', 'battering-ram', 'pitchfork', or 'cluster-bomb'
+ * @param {Array} positionConfigs - Array of position configurations
+ * @param {string} template - Request template with § markers
+ * @param {number} [startIndex=0] - First request to yield (to resume an attack)
+ * @yields {{index: number, payloads: Array, encodedPayloads: Array, requestContent: string, skipped: boolean}}
  */
-function generatePitchforkRequests(positionConfigs, template) {
-    const requests = [];
-
-    // Generate payloads for each position
-    const allPayloads = positionConfigs.map(config => generatePayloadsForPosition(config));
-
-    // Find shortest length
-    const minLength = Math.min(...allPayloads.map(p => p.length));
-
-    // Zip payloads
-    for (let i = 0; i < minLength; i++) {
-        const payloadArray = allPayloads.map(payloads => payloads[i]);
-        const requestContent = replacePositions(template, payloadArray);
-        requests.push({ payloads: payloadArray, requestContent });
+export function* generateAttackRequests(attackType, positionConfigs, template, startIndex = 0) {
+    const attack = createAttack(attackType, positionConfigs, template);
+    for (let index = Math.max(0, startIndex); index < attack.total; index++) {
+        yield attack.requestAt(index);
     }
-
-    return requests;
 }
 
 /**
- * Cluster Bomb Mode: Full Cartesian product
- * Generates all combinations of payloads across positions
+ * Sniper Mode: One position at a time
+ * For each position, iterate through its payloads; the others (null) keep their original value
  */
-function generateClusterBombRequests(positionConfigs, template) {
-    const requests = [];
-
-    // Generate payloads for each position
-    const allPayloads = positionConfigs.map(config => generatePayloadsForPosition(config));
-
-    // Generate Cartesian product
-    const cartesian = (...arrays) => {
-        return arrays.reduce((acc, array) =>
-            acc.flatMap(x => array.map(y => [...x, y])),
-            [[]]
-        );
+function planSniper(positionConfigs, sets, independent) {
+    const total = independent.reduce((sum, i) => sum + sets[i].count, 0);
+
+    return {
+        total,
+        payloadsAt(index) {
+            let k = 0;
+            while (index >= sets[independent[k]].count) {
+                index -= sets[independent[k]].count;
+                k++;
+            }
+            const posIndex = independent[k];
+            const payload = sets[posIndex].at(index);
+            return positionConfigs.map((c, i) => i === posIndex ? payload : null);
+        }
     };
+}
 
-    const combinations = cartesian(...allPayloads);
-
-    combinations.forEach(payloadArray => {
-        const requestContent = replacePositions(template, payloadArray);
-        requests.push({ payloads: payloadArray, requestContent });
-    });
+/**
+ * Battering Ram Mode: Same payload for all positions
+ * Uses first position's config for payload generation
+ */
+function planBatteringRam(positionConfigs, sets) {
+    return {
+        total: sets.length ? sets[0].count : 0,
+        payloadsAt(index) {
+            const payload = sets[0].at(index);
+            return positionConfigs.map(() => payload);
+        }
+    };
+}
 
-    return requests;
+/**
+ * Pitchfork Mode: Zip payloads across positions (index-wise)
+ * Stops when shortest list ends
+ */
+function planPitchfork(sets, independent) {
+    return {
+        total: independent.length ? Math.min(...independent.map(i => sets[i].count)) : 0,
+        payloadsAt: index => sets.map((set, i) => independent.includes(i) ? set.at(index) : '')
+    };
 }
 
 /**
- * Generate payloads for a single position based on its config
+ * Cluster Bomb Mode: Full Cartesian product
+ * The index is read as a mixed-radix number: the last position changes fastest
  */
-function generatePayloadsForPosition(config) {
-    if (config.type === 'simple-list') {
-        return config.list.split('\n').filter(line => line.trim() !== '');
-    } else if (config.type === 'numbers') {
-        const payloads = [];
-        const { from, to, step } = config.numbers;
-        for (let i = from; i <= to; i += step) {
-            payloads.push(i.toString());
+function planClusterBomb(sets, independent) {
+    return {
+        total: independent.length ? independent.reduce((product, i) => product * sets[i].count, 1) : 0,
+        payloadsAt(index) {
+            const payloads = new Array(sets.length).fill('');
+            for (let k = independent.length - 1; k >= 0; k--) {
+                const set = sets[independent[k]];
+                payloads[independent[k]] = set.at(index % set.count);
+                index = Math.floor(index / set.count);
+            }
+            return payloads;
         }
-        return payloads;
-    }
-    return [];
+    };
 }
 
 /**
@@ -0,0 +1,120 @@
+// Grep Rules UI - Match and extract columns of the bulk results table
+import { escapeHtml } from '../../core/utils/dom.js';
+import { normalizeGrepRule } from './results.js';
+
+function renderMatchRow(rule) {
+    return `
+        <div class="rule-row grep-rule-row" data-kind="match" data-id="${escapeHtml(rule.id)}">
+            <input type="text" class="form-control grep-rule-name" value="${escapeHtml(rule.name)}" placeholder="Column name">
+            <input type="text" class="form-control grep-rule-pattern" value="${escapeHtml(rule.pattern)}" placeholder="${rule.regex ? 'SQL syntax.*MySQL' : 'Welcome back'}">
+            <label class="payload-checkbox"><input type="checkbox" class="grep-rule-regex" ${rule.regex ? 'checked' : ''}> Regex</label>
+            <label class="payload-checkbox"><input type="checkbox" class="grep-rule-case" ${rule.caseSensitive ? 'checked' : ''}> Case</label>
+            <button type="button" class="secondary-btn rule-delete" title="Delete rule">&times;</button>
+        </div>
+    `;
+}
+
+function renderExtractRow(rule) {
+    return `
+        <div class="rule-row grep-rule-row" data-kind="extract" data-id="${escapeHtml(rule.id)}">
+            <input type="text" class="form-control grep-rule-name" value="${escapeHtml(rule.name)}" placeholder="Column name">
+            <select class="form-control grep-rule-source">
+                <option value="regex" ${rule.source === 'regex' ? 'selected' : ''}>Regex group</option>
+                <option value="jsonpath" ${rule.source === 'jsonpath' ? 'selected' : ''}>JSONPath (body)</option>
+            </select>
+            <input type="text" class="form-control grep-rule-expression" value="${escapeHtml(rule.expression)}" placeholder="${escapeHtml(rule.source === 'jsonpath' ? '$.user.role' : 'name="csrf" value="([^"]+)"')}">
+            <button type="button" class="secondary-btn rule-delete" title="Delete rule">&times;</button>
+        </div>
+    `;
+}
+
+function renderList(container, rules, kind) {
+    const items = rules.filter(rule => rule.kind === kind);
+    container.innerHTML = items.length
+        ? items.map(kind === 'match' ? renderMatchRow : renderExtractRow).join('')
+        : `<div class="rules-empty">${kind === 'match' ? 'No match rules.' : 'No extract rules.'}</div>`;
+}
+
+// Rules as edited in the modal, in order; empty ones are dropped
+function readRules(modal) {
+    return [...modal.querySelectorAll('.grep-rule-row')].map(row => {
+        const field = selector => row.querySelector(selector);
+        if (row.dataset.kind === 'match') {
+            return normalizeGrepRule({
+                id: row.dataset.id,
+                kind: 'match',
+                name: field('.grep-rule-name').value.trim(),
+                pattern: field('.grep-rule-pattern').value,
+                regex: field('.grep-rule-regex').checked,
+                caseSensitive: field('.grep-rule-case').checked
+            });
+        }
+        return normalizeGrepRule({
+            id: row.dataset.id,
+            kind: 'extract',
+            name: field('.grep-rule-name').value.trim(),
+            source: field('.grep-rule-source').value,
+            expression: field('.grep-rule-expression').value.trim()
+        });
+    }).filter(rule => rule.kind === 'match' ? rule.pattern !== '' : rule.expression !== '');
+}
+
+/**
+ * Wire the grep rules modal and the buttons that open it
+ * @param {Object} options
+ * @param {Function} options.getRules - Current rules
+ * @param {Function} options.onApply - Called with the edited rules; throws on an invalid rule
+ */
+export function setupGrepRulesModal({ getRules, onApply }) {
+    const modal = document.getElementById('bulk-grep-modal');
+    if (!modal) return;
+    const matchList = document.getElementById('bulk-grep-match-list');
+    const extractList = document.getElementById('bulk-grep-extract-list');
+
+    const open = () => {
+        const rules = getRules();
+        renderList(matchList, rules, 'match');
+        renderList(extractList, rules, 'extract');
+        modal.style.display = 'block';
+    };
+
+    document.querySelectorAll('[data-open-grep-rules]').forEach(button => {
+        button.addEventListener('click', open);
+    });
+
+    modal.querySelector('.close-modal').addEventListener('click', () => {
+        modal.style.display = 'none';
+    });
+
+    const addRow = (list, html) => {
+        const empty = list.querySelector('.rules-empty');
+        if (empty) empty.remove();
+        list.insertAdjacentHTML('beforeend', html);
+    };
+    document.getElementById('bulk-grep-add-match-btn').addEventListener('click', () => {
+        addRow(matchList, renderMatchRow(normalizeGrepRule({ kind: 'match' })));
+    });
+    document.getElementById('bulk-grep-add-extract-btn').addEventListener('click', () => {
+        addRow(extractList, renderExtractRow(normalizeGrepRule({ kind: 'extract' })));
+    });
+
+    modal.addEventListener('click', (e) => {
+        const remove = e.target.closest('.grep-rule-row .rule-delete');
+        if (!remove) return;
+        const list = remove.closest('.rules-list');
+        remove.closest('.grep-rule-row').remove();
+        if (!list.querySelector('.grep-rule-row')) {
+            renderList(list, [], list === matchList ? 'match' : 'extract');
+        }
+    });
+
+    document.getElementById('bulk-grep-apply-btn').addEventListener('click', () => {
+        try {
+            onApply(readRules(modal));
+        } catch (error) {
+            alert(`Invalid grep rule: ${error.message}`);
+            return;
+        }
+        modal.style.display = 'none';
+    });
+}
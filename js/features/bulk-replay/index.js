@@ -1,11 +1,46 @@
 // Bulk Replay Logic
 import { state } from '../../core/state.js';
 import { elements } from '../../ui/main-ui.js';
-import { generateAttackRequests } from './engine.js';
+import { createAttack } from './engine.js';
+import { renderPayloadOptions, bindPayloadOptions, fillPayloadOptions, readPayloadConfig, readProcessingSteps, readPayloadEncoding } from './payload-ui.js';
+import { detectPositionContexts } from './contexts.js';
+import { createResultsTable } from './results-table.js';
+import { getGrepRules, setGrepRules, createResultCache } from './results.js';
+import { setupGrepRulesModal } from './grep-ui.js';
+import { confirmUnresolvedVariables, sendRawRequest, renderResponseViews } from '../../network/handler.js';
+import { runBeforeSendMacros, injectMacroValues, runTriggeredMacros, toMacroResponse } from '../../network/macros.js';
 import { formatBytes } from '../../core/utils/format.js';
-import { highlightHTTP } from '../../core/utils/network.js';
-import { renderDiff } from '../../core/utils/misc.js';
 import { escapeHtml } from '../../core/utils/dom.js';
+import { highlightHTTP } from '../../core/utils/network.js';
+import { getStatusClass } from '../../network/response-parser.js';
+import { applyEnvironment } from '../../core/utils/templating.js';
+import { sendToComparer } from '../comparer/index.js';
+import { runBulkSchedule, getBulkSchedule, setBulkSchedule } from './scheduler.js';
+import {
+    DRAFT_CONFIG_ID,
+    MAX_SAVED_RUNS,
+    normalizeAttackSetup,
+    buildPositionConfigs,
+    describeRun,
+    isRunResumable,
+    createRunRecorder
+} from './saved-attacks.js';
+import {
+    listAttackConfigs,
+    getAttackConfig,
+    saveAttackConfig,
+    deleteAttackConfig,
+    listAttackRuns,
+    saveAttackRun,
+    forEachAttackResult,
+    getAttackResult,
+    deleteAttackRun
+} from '../../core/storage/bulk-db.js';
+
+let bulkRunCounter = 0; // Id of the latest attack; older runs stop
+// Owner of the runs started here; other panels leave them alone while it is open
+const PANEL_SESSION_ID = `panel-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+const RESULT_CACHE_SIZE = 200; // Full responses kept in memory
 
 export function setupBulkReplay() {
     const bulkReplayBtn = document.getElementById('bulk-replay-btn');
@@ -13,7 +48,6 @@ export function setupBulkReplay() {
     const closeModalBtn = document.querySelector('.close-modal');
     const startAttackBtn = document.getElementById('start-attack-btn');
     const bulkReplayPane = document.getElementById('bulk-replay-pane');
-    const bulkResultsTable = document.getElementById('bulk-results-table').querySelector('tbody');
     const bulkProgressBar = document.getElementById('bulk-progress-bar');
     const bulkProgressText = document.getElementById('bulk-progress-text');
     const bulkStopBtn = document.getElementById('bulk-stop-btn');
@@ -22,12 +56,93 @@ export function setupBulkReplay() {
 
     // We use elements.rawRequestInput from ui.js
 
+    // Latest results of the run shown in the pane; the others are read back
+    // from its saved results
+    const recentResults = createResultCache(RESULT_CACHE_SIZE);
+    let shownRunId = null;
+    let baselineResponse = null;
+    let pendingResume = null; // Saved run shown in the pane, resumed by the pause button
+    let activeRunId = null; // Saved run of the attack in progress
+    let selectCounter = 0; // A newer selection wins over a slower lookup
+
+    async function getResult(i) {
+        const cached = recentResults.get(i);
+        if (cached || !shownRunId) return cached;
+        const saved = await getAttackResult(shownRunId, i);
+        return saved ? saved.result : undefined;
+    }
+
+    const resultsTable = createResultsTable(document.getElementById('bulk-results-table'), {
+        clusterSummary: document.getElementById('bulk-clusters'),
+        onSelect: async (i) => {
+            const selectId = ++selectCounter;
+            const result = await getResult(i).catch(error => console.error('Failed to load bulk result:', error));
+            if (!result || selectId !== selectCounter) return;
+            elements.rawRequestInput.innerText = result.requestContent;
+
+            elements.resStatus.textContent = result.statusText ? `${result.status} ${result.statusText}` : result.status;
+            elements.resStatus.className = result.error ? 'status-badge' : getStatusClass(result.status);
+
+            elements.resTime.textContent = result.duration;
+            elements.resSize.textContent = formatBytes(result.size);
+
+            if (result.error) {
+                elements.rawResponseDisplay.textContent = result.error;
+            } else {
+                // Same views as a single send: diff, hex, JSON, preview and save
+                state.currentResponse = result.rawResponse;
+                state.currentResponseBody = result.responseBody;
+                renderResponseViews(result.rawResponse, result.responseBody, baselineResponse);
+            }
+        },
+        onCompare: async (i) => {
+            const result = await getResult(i).catch(error => console.error('Failed to load bulk result:', error));
+            if (!result) return;
+            sendToComparer({
+                label: `Bulk #${i + 1} (${result.payloads.join(', ')})`,
+                source: 'bulk',
+                request: result.requestContent,
+                response: result.error ? `Error: ${result.error}` : result.rawResponse
+            });
+        },
+        // Grep rules changed: read the responses of the run shown again
+        readResponses: async (visit) => {
+            const visitResult = (result, index) => !result || result.error ||
+                visit(index, { headers: result.headers, body: result.body });
+            let stopped = false;
+            if (shownRunId) {
+                await forEachAttackResult(shownRunId, entry => {
+                    stopped = visitResult(entry.result, entry.index) === false;
+                    return !stopped;
+                });
+            }
+            // The latest ones may not be saved yet
+            if (!stopped) recentResults.forEach(visitResult);
+        }
+    });
+
+    // Grep rules can change before, during or after an attack
+    try {
+        resultsTable.setRules(getGrepRules());
+    } catch (error) {
+        console.error('Invalid grep rules:', error);
+    }
+    setupGrepRulesModal({
+        getRules: getGrepRules,
+        onApply: (rules) => {
+            resultsTable.setRules(rules).catch(error => console.error('Failed to re-read bulk responses:', error));
+            setGrepRules(rules);
+        }
+    });
+
     // Helper to check for payload markers
     function checkPayloadMarkers() {
         if (!bulkReplayBtn || !elements.rawRequestInput) return;
 
         const content = elements.rawRequestInput.innerText;
         const hasMarkers = /§[\s\S]*?§/.test(content);
+        // Where each position sits decides how its payloads are escaped
+        state.positionContexts = hasMarkers ? detectPositionContexts(content) : [];
 
         if (hasMarkers) {
             bulkReplayBtn.disabled = false;
@@ -55,34 +170,223 @@ export function setupBulkReplay() {
     if (bulkReplayBtn) {
         bulkReplayBtn.addEventListener('click', () => {
             if (bulkReplayBtn.disabled) return;
+            openConfigModal();
+        });
+    }
 
-            const content = elements.rawRequestInput.innerText;
-            const matches = content.match(/§[\s\S]*?§/g);
-            const count = matches ? matches.length : 0;
-            document.getElementById('payload-count').textContent = count;
+    let configModalOpenCount = 0; // A newer open ignores the draft of an older one
 
-            if (!matches || count === 0) {
-                alert('No payload positions found. Mark parameters with § to enable Bulk Replay.');
-                return;
-            }
+    /**
+     * Build the config modal for the § positions in the editor
+     * @param {Object} [setup] - Setup to show (see normalizeAttackSetup); the last one used when omitted
+     */
+    function openConfigModal(setup) {
+        const content = elements.rawRequestInput.innerText;
+        const matches = content.match(/§[\s\S]*?§/g);
+        const count = matches ? matches.length : 0;
+        document.getElementById('payload-count').textContent = count;
 
-            // Initialize position configs
-            state.positionConfigs = matches.map((match, index) => ({
-                index,
-                originalValue: match.replace(/§/g, ''),
-                type: 'simple-list',
-                list: '',
-                numbers: { from: 1, to: 10, step: 1 }
-            }));
+        if (!matches || count === 0) {
+            alert('No payload positions found. Mark parameters with § to enable Bulk Replay.');
+            return;
+        }
 
-            populatePositionsContainer(matches);
+        // Initialize position configs
+        state.positionConfigs = matches.map((match, index) => ({
+            index,
+            originalValue: match.replace(/§/g, ''),
+            type: 'simple-list',
+            list: '',
+            numbers: { from: 1, to: 10, step: 1 },
+            context: state.positionContexts[index] || null,
+            encoding: 'auto'
+        }));
+
+        populatePositionsContainer(matches);
+        const batteringRamConfig = document.getElementById('battering-ram-config');
+        batteringRamConfig.innerHTML = renderPayloadOptions({
+            label: 'Shared Payload Configuration',
+            listRows: 8,
+            numbersTo: 100
+        });
+        bindPayloadOptions(batteringRamConfig);
+        fillScheduleInputs(getBulkSchedule());
+        document.getElementById('bulk-start-at').value = 1;
 
-            state.currentAttackType = 'sniper';
-            document.getElementById('attack-type').value = 'sniper';
-            updateAttackTypeUI('sniper');
+        state.currentAttackType = 'sniper';
+        document.getElementById('attack-type').value = 'sniper';
+        updateAttackTypeUI('sniper');
+
+        bulkConfigModal.style.display = 'block';
+        refreshSavedAttacks();
+
+        const openId = ++configModalOpenCount;
+        if (setup) {
+            applyAttackSetup(setup);
+            return;
+        }
+        // The setup of the last time, when it has the same number of positions
+        getAttackConfig(DRAFT_CONFIG_ID).then(draft => {
+            if (!draft || openId !== configModalOpenCount || bulkConfigModal.style.display !== 'block') return;
+            if (draft.setup.positions.length === count) applyAttackSetup(draft.setup);
+        }).catch(error => console.error('Failed to load the last bulk setup:', error));
+    }
 
-            bulkConfigModal.style.display = 'block';
+    function closeConfigModal() {
+        bulkConfigModal.style.display = 'none';
+        saveDraft();
+    }
+
+    // Remember the modal's setup, so closing it or reloading the panel loses nothing
+    function saveDraft() {
+        if (!document.querySelector('#positions-container .position-card')) return;
+        saveAttackConfig({
+            id: DRAFT_CONFIG_ID,
+            name: '',
+            template: elements.rawRequestInput.innerText,
+            setup: readAttackSetup()
+        }).catch(error => console.error('Failed to save the bulk setup:', error));
+    }
+
+    // Everything the config modal holds
+    function readAttackSetup() {
+        const read = container => ({
+            ...readPayloadConfig(container),
+            processing: readProcessingSteps(container),
+            encoding: readPayloadEncoding(container)
         });
+        return normalizeAttackSetup({
+            attackType: state.currentAttackType,
+            positions: [...document.querySelectorAll('.position-card')].map(read),
+            shared: read(document.getElementById('battering-ram-config')),
+            schedule: readScheduleInputs()
+        });
+    }
+
+    function applyAttackSetup(setup) {
+        state.currentAttackType = setup.attackType;
+        document.getElementById('attack-type').value = setup.attackType;
+        updateAttackTypeUI(setup.attackType);
+        document.querySelectorAll('.position-card').forEach((card, index) => {
+            if (setup.positions[index]) fillPayloadOptions(card, setup.positions[index]);
+        });
+        fillPayloadOptions(document.getElementById('battering-ram-config'), setup.shared);
+        fillScheduleInputs(setup.schedule);
+    }
+
+    // Saved Attacks: named configs and runs that can be resumed
+    const savedConfigSelect = document.getElementById('bulk-saved-config-select');
+    const savedRunSelect = document.getElementById('bulk-saved-run-select');
+
+    async function refreshSavedAttacks() {
+        try {
+            const configs = (await listAttackConfigs()).filter(config => config.id !== DRAFT_CONFIG_ID);
+            savedConfigSelect.innerHTML = configs.length
+                ? configs.map(config => `<option value="${escapeHtml(config.id)}">${escapeHtml(config.name)}</option>`).join('')
+                : '<option value="">No saved configs</option>';
+            document.getElementById('bulk-load-config-btn').disabled = !configs.length;
+            document.getElementById('bulk-delete-config-btn').disabled = !configs.length;
+
+            const runs = (await listAttackRuns()).filter(run => run.id !== activeRunId && isRunResumable(run, PANEL_SESSION_ID));
+            savedRunSelect.innerHTML = runs.length
+                ? runs.map(run => `<option value="${escapeHtml(run.id)}">${escapeHtml(describeRun(run))}</option>`).join('')
+                : '<option value="">No unfinished runs</option>';
+            document.getElementById('bulk-resume-run-btn').disabled = !runs.length;
+            document.getElementById('bulk-delete-run-btn').disabled = !runs.length;
+        } catch (error) {
+            console.error('Failed to list saved bulk attacks:', error);
+        }
+    }
+
+    document.getElementById('bulk-save-config-btn').addEventListener('click', async () => {
+        const current = savedConfigSelect.value ? savedConfigSelect.selectedOptions[0].textContent : '';
+        const name = prompt('Attack config name:', current || 'Attack');
+        if (!name || !name.trim()) return;
+        try {
+            const configs = await listAttackConfigs();
+            const existing = configs.find(config => config.id !== DRAFT_CONFIG_ID && config.name === name.trim());
+            if (existing && !confirm(`Replace the saved config "${existing.name}"?`)) return;
+            const saved = await saveAttackConfig({
+                id: existing ? existing.id : `config-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+                name: name.trim(),
+                template: elements.rawRequestInput.innerText,
+                setup: readAttackSetup()
+            });
+            await refreshSavedAttacks();
+            savedConfigSelect.value = saved.id;
+        } catch (error) {
+            alert(`Failed to save attack config: ${error.message}`);
+        }
+    });
+
+    document.getElementById('bulk-load-config-btn').addEventListener('click', async () => {
+        if (!savedConfigSelect.value) return;
+        try {
+            const config = await getAttackConfig(savedConfigSelect.value);
+            if (!config) throw new Error('Config not found');
+            // The saved template replaces the request in the editor
+            setEditorRequest(config.template);
+            openConfigModal(normalizeAttackSetup(config.setup));
+            savedConfigSelect.value = config.id;
+        } catch (error) {
+            alert(`Failed to load attack config: ${error.message}`);
+        }
+    });
+
+    document.getElementById('bulk-delete-config-btn').addEventListener('click', async () => {
+        if (!savedConfigSelect.value) return;
+        const name = savedConfigSelect.selectedOptions[0].textContent;
+        if (!confirm(`Delete the saved config "${name}"?`)) return;
+        try {
+            await deleteAttackConfig(savedConfigSelect.value);
+            await refreshSavedAttacks();
+        } catch (error) {
+            alert(`Failed to delete attack config: ${error.message}`);
+        }
+    });
+
+    document.getElementById('bulk-resume-run-btn').addEventListener('click', async () => {
+        if (!savedRunSelect.value) return;
+        try {
+            await resumeRun(savedRunSelect.value);
+        } catch (error) {
+            alert(`Failed to resume run: ${error.message}`);
+        }
+    });
+
+    document.getElementById('bulk-delete-run-btn').addEventListener('click', async () => {
+        if (!savedRunSelect.value) return;
+        if (!confirm('Delete this run and its saved results?')) return;
+        try {
+            await deleteAttackRun(savedRunSelect.value);
+            await refreshSavedAttacks();
+        } catch (error) {
+            alert(`Failed to delete run: ${error.message}`);
+        }
+    });
+
+    function setEditorRequest(text) {
+        elements.rawRequestInput.innerHTML = highlightHTTP(text);
+        elements.rawRequestInput.dispatchEvent(new Event('input', { bubbles: true }));
+        checkPayloadMarkers();
+    }
+
+    function fillScheduleInputs(schedule) {
+        document.getElementById('bulk-concurrency').value = schedule.concurrency;
+        document.getElementById('bulk-delay').value = schedule.delayMs;
+        document.getElementById('bulk-jitter').value = schedule.jitterMs;
+        document.getElementById('bulk-max-rps').value = schedule.maxRps;
+        document.getElementById('bulk-retries').value = schedule.maxRetries;
+    }
+
+    function readScheduleInputs() {
+        return {
+            concurrency: document.getElementById('bulk-concurrency').value,
+            delayMs: document.getElementById('bulk-delay').value,
+            jitterMs: document.getElementById('bulk-jitter').value,
+            maxRps: document.getElementById('bulk-max-rps').value,
+            maxRetries: document.getElementById('bulk-retries').value
+        };
     }
 
     function populatePositionsContainer(matches) {
@@ -99,51 +403,10 @@ export function setupBulkReplay() {
                     <span class="position-title">Position ${index + 1}</span>
                     <span class="position-value">${cleanValue.substring(0, 30)}${cleanValue.length > 30 ? '...' : ''}</span>
                 </div>
-                <div class="form-group">
-                    <label>Payload Type</label>
-                    <select class="payload-type-select form-control" data-index="${index}">
-                        <option value="simple-list">Simple List</option>
-                        <option value="numbers">Numbers</option>
-                    </select>
-                </div>
-                <div class="payload-options-simple-list">
-                    <div class="form-group">
-                        <label>Payloads (one per line)</label>
-                        <textarea class="payload-list-input form-control" rows="5" data-index="${index}" placeholder="admin&#10;user&#10;guest"></textarea>
-                    </div>
-                </div>
-                <div class="payload-options-numbers" style="display: none;">
-                    <div class="form-row">
-                        <div class="form-group">
-                            <label>From</label>
-                            <input type="number" class="num-from-input form-control" data-index="${index}" value="1">
-                        </div>
-                        <div class="form-group">
-                            <label>To</label>
-                            <input type="number" class="num-to-input form-control" data-index="${index}" value="10">
-                        </div>
-                        <div class="form-group">
-                            <label>Step</label>
-                            <input type="number" class="num-step-input form-control" data-index="${index}" value="1">
-                        </div>
-                    </div>
-                </div>
+                ${renderPayloadOptions({ index, positionCount: matches.length, originalValue: cleanValue, context: state.positionConfigs[index].context })}
             `;
             container.appendChild(card);
-
-            const typeSelect = card.querySelector('.payload-type-select');
-            typeSelect.addEventListener('change', (e) => {
-                const card = e.target.closest('.position-card');
-                const simpleList = card.querySelector('.payload-options-simple-list');
-                const numbers = card.querySelector('.payload-options-numbers');
-                if (e.target.value === 'simple-list') {
-                    simpleList.style.display = 'block';
-                    numbers.style.display = 'none';
-                } else {
-                    simpleList.style.display = 'none';
-                    numbers.style.display = 'block';
-                }
-            });
+            bindPayloadOptions(card);
         });
     }
 
@@ -178,60 +441,45 @@ export function setupBulkReplay() {
     }
 
     if (closeModalBtn) {
-        closeModalBtn.addEventListener('click', () => {
-            bulkConfigModal.style.display = 'none';
-        });
+        closeModalBtn.addEventListener('click', closeConfigModal);
     }
 
     window.addEventListener('click', (e) => {
         if (e.target === bulkConfigModal) {
-            bulkConfigModal.style.display = 'none';
+            closeConfigModal();
         }
     });
 
-    const batteringRamTypeSelect = document.querySelector('#battering-ram-config .payload-type-select');
-    if (batteringRamTypeSelect) {
-        batteringRamTypeSelect.addEventListener('change', (e) => {
-            const container = document.getElementById('battering-ram-config');
-            const simpleList = container.querySelector('.payload-options-simple-list');
-            const numbers = container.querySelector('.payload-options-numbers');
-            if (e.target.value === 'simple-list') {
-                simpleList.style.display = 'block';
-                numbers.style.display = 'none';
-            } else {
-                simpleList.style.display = 'none';
-                numbers.style.display = 'block';
-            }
-        });
-    }
-
     if (startAttackBtn) {
         startAttackBtn.addEventListener('click', () => {
             startBulkReplay();
         });
     }
 
+    function setPauseButton(paused) {
+        if (!bulkStopBtn) return;
+        bulkStopBtn.dataset.state = paused ? 'paused' : 'running';
+        bulkStopBtn.title = paused ? 'Resume Attack' : 'Pause Attack';
+        bulkStopBtn.innerHTML = paused ? `
+            <svg viewBox="0 0 24 24" width="16" height="16">
+                <path d="M8 5v14l11-7z" fill="currentColor" />
+            </svg>
+        ` : `
+            <svg viewBox="0 0 24 24" width="16" height="16">
+                <path d="M6 4h4v16H6V4zm8 0h4v16h-4V4z" fill="currentColor" />
+            </svg>
+        `;
+    }
+
     if (bulkStopBtn) {
         bulkStopBtn.addEventListener('click', () => {
-            if (bulkStopBtn.dataset.state === 'paused') {
-                state.shouldPauseBulk = false;
-                bulkStopBtn.dataset.state = 'running';
-                bulkStopBtn.title = 'Pause Attack';
-                bulkStopBtn.innerHTML = `
-                    <svg viewBox="0 0 24 24" width="16" height="16">
-                        <path d="M6 4h4v16H6V4zm8 0h4v16h-4V4z" fill="currentColor" />
-                    </svg>
-                `;
-            } else {
-                state.shouldPauseBulk = true;
-                bulkStopBtn.dataset.state = 'paused';
-                bulkStopBtn.title = 'Resume Attack';
-                bulkStopBtn.innerHTML = `
-                    <svg viewBox="0 0 24 24" width="16" height="16">
-                        <path d="M8 5v14l11-7z" fill="currentColor" />
-                    </svg>
-                `;
+            // A saved run shown after a reload continues where it stopped
+            if (pendingResume) {
+                resumeRun(pendingResume.id).catch(error => alert(`Failed to resume run: ${error.message}`));
+                return;
             }
+            state.shouldPauseBulk = bulkStopBtn.dataset.state !== 'paused';
+            setPauseButton(state.shouldPauseBulk);
         });
     }
 
@@ -240,6 +488,12 @@ export function setupBulkReplay() {
             bulkReplayPane.style.display = 'none';
             verticalResizeHandle.style.display = 'none';
             state.shouldStopBulk = true;
+            // Not shown again on reload; it can still be resumed from the config modal
+            if (pendingResume) {
+                saveAttackRun({ ...pendingResume, status: 'stopped' })
+                    .catch(error => console.error('Failed to save bulk run:', error));
+                pendingResume = null;
+            }
         });
     }
 
@@ -349,266 +603,315 @@ export function setupBulkReplay() {
     }
 
     async function startBulkReplay() {
-        const template = elements.rawRequestInput.innerText;
-
-        if (state.currentAttackType === 'battering-ram') {
-            const container = document.getElementById('battering-ram-config');
-            const type = container.querySelector('.payload-type-select').value;
-            const sharedConfig = {
-                type,
-                list: type === 'simple-list' ? container.querySelector('.payload-list-input').value : '',
-                numbers: type === 'numbers' ? {
-                    from: parseInt(container.querySelector('.num-from-input').value),
-                    to: parseInt(container.querySelector('.num-to-input').value),
-                    step: parseInt(container.querySelector('.num-step-input').value)
-                } : { from: 1, to: 10, step: 1 }
-            };
+        const setup = readAttackSetup();
+        saveDraft();
+        await runAttack({
+            template: elements.rawRequestInput.innerText,
+            setup,
+            useHttps: document.getElementById('use-https').checked,
+            startAt: parseInt(document.getElementById('bulk-start-at').value, 10) || 1
+        });
+    }
 
-            state.positionConfigs.forEach(config => {
-                config.type = sharedConfig.type;
-                config.list = sharedConfig.list;
-                config.numbers = sharedConfig.numbers;
-            });
+    // Continue a saved run after its last completed request, with its own template and setup
+    async function resumeRun(runId) {
+        // Read it again: another panel may have resumed it since it was listed
+        const run = (await listAttackRuns()).find(r => r.id === runId);
+        if (!run) throw new Error('Run not found');
+        if (!isRunResumable(run, PANEL_SESSION_ID)) throw new Error('This run is still going on in another panel');
+        await runAttack({
+            template: run.template,
+            setup: normalizeAttackSetup(run.setup),
+            useHttps: run.useHttps,
+            startAt: run.nextIndex + 1,
+            run
+        });
+    }
+
+    // Show a finished request: its table row and the response behind it
+    function showResult(i, { payloads, encodedPayloads, result, statusLabel, skipped }) {
+        const row = { payloads, encodedPayloads, statusLabel };
+        if (skipped) {
+            Object.assign(row, { status: 'Skipped', skipped: true });
+        } else if (result.error) {
+            recentResults.set(i, result);
+            Object.assign(row, { status: 'Error', error: result.error });
         } else {
-            const cards = document.querySelectorAll('.position-card');
-            cards.forEach((card, index) => {
-                const type = card.querySelector('.payload-type-select').value;
-                state.positionConfigs[index].type = type;
-                state.positionConfigs[index].list = type === 'simple-list' ?
-                    card.querySelector('.payload-list-input').value : '';
-                state.positionConfigs[index].numbers = type === 'numbers' ? {
-                    from: parseInt(card.querySelector('.num-from-input').value),
-                    to: parseInt(card.querySelector('.num-to-input').value),
-                    step: parseInt(card.querySelector('.num-step-input').value)
-                } : { from: 1, to: 10, step: 1 };
+            recentResults.set(i, result);
+            Object.assign(row, {
+                status: Number(result.status) || result.status,
+                size: result.size,
+                time: result.time,
+                duration: result.duration,
+                response: { headers: result.headers, body: result.body }
             });
         }
+        resultsTable.setRow(i, row);
+    }
+
+    function clearRunResults(runId) {
+        recentResults.clear();
+        shownRunId = runId;
+        baselineResponse = state.regularRequestBaseline;
+        resultsTable.reset();
+    }
+
+    /**
+     * Show the saved results of the run in the pane, one at a time
+     * @param {string} runId
+     * @returns {Promise<Set<number>>} Indexes of the requests with a saved result
+     */
+    async function showSavedResults(runId) {
+        const indexes = new Set();
+        await forEachAttackResult(runId, entry => {
+            // Another run took over the pane
+            if (shownRunId !== runId) return false;
+            indexes.add(entry.index);
+            showResult(entry.index, entry);
+            return true;
+        });
+        return indexes;
+    }
+
+    function setProgress(completed, total) {
+        bulkProgressBar.style.setProperty('--progress', `${(completed / total) * 100}%`);
+        bulkProgressText.textContent = `${completed}/${total}`;
+    }
+
+    // Keep the most recent runs only
+    async function pruneSavedRuns() {
+        const runs = await listAttackRuns();
+        for (const run of runs.slice(MAX_SAVED_RUNS)) {
+            await deleteAttackRun(run.id);
+        }
+    }
 
-        let attackRequests;
+    /**
+     * Run an attack, or the rest of a saved run
+     * @param {Object} options
+     * @param {string} options.template - Request with § markers, as in the editor
+     * @param {Object} options.setup - See normalizeAttackSetup
+     * @param {boolean} options.useHttps
+     * @param {number} options.startAt - First request number (1-based)
+     * @param {Object} [options.run] - Saved run to continue
+     */
+    async function runAttack({ template: rawTemplate, setup, useHttps, startAt, run = null }) {
+        // Session macros run once up front; their {{variables}} are filled in with
+        // the environment, header/cookie injections are refreshed per request
         try {
-            attackRequests = generateAttackRequests(state.currentAttackType, state.positionConfigs, template);
+            await runBeforeSendMacros(rawTemplate, useHttps);
+        } catch (error) {
+            alert(`Session macro failed: ${error.message}`);
+            return;
+        }
+
+        // Environment variables are filled in before payloads and not again at
+        // send time, so payloads are sent verbatim ({{...}} included)
+        const { text: template, unresolved } = applyEnvironment(rawTemplate, state);
+        if (!confirmUnresolvedVariables(unresolved)) return;
+
+        state.currentAttackType = setup.attackType;
+        state.positionConfigs = buildPositionConfigs(rawTemplate, setup, detectPositionContexts(rawTemplate));
+
+        // Requests are built one at a time as the scheduler reaches them
+        let attack;
+        try {
+            attack = createAttack(state.currentAttackType, state.positionConfigs, template);
         } catch (error) {
             alert(`Error generating attack requests: ${error.message}`);
             return;
         }
 
-        if (attackRequests.length === 0) {
+        if (attack.total === 0) {
             alert('No requests generated. Please check your payload configuration.');
             return;
         }
 
-        if (state.currentAttackType === 'cluster-bomb' && attackRequests.length > 1000) {
-            if (!confirm(`This will generate ${attackRequests.length} requests. Continue?`)) {
-                return;
-            }
+        if (run && attack.total !== run.total) {
+            alert(`This run had ${run.total} requests but its setup now generates ${attack.total}. Start it again instead.`);
+            return;
         }
 
+        if (startAt < 1 || startAt > attack.total) {
+            alert(`Start at request # must be between 1 and ${attack.total}.`);
+            return;
+        }
+        const startIndex = startAt - 1;
+
+        const schedule = setup.schedule;
+        setBulkSchedule(schedule);
+
         bulkConfigModal.style.display = 'none';
 
-        let baselineResponse = elements.rawResponseDisplay.textContent || '';
-        if (baselineResponse.trim()) {
+        // Results are diffed against the same baseline as single sends (the
+        // response on screen becomes it when there is none yet)
+        if (!state.regularRequestBaseline && state.currentResponse) {
+            state.regularRequestBaseline = state.currentResponse;
+        }
+        if (state.regularRequestBaseline) {
             elements.diffToggle.style.display = 'flex';
         }
 
         bulkReplayPane.style.display = 'flex';
         verticalResizeHandle.style.display = 'block';
-        bulkResultsTable.innerHTML = '';
         state.shouldStopBulk = false;
         state.shouldPauseBulk = false;
-
-        if (bulkStopBtn) {
-            bulkStopBtn.dataset.state = 'running';
-            bulkStopBtn.title = 'Pause Attack';
-            bulkStopBtn.innerHTML = `
-                <svg viewBox="0 0 24 24" width="16" height="16">
-                    <path d="M6 4h4v16H6V4zm8 0h4v16h-4V4z" fill="currentColor" />
-                </svg>
-            `;
-        }
-
-        const bulkResults = [];
-        const useHttps = document.getElementById('use-https').checked;
-        const scheme = useHttps ? 'https' : 'http';
-
-        let completed = 0;
-        const total = attackRequests.length;
-
-        for (let i = 0; i < total; i++) {
-            if (state.shouldStopBulk) break;
-
-            while (state.shouldPauseBulk) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-                if (state.shouldStopBulk) break;
+        pendingResume = null;
+        setPauseButton(false);
+
+        const runId = ++bulkRunCounter;
+
+        const now = Date.now();
+        const record = run ? { ...run, status: 'running', owner: PANEL_SESSION_ID } : {
+            id: `run-${now}-${Math.random().toString(36).slice(2, 8)}`,
+            template: rawTemplate,
+            setup,
+            useHttps,
+            total: attack.total,
+            // Progress counts the requests skipped by "start at" as done
+            nextIndex: startIndex,
+            completed: startIndex,
+            status: 'running',
+            owner: PANEL_SESSION_ID,
+            startedAt: now
+        };
+        clearRunResults(record.id);
+        activeRunId = record.id;
+        // Requests after the resume point that finished before the stop are not sent again
+        let restored = new Set();
+        if (run) {
+            try {
+                restored = await showSavedResults(record.id);
+            } catch (error) {
+                alert(`Could not load the saved results of this run: ${error.message}`);
+                return;
             }
+            // A newer attack started while they were loading
+            if (runId !== bulkRunCounter) return;
+        }
+        const recorder = createRunRecorder(record, { save: saveAttackRun, doneIndexes: restored });
+        await recorder.flush();
+        if (!run) pruneSavedRuns().catch(error => console.error('Failed to prune bulk runs:', error));
 
-            if (state.shouldStopBulk) break;
-
-            const { requestContent } = attackRequests[i];
-
-            const row = document.createElement('tr');
-            row.dataset.index = i;
-            row.innerHTML = `
-                <td>${i + 1}</td>
-                <td>${escapeHtml(attackRequests[i].payloads.join(', '))}</td>
-                <td class="status-cell">Sending...</td>
-                <td class="size-cell">-</td>
-                <td class="time-cell">-</td>
-            `;
-            bulkResultsTable.appendChild(row);
-            row.scrollIntoView({ behavior: 'smooth', block: 'end' });
-
-            row.addEventListener('click', () => {
-                bulkResultsTable.querySelectorAll('tr').forEach(r => r.classList.remove('selected'));
-                row.classList.add('selected');
-
-                const result = bulkResults[i];
-                if (result) {
-                    elements.rawRequestInput.innerText = result.requestContent;
-
-                    elements.resStatus.textContent = result.statusText ? `${result.status} ${result.statusText}` : result.status;
-                    elements.resStatus.className = 'status-badge';
-                    if (result.status >= 200 && result.status < 300) elements.resStatus.classList.add('status-2xx');
-                    else if (result.status >= 400 && result.status < 500) elements.resStatus.classList.add('status-4xx');
-                    else if (result.status >= 500) elements.resStatus.classList.add('status-5xx');
-
-                    elements.resTime.textContent = result.duration;
-                    elements.resSize.textContent = formatBytes(result.size);
-
-                    if (result.error) {
-                        elements.rawResponseDisplay.textContent = result.error;
-                    } else {
-                        let rawResponse = `HTTP/1.1 ${result.status} ${result.statusText}\n`;
-                        if (result.headers) {
-                            result.headers.forEach((val, key) => {
-                                rawResponse += `${key}: ${val}\n`;
-                            });
-                        }
-                        rawResponse += '\n';
-
-                        try {
-                            const json = JSON.parse(result.responseBody);
-                            rawResponse += JSON.stringify(json, null, 2);
-                        } catch (e) {
-                            rawResponse += result.responseBody;
-                        }
-
-                        if (elements.showDiffCheckbox && elements.showDiffCheckbox.checked && baselineResponse.trim() && typeof Diff !== 'undefined') {
-                            elements.rawResponseDisplay.innerHTML = renderDiff(baselineResponse, rawResponse);
-                        } else {
-                            elements.rawResponseDisplay.innerHTML = highlightHTTP(rawResponse);
-                        }
-                    }
-                }
-            });
-
-            const startTime = performance.now();
+        const total = attack.total;
+        setProgress(record.completed, total);
 
-            try {
-                // We duplicate parse logic here or import it. 
-                // Since this is inside the loop and needs to be fast, and slightly different (no UI update), we can keep it or import `parseRequest` from network.js
-                // But `parseRequest` in network.js is designed for the main editor.
-                // Let's just use fetch directly as in original code for now to minimize risk.
-
-                const lines = requestContent.split('\n');
-                if (lines.length === 0) throw new Error('No content');
-
-                const requestLine = lines[0].trim();
-                const reqLineParts = requestLine.split(' ');
-                if (reqLineParts.length < 2) throw new Error('Invalid Request Line');
-
-                const method = reqLineParts[0].toUpperCase();
-                const path = reqLineParts[1];
-
-                let headers = {};
-                let bodyLines = [];
-                let isBody = false;
-                let host = '';
-
-                for (let j = 1; j < lines.length; j++) {
-                    const line = lines[j];
-                    if (!isBody) {
-                        if (line.trim() === '') {
-                            isBody = true;
-                            continue;
-                        }
-                        if (line.trim().startsWith(':')) continue;
-
-                        const colonIndex = line.indexOf(':');
-                        if (colonIndex > 0) {
-                            const key = line.substring(0, colonIndex).trim();
-                            const value = line.substring(colonIndex + 1).trim();
-                            if (key && value) {
-                                if (key.toLowerCase() === 'host') host = value;
-                                else headers[key] = value;
-                            }
-                        }
-                    } else {
-                        bodyLines.push(line);
-                    }
-                }
+        // Requests are built again when needed rather than kept for the whole run
+        const setStatus = (i, statusLabel, data = {}) => {
+            const { payloads, encodedPayloads } = attack.requestAt(i);
+            resultsTable.setRow(i, { payloads, encodedPayloads, statusLabel, ...data });
+        };
 
-                if (!host) throw new Error('Host header missing');
+        // One attempt at request i (the scheduler retries, spaces and aborts them)
+        const sendOne = async (i, attempt, signal) => {
+            const { requestContent, payloads, encodedPayloads } = attack.requestAt(i);
 
-                let url = path;
-                if (!path.startsWith('http')) {
-                    url = `${scheme}://${host}${path}`;
-                }
+            let sentContent = injectMacroValues(requestContent, useHttps);
+            let sent = await sendRawRequest(sentContent, useHttps, { environment: false, signal });
 
-                const body = bodyLines.join('\n');
+            // A session macro logged in again: send this one once more with fresh values
+            if (await runTriggeredMacros(requestContent, useHttps, toMacroResponse(sent, sent.report))) {
+                sentContent = injectMacroValues(requestContent, useHttps);
+                sent = await sendRawRequest(sentContent, useHttps, { environment: false, signal });
+            }
 
-                const options = {
-                    method: method,
-                    headers: headers
-                };
+            const { headers, body } = toMacroResponse(sent, sent.report);
+            return {
+                requestContent: sentContent,
+                payloads,
+                encodedPayloads,
+                status: sent.status,
+                statusText: sent.statusText,
+                headers,
+                body,
+                responseBody: sent.responseBody,
+                rawResponse: sent.rawResponse,
+                size: sent.size,
+                time: sent.duration,
+                duration: sent.fromPage ? `${sent.duration}ms (page)` : `${sent.duration}ms`,
+                error: null
+            };
+        };
 
-                if (method !== 'GET' && method !== 'HEAD') {
-                    options.body = body;
+        await runBulkSchedule(total, sendOne, {
+            ...schedule,
+            startIndex: record.nextIndex,
+            shouldPause: () => state.shouldPauseBulk,
+            // A newer attack replaces this one
+            shouldStop: () => state.shouldStopBulk || runId !== bulkRunCounter,
+            // "Skip if matches" processing: keep the row, send nothing
+            skip: (i) => restored.has(i) || attack.requestAt(i).skipped,
+            onStart: (i, attempt) => {
+                if (runId !== bulkRunCounter) return;
+                setStatus(i, attempt > 1 ? `Sending... (attempt ${attempt})` : 'Sending...', { status: null });
+            },
+            onRetryWait: (i, delay, reason) => {
+                if (runId !== bulkRunCounter) return;
+                setStatus(i, `${reason}, retrying in ${(delay / 1000).toFixed(1)}s`);
+            },
+            onDone: (i, { result, error, attempts, skipped }) => {
+                // A newer attack owns the table now; saved results are already shown
+                if (runId !== bulkRunCounter || restored.has(i)) return;
+                const retried = attempts > 1 ? ` (${attempts} attempts)` : '';
+                const { requestContent, payloads, encodedPayloads } = attack.requestAt(i);
+
+                let entry;
+                if (skipped) {
+                    entry = { payloads, encodedPayloads, result: null, statusLabel: 'Skipped', skipped: true };
+                } else if (error) {
+                    console.error(error);
+                    entry = {
+                        payloads,
+                        encodedPayloads,
+                        result: {
+                            requestContent,
+                            payloads,
+                            encodedPayloads,
+                            status: 'Error',
+                            statusText: '',
+                            headers: null,
+                            responseBody: null,
+                            rawResponse: '',
+                            size: 0,
+                            duration: '-',
+                            error: error.message
+                        },
+                        statusLabel: `Error${retried}`,
+                        skipped: false
+                    };
+                } else {
+                    entry = { payloads, encodedPayloads, result, statusLabel: `${result.status} ${result.statusText}${retried}`, skipped: false };
                 }
-
-                const response = await fetch(url, options);
-                const endTime = performance.now();
-                const responseBody = await response.text();
-                const responseSize = new TextEncoder().encode(responseBody).length;
-                const duration = `${(endTime - startTime).toFixed(0)}ms`;
-
-                bulkResults[i] = {
-                    requestContent: requestContent,
-                    status: response.status,
-                    statusText: response.statusText,
-                    headers: response.headers,
-                    responseBody: responseBody,
-                    size: responseSize,
-                    duration: duration,
-                    error: null
-                };
-
-                row.querySelector('.status-cell').textContent = `${response.status} ${response.statusText}`;
-                row.querySelector('.size-cell').textContent = formatBytes(responseSize);
-                row.querySelector('.time-cell').textContent = duration;
-
-            } catch (error) {
-                const endTime = performance.now();
-                console.error(error);
-
-                bulkResults[i] = {
-                    requestContent: requestContent,
-                    status: 'Error',
-                    statusText: '',
-                    headers: null,
-                    responseBody: '',
-                    size: 0,
-                    duration: `${(endTime - startTime).toFixed(0)}ms`,
-                    error: error.message
-                };
-
-                row.querySelector('.status-cell').textContent = 'Error';
-                row.querySelector('.status-cell').title = error.message;
+                showResult(i, entry);
+                recorder.record(i, entry);
+                setProgress(record.completed, total);
             }
+        });
 
-            completed++;
-            const progress = (completed / total) * 100;
-            bulkProgressBar.style.setProperty('--progress', `${progress}%`);
-            bulkProgressText.textContent = `${completed}/${total}`;
+        // A paused run that was closed or replaced can still be resumed
+        if (activeRunId === record.id) activeRunId = null;
+        await recorder.finish(record.nextIndex >= total ? 'done' : 'stopped');
+    }
+
+    // A run the panel was closed (or crashed) during comes back paused, ready to resume
+    async function restoreInterruptedRun() {
+        try {
+            const run = (await listAttackRuns()).find(r => r.status === 'running' && isRunResumable(r, PANEL_SESSION_ID));
+            if (!run || bulkRunCounter > 0) return;
+
+            clearRunResults(run.id);
+            await showSavedResults(run.id);
+            if (bulkRunCounter > 0) return; // An attack started meanwhile
+
+            setProgress(run.completed, run.total);
+            bulkReplayPane.style.display = 'flex';
+            verticalResizeHandle.style.display = 'block';
+            pendingResume = run;
+            setPauseButton(true);
+        } catch (error) {
+            console.error('Failed to restore the interrupted bulk run:', error);
         }
     }
+
+    restoreInterruptedRun();
 }
@@ -0,0 +1,443 @@
+// Payload Options UI - Config form of a payload set (position card or battering ram)
+import { escapeHtml } from '../../core/utils/dom.js';
+import { PAYLOAD_TYPES, CASE_MODES, DEFAULT_SUBSTITUTIONS, createPayloadSet } from './payloads.js';
+import { PROCESSING_STEPS, previewProcessing } from './processing.js';
+import { ENCODINGS, encodePayload } from './contexts.js';
+
+// Loaded wordlist ({name, text}) per options container
+const loadedWordlists = new WeakMap();
+
+/**
+ * HTML of the payload type select and the options of every type
+ * @param {Object} options
+ * @param {number} [options.index] - Position index (omit for a shared config)
+ * @param {number} [options.positionCount=1] - Number of positions (for "copy other position")
+ * @param {string} [options.originalValue=''] - Value between the § markers
+ * @param {string} [options.label='Payload Type']
+ * @param {number} [options.listRows=5]
+ * @param {number} [options.numbersTo=10]
+ * @param {Object} [options.context] - Detected context (see detectPositionContexts); omit for a shared config
+ * @returns {string}
+ */
+export function renderPayloadOptions({ index, positionCount = 1, originalValue = '', label = 'Payload Type', listRows = 5, numbersTo = 10, context } = {}) {
+    const others = index === undefined ? [] : Array.from({ length: positionCount }, (_, i) => i).filter(i => i !== index);
+    const types = PAYLOAD_TYPES.filter(type => type.value !== 'copy-position' || others.length > 0);
+    const base = escapeHtml(originalValue);
+    const today = new Date().toISOString().slice(0, 10);
+    const autoEncoding = context ? ENCODINGS.find(encoding => encoding.value === context.encoding) : null;
+    const autoLabel = context ? `Auto: ${context.label} (${autoEncoding.label})` : 'Auto (per position)';
+
+    return `
+        <div class="form-group">
+            <label>${escapeHtml(label)}</label>
+            <select class="payload-type-select form-control">
+                ${types.map(type => `<option value="${type.value}">${type.label}</option>`).join('')}
+            </select>
+        </div>
+        <div class="form-group">
+            <label>Encoding</label>
+            <select class="payload-encoding-select form-control" data-auto-encoding="${context ? context.encoding : ''}">
+                <option value="auto">${escapeHtml(autoLabel)}</option>
+                ${ENCODINGS.map(encoding => `<option value="${encoding.value}">${encoding.label}</option>`).join('')}
+            </select>
+        </div>
+        <div class="payload-options" data-payload-type="simple-list">
+            <div class="form-group">
+                <label>Payloads (one per line)</label>
+                <textarea class="payload-list-input form-control" rows="${listRows}" placeholder="admin&#10;user&#10;guest"></textarea>
+            </div>
+        </div>
+        <div class="payload-options" data-payload-type="wordlist" style="display: none;">
+            <div class="form-group">
+                <label>Wordlist file (one payload per line)</label>
+                <input type="file" class="wordlist-file-input form-control" accept=".txt,.lst,.list,.dic,text/plain">
+                <p class="help-text wordlist-file-name">No file loaded</p>
+            </div>
+        </div>
+        <div class="payload-options" data-payload-type="numbers" style="display: none;">
+            <div class="form-row">
+                <div class="form-group">
+                    <label>From</label>
+                    <input type="number" class="num-from-input form-control" value="1">
+                </div>
+                <div class="form-group">
+                    <label>To</label>
+                    <input type="number" class="num-to-input form-control" value="${numbersTo}">
+                </div>
+                <div class="form-group">
+                    <label>Step</label>
+                    <input type="number" class="num-step-input form-control" value="1">
+                </div>
+            </div>
+        </div>
+        <div class="payload-options" data-payload-type="brute-force" style="display: none;">
+            <div class="form-group">
+                <label>Character set</label>
+                <input type="text" class="bf-charset-input form-control" value="abcdefghijklmnopqrstuvwxyz0123456789">
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Min length</label>
+                    <input type="number" class="bf-min-input form-control" min="1" value="1">
+                </div>
+                <div class="form-group">
+                    <label>Max length</label>
+                    <input type="number" class="bf-max-input form-control" min="1" value="3">
+                </div>
+            </div>
+        </div>
+        <div class="payload-options" data-payload-type="case-modification" style="display: none;">
+            <div class="form-group">
+                <label>Base value</label>
+                <input type="text" class="case-base-input form-control" placeholder="${base}">
+            </div>
+            <div class="form-row" style="flex-wrap: wrap;">
+                ${CASE_MODES.map(mode => `
+                <label class="payload-checkbox">
+                    <input type="checkbox" class="case-mode-checkbox" value="${mode.value}" checked> ${mode.label}
+                </label>`).join('')}
+            </div>
+        </div>
+        <div class="payload-options" data-payload-type="char-substitution" style="display: none;">
+            <div class="form-group">
+                <label>Base value</label>
+                <input type="text" class="sub-base-input form-control" placeholder="${base}">
+            </div>
+            <div class="form-group">
+                <label>Substitutions (character=replacements, one per line)</label>
+                <textarea class="sub-rules-input form-control" rows="4">${DEFAULT_SUBSTITUTIONS}</textarea>
+                <p class="help-text">Every combination of keeping or replacing each matching character.</p>
+            </div>
+        </div>
+        <div class="payload-options" data-payload-type="dates" style="display: none;">
+            <div class="form-row">
+                <div class="form-group">
+                    <label>From</label>
+                    <input type="date" class="date-from-input form-control" value="${today}">
+                </div>
+                <div class="form-group">
+                    <label>To</label>
+                    <input type="date" class="date-to-input form-control" value="${today}">
+                </div>
+                <div class="form-group">
+                    <label>Step (days)</label>
+                    <input type="number" class="date-step-input form-control" min="1" value="1">
+                </div>
+            </div>
+            <div class="form-group">
+                <label>Format</label>
+                <input type="text" class="date-format-input form-control" value="YYYY-MM-DD">
+                <p class="help-text">YYYY, YY, MMM (Jan), MM, M, DD and D.</p>
+            </div>
+        </div>
+        <div class="payload-options" data-payload-type="null" style="display: none;">
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Number of payloads</label>
+                    <input type="number" class="null-count-input form-control" min="0" value="10">
+                </div>
+            </div>
+            <label class="payload-checkbox">
+                <input type="checkbox" class="null-keep-checkbox" checked> Keep the original value (send the request unchanged)
+            </label>
+        </div>
+        ${others.length ? `
+        <div class="payload-options" data-payload-type="copy-position" style="display: none;">
+            <div class="form-group">
+                <label>Use the payload of</label>
+                <select class="copy-from-select form-control">
+                    ${others.map(i => `<option value="${i}">Position ${i + 1}</option>`).join('')}
+                </select>
+            </div>
+        </div>` : ''}
+        <div class="payload-processing" data-original-value="${base}">
+            <div class="payload-processing-header">
+                <label>Payload Processing</label>
+                <input type="text" class="processing-sample-input form-control" placeholder="Preview with the first payload">
+            </div>
+            <div class="processing-steps">
+                <div class="rules-empty">No processing. Payloads are sent as they are.</div>
+            </div>
+            <div class="processing-encoded-preview"></div>
+            <button type="button" class="secondary-btn processing-add-btn">Add Step</button>
+        </div>
+    `;
+}
+
+function renderProcessingStep() {
+    return `
+        <div class="rule-row processing-step-row">
+            <span class="processing-step-number"></span>
+            <select class="form-control processing-step-type">
+                ${PROCESSING_STEPS.map(step => `<option value="${step.value}">${escapeHtml(step.label)}</option>`).join('')}
+            </select>
+            <input type="text" class="form-control processing-step-value">
+            <input type="text" class="form-control processing-step-replacement" placeholder="Replacement ($1 for groups)">
+            <button type="button" class="secondary-btn rule-delete" title="Remove step">&times;</button>
+            <div class="processing-step-preview"></div>
+        </div>
+    `;
+}
+
+// Payload the preview starts from: the typed sample, else the first payload
+function getSamplePayload(container) {
+    const sample = container.querySelector('.processing-sample-input').value;
+    if (sample) return sample;
+    const originalValue = container.querySelector('.payload-processing').dataset.originalValue;
+    try {
+        const set = createPayloadSet({ ...readPayloadConfig(container), originalValue });
+        return set.count > 0 ? set.at(0) : originalValue;
+    } catch (error) {
+        return originalValue;
+    }
+}
+
+// Number the steps, show the inputs each one needs and the value after it
+function refreshProcessing(container) {
+    const rows = [...container.querySelectorAll('.processing-step-row')];
+    const empty = container.querySelector('.processing-steps .rules-empty');
+    empty.style.display = rows.length ? 'none' : 'block';
+
+    rows.forEach((row, i) => {
+        const definition = PROCESSING_STEPS.find(step => step.value === row.querySelector('.processing-step-type').value);
+        const valueInput = row.querySelector('.processing-step-value');
+        row.querySelector('.processing-step-number').textContent = `${i + 1}.`;
+        valueInput.style.display = definition.input ? '' : 'none';
+        valueInput.placeholder = definition.input || '';
+        row.querySelector('.processing-step-replacement').style.display = definition.replacement ? '' : 'none';
+    });
+
+    const sample = getSamplePayload(container);
+    const previews = previewProcessing(sample, readProcessingSteps(container));
+    rows.forEach((row, i) => {
+        const preview = row.querySelector('.processing-step-preview');
+        const { value, skipped, error } = previews[i];
+        preview.className = 'processing-step-preview';
+        if (error) {
+            preview.classList.add('error');
+            preview.textContent = error;
+        } else if (skipped) {
+            preview.classList.add('skipped');
+            preview.textContent = `Skipped: ${value}`;
+        } else {
+            preview.textContent = value === null ? '' : `→ ${value}`;
+        }
+        preview.title = preview.textContent;
+    });
+
+    // What goes into the request once the position's encoding is applied
+    const encodedPreview = container.querySelector('.processing-encoded-preview');
+    const last = previews.length ? previews[previews.length - 1] : { value: sample, skipped: false };
+    const encodingSelect = container.querySelector('.payload-encoding-select');
+    const encoding = encodingSelect.value === 'auto' ? encodingSelect.dataset.autoEncoding : encodingSelect.value;
+    encodedPreview.textContent = encoding && last.value !== null && !last.skipped
+        ? `Sent as: ${encodePayload(last.value, encoding)}`
+        : '';
+    encodedPreview.title = encodedPreview.textContent;
+}
+
+function showPayloadType(container) {
+    const type = container.querySelector('.payload-type-select').value;
+    container.querySelectorAll('.payload-options').forEach(options => {
+        options.style.display = options.dataset.payloadType === type ? 'block' : 'none';
+    });
+}
+
+function showWordlist(container, wordlist) {
+    loadedWordlists.set(container, wordlist);
+    const lines = wordlist.text.split(/\r?\n/).filter(line => line.trim() !== '').length;
+    container.querySelector('.wordlist-file-name').textContent = `${wordlist.name}: ${lines} payloads`;
+}
+
+/**
+ * Show the options of the selected type and load wordlist files
+ * @param {HTMLElement} container - Element holding renderPayloadOptions() output
+ */
+export function bindPayloadOptions(container) {
+    const typeSelect = container.querySelector('.payload-type-select');
+    typeSelect.addEventListener('change', () => showPayloadType(container));
+
+    container.querySelector('.processing-add-btn').addEventListener('click', () => {
+        container.querySelector('.processing-steps').insertAdjacentHTML('beforeend', renderProcessingStep());
+        refreshProcessing(container);
+    });
+    container.addEventListener('click', (e) => {
+        const remove = e.target.closest('.processing-step-row .rule-delete');
+        if (!remove) return;
+        remove.closest('.processing-step-row').remove();
+        refreshProcessing(container);
+    });
+    // Any change to the payloads or the steps updates the previews
+    container.addEventListener('input', () => refreshProcessing(container));
+    container.addEventListener('change', () => refreshProcessing(container));
+
+    const fileInput = container.querySelector('.wordlist-file-input');
+    const fileName = container.querySelector('.wordlist-file-name');
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        loadedWordlists.delete(container);
+        if (!file) {
+            fileName.textContent = 'No file loaded';
+            return;
+        }
+        try {
+            showWordlist(container, { name: file.name, text: await file.text() });
+            refreshProcessing(container);
+        } catch (error) {
+            fileName.textContent = `Could not read ${file.name}: ${error.message}`;
+        }
+    });
+    refreshProcessing(container);
+}
+
+/**
+ * Put a saved config back into a container bound with bindPayloadOptions
+ * (the reverse of readPayloadConfig, readProcessingSteps and readPayloadEncoding)
+ * @param {HTMLElement} container
+ * @param {Object} config - Payload config plus `processing` and `encoding`
+ */
+export function fillPayloadOptions(container, config = {}) {
+    const setValue = (selector, value) => {
+        const input = container.querySelector(selector);
+        if (!input || value === undefined || value === null || Number.isNaN(value)) return;
+        // A select keeps its value when the saved one is not an option
+        if (input.tagName === 'SELECT' && ![...input.options].some(option => option.value === String(value))) return;
+        input.value = value;
+    };
+
+    setValue('.payload-type-select', config.type);
+    showPayloadType(container);
+    setValue('.payload-list-input', config.list);
+    if (config.wordlist) showWordlist(container, config.wordlist);
+    if (config.numbers) {
+        setValue('.num-from-input', config.numbers.from);
+        setValue('.num-to-input', config.numbers.to);
+        setValue('.num-step-input', config.numbers.step);
+    }
+    if (config.bruteForce) {
+        setValue('.bf-charset-input', config.bruteForce.charset);
+        setValue('.bf-min-input', config.bruteForce.minLength);
+        setValue('.bf-max-input', config.bruteForce.maxLength);
+    }
+    if (config.caseModification) {
+        setValue('.case-base-input', config.caseModification.base);
+        container.querySelectorAll('.case-mode-checkbox').forEach(box => {
+            box.checked = (config.caseModification.modes || []).includes(box.value);
+        });
+    }
+    if (config.substitution) {
+        setValue('.sub-base-input', config.substitution.base);
+        setValue('.sub-rules-input', config.substitution.rules);
+    }
+    if (config.dates) {
+        setValue('.date-from-input', config.dates.from);
+        setValue('.date-to-input', config.dates.to);
+        setValue('.date-step-input', config.dates.stepDays);
+        setValue('.date-format-input', config.dates.format);
+    }
+    if (config.nullPayloads) {
+        setValue('.null-count-input', config.nullPayloads.count);
+        container.querySelector('.null-keep-checkbox').checked = config.nullPayloads.keepOriginal !== false;
+    }
+    setValue('.copy-from-select', config.copyFrom);
+    setValue('.payload-encoding-select', config.encoding);
+
+    const steps = container.querySelector('.processing-steps');
+    steps.querySelectorAll('.processing-step-row').forEach(row => row.remove());
+    (config.processing || []).forEach(step => {
+        steps.insertAdjacentHTML('beforeend', renderProcessingStep());
+        const row = steps.lastElementChild;
+        row.querySelector('.processing-step-type').value = step.type;
+        row.querySelector('.processing-step-value').value = step.value || '';
+        row.querySelector('.processing-step-replacement').value = step.replacement || '';
+    });
+    refreshProcessing(container);
+}
+
+/**
+ * Read the payload config of a container (see createPayloadSet)
+ * @param {HTMLElement} container
+ * @returns {Object}
+ */
+export function readPayloadConfig(container) {
+    const value = selector => container.querySelector(selector).value;
+    const type = value('.payload-type-select');
+
+    switch (type) {
+        case 'simple-list':
+            return { type, list: value('.payload-list-input') };
+        case 'wordlist':
+            return { type, wordlist: loadedWordlists.get(container) || null };
+        case 'numbers':
+            return {
+                type,
+                numbers: {
+                    from: parseInt(value('.num-from-input')),
+                    to: parseInt(value('.num-to-input')),
+                    step: parseInt(value('.num-step-input'))
+                }
+            };
+        case 'brute-force':
+            return {
+                type,
+                bruteForce: {
+                    charset: value('.bf-charset-input'),
+                    minLength: parseInt(value('.bf-min-input')),
+                    maxLength: parseInt(value('.bf-max-input'))
+                }
+            };
+        case 'case-modification':
+            return {
+                type,
+                caseModification: {
+                    base: value('.case-base-input'),
+                    modes: [...container.querySelectorAll('.case-mode-checkbox:checked')].map(box => box.value)
+                }
+            };
+        case 'char-substitution':
+            return { type, substitution: { base: value('.sub-base-input'), rules: value('.sub-rules-input') } };
+        case 'dates':
+            return {
+                type,
+                dates: {
+                    from: value('.date-from-input'),
+                    to: value('.date-to-input'),
+                    stepDays: parseInt(value('.date-step-input')),
+                    format: value('.date-format-input')
+                }
+            };
+        case 'null':
+            return {
+                type,
+                nullPayloads: {
+                    count: parseInt(value('.null-count-input')),
+                    keepOriginal: container.querySelector('.null-keep-checkbox').checked
+                }
+            };
+        case 'copy-position':
+            return { type, copyFrom: parseInt(value('.copy-from-select')) };
+    }
+    return { type };
+}
+
+/**
+ * Read the processing chain of a container (see compileProcessing)
+ * @param {HTMLElement} container
+ * @returns {Array<{type: string, value: string, replacement: string}>}
+ */
+export function readProcessingSteps(container) {
+    return [...container.querySelectorAll('.processing-step-row')].map(row => ({
+        type: row.querySelector('.processing-step-type').value,
+        value: row.querySelector('.processing-step-value').value,
+        replacement: row.querySelector('.processing-step-replacement').value
+    }));
+}
+
+/**
+ * Encoding chosen for a container: 'auto' (from the detected context) or a value of ENCODINGS
+ * @param {HTMLElement} container
+ * @returns {string}
+ */
+export function readPayloadEncoding(container) {
+    return container.querySelector('.payload-encoding-select').value;
+}
@@ -0,0 +1,210 @@
+// Payload Types for rep+ Bulk Replay
+// Every type is a random-access set {count, at(index)}, so attacks can be built
+// lazily and resumed without generating the payloads that come before.
+
+export const PAYLOAD_TYPES = [
+    { value: 'simple-list', label: 'Simple List' },
+    { value: 'wordlist', label: 'Wordlist File' },
+    { value: 'numbers', label: 'Numbers' },
+    { value: 'brute-force', label: 'Brute Force' },
+    { value: 'case-modification', label: 'Case Modification' },
+    { value: 'char-substitution', label: 'Character Substitution' },
+    { value: 'dates', label: 'Dates' },
+    { value: 'null', label: 'Null Payloads' },
+    { value: 'copy-position', label: 'Copy Other Position' }
+];
+
+export const CASE_MODES = [
+    { value: 'original', label: 'As is' },
+    { value: 'lower', label: 'lowercase' },
+    { value: 'upper', label: 'UPPERCASE' },
+    { value: 'capitalize', label: 'Capitalized' },
+    { value: 'invert', label: 'iNVERTED' }
+];
+
+export const DEFAULT_SUBSTITUTIONS = 'a=4,@\ne=3\ni=1,!\no=0\ns=5,$\nt=7';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function listSet(values) {
+    return { count: values.length, at: index => values[index] };
+}
+
+function checkSize(count) {
+    if (!Number.isSafeInteger(count)) {
+        throw new Error('Too many payloads. Narrow the configuration.');
+    }
+    return count;
+}
+
+/**
+ * Payloads of a single position as {count, at(index)}, based on its config.
+ * 'copy-position' has no payloads of its own; the engine fills it in.
+ * @param {Object} config - Position config ({type, originalValue, ...type options})
+ * @returns {{count: number, at: Function}}
+ */
+export function createPayloadSet(config) {
+    switch (config.type) {
+        case 'simple-list':
+            return listSet(config.list.split('\n').filter(line => line.trim() !== ''));
+        case 'wordlist':
+            if (!config.wordlist || typeof config.wordlist.text !== 'string') {
+                throw new Error('Choose a wordlist file');
+            }
+            return listSet(config.wordlist.text.split(/\r?\n/).filter(line => line.trim() !== ''));
+        case 'numbers': {
+            const { from, to, step } = config.numbers;
+            const count = step > 0 && to >= from ? Math.floor((to - from) / step) + 1 : 0;
+            return { count, at: index => (from + index * step).toString() };
+        }
+        case 'brute-force':
+            return createBruteForceSet(config.bruteForce);
+        case 'case-modification':
+            return listSet(getCaseVariants(config.caseModification.base || config.originalValue, config.caseModification.modes));
+        case 'char-substitution':
+            return createSubstitutionSet(config.substitution.base || config.originalValue, config.substitution.rules);
+        case 'dates':
+            return createDateSet(config.dates);
+        case 'null': {
+            const { count, keepOriginal } = config.nullPayloads;
+            const value = keepOriginal ? config.originalValue : '';
+            return { count: Math.max(0, Math.floor(count) || 0), at: () => value };
+        }
+        case 'copy-position':
+            return { count: 0, at: () => '' };
+    }
+    return { count: 0, at: () => '' };
+}
+
+/**
+ * Every string over a character set, shortest first
+ * @param {{charset: string, minLength: number, maxLength: number}} options
+ */
+function createBruteForceSet({ charset, minLength, maxLength }) {
+    const chars = [...new Set(Array.from(charset || ''))];
+    const min = Math.max(1, Math.floor(minLength) || 1);
+    const max = Math.floor(maxLength) || 0;
+    if (chars.length === 0 || max < min) return { count: 0, at: () => '' };
+
+    // Strings of each length, in order: for length L there are n^L
+    const lengths = [];
+    let count = 0;
+    for (let length = min; length <= max; length++) {
+        const size = Math.pow(chars.length, length);
+        lengths.push({ length, size });
+        count = checkSize(count + size);
+    }
+
+    return {
+        count,
+        at(index) {
+            let bucket = 0;
+            while (index >= lengths[bucket].size) index -= lengths[bucket++].size;
+            const out = new Array(lengths[bucket].length);
+            for (let i = out.length - 1; i >= 0; i--) {
+                out[i] = chars[index % chars.length];
+                index = Math.floor(index / chars.length);
+            }
+            return out.join('');
+        }
+    };
+}
+
+/**
+ * Case variants of a value, without duplicates
+ * @param {string} base
+ * @param {Array<string>} modes - Values of CASE_MODES
+ * @returns {Array<string>}
+ */
+export function getCaseVariants(base, modes) {
+    const transforms = {
+        original: value => value,
+        lower: value => value.toLowerCase(),
+        upper: value => value.toUpperCase(),
+        capitalize: value => value.charAt(0).toUpperCase() + value.slice(1).toLowerCase(),
+        invert: value => Array.from(value).map(c => c === c.toLowerCase() ? c.toUpperCase() : c.toLowerCase()).join('')
+    };
+    const variants = (modes || []).filter(mode => transforms[mode]).map(mode => transforms[mode](base || ''));
+    return [...new Set(variants)];
+}
+
+/**
+ * Parse substitution rules, one per line: `a=4,@` (a character and its replacements)
+ * @param {string} rules
+ * @returns {Map<string, Array<string>>} Lowercase character to replacements
+ */
+export function parseSubstitutionRules(rules) {
+    const map = new Map();
+    String(rules || '').split('\n').forEach(line => {
+        const eq = line.indexOf('=');
+        if (eq <= 0) return;
+        const char = line.slice(0, eq).trim().toLowerCase();
+        const replacements = line.slice(eq + 1).split(',').map(r => r.trim()).filter(Boolean);
+        if (char && replacements.length) {
+            map.set(char, [...new Set([...(map.get(char) || []), ...replacements])]);
+        }
+    });
+    return map;
+}
+
+/**
+ * Every combination of substituting the matching characters of a value
+ * (each one kept or replaced). The first payload is the value itself.
+ */
+function createSubstitutionSet(base, rules) {
+    const map = parseSubstitutionRules(rules);
+    const chars = Array.from(base || '');
+    const options = chars.map(c => [c, ...(map.get(c.toLowerCase()) || [])]);
+    const count = options.reduce((product, choices) => checkSize(product * choices.length), 1);
+
+    return {
+        count,
+        at(index) {
+            const out = new Array(options.length);
+            for (let i = options.length - 1; i >= 0; i--) {
+                out[i] = options[i][index % options[i].length];
+                index = Math.floor(index / options[i].length);
+            }
+            return out.join('');
+        }
+    };
+}
+
+function parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    return match ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : NaN;
+}
+
+/**
+ * Format a date with YYYY, YY, MMM, MM, M, DD and D (UTC)
+ * @param {Date} date
+ * @param {string} format
+ * @returns {string}
+ */
+export function formatDate(date, format) {
+    const pad = n => String(n).padStart(2, '0');
+    const tokens = {
+        YYYY: () => String(date.getUTCFullYear()),
+        YY: () => pad(date.getUTCFullYear() % 100),
+        MMM: () => MONTHS[date.getUTCMonth()],
+        MM: () => pad(date.getUTCMonth() + 1),
+        M: () => String(date.getUTCMonth() + 1),
+        DD: () => pad(date.getUTCDate()),
+        D: () => String(date.getUTCDate())
+    };
+    return String(format || 'YYYY-MM-DD').replace(/YYYY|YY|MMM|MM|M|DD|D/g, token => tokens[token]());
+}
+
+/**
+ * Days from one date to another (inclusive), every `stepDays` days
+ * @param {{from: string, to: string, stepDays: number, format: string}} options - Dates as YYYY-MM-DD
+ */
+function createDateSet({ from, to, stepDays, format }) {
+    const start = parseDate(from);
+    const end = parseDate(to);
+    if (Number.isNaN(start) || Number.isNaN(end)) throw new Error('Enter a start and end date');
+    const step = Math.floor(stepDays) || 0;
+    const count = step > 0 && end >= start ? Math.floor((end - start) / (step * DAY_MS)) + 1 : 0;
+    return { count, at: index => formatDate(new Date(start + index * step * DAY_MS), format) };
+}
@@ -0,0 +1,127 @@
+// Payload Processing for rep+ Bulk Replay
+// An ordered chain of steps applied to each payload of a position before it is
+// put into the request. "Skip if matches" marks the request as skipped instead
+// of dropping it, so the attack keeps its exact total and request numbers.
+import { bytesToBase64 } from '../../core/utils/binary.js';
+import { md5, sha1, sha256 } from '../../core/utils/hash.js';
+
+export const PROCESSING_STEPS = [
+    { value: 'prefix', label: 'Add prefix', input: 'Prefix' },
+    { value: 'suffix', label: 'Add suffix', input: 'Suffix' },
+    { value: 'url-encode', label: 'URL-encode key characters' },
+    { value: 'url-encode-all', label: 'URL-encode all characters' },
+    { value: 'base64-encode', label: 'Base64-encode' },
+    { value: 'html-encode', label: 'HTML-encode' },
+    { value: 'unicode-encode', label: 'Unicode-escape (\\uXXXX)' },
+    { value: 'md5', label: 'Hash: MD5' },
+    { value: 'sha1', label: 'Hash: SHA-1' },
+    { value: 'sha256', label: 'Hash: SHA-256' },
+    { value: 'regex-replace', label: 'Regex replace', input: 'Pattern', replacement: true },
+    { value: 'lowercase', label: 'lowercase' },
+    { value: 'uppercase', label: 'UPPERCASE' },
+    { value: 'skip-if-matches', label: 'Skip if matches', input: 'Pattern' }
+];
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function compileRegex(pattern, flags) {
+    try {
+        return new RegExp(pattern, flags);
+    } catch (error) {
+        throw new Error(`Invalid pattern /${pattern}/: ${error.message}`);
+    }
+}
+
+/**
+ * Turn one step ({type, value, replacement}) into a function of the payload.
+ * Returns null from the function to skip the payload.
+ * @param {Object} step
+ * @returns {Function}
+ */
+function compileStep(step) {
+    const value = step.value || '';
+    switch (step.type) {
+        case 'prefix':
+            return payload => value + payload;
+        case 'suffix':
+            return payload => payload + value;
+        case 'url-encode':
+            return payload => encodeURIComponent(payload);
+        case 'url-encode-all':
+            return payload => Array.from(new TextEncoder().encode(payload), byte =>
+                '%' + byte.toString(16).toUpperCase().padStart(2, '0')).join('');
+        case 'base64-encode':
+            return payload => bytesToBase64(new TextEncoder().encode(payload));
+        case 'html-encode':
+            return payload => payload.replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+        case 'unicode-encode':
+            return payload => Array.from({ length: payload.length }, (_, i) =>
+                '\\u' + payload.charCodeAt(i).toString(16).padStart(4, '0')).join('');
+        case 'md5':
+            return payload => md5(payload);
+        case 'sha1':
+            return payload => sha1(payload);
+        case 'sha256':
+            return payload => sha256(payload);
+        case 'regex-replace': {
+            const regex = compileRegex(value, 'g');
+            return payload => payload.replace(regex, step.replacement || '');
+        }
+        case 'lowercase':
+            return payload => payload.toLowerCase();
+        case 'uppercase':
+            return payload => payload.toUpperCase();
+        case 'skip-if-matches': {
+            const regex = compileRegex(value, '');
+            return payload => regex.test(payload) ? null : payload;
+        }
+        default:
+            throw new Error(`Unknown processing step: ${step.type}`);
+    }
+}
+
+/**
+ * Compile a processing chain once, to run it on many payloads
+ * @param {Array<{type: string, value?: string, replacement?: string}>} steps
+ * @returns {Function} (payload) => {value: string, skipped: boolean}
+ * @throws {Error} On an invalid regex or unknown step
+ */
+export function compileProcessing(steps) {
+    const chain = (steps || []).map(compileStep);
+    return payload => {
+        let value = String(payload);
+        for (const apply of chain) {
+            const next = apply(value);
+            if (next === null) return { value, skipped: true };
+            value = next;
+        }
+        return { value, skipped: false };
+    };
+}
+
+/**
+ * Value after each step, for the processing preview. A broken step shows its
+ * error; the steps after a skip or an error have no value.
+ * @param {string} payload - Sample payload
+ * @param {Array<Object>} steps
+ * @returns {Array<{value: string|null, skipped: boolean, error: string|null}>}
+ */
+export function previewProcessing(payload, steps) {
+    let value = String(payload);
+    let stopped = false;
+    return (steps || []).map(step => {
+        if (stopped) return { value: null, skipped: false, error: null };
+        try {
+            const next = compileStep(step)(value);
+            if (next === null) {
+                stopped = true;
+                return { value, skipped: true, error: null };
+            }
+            value = next;
+            return { value, skipped: false, error: null };
+        } catch (error) {
+            stopped = true;
+            return { value: null, skipped: false, error: error.message };
+        }
+    });
+}
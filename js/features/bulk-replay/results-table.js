@@ -0,0 +1,397 @@
+// Bulk Results Table - Sortable, filterable rows with grep columns
+// Rows are kept by request index and hold only what the columns show (status,
+// size, words, lines, grep hits, simhash), never the response: when the grep
+// rules change, bodies are read again through `readResponses`. Only the rows
+// around the scroll position have elements; spacers stand in for the others.
+// Anomalies are re-checked against the baseline of all rows as results come in.
+import { escapeHtml } from '../../core/utils/dom.js';
+import { formatBytes } from '../../core/utils/format.js';
+import {
+    compileGrepRules,
+    getResultColumns,
+    getColumnValue,
+    sortAndFilterRows
+} from './results.js';
+import {
+    simhash,
+    createClusterIndex,
+    formatCluster,
+    computeBaseline,
+    findAnomalies
+} from './anomalies.js';
+
+const REFRESH_MS = 200;
+const ANALYSIS_MS = 500;
+const ROWS_PER_EXTRA_MS = 100; // Large runs are re-sorted and re-analyzed less often
+const MAX_CLUSTER_CHIPS = 20;
+const ROW_HEIGHT = 24; // Until a rendered row has been measured
+const OVERSCAN_ROWS = 20;
+const MIN_WINDOW_ROWS = 100; // While the table has no height (pane hidden)
+
+const FILTER_PLACEHOLDERS = {
+    number: '>100, 200-299',
+    boolean: 'yes / no',
+    text: 'contains'
+};
+
+function formatCell(row, column) {
+    const value = getColumnValue(row, column);
+    if (column.type === 'boolean') return value ? '&#10003;' : '';
+    switch (column.key) {
+        case 'status':
+            return escapeHtml(row.statusLabel || '');
+        case 'size':
+            return value === null ? '-' : formatBytes(value);
+        case 'time':
+            return escapeHtml(row.duration || '-');
+        case 'words':
+        case 'lines':
+            return value === null ? '-' : String(value);
+        case 'cluster':
+            return value === null ? '' : `#${value}`;
+        default:
+            return value === null ? '' : escapeHtml(String(value));
+    }
+}
+
+function cellTitle(row, column) {
+    if (column.key === 'payload') {
+        const encoded = (row.encodedPayloads || []).some((payload, k) => payload !== row.payloads[k]);
+        return encoded ? `Sent as: ${row.encodedPayloads.join(', ')}` : '';
+    }
+    if (column.key === 'status' && row.error) return row.error;
+    const anomalies = row.anomalies || [];
+    if (column.key === 'anomalies') return anomalies.map(a => a.message).join('\n');
+    const anomaly = anomalies.find(a => a.metric === column.key);
+    return anomaly ? anomaly.message : '';
+}
+
+function createSpacer() {
+    const tr = document.createElement('tr');
+    tr.className = 'bulk-spacer';
+    tr.appendChild(document.createElement('td'));
+    return tr;
+}
+
+/**
+ * Results table of a bulk attack
+ * @param {HTMLTableElement} table
+ * @param {Object} options
+ * @param {HTMLElement} [options.clusterSummary] - Filled with a button per cluster of responses
+ * @param {Function} options.onSelect - Called with (index) when a row is clicked
+ * @param {Function} options.onCompare - Called with (index) from a row's comparer button
+ * @param {Function} [options.readResponses] - async (visit) => void; calls visit(index, {headers, body})
+ *   for every stored response, and stops when visit returns false
+ * @returns {{reset: Function, setRow: Function, setRules: Function, getRow: Function, getVisibleIndexes: Function}}
+ */
+export function createResultsTable(table, { clusterSummary, onSelect, onCompare, readResponses }) {
+    const thead = table.querySelector('thead');
+    const tbody = table.querySelector('tbody');
+    const scroller = table.closest('.table-container') || table.parentElement;
+    const rows = new Map(); // index -> row
+    const elements = new Map(); // index -> <tr>, for the rendered rows only
+    const view = { sortKey: 'index', sortDir: 'asc', filters: {} };
+    const clusters = createClusterIndex();
+    const topSpacer = createSpacer();
+    const bottomSpacer = createSpacer();
+    let order = []; // Rows that pass the filters, in the order shown
+    let columns = getResultColumns([]);
+    let analyze = compileGrepRules([]);
+    let rulesVersion = 0;
+    let selectedIndex = null;
+    let rowHeight = ROW_HEIGHT;
+    let refreshTimer = null;
+    let analysisTimer = null;
+    let scrollFrame = null;
+
+    const isDefaultView = () => view.sortKey === 'index' && view.sortDir === 'asc' &&
+        !Object.values(view.filters).some(filter => String(filter).trim());
+
+    const delayFor = base => base + Math.floor(rows.size / ROWS_PER_EXTRA_MS);
+
+    function renderHeader() {
+        const titles = columns.map(column => {
+            const sorted = view.sortKey === column.key;
+            const arrow = sorted ? (view.sortDir === 'asc' ? ' &#9650;' : ' &#9660;') : '';
+            return `<th class="bulk-sortable" data-key="${escapeHtml(column.key)}" title="Sort by ${escapeHtml(column.label)}">${escapeHtml(column.label)}${arrow}</th>`;
+        }).join('');
+        const filters = columns.map(column => `
+            <th><input type="text" class="bulk-filter-input" data-key="${escapeHtml(column.key)}"
+                value="${escapeHtml(view.filters[column.key] || '')}" placeholder="${FILTER_PLACEHOLDERS[column.type]}"></th>
+        `).join('');
+        thead.innerHTML = `<tr>${titles}<th></th></tr><tr class="bulk-filter-row">${filters}<th></th></tr>`;
+    }
+
+    function renderRow(row) {
+        let tr = elements.get(row.index);
+        if (!tr) {
+            tr = document.createElement('tr');
+            tr.dataset.index = row.index;
+            elements.set(row.index, tr);
+        }
+        const anomalies = row.anomalies || [];
+        tr.classList.toggle('skipped', !!row.skipped);
+        tr.classList.toggle('anomaly', anomalies.length > 0);
+        tr.classList.toggle('selected', row.index === selectedIndex);
+        tr.innerHTML = columns.map(column => {
+            const title = cellTitle(row, column);
+            const flagged = anomalies.some(a => a.metric === column.key) ? ' bulk-anomaly' : '';
+            return `<td class="bulk-cell-${escapeHtml(column.key.replace(':', '-'))}${flagged}"${title ? ` title="${escapeHtml(title)}"` : ''}>${formatCell(row, column)}</td>`;
+        }).join('') + '<td><button class="bulk-compare-btn" title="Send to Comparer">&#8644;</button></td>';
+        return tr;
+    }
+
+    function setSpacer(spacer, height) {
+        const td = spacer.firstChild;
+        td.colSpan = columns.length + 1;
+        td.style.height = `${height}px`;
+        return height > 0;
+    }
+
+    // Render the rows around the scroll position; the others have no element
+    function renderWindow() {
+        const viewport = scroller ? scroller.clientHeight : 0;
+        const scrollTop = scroller ? scroller.scrollTop : 0;
+        const count = viewport > 0 ? Math.ceil(viewport / rowHeight) + 2 * OVERSCAN_ROWS : MIN_WINDOW_ROWS;
+        const first = Math.max(0, Math.min(Math.floor(scrollTop / rowHeight) - OVERSCAN_ROWS, order.length - count));
+        const last = Math.min(order.length, first + count);
+
+        const shown = new Set();
+        const fragment = document.createDocumentFragment();
+        if (setSpacer(topSpacer, first * rowHeight)) fragment.appendChild(topSpacer);
+        for (let k = first; k < last; k++) {
+            const row = order[k];
+            shown.add(row.index);
+            fragment.appendChild(elements.get(row.index) || renderRow(row));
+        }
+        if (setSpacer(bottomSpacer, (order.length - last) * rowHeight)) fragment.appendChild(bottomSpacer);
+        elements.forEach((tr, index) => {
+            if (!shown.has(index)) elements.delete(index);
+        });
+        tbody.replaceChildren(fragment);
+
+        const sample = elements.size ? elements.values().next().value : null;
+        if (sample && sample.offsetHeight > 0) rowHeight = sample.offsetHeight;
+    }
+
+    // Put the rows that pass the filters in order
+    function refresh() {
+        clearTimeout(refreshTimer);
+        refreshTimer = null;
+        order = sortAndFilterRows([...rows.values()], columns, view);
+        renderWindow();
+    }
+
+    function scheduleRefresh() {
+        if (!refreshTimer) refreshTimer = setTimeout(refresh, delayFor(REFRESH_MS));
+    }
+
+    // Where a new row goes in the default view (by request index)
+    function insertInOrder(row) {
+        let low = 0;
+        let high = order.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (order[middle].index < row.index) low = middle + 1;
+            else high = middle;
+        }
+        order.splice(low, 0, row);
+    }
+
+    function renderClusters() {
+        if (!clusterSummary) return;
+        const all = clusters.getClusters();
+        const active = String(view.filters.cluster || '').trim();
+        const chips = all.slice(0, MAX_CLUSTER_CHIPS).map(cluster => `
+            <button type="button" class="bulk-cluster-chip${active === String(cluster.id) ? ' active' : ''}"
+                data-cluster="${cluster.id}" title="Show cluster #${cluster.id} only">${escapeHtml(formatCluster(cluster))}</button>
+        `).join('');
+        const more = all.length > MAX_CLUSTER_CHIPS ? `<span class="bulk-cluster-more">+${all.length - MAX_CLUSTER_CHIPS} more</span>` : '';
+        clusterSummary.innerHTML = all.length ? `<span class="bulk-cluster-label">Clusters:</span>${chips}${more}` : '';
+    }
+
+    // Baseline of every response so far; only rows whose anomalies changed are redrawn
+    function runAnalysis() {
+        clearTimeout(analysisTimer);
+        analysisTimer = null;
+        const baseline = computeBaseline([...rows.values()]);
+        rows.forEach(row => {
+            const anomalies = findAnomalies(row, baseline);
+            const key = anomalies.map(a => a.message).join('|');
+            if (key === (row.anomalies || []).map(a => a.message).join('|')) return;
+            row.anomalies = anomalies;
+            if (elements.has(row.index)) renderRow(row);
+        });
+        renderClusters();
+        if (!isDefaultView()) refresh();
+    }
+
+    function scheduleAnalysis() {
+        if (!analysisTimer) analysisTimer = setTimeout(runAnalysis, delayFor(ANALYSIS_MS));
+    }
+
+    if (scroller) {
+        scroller.addEventListener('scroll', () => {
+            if (scrollFrame !== null) return;
+            scrollFrame = requestAnimationFrame(() => {
+                scrollFrame = null;
+                renderWindow();
+            });
+        });
+    }
+
+    thead.addEventListener('click', (e) => {
+        const th = e.target.closest('.bulk-sortable');
+        if (!th) return;
+        const key = th.dataset.key;
+        view.sortDir = view.sortKey === key && view.sortDir === 'asc' ? 'desc' : 'asc';
+        view.sortKey = key;
+        renderHeader();
+        refresh();
+    });
+
+    thead.addEventListener('input', (e) => {
+        if (!e.target.classList.contains('bulk-filter-input')) return;
+        view.filters[e.target.dataset.key] = e.target.value;
+        if (e.target.dataset.key === 'cluster') renderClusters();
+        refresh();
+    });
+
+    // A cluster button shows its responses only; pressing it again shows all
+    if (clusterSummary) {
+        clusterSummary.addEventListener('click', (e) => {
+            const chip = e.target.closest('.bulk-cluster-chip');
+            if (!chip) return;
+            const id = chip.dataset.cluster;
+            view.filters.cluster = String(view.filters.cluster || '').trim() === id ? '' : id;
+            renderHeader();
+            renderClusters();
+            refresh();
+        });
+    }
+
+    tbody.addEventListener('click', (e) => {
+        const tr = e.target.closest('tr[data-index]');
+        if (!tr) return;
+        const index = Number(tr.dataset.index);
+        if (e.target.closest('.bulk-compare-btn')) {
+            onCompare(index);
+            return;
+        }
+        tbody.querySelectorAll('tr.selected').forEach(r => r.classList.remove('selected'));
+        tr.classList.add('selected');
+        selectedIndex = index;
+        onSelect(index);
+    });
+
+    renderHeader();
+
+    return {
+        /** Remove every row (a new attack); sort, filters and rules stay */
+        reset() {
+            clearTimeout(refreshTimer);
+            clearTimeout(analysisTimer);
+            refreshTimer = null;
+            analysisTimer = null;
+            rulesVersion++; // Responses still being read belong to the old rows
+            rows.clear();
+            elements.clear();
+            order = [];
+            selectedIndex = null;
+            clusters.reset();
+            tbody.innerHTML = '';
+            renderClusters();
+        },
+
+        /**
+         * Add or update the row of a request
+         * @param {number} index
+         * @param {Object} data - {payloads, encodedPayloads, statusLabel, status, size, time, duration,
+         *   error, skipped, response: {headers, body}}; grep columns, words, lines and the cluster
+         *   come from `response` (which is not kept), or from `error` for a failed request
+         */
+        setRow(index, data) {
+            const isNew = !rows.has(index);
+            const { response, ...fields } = data;
+            const row = Object.assign(rows.get(index) || { index }, fields);
+            if (response) {
+                Object.assign(row, analyze(response));
+                row.simhash = simhash(response.body);
+            }
+            if ((response || data.error) && row.cluster === undefined) {
+                row.cluster = clusters.add({ status: row.status, simhash: row.simhash ?? null, size: row.size });
+                scheduleAnalysis();
+            }
+            rows.set(index, row);
+
+            if (!isDefaultView()) {
+                if (elements.has(index)) renderRow(row);
+                scheduleRefresh();
+                return;
+            }
+            if (!isNew) {
+                if (elements.has(index)) renderRow(row);
+                return;
+            }
+
+            // Keep following the latest rows while scrolled to the bottom
+            const following = !scroller ||
+                scroller.scrollTop + scroller.clientHeight >= scroller.scrollHeight - 2 * rowHeight;
+            insertInOrder(row);
+            renderWindow();
+            if (following && scroller) scroller.scrollTop = scroller.scrollHeight;
+        },
+
+        /**
+         * Change the grep rules and re-analyze every response, read again
+         * through `readResponses`
+         * @param {Array<Object>} rules
+         * @returns {Promise<void>} Once every response has been re-analyzed
+         * @throws {Error} On an invalid rule (nothing changes)
+         */
+        setRules(rules) {
+            analyze = compileGrepRules(rules);
+            columns = getResultColumns(rules);
+            const keys = new Set(columns.map(column => column.key));
+            Object.keys(view.filters).forEach(key => {
+                if (!keys.has(key)) delete view.filters[key];
+            });
+            if (!keys.has(view.sortKey)) {
+                view.sortKey = 'index';
+                view.sortDir = 'asc';
+            }
+            const version = ++rulesVersion;
+            rows.forEach(row => {
+                row.grep = {};
+            });
+            elements.clear();
+            renderHeader();
+            refresh();
+            if (!readResponses || rows.size === 0) return Promise.resolve();
+
+            return readResponses((index, response) => {
+                if (version !== rulesVersion) return false;
+                const row = rows.get(index);
+                if (!row) return true;
+                row.grep = analyze(response).grep;
+                if (elements.has(index)) renderRow(row);
+                return true;
+            }).then(() => {
+                if (version === rulesVersion && !isDefaultView()) refresh();
+            });
+        },
+
+        /**
+         * @param {number} index
+         * @returns {Object|undefined} The row's column values
+         */
+        getRow(index) {
+            return rows.get(index);
+        },
+
+        /** Request indexes in the order shown (rendered or not) */
+        getVisibleIndexes() {
+            return order.map(row => row.index);
+        }
+    };
+}
@@ -0,0 +1,324 @@
+// Bulk Replay Results - Grep rules, response analysis, sorting and filtering
+// Match rules flag responses containing a string or regex; extract rules pull
+// a value out with a regex group or JSONPath. Every rule is a column of the
+// results table next to status, size, words, lines, time, cluster and anomalies.
+// Full responses of the latest requests are kept in a bounded cache; older
+// ones are read back from the saved run when a row is selected.
+import { evaluateJsonPath } from '../../network/macros.js';
+
+const GREP_RULES_KEY = 'rep_bulk_grep_rules';
+
+let ruleCounter = 0;
+
+/**
+ * Fill in defaults for a grep rule
+ * @param {Object} rule
+ * @returns {{id: string, kind: 'match'|'extract', name: string, pattern: string, regex: boolean, caseSensitive: boolean, source: 'regex'|'jsonpath', expression: string}}
+ */
+export function normalizeGrepRule(rule = {}) {
+    const kind = rule.kind === 'extract' ? 'extract' : 'match';
+    return {
+        id: rule.id || `grep-${Date.now()}-${++ruleCounter}`,
+        kind,
+        name: String(rule.name || ''),
+        pattern: String(rule.pattern || ''),
+        regex: !!rule.regex,
+        caseSensitive: !!rule.caseSensitive,
+        source: rule.source === 'jsonpath' ? 'jsonpath' : 'regex',
+        expression: String(rule.expression || '')
+    };
+}
+
+/**
+ * Grep rules used for bulk results
+ * @returns {Array<Object>} See normalizeGrepRule
+ */
+export function getGrepRules() {
+    try {
+        const rules = JSON.parse(localStorage.getItem(GREP_RULES_KEY) || '[]');
+        return Array.isArray(rules) ? rules.map(normalizeGrepRule) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * @param {Array<Object>} rules - See normalizeGrepRule
+ */
+export function setGrepRules(rules) {
+    localStorage.setItem(GREP_RULES_KEY, JSON.stringify(rules.map(normalizeGrepRule)));
+}
+
+/**
+ * Column title of a rule
+ * @param {Object} rule
+ * @returns {string}
+ */
+export function getGrepRuleLabel(rule) {
+    if (rule.name) return rule.name;
+    return rule.kind === 'match' ? rule.pattern : rule.expression;
+}
+
+// One function per rule; a broken regex or JSONPath fails up front
+function compileRule(rule) {
+    if (rule.kind === 'match') {
+        if (rule.regex) {
+            let regex;
+            try {
+                regex = new RegExp(rule.pattern, rule.caseSensitive ? '' : 'i');
+            } catch (error) {
+                throw new Error(`Invalid pattern /${rule.pattern}/: ${error.message}`);
+            }
+            return ({ text }) => regex.test(text);
+        }
+        const needle = rule.caseSensitive ? rule.pattern : rule.pattern.toLowerCase();
+        return ({ text, lowerText }) => needle !== '' && (rule.caseSensitive ? text : lowerText()).includes(needle);
+    }
+
+    if (rule.source === 'jsonpath') {
+        evaluateJsonPath({}, rule.expression); // Throws on a malformed path
+        return ({ json }) => {
+            const data = json();
+            if (data === undefined) return null;
+            const value = evaluateJsonPath(data, rule.expression);
+            if (value === undefined || value === null) return null;
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        };
+    }
+
+    let regex;
+    try {
+        regex = new RegExp(rule.expression);
+    } catch (error) {
+        throw new Error(`Invalid pattern /${rule.expression}/: ${error.message}`);
+    }
+    return ({ text }) => {
+        const match = regex.exec(text);
+        if (!match) return null;
+        return match.length > 1 ? (match[1] ?? '') : match[0];
+    };
+}
+
+/**
+ * Compile grep rules once, to analyze many responses
+ * @param {Array<Object>} rules - See normalizeGrepRule
+ * @returns {Function} ({headers, body}) => {words, lines, grep: {[ruleId]: boolean|string|null}}
+ * @throws {Error} On an invalid regex or JSONPath
+ */
+export function compileGrepRules(rules) {
+    const compiled = rules.map(rule => {
+        try {
+            return { id: rule.id, test: compileRule(rule) };
+        } catch (error) {
+            throw new Error(`${getGrepRuleLabel(rule) || 'Rule'}: ${error.message}`);
+        }
+    });
+
+    return ({ headers, body }) => {
+        const bodyText = String(body || '');
+        // Match and regex rules see the headers and the body, like the raw response
+        const headerText = (headers || []).map(h => `${h.name}: ${h.value}`).join('\n');
+        const text = headerText ? `${headerText}\n\n${bodyText}` : bodyText;
+        let lower = null;
+        let parsed = null;
+        const input = {
+            text,
+            lowerText: () => (lower ??= text.toLowerCase()),
+            json: () => {
+                if (parsed === null) {
+                    try {
+                        parsed = { value: JSON.parse(bodyText) };
+                    } catch (e) {
+                        parsed = { value: undefined };
+                    }
+                }
+                return parsed.value;
+            }
+        };
+
+        const grep = {};
+        compiled.forEach(rule => {
+            grep[rule.id] = rule.test(input);
+        });
+        return { ...countWordsAndLines(bodyText), grep };
+    };
+}
+
+/**
+ * Word and line counts of a response body
+ * @param {string} body
+ * @returns {{words: number, lines: number}}
+ */
+export function countWordsAndLines(body) {
+    const text = String(body || '');
+    if (!text) return { words: 0, lines: 0 };
+    const words = (text.match(/\S+/g) || []).length;
+    const lines = text.split('\n').length - (text.endsWith('\n') ? 1 : 0);
+    return { words, lines };
+}
+
+/**
+ * Columns of the results table
+ * @param {Array<Object>} rules - Grep rules
+ * @returns {Array<{key: string, label: string, type: 'number'|'text'|'boolean', ruleId?: string}>}
+ */
+export function getResultColumns(rules) {
+    return [
+        { key: 'index', label: 'ID', type: 'number' },
+        { key: 'payload', label: 'Payload', type: 'text' },
+        { key: 'status', label: 'Status', type: 'number' },
+        { key: 'size', label: 'Size', type: 'number' },
+        { key: 'words', label: 'Words', type: 'number' },
+        { key: 'lines', label: 'Lines', type: 'number' },
+        { key: 'time', label: 'Time', type: 'number' },
+        { key: 'cluster', label: 'Cluster', type: 'number' },
+        { key: 'anomalies', label: 'Anomalies', type: 'text' },
+        ...rules.map(rule => ({
+            key: `grep:${rule.id}`,
+            label: getGrepRuleLabel(rule),
+            type: rule.kind === 'match' ? 'boolean' : 'text',
+            ruleId: rule.id
+        }))
+    ];
+}
+
+/**
+ * Value of a column for a results row
+ * @param {Object} row - {index, payloads, status, size, words, lines, time, cluster, anomalies, grep}
+ * @param {Object} column - See getResultColumns
+ * @returns {*} null when there is no value yet
+ */
+export function getColumnValue(row, column) {
+    if (column.ruleId) {
+        const value = row.grep ? row.grep[column.ruleId] : undefined;
+        return value === undefined ? null : value;
+    }
+    switch (column.key) {
+        case 'index':
+            return row.index + 1;
+        case 'payload':
+            return (row.payloads || []).join(', ');
+        case 'anomalies':
+            return row.anomalies && row.anomalies.length ? row.anomalies.map(a => a.metric).join(', ') : null;
+        default:
+            return row[column.key] ?? null;
+    }
+}
+
+const NUMBER_TERM = /^(>=|<=|!=|>|<|=)?\s*(-?\d+(?:\.\d+)?)$/;
+const RANGE_TERM = /^(-?\d+(?:\.\d+)?)\s*-\s*(-?\d+(?:\.\d+)?)$/;
+
+function matchesNumberTerm(value, term) {
+    const range = RANGE_TERM.exec(term);
+    if (range) return typeof value === 'number' && value >= Number(range[1]) && value <= Number(range[2]);
+    const compare = NUMBER_TERM.exec(term);
+    if (compare && typeof value === 'number') {
+        const number = Number(compare[2]);
+        switch (compare[1]) {
+            case '>': return value > number;
+            case '<': return value < number;
+            case '>=': return value >= number;
+            case '<=': return value <= number;
+            case '!=': return value !== number;
+            default: return value === number;
+        }
+    }
+    // Text such as "Error" or "Skipped" in a number column
+    return value !== null && String(value).toLowerCase().includes(term.toLowerCase());
+}
+
+/**
+ * Whether a value passes a column filter. Numbers take `404`, `>1000`,
+ * `200-299` or a comma-separated list; booleans take yes/no; text is a
+ * case-insensitive substring. A leading `!` negates any filter.
+ * @param {*} value
+ * @param {string} filter
+ * @param {'number'|'text'|'boolean'} type
+ * @returns {boolean}
+ */
+export function matchesFilter(value, filter, type) {
+    let text = String(filter || '').trim();
+    if (!text) return true;
+    let negate = false;
+    if (text.startsWith('!') && !text.startsWith('!=')) {
+        negate = true;
+        text = text.slice(1).trim();
+    }
+
+    let matched;
+    if (type === 'boolean') {
+        const wanted = /^(y|yes|true|1|✓)$/i.test(text);
+        matched = (value === true) === wanted;
+    } else if (type === 'number') {
+        matched = text.split(',').map(term => term.trim()).filter(Boolean).some(term => matchesNumberTerm(value, term));
+    } else {
+        matched = value !== null && String(value).toLowerCase().includes(text.toLowerCase());
+    }
+    return negate ? !matched : matched;
+}
+
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === null) return 1;
+    if (b === null) return -1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'number') return -1;
+    if (typeof b === 'number') return 1;
+    if (typeof a === 'boolean') return a ? -1 : 1;
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+/**
+ * Rows that pass every filter, sorted. Rows without a value for the sort
+ * column go last in both directions.
+ * @param {Array<Object>} rows
+ * @param {Array<Object>} columns - See getResultColumns
+ * @param {{sortKey?: string, sortDir?: 'asc'|'desc', filters?: Object<string, string>}} view
+ * @returns {Array<Object>}
+ */
+export function sortAndFilterRows(rows, columns, { sortKey = 'index', sortDir = 'asc', filters = {} } = {}) {
+    const active = columns.filter(column => String(filters[column.key] || '').trim());
+    const visible = rows.filter(row => active.every(column =>
+        matchesFilter(getColumnValue(row, column), filters[column.key], column.type)));
+
+    const sortColumn = columns.find(column => column.key === sortKey);
+    if (!sortColumn) return visible;
+    const direction = sortDir === 'desc' ? -1 : 1;
+    return visible
+        .map((row, position) => ({ row, position, value: getColumnValue(row, sortColumn) }))
+        .sort((a, b) => {
+            if (a.value === null || b.value === null) {
+                return compareValues(a.value, b.value) || a.position - b.position;
+            }
+            return (compareValues(a.value, b.value) * direction) || a.position - b.position;
+        })
+        .map(item => item.row);
+}
+
+/**
+ * The `limit` most recently added results, by request index
+ * @param {number} limit
+ * @returns {{get: Function, set: Function, forEach: Function, clear: Function}}
+ */
+export function createResultCache(limit) {
+    const results = new Map(); // Oldest first
+
+    return {
+        get: index => results.get(index),
+
+        set(index, result) {
+            results.delete(index);
+            results.set(index, result);
+            if (results.size > limit) results.delete(results.keys().next().value);
+        },
+
+        /** @param {Function} fn - (result, index) => void, oldest first */
+        forEach(fn) {
+            results.forEach(fn);
+        },
+
+        clear() {
+            results.clear();
+        }
+    };
+}
@@ -0,0 +1,164 @@
+// Saved Attacks - Named bulk configs and checkpoints of runs
+// A setup is everything the config modal holds: attack type, the payload
+// config of each position and of the shared (battering ram) set, and the
+// request engine settings. Runs save their results as they complete, so a
+// stopped or crashed run resumes after its last completed request. A running
+// run also records the panel that owns it and a heartbeat, so a run still
+// going on in another panel is never resumed a second time.
+import { normalizeSchedule } from './scheduler.js';
+
+export const DRAFT_CONFIG_ID = 'draft'; // Setup of the modal when it last closed
+export const MAX_SAVED_RUNS = 5;
+
+const ATTACK_TYPES = {
+    'sniper': 'Sniper',
+    'battering-ram': 'Battering Ram',
+    'pitchfork': 'Pitchfork',
+    'cluster-bomb': 'Cluster Bomb'
+};
+
+const FLUSH_MS = 1000;
+export const RUN_HEARTBEAT_MS = 5000; // A running run is saved at least this often
+export const RUN_STALE_MS = 20000; // Running with no heartbeat for this long: its panel is gone
+
+// Only the fields of a payload config (see readPayloadConfig), as plain data.
+// Configs saved before payloads were encoded have no encoding: they keep
+// sending payloads raw.
+function normalizePayloadConfig(config = {}) {
+    const { index, originalValue, context, ...rest } = config;
+    return {
+        type: 'simple-list',
+        ...JSON.parse(JSON.stringify(rest)),
+        processing: Array.isArray(config.processing) ? config.processing : [],
+        encoding: config.encoding || 'none'
+    };
+}
+
+/**
+ * Fill in defaults for a setup of the config modal
+ * @param {Object} [setup] - {attackType, positions, shared, schedule}
+ * @returns {{attackType: string, positions: Array<Object>, shared: Object, schedule: Object}}
+ */
+export function normalizeAttackSetup(setup = {}) {
+    return {
+        attackType: ATTACK_TYPES[setup.attackType] ? setup.attackType : 'sniper',
+        positions: (setup.positions || []).map(normalizePayloadConfig),
+        shared: normalizePayloadConfig(setup.shared),
+        schedule: normalizeSchedule(setup.schedule)
+    };
+}
+
+/**
+ * Payload config of every § position of a template for a setup
+ * @param {string} template - Raw request with § markers
+ * @param {Object} setup - See normalizeAttackSetup
+ * @param {Array<Object>} [contexts] - Detected context of each position
+ * @returns {Array<Object>} Position configs for createAttack
+ */
+export function buildPositionConfigs(template, setup, contexts = []) {
+    const matches = String(template || '').match(/§[\s\S]*?§/g) || [];
+    return matches.map((match, index) => ({
+        index,
+        originalValue: match.replace(/§/g, ''),
+        context: contexts[index] || null,
+        ...normalizePayloadConfig(setup.attackType === 'battering-ram' ? setup.shared : setup.positions[index])
+    }));
+}
+
+/**
+ * One-line summary of a run, e.g. "Cluster Bomb · POST /login · 1200/5000 · stopped"
+ * @param {Object} run
+ * @returns {string}
+ */
+export function describeRun(run) {
+    const requestLine = String(run.template || '').split('\n')[0].trim().split(/\s+/).slice(0, 2).join(' ');
+    const when = new Date(run.updatedAt || run.startedAt || 0).toLocaleString();
+    const status = run.status === 'running' ? 'interrupted' : run.status;
+    const type = ATTACK_TYPES[run.setup && run.setup.attackType] || 'Attack';
+    return `${when} · ${type} · ${requestLine} · ${run.completed}/${run.total} · ${status}`;
+}
+
+/**
+ * Whether a run can be resumed: stopped, or marked running by a panel that
+ * went away without stopping it. Runs going on in this panel or another one
+ * (heartbeat within RUN_STALE_MS) cannot.
+ * @param {Object} run
+ * @param {string} sessionId - Id of this panel
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isRunResumable(run, sessionId, now = Date.now()) {
+    if (run.status === 'stopped') return true;
+    if (run.status !== 'running' || run.owner === sessionId) return false;
+    return now - (run.heartbeatAt || run.updatedAt || 0) > RUN_STALE_MS;
+}
+
+/**
+ * Keeps a run record up to date and saves it with the new results at most
+ * once per `flushMs`, and at least once per `heartbeatMs` until it finishes
+ * (while paused too). `nextIndex` is the first request not done yet: requests
+ * finish out of order with concurrency, so a resume starts there and skips
+ * the ones after it that are already saved.
+ * @param {Object} run - Run record; `nextIndex` and `completed` are updated in place
+ * @param {Object} options
+ * @param {Function} options.save - (run, results) => Promise, see saveAttackRun
+ * @param {Iterable<number>} [options.doneIndexes] - Saved results at or after run.nextIndex
+ * @param {number} [options.flushMs]
+ * @param {number} [options.heartbeatMs]
+ * @returns {{record: Function, finish: Function, flush: Function}}
+ */
+export function createRunRecorder(run, { save, doneIndexes = [], flushMs = FLUSH_MS, heartbeatMs = RUN_HEARTBEAT_MS }) {
+    const done = new Set([...doneIndexes].filter(index => index >= run.nextIndex));
+    let pending = [];
+    let timer = null;
+    let saving = Promise.resolve();
+    const heartbeat = setInterval(() => flush(), heartbeatMs);
+
+    const advance = () => {
+        while (done.has(run.nextIndex)) {
+            done.delete(run.nextIndex);
+            run.nextIndex++;
+        }
+    };
+    advance();
+
+    function flush() {
+        clearTimeout(timer);
+        timer = null;
+        const results = pending;
+        pending = [];
+        const now = Date.now();
+        const snapshot = { ...run, updatedAt: now, heartbeatAt: now };
+        saving = saving
+            .then(() => save(snapshot, results))
+            .catch(error => console.error('Failed to save bulk run:', error));
+        return saving;
+    }
+
+    return {
+        /**
+         * A request finished
+         * @param {number} index
+         * @param {Object} entry - {payloads, encodedPayloads, result, statusLabel, skipped}
+         */
+        record(index, entry) {
+            pending.push({ ...entry, index });
+            done.add(index);
+            run.completed++;
+            advance();
+            if (!timer) timer = setTimeout(flush, flushMs);
+        },
+
+        /**
+         * Save the final state of the run
+         * @param {'done'|'stopped'|'running'} status - running when only paused
+         */
+        finish(status) {
+            clearInterval(heartbeat);
+            run.status = status;
+            return flush();
+        },
+
+        flush
+    };
+}
@@ -0,0 +1,216 @@
+// Bulk Replay Scheduler - Concurrency, throttling and backoff for attacks
+// Workers take requests in order. Starts are spaced globally by the fixed delay
+// plus a random jitter, and by the requests-per-second cap. A 429 pushes the
+// next start of every worker back by Retry-After (or an exponential backoff);
+// network errors, timeouts, 429 and 503 are retried up to the retry count.
+import { getRetryDelay, isRetryableResponse, isNetworkError } from '../../network/send-policy.js';
+
+const SCHEDULE_KEY = 'rep_bulk_schedule';
+const POLL_MS = 100;
+const MAX_CONCURRENCY = 50;
+const MAX_RETRIES = 10;
+
+export const DEFAULT_SCHEDULE = {
+    concurrency: 1,
+    delayMs: 0,
+    jitterMs: 0,
+    maxRps: 0,
+    maxRetries: 0
+};
+
+function clampInt(value, min, max, fallback) {
+    const number = Math.floor(Number(value));
+    if (!Number.isFinite(number)) return fallback;
+    return Math.min(Math.max(number, min), max);
+}
+
+/**
+ * Fill in defaults and clamp a schedule
+ * @param {Object} [schedule]
+ * @returns {{concurrency: number, delayMs: number, jitterMs: number, maxRps: number, maxRetries: number}}
+ */
+export function normalizeSchedule(schedule = {}) {
+    const maxRps = Number(schedule.maxRps);
+    return {
+        concurrency: clampInt(schedule.concurrency, 1, MAX_CONCURRENCY, DEFAULT_SCHEDULE.concurrency),
+        delayMs: clampInt(schedule.delayMs, 0, Infinity, DEFAULT_SCHEDULE.delayMs),
+        jitterMs: clampInt(schedule.jitterMs, 0, Infinity, DEFAULT_SCHEDULE.jitterMs),
+        maxRps: Number.isFinite(maxRps) && maxRps > 0 ? maxRps : 0,
+        maxRetries: clampInt(schedule.maxRetries, 0, MAX_RETRIES, DEFAULT_SCHEDULE.maxRetries)
+    };
+}
+
+/**
+ * Schedule last used for bulk replay
+ * @returns {Object} See normalizeSchedule
+ */
+export function getBulkSchedule() {
+    try {
+        return normalizeSchedule(JSON.parse(localStorage.getItem(SCHEDULE_KEY) || '{}'));
+    } catch (e) {
+        return { ...DEFAULT_SCHEDULE };
+    }
+}
+
+/**
+ * @param {Object} schedule - See normalizeSchedule
+ */
+export function setBulkSchedule(schedule) {
+    localStorage.setItem(SCHEDULE_KEY, JSON.stringify(normalizeSchedule(schedule)));
+}
+
+/**
+ * Time between two request starts
+ * @param {Object} schedule - Normalized schedule
+ * @param {Function} [random=Math.random]
+ * @returns {number} Milliseconds
+ */
+export function getStartGap(schedule, random = Math.random) {
+    const delay = schedule.delayMs + random() * schedule.jitterMs;
+    const rateGap = schedule.maxRps > 0 ? 1000 / schedule.maxRps : 0;
+    return Math.max(delay, rateGap);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run `total` sends under a schedule. Pause and stop are polled, so they take
+ * effect between requests, during waits and on requests in flight: those are
+ * aborted through their signal. A request aborted by a pause is sent again on
+ * resume; after a stop, requests that were in flight are dropped unreported.
+ * @param {number} total - Number of requests
+ * @param {Function} send - Called with (index, attempt, signal); resolves to a response ({status, headers})
+ * @param {Object} [options] - Schedule (see normalizeSchedule) plus:
+ * @param {number} [options.startIndex=0] - First request to send (to resume an attack)
+ * @param {Function} [options.shouldPause] - Polled; true holds new requests
+ * @param {Function} [options.shouldStop] - Polled; true ends the run
+ * @param {Function} [options.skip] - Called with (index); true finishes the request without sending or waiting
+ * @param {Function} [options.onStart] - Called with (index, attempt) before each attempt
+ * @param {Function} [options.onRetryWait] - Called with (index, delayMs, reason) before a retry
+ * @param {Function} [options.onDone] - Called with (index, {result, error, attempts, skipped}) when a request is finished
+ * @param {Function} [options.random] - Jitter source (Math.random)
+ * @returns {Promise<{completed: number, stopped: boolean}>}
+ */
+export async function runBulkSchedule(total, send, options = {}) {
+    const schedule = normalizeSchedule(options);
+    const {
+        shouldPause = () => false,
+        shouldStop = () => false,
+        skip = () => false,
+        onStart,
+        onRetryWait,
+        onDone,
+        random = Math.random
+    } = options;
+
+    const startIndex = clampInt(options.startIndex, 0, total, 0);
+    let nextIndex = startIndex;
+    let nextStart = 0; // Earliest start time of the next request (any worker)
+    let completed = 0;
+
+    // Wait in short steps so stop is noticed; false when stopped
+    const wait = async (ms) => {
+        const until = Date.now() + ms;
+        while (!shouldStop() && Date.now() < until) {
+            await sleep(Math.min(POLL_MS, until - Date.now()));
+        }
+        return !shouldStop();
+    };
+
+    const waitWhilePaused = async () => {
+        while (shouldPause() && !shouldStop()) await sleep(POLL_MS);
+        return !shouldStop();
+    };
+
+    // Reserve the next start slot and wait for it
+    const waitForTurn = async () => {
+        if (!await waitWhilePaused()) return false;
+        const now = Date.now();
+        const start = Math.max(now, nextStart);
+        nextStart = start + getStartGap(schedule, random);
+        if (!await wait(start - now)) return false;
+        return waitWhilePaused();
+    };
+
+    const backOff = (ms) => {
+        nextStart = Math.max(nextStart, Date.now() + ms);
+    };
+
+    // One attempt, aborted as soon as the run is paused or stopped
+    const sendAttempt = async (index, attempt) => {
+        const controller = new AbortController();
+        const watch = setInterval(() => {
+            if (shouldPause() || shouldStop()) controller.abort();
+        }, POLL_MS);
+        try {
+            return { result: await send(index, attempt, controller.signal) };
+        } catch (error) {
+            return { error, aborted: controller.signal.aborted };
+        } finally {
+            clearInterval(watch);
+        }
+    };
+
+    const runOne = async (index) => {
+        if (skip(index)) {
+            completed++;
+            if (onDone) onDone(index, { result: null, error: null, attempts: 0, skipped: true });
+            return;
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            if (!await waitForTurn()) return;
+            if (onStart) onStart(index, attempt);
+
+            const { result, error, aborted } = await sendAttempt(index, attempt);
+            // Stopped while in flight: the result no longer belongs to the run
+            if (shouldStop()) return;
+
+            if (error) {
+                if (aborted) {
+                    // Paused while in flight: the same attempt goes again on resume
+                    attempt--;
+                    continue;
+                }
+                if (attempt > schedule.maxRetries || !isNetworkError(error)) {
+                    completed++;
+                    if (onDone) onDone(index, { result: null, error, attempts: attempt, skipped: false });
+                    return;
+                }
+                const delay = getRetryDelay(attempt);
+                if (onRetryWait) onRetryWait(index, delay, error.message);
+                if (!await wait(delay)) return;
+                continue;
+            }
+
+            // Rate limited: every worker slows down, not just this one
+            const rateLimited = Number(result.status) === 429;
+            const delay = isRetryableResponse(result) ? getRetryDelay(attempt, result) : 0;
+            if (rateLimited) backOff(delay);
+
+            if (attempt <= schedule.maxRetries && isRetryableResponse(result)) {
+                if (onRetryWait) onRetryWait(index, delay, `${result.status} ${result.statusText || ''}`.trim());
+                if (!rateLimited && !await wait(delay)) return;
+                continue;
+            }
+
+            completed++;
+            if (onDone) onDone(index, { result, error: null, attempts: attempt, skipped: false });
+            return;
+        }
+    };
+
+    const worker = async () => {
+        while (nextIndex < total && !shouldStop()) {
+            await runOne(nextIndex++);
+        }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(schedule.concurrency, total - startIndex); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    return { completed, stopped: completed < total - startIndex };
+}
@@ -0,0 +1,131 @@
+// Comparer Engine - Side-by-side, word-level diff of two texts
+// Lines are aligned with the Diff library's line diff; a removed block followed
+// by an added block is paired line by line and each pair is diffed by words.
+import { escapeHtml } from '../../core/utils/dom.js';
+
+function splitLines(value) {
+    const lines = value.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Word-level diff of two lines
+ * @param {string} left
+ * @param {string} right
+ * @returns {{left: Array<{text: string, changed: boolean}>, right: Array<{text: string, changed: boolean}>}}
+ */
+export function diffLineWords(left, right) {
+    const segments = { left: [], right: [] };
+    Diff.diffWordsWithSpace(left, right).forEach(part => {
+        if (!part.added) segments.left.push({ text: part.value, changed: !!part.removed });
+        if (!part.removed) segments.right.push({ text: part.value, changed: !!part.added });
+    });
+    return segments;
+}
+
+/**
+ * Align two texts line by line for a side-by-side view. Both sides get the
+ * same number of rows; a side is null where the other one has an extra line.
+ * @param {string} leftText
+ * @param {string} rightText
+ * @returns {{rows: Array<{left: Object|null, right: Object|null}>, stats: {changed: number, added: number, removed: number}}}
+ *   Sides are {no, type: 'same'|'changed'|'removed'|'added', segments: [{text, changed}]}
+ */
+export function compareTexts(leftText, rightText) {
+    // A last line without its newline would not match the same line with one
+    const normalize = text => String(text || '').replace(/\r\n/g, '\n').replace(/([^\n])$/, '$1\n');
+    const parts = Diff.diffLines(normalize(leftText), normalize(rightText));
+    const rows = [];
+    const stats = { changed: 0, added: 0, removed: 0 };
+    let leftNo = 0;
+    let rightNo = 0;
+
+    const side = (no, type, text) => ({ no, type, segments: [{ text, changed: type !== 'same' }] });
+
+    for (let i = 0; i < parts.length; i++) {
+        const part = parts[i];
+        const lines = splitLines(part.value);
+
+        if (!part.added && !part.removed) {
+            lines.forEach(line => rows.push({
+                left: side(++leftNo, 'same', line),
+                right: side(++rightNo, 'same', line)
+            }));
+            continue;
+        }
+
+        // Pair a removed block with the added block right after it
+        let removed = part.removed ? lines : [];
+        let added = part.added ? lines : [];
+        if (part.removed && parts[i + 1] && parts[i + 1].added) {
+            added = splitLines(parts[++i].value);
+        }
+
+        for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+            if (k < removed.length && k < added.length) {
+                const words = diffLineWords(removed[k], added[k]);
+                rows.push({
+                    left: { no: ++leftNo, type: 'changed', segments: words.left },
+                    right: { no: ++rightNo, type: 'changed', segments: words.right }
+                });
+                stats.changed++;
+            } else if (k < removed.length) {
+                rows.push({ left: side(++leftNo, 'removed', removed[k]), right: null });
+                stats.removed++;
+            } else {
+                rows.push({ left: null, right: side(++rightNo, 'added', added[k]) });
+                stats.added++;
+            }
+        }
+    }
+
+    return { rows, stats };
+}
+
+/**
+ * Render one side of compareTexts() rows as HTML
+ * @param {Array<Object>} rows
+ * @param {'left'|'right'} which
+ * @returns {string}
+ */
+export function renderComparerSide(rows, which) {
+    return rows.map(row => {
+        const line = row[which];
+        if (!line) return '<div class="comparer-line comparer-filler">&nbsp;</div>';
+        const text = line.segments.map(segment => (segment.changed && line.type === 'changed')
+            ? `<span class="comparer-word-${which === 'left' ? 'removed' : 'added'}">${escapeHtml(segment.text)}</span>`
+            : escapeHtml(segment.text)
+        ).join('');
+        return `<div class="comparer-line comparer-${line.type}"><span class="comparer-line-no">${line.no}</span><span class="comparer-line-text">${text || '&nbsp;'}</span></div>`;
+    }).join('');
+}
+
+/**
+ * Keep the scroll position of two panes in step (both directions)
+ * @param {HTMLElement} first
+ * @param {HTMLElement} second
+ * @returns {Function} Removes the listeners
+ */
+export function syncScroll(first, second) {
+    let echo = null; // Pane whose next scroll event comes from our own update
+    const follow = (source, target) => () => {
+        if (echo === source) {
+            echo = null;
+            return;
+        }
+        const { scrollTop, scrollLeft } = target;
+        target.scrollTop = source.scrollTop;
+        target.scrollLeft = source.scrollLeft;
+        // A pane that could not move (narrower content) fires no event
+        if (target.scrollTop !== scrollTop || target.scrollLeft !== scrollLeft) echo = target;
+    };
+    const onFirst = follow(first, second);
+    const onSecond = follow(second, first);
+    first.addEventListener('scroll', onFirst);
+    second.addEventListener('scroll', onSecond);
+    return () => {
+        first.removeEventListener('scroll', onFirst);
+        second.removeEventListener('scroll', onSecond);
+    };
+}
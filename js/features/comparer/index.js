@@ -0,0 +1,180 @@
+// Comparer Feature - Compare any two requests or responses side by side
+// Items come from the request list (right-click), bulk replay results and the
+// response history of the request in the editor (every send is recorded).
+import { state, actions } from '../../core/state.js';
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { escapeHtml } from '../../core/utils/dom.js';
+import { buildRawRequest, buildRawResponse } from '../../ui/request-editor.js';
+import { addRequestMenuItem } from '../../ui/request-context-menu.js';
+import { compareTexts, renderComparerSide, syncScroll } from './engine.js';
+
+let modal = null;
+let leftId = '';
+let rightId = '';
+let view = 'response';
+
+/**
+ * Response history key of what the editor shows: a Repeater tab or a captured request
+ * @returns {string}
+ */
+function currentHistoryKey() {
+    if (state.activeRepeaterTabId) return `tab:${state.activeRepeaterTabId}`;
+    const index = state.requests.indexOf(state.selectedRequest);
+    return index === -1 ? 'editor' : `request:${index}`;
+}
+
+function currentHistory() {
+    return state.responseHistory[currentHistoryKey()] || [];
+}
+
+function findItem(id) {
+    return state.comparerItems.find(item => item.id === id) ||
+        currentHistory().find(item => item.id === id) ||
+        null;
+}
+
+function renderSelect(select, selectedId) {
+    const option = item =>
+        `<option value="${escapeHtml(item.id)}" ${item.id === selectedId ? 'selected' : ''}>${escapeHtml(item.label)}</option>`;
+    const history = currentHistory();
+    select.innerHTML = '<option value="">Pick an item...</option>' +
+        (state.comparerItems.length
+            ? `<optgroup label="Sent to Comparer">${state.comparerItems.map(option).join('')}</optgroup>`
+            : '') +
+        (history.length
+            ? `<optgroup label="Response history of this request">${history.map(option).join('')}</optgroup>`
+            : '');
+}
+
+function renderComparison() {
+    const leftPane = document.getElementById('comparer-left-pane');
+    const rightPane = document.getElementById('comparer-right-pane');
+    const summary = document.getElementById('comparer-summary');
+    const left = findItem(leftId);
+    const right = findItem(rightId);
+
+    document.getElementById('comparer-left-title').textContent = left ? left.label : '';
+    document.getElementById('comparer-right-title').textContent = right ? right.label : '';
+
+    if (!left || !right) {
+        leftPane.innerHTML = '<div class="rules-empty">Pick two items to compare.</div>';
+        rightPane.innerHTML = '';
+        summary.textContent = '';
+        return;
+    }
+
+    const { rows, stats } = compareTexts(left[view], right[view]);
+    leftPane.innerHTML = renderComparerSide(rows, 'left');
+    rightPane.innerHTML = renderComparerSide(rows, 'right');
+    summary.textContent = stats.changed + stats.added + stats.removed === 0
+        ? 'No differences'
+        : `${stats.changed} changed · ${stats.removed} only left · ${stats.added} only right`;
+}
+
+function renderModal() {
+    // Drop selections that no longer exist (cleared items, other request)
+    if (!findItem(leftId)) leftId = '';
+    if (!findItem(rightId)) rightId = '';
+
+    // Default to the last two responses of the request in the editor
+    const history = currentHistory();
+    if (!leftId && !rightId && history.length >= 2) {
+        leftId = history[history.length - 2].id;
+        rightId = history[history.length - 1].id;
+    }
+
+    renderSelect(document.getElementById('comparer-left-select'), leftId);
+    renderSelect(document.getElementById('comparer-right-select'), rightId);
+    modal.querySelectorAll('.comparer-view-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.view === view);
+    });
+    renderComparison();
+}
+
+function openModal() {
+    renderModal();
+    modal.style.display = 'block';
+}
+
+/**
+ * Add an item to the Comparer and show it next to the previous one
+ * @param {{label: string, source: string, request: string, response: string}} item
+ */
+export function sendToComparer(item) {
+    if (!modal) return;
+    const added = actions.comparer.add(item);
+    if (!findItem(leftId)) {
+        leftId = added.id;
+    } else if (!findItem(rightId)) {
+        rightId = added.id;
+    } else {
+        leftId = rightId;
+        rightId = added.id;
+    }
+    openModal();
+}
+
+export function initComparer() {
+    const comparerBtn = document.getElementById('comparer-btn');
+    modal = document.getElementById('comparer-modal');
+    if (!comparerBtn || !modal) {
+        modal = null;
+        return;
+    }
+
+    const leftSelect = document.getElementById('comparer-left-select');
+    const rightSelect = document.getElementById('comparer-right-select');
+
+    addRequestMenuItem('Send to Comparer', (request, index) => {
+        const urlObj = new URL(request.request.url);
+        sendToComparer({
+            label: `#${index + 1} ${request.request.method} ${urlObj.pathname}${urlObj.search}`,
+            source: 'request',
+            request: buildRawRequest(request),
+            response: buildRawResponse(request)
+        });
+    });
+
+    events.on(EVENT_NAMES.EDITOR_RESPONSE_RECEIVED, ({ request, response, status }) => {
+        actions.comparer.recordResponse(currentHistoryKey(), {
+            label: `${status || 'Response'} at ${new Date().toLocaleTimeString()}`,
+            request,
+            response
+        });
+    });
+
+    const refresh = () => {
+        if (modal.style.display === 'block') renderModal();
+    };
+    events.on(EVENT_NAMES.COMPARER_UPDATED, refresh);
+    events.on(EVENT_NAMES.RESPONSE_HISTORY_UPDATED, refresh);
+
+    comparerBtn.addEventListener('click', openModal);
+
+    leftSelect.addEventListener('change', () => {
+        leftId = leftSelect.value;
+        renderComparison();
+    });
+    rightSelect.addEventListener('change', () => {
+        rightId = rightSelect.value;
+        renderComparison();
+    });
+
+    document.getElementById('comparer-swap-btn').addEventListener('click', () => {
+        [leftId, rightId] = [rightId, leftId];
+        renderModal();
+    });
+
+    document.getElementById('comparer-clear-btn').addEventListener('click', () => {
+        actions.comparer.clear();
+    });
+
+    modal.querySelectorAll('.comparer-view-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            view = tab.dataset.view;
+            renderModal();
+        });
+    });
+
+    syncScroll(document.getElementById('comparer-left-pane'), document.getElementById('comparer-right-pane'));
+}
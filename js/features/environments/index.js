@@ -0,0 +1,216 @@
+// Environments Feature - Named sets of {{variables}} for the request editor
+// Substitution itself happens in parseRequest (send), bulk replay and Copy as;
+// this module manages the environments and flags placeholders that have no value.
+import { state, actions } from '../../core/state.js';
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { escapeHtml } from '../../core/utils/dom.js';
+import { applyEnvironment } from '../../core/utils/templating.js';
+import { registerProjectSection, toStorable } from '../../core/storage/project-sections.js';
+
+const CHECK_DELAY_MS = 300;
+
+// Environments are saved per project along with the one that was active
+registerProjectSection('environments', {
+    serialize() {
+        return toStorable({
+            environments: state.environments,
+            activeId: state.activeEnvironmentId
+        });
+    },
+    restore(data) {
+        actions.environment.setAll(data ? data.environments : [], data ? data.activeId : null);
+    }
+});
+
+function renderEnvironmentSelect(select) {
+    if (!select) return;
+    select.innerHTML = '<option value="">No environment</option>' + state.environments.map(env =>
+        `<option value="${escapeHtml(env.id)}">${escapeHtml(env.name)}</option>`
+    ).join('');
+    select.value = state.activeEnvironmentId || '';
+}
+
+function renderVariables(container, environment) {
+    if (!container) return;
+    if (!environment) {
+        container.innerHTML = '<div class="rules-empty">No environments yet. Create one to add variables.</div>';
+        return;
+    }
+    if (environment.variables.length === 0) {
+        container.innerHTML = '<div class="rules-empty">No variables.</div>';
+        return;
+    }
+
+    container.innerHTML = environment.variables.map((variable, index) => `
+        <div class="rule-row env-variable-row ${variable.enabled === false ? 'disabled' : ''}" data-index="${index}">
+            <input type="checkbox" class="env-variable-enabled" ${variable.enabled === false ? '' : 'checked'} title="Enable variable">
+            <input type="text" class="form-control env-variable-key" value="${escapeHtml(variable.key)}" placeholder="name">
+            <input type="text" class="form-control env-variable-value" value="${escapeHtml(variable.value)}" placeholder="value">
+            <button class="secondary-btn rule-delete" title="Delete variable">&times;</button>
+        </div>
+    `).join('');
+}
+
+function readVariables(container) {
+    return Array.from(container.querySelectorAll('.env-variable-row')).map(row => ({
+        key: row.querySelector('.env-variable-key').value.trim(),
+        value: row.querySelector('.env-variable-value').value,
+        enabled: row.querySelector('.env-variable-enabled').checked
+    }));
+}
+
+/**
+ * Show which {{placeholders}} in the editor have no value in the active environment
+ * @param {HTMLElement} badge
+ */
+function updateUnresolvedBadge(badge) {
+    const editor = document.getElementById('raw-request-input');
+    if (!badge || !editor) return;
+
+    const { unresolved } = applyEnvironment(editor.innerText || '', state);
+    if (unresolved.length === 0) {
+        badge.style.display = 'none';
+        badge.textContent = '';
+        return;
+    }
+
+    const names = unresolved.map(name => `{{${name}}}`).join(', ');
+    badge.textContent = `⚠ ${unresolved.length} unset`;
+    badge.title = `No value in the active environment for ${names}`;
+    badge.style.display = '';
+}
+
+export function initEnvironments() {
+    const environmentsBtn = document.getElementById('environments-btn');
+    const modal = document.getElementById('environments-modal');
+    const activeSelect = document.getElementById('environment-select');
+    const editSelect = document.getElementById('env-edit-select');
+    const nameInput = document.getElementById('env-name-input');
+    const variablesList = document.getElementById('env-variables-list');
+    const addVariableBtn = document.getElementById('env-add-variable-btn');
+    const newBtn = document.getElementById('env-new-btn');
+    const deleteBtn = document.getElementById('env-delete-btn');
+    const badge = document.getElementById('unresolved-vars');
+    const editor = document.getElementById('raw-request-input');
+
+    // Environment being edited in the modal (not necessarily the active one)
+    let editingId = null;
+    const getEditing = () => state.environments.find(env => env.id === editingId) || state.environments[0] || null;
+
+    const renderModal = () => {
+        const environment = getEditing();
+        editingId = environment ? environment.id : null;
+        if (editSelect) {
+            editSelect.innerHTML = state.environments.map(env =>
+                `<option value="${escapeHtml(env.id)}">${escapeHtml(env.name)}</option>`
+            ).join('');
+            editSelect.value = editingId || '';
+            editSelect.disabled = !environment;
+        }
+        if (nameInput) {
+            nameInput.value = environment ? environment.name : '';
+            nameInput.disabled = !environment;
+        }
+        if (addVariableBtn) addVariableBtn.disabled = !environment;
+        if (deleteBtn) deleteBtn.disabled = !environment;
+        renderVariables(variablesList, environment);
+    };
+
+    let checkTimer = null;
+    const scheduleCheck = () => {
+        clearTimeout(checkTimer);
+        checkTimer = setTimeout(() => updateUnresolvedBadge(badge), CHECK_DELAY_MS);
+    };
+
+    events.on(EVENT_NAMES.ENVIRONMENTS_UPDATED, () => {
+        renderEnvironmentSelect(activeSelect);
+        // Variable edits re-render on blur/change only, so typing is not interrupted
+        if (modal && modal.style.display === 'block' && !modal.contains(document.activeElement)) {
+            renderModal();
+        }
+        updateUnresolvedBadge(badge);
+        events.emit(EVENT_NAMES.PROJECT_DIRTY);
+    });
+    events.on('ui:request-selected', scheduleCheck);
+    events.on(EVENT_NAMES.HISTORY_NAVIGATED, scheduleCheck);
+    if (editor) editor.addEventListener('input', scheduleCheck);
+
+    if (activeSelect) {
+        renderEnvironmentSelect(activeSelect);
+        activeSelect.addEventListener('change', () => {
+            actions.environment.setActive(activeSelect.value || null);
+        });
+    }
+
+    if (!environmentsBtn || !modal) return;
+
+    environmentsBtn.addEventListener('click', () => {
+        editingId = state.activeEnvironmentId || editingId;
+        renderModal();
+        modal.style.display = 'block';
+    });
+
+    if (editSelect) {
+        editSelect.addEventListener('change', () => {
+            editingId = editSelect.value;
+            renderModal();
+        });
+    }
+
+    if (nameInput) {
+        nameInput.addEventListener('change', () => {
+            const name = nameInput.value.trim();
+            if (name && editingId) actions.environment.rename(editingId, name);
+            renderModal();
+        });
+    }
+
+    if (newBtn) {
+        newBtn.addEventListener('click', () => {
+            const environment = actions.environment.create(null, [{ key: '', value: '' }]);
+            editingId = environment.id;
+            if (!state.activeEnvironmentId) actions.environment.setActive(environment.id);
+            renderModal();
+            if (nameInput) nameInput.select();
+        });
+    }
+
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', () => {
+            const environment = getEditing();
+            if (!environment || !confirm(`Delete environment "${environment.name}"?`)) return;
+            actions.environment.remove(environment.id);
+            editingId = null;
+            renderModal();
+        });
+    }
+
+    if (addVariableBtn) {
+        addVariableBtn.addEventListener('click', () => {
+            const environment = getEditing();
+            if (!environment) return;
+            actions.environment.setVariables(environment.id, [...readVariables(variablesList), { key: '', value: '' }]);
+            renderModal();
+            const keys = variablesList.querySelectorAll('.env-variable-key');
+            if (keys.length) keys[keys.length - 1].focus();
+        });
+    }
+
+    if (variablesList) {
+        variablesList.addEventListener('change', (e) => {
+            const row = e.target.closest('.env-variable-row');
+            if (row && e.target.classList.contains('env-variable-enabled')) {
+                row.classList.toggle('disabled', !e.target.checked);
+            }
+            if (editingId) actions.environment.setVariables(editingId, readVariables(variablesList));
+        });
+        variablesList.addEventListener('click', (e) => {
+            const row = e.target.closest('.env-variable-row');
+            if (!row || !e.target.classList.contains('rule-delete') || !editingId) return;
+            const variables = readVariables(variablesList);
+            variables.splice(parseInt(row.dataset.index, 10), 1);
+            actions.environment.setVariables(editingId, variables);
+            renderModal();
+        });
+    }
+}
@@ -1,5 +1,8 @@
 // Extractor UI Module
 import { escapeHtml, copyToClipboard, downloadCSV, downloadJSON } from '../../core/utils/dom.js';
+import { registerProjectSection } from '../../core/storage/project-sections.js';
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { isInScope } from '../../core/utils/scope.js';
 
 // Helper to escape strings for single-quoted shell contexts (curl)
 function shellEscapeSingle(str) {
@@ -276,6 +279,44 @@ export function initExtractorUI() {
     let endpointsSort = { column: null, direction: 'asc' };
     let parametersSort = { column: null, direction: 'asc' };
 
+    // Persist scan results with the active project
+    registerProjectSection('extractors', {
+        serialize() {
+            return {
+                secrets: currentSecretResults,
+                endpoints: currentEndpointResults,
+                parameters: currentParameterResults
+            };
+        },
+        restore(data) {
+            currentSecretResults = (data && data.secrets) || [];
+            currentEndpointResults = (data && data.endpoints) || [];
+            currentParameterResults = (data && data.parameters) || [];
+            currentSecretsPage = 1;
+            currentEndpointsPage = 1;
+            currentParametersPage = 1;
+            selectedDomain = 'all';
+
+            const hasResults = currentSecretResults.length > 0 ||
+                currentEndpointResults.length > 0 ||
+                currentParameterResults.length > 0;
+            if (!hasResults) {
+                secretsResults.innerHTML = '';
+                endpointsResults.innerHTML = '';
+                if (parametersResults) parametersResults.innerHTML = '';
+                extractorSearchContainer.style.display = 'none';
+                domainFilterContainer.style.display = 'none';
+                return;
+            }
+
+            renderSecretResults(currentSecretResults);
+            renderEndpointResults(currentEndpointResults);
+            renderParameterResults(currentParameterResults, false);
+            populateDomainFilter();
+            extractorSearchContainer.style.display = 'block';
+        }
+    });
+
     // Helper: Extract domain from URL
     function getDomainFromUrl(url) {
         try {
@@ -509,6 +550,7 @@ export function initExtractorUI() {
                     if (!req || !req.request || !req.response) return false;
                     const url = req.request.url.toLowerCase();
                     const mime = req.response?.content?.mimeType?.toLowerCase() || '';
+                    if (!isInScope(state.scopeConfig, req.request.url, mime)) return false;
                     return url.endsWith('.js') || 
                            mime.includes('javascript') || 
                            mime.includes('ecmascript') ||
@@ -826,6 +868,7 @@ export function initExtractorUI() {
                 }
 
                 extractorSearchContainer.style.display = (currentSecretResults.length > 0 || currentEndpointResults.length > 0 || currentParameterResults.length > 0) ? 'block' : 'none';
+                events.emit(EVENT_NAMES.PROJECT_DIRTY);
 
                 // Mark processing as completed
                 updateStep('processing', 'completed');
@@ -1781,6 +1824,11 @@ export function initExtractorUI() {
                 const seenSignatures = new Set();
 
                 state.requests.forEach(req => {
+                    // Scope Filter
+                    if (!isInScope(state.scopeConfig, req.request.url, req.response?.content?.mimeType)) {
+                        return;
+                    }
+
                     // Domain Filter
                     if (selectedDomain !== 'all' && getDomainFromUrl(req.pageUrl || req.request.url) !== selectedDomain) {
                         return;
@@ -5,6 +5,7 @@ import { events, EVENT_NAMES } from '../../core/events.js';
 import { formatRawResponse } from '../../network/response-parser.js';
 import { highlightHTTP } from '../../core/utils/network.js';
 import { elements } from '../../ui/main-ui.js';
+import { registerProjectSection } from '../../core/storage/project-sections.js';
 
 let chatHistory = [];
 let isStreaming = false;
@@ -17,6 +18,24 @@ let chatTokenEstimateElement = null; // Reference to token estimate element
 let chatHistoryByRequest = new Map(); // Map<requestIndex, chatHistory[]>
 let referencedRequests = new Set(); // Set of request indices to include in context
 
+// Persist per-request chat history with the active project
+registerProjectSection('chat', {
+    serialize() {
+        if (lastSelectedRequestIndex !== -1 && chatHistory.length > 0) {
+            chatHistoryByRequest.set(lastSelectedRequestIndex, [...chatHistory]);
+        }
+        return Array.from(chatHistoryByRequest.entries());
+    },
+    restore(entries) {
+        chatHistoryByRequest = new Map(Array.isArray(entries) ? entries : []);
+        chatHistory = [];
+        lastSelectedRequestIndex = -1;
+        responseHistory = [];
+        lastTrackedResponse = null;
+        referencedRequests.clear();
+    }
+});
+
 // Token optimization constants
 const MAX_RESPONSE_HISTORY = 2; // Only keep last 2 responses (original + 1 resend)
 const MAX_RESPONSE_TOKENS = 1500; // ~6KB of text (roughly 1500 tokens)
@@ -344,6 +363,7 @@ function addMessageToHistory(role, content) {
             if (requestHistory.length > MAX_CHAT_HISTORY) {
                 requestHistory.splice(0, requestHistory.length - MAX_CHAT_HISTORY);
             }
+            events.emit(EVENT_NAMES.PROJECT_DIRTY);
         }
     }
 }
@@ -0,0 +1,311 @@
+// Session Macros Feature - Edit macros and run them on demand
+// Running, extraction and injection live in network/macros.js, which
+// handleSendRequest and bulk replay call; this module is the editor for them.
+import { state, actions } from '../../core/state.js';
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { escapeHtml } from '../../core/utils/dom.js';
+import { EXTRACTION_SOURCES, INJECTION_TARGETS, runSessionMacro } from '../../network/macros.js';
+import { registerProjectSection, toStorable } from '../../core/storage/project-sections.js';
+
+const VALUE_PREVIEW_LENGTH = 80;
+
+// Macros are saved per project; extracted values are session-only
+registerProjectSection('macros', {
+    serialize() {
+        return toStorable(state.macros);
+    },
+    restore(data) {
+        actions.macro.setAll(data || []);
+    }
+});
+
+function renderOptions(labels, selected) {
+    return Object.entries(labels).map(([value, label]) =>
+        `<option value="${value}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`
+    ).join('');
+}
+
+function getRequestLine(rawText) {
+    return (rawText || '').split('\n')[0].trim() || '(empty request)';
+}
+
+function renderSteps(container, macro) {
+    if (!container) return;
+    if (!macro || macro.steps.length === 0) {
+        container.innerHTML = '<div class="rules-empty">No requests. Open the login request in the editor and add it.</div>';
+        return;
+    }
+
+    container.innerHTML = macro.steps.map((step, index) => `
+        <div class="rule-row macro-step-row" data-index="${index}">
+            <span class="macro-step-number">${index + 1}.</span>
+            <textarea class="form-control macro-step-raw" rows="4" spellcheck="false" title="${escapeHtml(getRequestLine(step.rawText))}">${escapeHtml(step.rawText)}</textarea>
+            <label class="macro-step-https" title="Use HTTPS"><input type="checkbox" class="macro-step-https-input" ${step.useHttps ? 'checked' : ''}> HTTPS</label>
+            <button class="secondary-btn rule-delete" title="Remove request">&times;</button>
+        </div>
+    `).join('');
+}
+
+function renderExtractions(container, macro) {
+    if (!container) return;
+    if (!macro || macro.extractions.length === 0) {
+        container.innerHTML = '<div class="rules-empty">No extractions.</div>';
+        return;
+    }
+
+    container.innerHTML = macro.extractions.map((extraction, index) => `
+        <div class="rule-row macro-extraction-row" data-index="${index}">
+            <input type="text" class="form-control macro-variable" value="${escapeHtml(extraction.variable)}" placeholder="variable">
+            <select class="form-control macro-extraction-source">${renderOptions(EXTRACTION_SOURCES, extraction.source)}</select>
+            <input type="text" class="form-control macro-extraction-expression" value="${escapeHtml(extraction.expression)}" placeholder="${extraction.source === 'jsonpath' ? '$.access_token' : extraction.source === 'regex' ? 'name=&quot;csrf&quot; value=&quot;([^&quot;]+)&quot;' : 'name'}">
+            <button class="secondary-btn rule-delete" title="Delete extraction">&times;</button>
+        </div>
+    `).join('');
+}
+
+function renderInjections(container, macro) {
+    if (!container) return;
+    if (!macro || macro.injections.length === 0) {
+        container.innerHTML = '<div class="rules-empty">No injections. Values are still available as {{variable}}.</div>';
+        return;
+    }
+
+    container.innerHTML = macro.injections.map((injection, index) => `
+        <div class="rule-row macro-injection-row" data-index="${index}">
+            <input type="text" class="form-control macro-variable" value="${escapeHtml(injection.variable)}" placeholder="variable">
+            <select class="form-control macro-injection-target">${renderOptions(INJECTION_TARGETS, injection.target)}</select>
+            <input type="text" class="form-control macro-injection-name" value="${escapeHtml(injection.name)}" placeholder="${injection.target === 'cookie' ? 'session' : 'Authorization'}">
+            <button class="secondary-btn rule-delete" title="Delete injection">&times;</button>
+        </div>
+    `).join('');
+}
+
+function renderValues(container) {
+    if (!container) return;
+    const entries = Object.entries(state.macroVariables);
+    if (entries.length === 0) {
+        container.innerHTML = '<div class="rules-empty">Nothing extracted yet.</div>';
+        return;
+    }
+
+    container.innerHTML = entries.map(([name, value]) => {
+        const preview = value.length > VALUE_PREVIEW_LENGTH ? `${value.substring(0, VALUE_PREVIEW_LENGTH)}…` : value;
+        return `<div class="macro-value"><code>{{${escapeHtml(name)}}}</code> = <span title="${escapeHtml(value)}">${escapeHtml(preview)}</span></div>`;
+    }).join('');
+}
+
+function parseStatuses(text) {
+    return String(text || '').split(/[\s,]+/)
+        .map(part => parseInt(part, 10))
+        .filter(status => status >= 100 && status <= 599);
+}
+
+export function initMacros() {
+    const macrosBtn = document.getElementById('macros-btn');
+    const modal = document.getElementById('macros-modal');
+    if (!macrosBtn || !modal) return;
+
+    const editSelect = document.getElementById('macro-edit-select');
+    const nameInput = document.getElementById('macro-name-input');
+    const enabledInput = document.getElementById('macro-enabled');
+    const urlFilterInput = document.getElementById('macro-url-filter');
+    const stepsList = document.getElementById('macro-steps-list');
+    const extractionsList = document.getElementById('macro-extractions-list');
+    const injectionsList = document.getElementById('macro-injections-list');
+    const beforeInput = document.getElementById('macro-trigger-before');
+    const statusesInput = document.getElementById('macro-trigger-statuses');
+    const bodyPatternInput = document.getElementById('macro-trigger-body');
+    const valuesList = document.getElementById('macro-values');
+    const addStepBtn = document.getElementById('macro-add-step-btn');
+    const addExtractionBtn = document.getElementById('macro-add-extraction-btn');
+    const addInjectionBtn = document.getElementById('macro-add-injection-btn');
+    const newBtn = document.getElementById('macro-new-btn');
+    const deleteBtn = document.getElementById('macro-delete-btn');
+    const runBtn = document.getElementById('macro-run-btn');
+    const clearValuesBtn = document.getElementById('macro-clear-values-btn');
+    const formControls = [nameInput, enabledInput, urlFilterInput, beforeInput, statusesInput, bodyPatternInput,
+        addStepBtn, addExtractionBtn, addInjectionBtn, deleteBtn, runBtn];
+
+    // Macro being edited in the modal
+    let editingId = null;
+    const getEditing = () => state.macros.find(macro => macro.id === editingId) || state.macros[0] || null;
+
+    const renderModal = () => {
+        const macro = getEditing();
+        editingId = macro ? macro.id : null;
+
+        editSelect.innerHTML = state.macros.map(m =>
+            `<option value="${escapeHtml(m.id)}">${escapeHtml(m.name)}</option>`
+        ).join('');
+        editSelect.value = editingId || '';
+        editSelect.disabled = !macro;
+        formControls.forEach(control => {
+            if (control) control.disabled = !macro;
+        });
+
+        nameInput.value = macro ? macro.name : '';
+        enabledInput.checked = macro ? macro.enabled : false;
+        urlFilterInput.value = macro ? macro.urlFilter : '';
+        beforeInput.checked = macro ? macro.trigger.before : false;
+        statusesInput.value = macro ? macro.trigger.statuses.join(', ') : '';
+        bodyPatternInput.value = macro ? macro.trigger.bodyPattern : '';
+
+        renderSteps(stepsList, macro);
+        renderExtractions(extractionsList, macro);
+        renderInjections(injectionsList, macro);
+        renderValues(valuesList);
+    };
+
+    // The whole form is read back on every change
+    const readForm = () => ({
+        name: nameInput.value.trim() || (getEditing() || {}).name,
+        enabled: enabledInput.checked,
+        urlFilter: urlFilterInput.value.trim(),
+        steps: Array.from(stepsList.querySelectorAll('.macro-step-row')).map(row => ({
+            rawText: row.querySelector('.macro-step-raw').value,
+            useHttps: row.querySelector('.macro-step-https-input').checked
+        })),
+        extractions: Array.from(extractionsList.querySelectorAll('.macro-extraction-row')).map(row => ({
+            variable: row.querySelector('.macro-variable').value.trim(),
+            source: row.querySelector('.macro-extraction-source').value,
+            expression: row.querySelector('.macro-extraction-expression').value
+        })),
+        injections: Array.from(injectionsList.querySelectorAll('.macro-injection-row')).map(row => ({
+            variable: row.querySelector('.macro-variable').value.trim(),
+            target: row.querySelector('.macro-injection-target').value,
+            name: row.querySelector('.macro-injection-name').value.trim()
+        })),
+        trigger: {
+            before: beforeInput.checked,
+            statuses: parseStatuses(statusesInput.value),
+            bodyPattern: bodyPatternInput.value.trim()
+        }
+    });
+
+    const saveForm = () => {
+        if (editingId) actions.macro.update(editingId, readForm());
+    };
+
+    const saveAndRender = (change) => {
+        if (!editingId) return;
+        const form = readForm();
+        change(form);
+        actions.macro.update(editingId, form);
+        renderModal();
+    };
+
+    events.on(EVENT_NAMES.MACROS_UPDATED, () => {
+        // Edits re-render on change only, so typing is not interrupted
+        if (modal.style.display === 'block' && !modal.contains(document.activeElement)) {
+            renderModal();
+        }
+        events.emit(EVENT_NAMES.PROJECT_DIRTY);
+    });
+    events.on(EVENT_NAMES.MACRO_VARIABLES_UPDATED, () => renderValues(valuesList));
+
+    macrosBtn.addEventListener('click', () => {
+        renderModal();
+        modal.style.display = 'block';
+    });
+
+    editSelect.addEventListener('change', () => {
+        editingId = editSelect.value;
+        renderModal();
+    });
+
+    [nameInput, enabledInput, urlFilterInput, beforeInput, statusesInput, bodyPatternInput].forEach(input => {
+        input.addEventListener('change', () => {
+            saveForm();
+            renderModal();
+        });
+    });
+
+    // Row edits; source/target changes re-render for the matching placeholder
+    [stepsList, extractionsList, injectionsList].forEach(list => {
+        list.addEventListener('change', (e) => {
+            saveForm();
+            if (e.target.tagName === 'SELECT') renderModal();
+        });
+        list.addEventListener('click', (e) => {
+            const row = e.target.closest('.rule-row');
+            if (!row || !e.target.classList.contains('rule-delete')) return;
+            const index = parseInt(row.dataset.index, 10);
+            saveAndRender(form => {
+                if (list === stepsList) form.steps.splice(index, 1);
+                else if (list === extractionsList) form.extractions.splice(index, 1);
+                else form.injections.splice(index, 1);
+            });
+        });
+    });
+
+    addStepBtn.addEventListener('click', () => {
+        const editor = document.getElementById('raw-request-input');
+        const useHttps = document.getElementById('use-https');
+        const rawText = editor ? editor.innerText.trim() : '';
+        if (!rawText) {
+            alert('Open the request to add (e.g. the login request) in the editor first.');
+            return;
+        }
+        saveAndRender(form => {
+            form.steps.push({ rawText, useHttps: useHttps ? useHttps.checked : true });
+        });
+    });
+
+    addExtractionBtn.addEventListener('click', () => {
+        saveAndRender(form => {
+            form.extractions.push({ variable: '', source: 'jsonpath', expression: '' });
+        });
+        const variables = extractionsList.querySelectorAll('.macro-variable');
+        if (variables.length) variables[variables.length - 1].focus();
+    });
+
+    addInjectionBtn.addEventListener('click', () => {
+        saveAndRender(form => {
+            const extracted = form.extractions.find(e => e.variable);
+            form.injections.push({ variable: extracted ? extracted.variable : '', target: 'header', name: '' });
+        });
+        const names = injectionsList.querySelectorAll('.macro-injection-name');
+        if (names.length) names[names.length - 1].focus();
+    });
+
+    newBtn.addEventListener('click', () => {
+        const macro = actions.macro.create({ trigger: { statuses: [401] } });
+        editingId = macro.id;
+        renderModal();
+        nameInput.select();
+    });
+
+    deleteBtn.addEventListener('click', () => {
+        const macro = getEditing();
+        if (!macro || !confirm(`Delete macro "${macro.name}"?`)) return;
+        actions.macro.remove(macro.id);
+        editingId = null;
+        renderModal();
+    });
+
+    runBtn.addEventListener('click', async () => {
+        const macro = getEditing();
+        if (!macro) return;
+        saveForm();
+
+        const label = runBtn.textContent;
+        runBtn.disabled = true;
+        try {
+            const { missing } = await runSessionMacro(getEditing(), {
+                onStatus: message => { runBtn.textContent = message; }
+            });
+            if (missing.length) {
+                alert(`Macro ran, but nothing was extracted for: ${missing.join(', ')}`);
+            }
+        } catch (err) {
+            alert(err.message);
+        } finally {
+            runBtn.textContent = label;
+            runBtn.disabled = false;
+        }
+    });
+
+    clearValuesBtn.addEventListener('click', () => {
+        actions.macro.clearVariables();
+    });
+}
@@ -0,0 +1,247 @@
+// Projects Feature - Named, persistent workspaces stored in IndexedDB
+// Everything registered through registerProjectSection() is saved with the
+// active project (debounced on change) and restored when switching projects
+// or reopening the panel. Captured requests are saved as one record each, and
+// a save only writes the ones that are new or changed.
+import { state, actions } from '../../core/state.js';
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { clearAllRequestsUI } from '../../ui/main-ui.js';
+import {
+    listProjects,
+    createProject,
+    renameProject,
+    deleteProject,
+    loadProjectData,
+    loadProjectRequests,
+    saveProjectData
+} from '../../core/storage/project-db.js';
+import {
+    registerProjectSection,
+    serializeProjectSections,
+    restoreProjectSections,
+    toStorable
+} from '../../core/storage/project-sections.js';
+import { createRequestRecordTracker } from '../../core/storage/project-requests.js';
+
+const ACTIVE_PROJECT_KEY = 'rep_active_project';
+const DEFAULT_PROJECT_NAME = 'Default';
+const AUTOSAVE_DELAY = 1000;
+const AUTOSAVE_MAX_DELAY = 5000; // Save during steady capture too, not only once it pauses
+
+const requestRecords = createRequestRecordTracker();
+let autosaveTimer = null;
+let autosaveDue = 0;
+let saving = Promise.resolve();
+let isRestoring = false;
+
+// Page/domain stars. The requests themselves are saved as records (see
+// saveActiveProject) and handed back here as `requests` on restore.
+registerProjectSection('requests', {
+    serialize() {
+        return {
+            starredPages: Array.from(state.starredPages),
+            starredDomains: Array.from(state.starredDomains)
+        };
+    },
+    restore(data) {
+        if (!data) return;
+
+        (data.starredPages || []).forEach(hostname => state.starredPages.add(hostname));
+        (data.starredDomains || []).forEach(hostname => state.starredDomains.add(hostname));
+
+        state.requests = data.requests || [];
+        state.requests.forEach((request, index) => {
+            events.emit(EVENT_NAMES.REQUEST_RENDERED, { request, index });
+        });
+        events.emit(EVENT_NAMES.UI_UPDATE_REQUEST_LIST);
+    }
+});
+
+async function writeActiveProject() {
+    if (isRestoring || !state.activeProjectId) return;
+
+    events.emit(EVENT_NAMES.PROJECT_SAVING);
+    const changes = requestRecords.changes(state.requests);
+    try {
+        await saveProjectData(state.activeProjectId, toStorable(serializeProjectSections()), {
+            put: changes.put.map(({ id, request }) => ({ id, request: toStorable(request) })),
+            remove: changes.remove
+        });
+        requestRecords.commit(changes);
+    } catch (e) {
+        console.error('Failed to save project:', e);
+    }
+}
+
+/**
+ * Save the active project now (skips while a project is being restored).
+ * Saves run one after another.
+ * @returns {Promise<void>}
+ */
+export function saveActiveProject() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    saving = saving.then(writeActiveProject);
+    return saving;
+}
+
+// Save once changes stop for AUTOSAVE_DELAY, or AUTOSAVE_MAX_DELAY after the first one
+function scheduleAutosave() {
+    if (isRestoring || !state.activeProjectId) return;
+    const now = Date.now();
+    if (!autosaveTimer) autosaveDue = now + AUTOSAVE_MAX_DELAY;
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(saveActiveProject, Math.min(AUTOSAVE_DELAY, autosaveDue - now));
+}
+
+async function refreshProjectList() {
+    state.projects = await listProjects();
+    events.emit(EVENT_NAMES.PROJECTS_UPDATED);
+}
+
+/**
+ * Switch to another project, saving the current one first
+ * @param {string} projectId
+ * @param {Object} [options]
+ * @param {boolean} [options.keepCaptured=false] - Re-add requests captured before the
+ *   project finished loading (used when the panel first opens)
+ */
+export async function openProject(projectId, { keepCaptured = false } = {}) {
+    if (state.activeProjectId && state.activeProjectId !== projectId) {
+        await saveActiveProject();
+    }
+
+    isRestoring = true;
+    try {
+        const [data, records] = await Promise.all([loadProjectData(projectId), loadProjectRequests(projectId)]);
+        const captured = keepCaptured ? [...state.requests] : [];
+        clearAllRequestsUI();
+        state.activeProjectId = projectId;
+        localStorage.setItem(ACTIVE_PROJECT_KEY, projectId);
+        // Projects saved before requests had records of their own keep them
+        // in the section; they are written as records on the next save
+        const saved = data.requests || {};
+        const requests = records.length ? records.map(record => record.request) : saved.requests || [];
+        requestRecords.reset(records);
+        await restoreProjectSections({ ...data, requests: { ...saved, requests } });
+        captured.forEach(request => actions.request.add(request));
+    } finally {
+        isRestoring = false;
+    }
+
+    events.emit(EVENT_NAMES.PROJECT_LOADED, { projectId });
+    events.emit(EVENT_NAMES.PROJECTS_UPDATED);
+}
+
+function renderProjectSelect(select) {
+    if (!select) return;
+    select.innerHTML = '';
+    state.projects.forEach(project => {
+        const option = document.createElement('option');
+        option.value = project.id;
+        option.textContent = project.name;
+        select.appendChild(option);
+    });
+    select.value = state.activeProjectId || '';
+}
+
+export async function initProjects() {
+    const projectSelect = document.getElementById('project-select');
+    const newBtn = document.getElementById('project-new-btn');
+    const renameBtn = document.getElementById('project-rename-btn');
+    const deleteBtn = document.getElementById('project-delete-btn');
+
+    events.on(EVENT_NAMES.PROJECTS_UPDATED, () => renderProjectSelect(projectSelect));
+
+    // Anything that changes persisted data schedules a save
+    [
+        EVENT_NAMES.REQUEST_RENDERED,
+        EVENT_NAMES.REQUEST_STAR_UPDATED,
+        EVENT_NAMES.REQUEST_COLOR_CHANGED,
+        EVENT_NAMES.UI_UPDATE_REQUEST_LIST,
+        EVENT_NAMES.UI_CLEAR_ALL,
+        EVENT_NAMES.HISTORY_UPDATED,
+        EVENT_NAMES.PROJECT_DIRTY
+    ].forEach(eventName => events.on(eventName, scheduleAutosave));
+
+    // Best effort flush when the panel goes away
+    window.addEventListener('pagehide', () => {
+        if (autosaveTimer) saveActiveProject();
+    });
+
+    if (projectSelect) {
+        projectSelect.addEventListener('change', () => {
+            if (projectSelect.value && projectSelect.value !== state.activeProjectId) {
+                openProject(projectSelect.value).catch(e => console.error('Failed to open project:', e));
+            }
+        });
+    }
+
+    if (newBtn) {
+        newBtn.addEventListener('click', async () => {
+            const name = prompt('Project name:', `Project ${state.projects.length + 1}`);
+            if (!name || !name.trim()) return;
+            try {
+                const project = await createProject(name.trim());
+                await refreshProjectList();
+                await openProject(project.id);
+            } catch (e) {
+                alert(`Could not create project: ${e.message}`);
+            }
+        });
+    }
+
+    if (renameBtn) {
+        renameBtn.addEventListener('click', async () => {
+            const current = state.projects.find(p => p.id === state.activeProjectId);
+            if (!current) return;
+            const name = prompt('Rename project:', current.name);
+            if (!name || !name.trim() || name.trim() === current.name) return;
+            try {
+                await renameProject(current.id, name.trim());
+                await refreshProjectList();
+            } catch (e) {
+                alert(`Could not rename project: ${e.message}`);
+            }
+        });
+    }
+
+    if (deleteBtn) {
+        deleteBtn.addEventListener('click', async () => {
+            const current = state.projects.find(p => p.id === state.activeProjectId);
+            if (!current) return;
+            if (!confirm(`Delete project "${current.name}" and everything saved in it?`)) return;
+            try {
+                clearTimeout(autosaveTimer);
+                autosaveTimer = null;
+                state.activeProjectId = null;
+                // A save still running would write the project back
+                await saving;
+                await deleteProject(current.id);
+                await refreshProjectList();
+                const next = state.projects[0] || await createProject(DEFAULT_PROJECT_NAME);
+                await refreshProjectList();
+                await openProject(next.id);
+            } catch (e) {
+                alert(`Could not delete project: ${e.message}`);
+            }
+        });
+    }
+
+    // Reopen the last active project (or create the default one)
+    try {
+        await refreshProjectList();
+        const savedId = localStorage.getItem(ACTIVE_PROJECT_KEY);
+        let project = state.projects.find(p => p.id === savedId) || state.projects[0];
+        if (!project) {
+            project = await createProject(DEFAULT_PROJECT_NAME);
+            await refreshProjectList();
+        }
+        await openProject(project.id, { keepCaptured: true });
+        scheduleAutosave();
+    } catch (e) {
+        console.error('Projects unavailable, running without persistence:', e);
+        const projectBar = projectSelect ? projectSelect.closest('.project-bar') : null;
+        if (projectBar) projectBar.style.display = 'none';
+    }
+}
@@ -0,0 +1,182 @@
+// Repeater Tabs Feature - Named editor tabs, each with its own request,
+// response, send history, diff baseline and HTTPS toggle.
+// Tabs share the one editor: the active tab lives in the editor and is stashed
+// back into its tab object when another tab or a captured request is shown.
+import { state, actions } from '../../core/state.js';
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { escapeHtml } from '../../core/utils/dom.js';
+import { buildRawRequest, captureEditorContext, loadEditorContext } from '../../ui/request-editor.js';
+import { addRequestMenuItem } from '../../ui/request-context-menu.js';
+import { registerProjectSection } from '../../core/storage/project-sections.js';
+
+const MAX_TAB_NAME_LENGTH = 40;
+
+function getActiveTab() {
+    return state.repeaterTabs.find(tab => tab.id === state.activeRepeaterTabId) || null;
+}
+
+function stashActiveTab() {
+    const tab = getActiveTab();
+    if (tab) {
+        Object.assign(tab, captureEditorContext());
+    }
+}
+
+// Tabs are saved with the project; the active one is reopened on load.
+// The active tab is stashed on PROJECT_SAVING, before this runs.
+registerProjectSection('repeater', {
+    serialize() {
+        return {
+            tabs: state.repeaterTabs,
+            activeTabId: state.activeRepeaterTabId
+        };
+    },
+    restore(data) {
+        actions.repeater.setAll(data ? data.tabs : []);
+        if (data && data.activeTabId) {
+            activateTab(data.activeTabId);
+        }
+    }
+});
+
+/**
+ * Show a tab in the editor, stashing whatever tab was there before
+ * @param {string} id - Tab id
+ */
+export function activateTab(id) {
+    const tab = state.repeaterTabs.find(t => t.id === id);
+    if (!tab || state.activeRepeaterTabId === id) return;
+
+    stashActiveTab();
+    actions.repeater.setActive(id);
+    loadEditorContext(tab);
+}
+
+/**
+ * Open a captured request in a new tab
+ * @param {Object} request - Captured request entry
+ * @returns {Object} The created tab
+ */
+export function sendToRepeaterTab(request) {
+    const urlObj = new URL(request.request.url);
+    const label = request.name || `${request.request.method} ${urlObj.pathname}`;
+    const tab = actions.repeater.create({
+        name: label.length > MAX_TAB_NAME_LENGTH ? `${label.slice(0, MAX_TAB_NAME_LENGTH - 1)}…` : label,
+        rawText: buildRawRequest(request),
+        useHttps: urlObj.protocol === 'https:'
+    });
+    activateTab(tab.id);
+    return tab;
+}
+
+function startRename(tabEl, tab) {
+    const nameEl = tabEl.querySelector('.repeater-tab-name');
+    if (!nameEl || tabEl.querySelector('input')) return;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'repeater-tab-input';
+    input.value = tab.name;
+    nameEl.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (commit) => {
+        if (done) return;
+        done = true;
+        const name = input.value.trim();
+        if (commit && name && name !== tab.name) {
+            actions.repeater.rename(tab.id, name);
+        } else {
+            renderTabs();
+        }
+    };
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+function renderTabs() {
+    const list = document.getElementById('repeater-tab-list');
+    if (!list) return;
+
+    list.innerHTML = state.repeaterTabs.map(tab => `
+        <div class="repeater-tab ${tab.id === state.activeRepeaterTabId ? 'active' : ''}" data-id="${escapeHtml(tab.id)}" draggable="true" title="Double-click to rename, drag to reorder">
+            <span class="repeater-tab-name">${escapeHtml(tab.name)}</span>
+            <button class="repeater-tab-close" title="Close tab">&times;</button>
+        </div>
+    `).join('');
+}
+
+export function initRepeaterTabs() {
+    const list = document.getElementById('repeater-tab-list');
+    const newTabBtn = document.getElementById('repeater-new-tab-btn');
+
+    // The editor holds the active tab's latest edits
+    events.on(EVENT_NAMES.PROJECT_SAVING, stashActiveTab);
+    if (!list) return;
+
+    addRequestMenuItem('Send to new Repeater tab', (request) => sendToRepeaterTab(request));
+
+    events.on(EVENT_NAMES.REPEATER_TABS_UPDATED, () => {
+        renderTabs();
+        events.emit(EVENT_NAMES.PROJECT_DIRTY);
+    });
+
+    // A captured or intercepted request is taking over the editor
+    events.on(EVENT_NAMES.EDITOR_CONTEXT_CHANGING, () => {
+        if (!getActiveTab()) return;
+        stashActiveTab();
+        state.requestHistory = [];
+        state.historyIndex = -1;
+        actions.repeater.setActive(null);
+    });
+
+    if (newTabBtn) {
+        newTabBtn.addEventListener('click', () => {
+            const { rawText, useHttps } = captureEditorContext();
+            const tab = actions.repeater.create({ rawText, useHttps });
+            activateTab(tab.id);
+        });
+    }
+
+    list.addEventListener('click', (e) => {
+        const tabEl = e.target.closest('.repeater-tab');
+        if (!tabEl) return;
+        if (e.target.closest('.repeater-tab-close')) {
+            actions.repeater.remove(tabEl.dataset.id);
+            return;
+        }
+        activateTab(tabEl.dataset.id);
+    });
+
+    list.addEventListener('dblclick', (e) => {
+        const tabEl = e.target.closest('.repeater-tab');
+        const tab = tabEl && state.repeaterTabs.find(t => t.id === tabEl.dataset.id);
+        if (tab) startRename(tabEl, tab);
+    });
+
+    // Drag to reorder
+    list.addEventListener('dragstart', (e) => {
+        const tabEl = e.target.closest('.repeater-tab');
+        if (!tabEl) return;
+        e.dataTransfer.setData('text/plain', tabEl.dataset.id);
+        e.dataTransfer.effectAllowed = 'move';
+    });
+    list.addEventListener('dragover', (e) => {
+        if (e.target.closest('.repeater-tab')) e.preventDefault();
+    });
+    list.addEventListener('drop', (e) => {
+        const tabEl = e.target.closest('.repeater-tab');
+        const id = e.dataTransfer.getData('text/plain');
+        if (!tabEl || !id) return;
+        e.preventDefault();
+        actions.repeater.move(id, state.repeaterTabs.findIndex(t => t.id === tabEl.dataset.id));
+    });
+
+    renderTabs();
+}
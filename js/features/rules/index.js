@@ -0,0 +1,266 @@
+// Match & Replace Rules Feature
+// Rules are edited here and pushed to background.js, which applies them to live
+// traffic in onBeforeSendHeaders, onHeadersReceived and filterResponseData.
+import { state } from '../../core/state.js';
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { escapeHtml } from '../../core/utils/dom.js';
+import { createRuleBadge } from '../../ui/request-list.js';
+
+const STORAGE_KEY = 'rep_match_replace_rules';
+const MATCH_WINDOW_MS = 60000;
+
+const TARGET_LABELS = {
+    'request-header': 'Request header',
+    'response-header': 'Response header',
+    'response-body': 'Response body'
+};
+
+let rules = loadRules();
+let rulesPort = null;
+// Rule hits reported by the background, waiting to be attached to captured requests
+let recentMatches = [];
+// Set when the background cannot rewrite response bodies (no response filter)
+let bodyRulesError = null;
+
+function loadRules() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function saveRules() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+    pushRules();
+}
+
+function pushRules() {
+    if (!rulesPort) return;
+    try {
+        rulesPort.postMessage({ type: 'rules-set', rules });
+    } catch (e) {
+        console.error('Rules: failed to reach background', e);
+    }
+}
+
+function connectToBackground() {
+    if (rulesPort) return;
+
+    try {
+        rulesPort = browser.runtime.connect({ name: 'rep-rules' });
+    } catch (e) {
+        console.error('Rules: failed to connect to background', e);
+        rulesPort = null;
+        return;
+    }
+
+    rulesPort.onMessage.addListener((msg) => {
+        if (msg.type === 'rule-matched') {
+            handleRuleMatched(msg.data);
+        } else if (msg.type === 'body-rules-unavailable') {
+            console.warn('Rules: response body rules cannot be applied:', msg.error);
+            bodyRulesError = msg.error || 'response filter unavailable';
+            renderRulesList(document.getElementById('rules-list'));
+        }
+    });
+
+    rulesPort.onDisconnect.addListener(() => {
+        rulesPort = null;
+        setTimeout(connectToBackground, 2000);
+    });
+
+    pushRules();
+}
+
+function isSameRequest(request, match) {
+    return request.request &&
+        request.request.url === match.url &&
+        request.request.method === match.method &&
+        Math.abs((request.capturedAt || 0) - match.timeStamp) < MATCH_WINDOW_MS;
+}
+
+function handleRuleMatched(data) {
+    const existing = recentMatches.find(m => m.requestId === data.requestId);
+    if (existing) {
+        existing.rules = Array.from(new Set([...existing.rules, ...data.rules]));
+    } else {
+        recentMatches.push({ ...data });
+    }
+
+    const now = Date.now();
+    recentMatches = recentMatches.filter(m => now - m.timeStamp < MATCH_WINDOW_MS);
+
+    // The request may already be in the list (e.g. response rules fire late)
+    const index = state.requests.findIndex(r =>
+        !r.fromOtherTab && isSameRequest(r, data)
+    );
+    if (index !== -1) {
+        const request = state.requests[index];
+        request.matchedRules = Array.from(new Set([...(request.matchedRules || []), ...data.rules]));
+        refreshRuleBadge(request, index);
+        events.emit(EVENT_NAMES.PROJECT_DIRTY);
+    }
+}
+
+function refreshRuleBadge(request, index) {
+    document.querySelectorAll(`.request-item[data-index="${index}"]`).forEach(item => {
+        const oldBadge = item.querySelector('.rule-badge');
+        const badge = createRuleBadge(request.matchedRules);
+        if (oldBadge) {
+            oldBadge.replaceWith(badge);
+        } else {
+            item.insertBefore(badge, item.querySelector('.req-time'));
+        }
+    });
+}
+
+/**
+ * Attach rule hits reported by the background to a request captured from the
+ * inspected tab. Call before the request is added to state.
+ * @param {Object} request - Captured HAR entry
+ */
+export function tagMatchedRules(request) {
+    if (!request.request || recentMatches.length === 0) return;
+
+    const capturedAt = request.capturedAt || Date.now();
+    const match = recentMatches.find(m => isSameRequest({ ...request, capturedAt }, m));
+    if (!match) return;
+
+    recentMatches = recentMatches.filter(m => m !== match);
+    request.matchedRules = [...match.rules];
+}
+
+function describeRule(rule) {
+    const target = TARGET_LABELS[rule.target] || rule.target;
+    const header = rule.target !== 'response-body' ? ` ${rule.header}` : '';
+    let action;
+    if (!rule.match) {
+        action = rule.replace ? `= ${rule.replace}` : '(remove)';
+    } else {
+        action = `${rule.isRegex ? '/' + rule.match + '/' : rule.match} → ${rule.replace || '(empty)'}`;
+    }
+    const scope = rule.urlFilter ? ` [${rule.urlFilter}]` : '';
+    return `${target}${header}: ${action}${scope}`;
+}
+
+function renderRulesList(container) {
+    if (!container) return;
+
+    if (rules.length === 0) {
+        container.innerHTML = '<div class="rules-empty">No rules yet.</div>';
+        return;
+    }
+
+    const hasBodyRules = rules.some(rule => rule.enabled && rule.target === 'response-body');
+    const notice = bodyRulesError && hasBodyRules
+        ? `<div class="rules-unavailable">Response body rules are not applied: ${escapeHtml(bodyRulesError)}</div>`
+        : '';
+
+    container.innerHTML = notice + rules.map(rule => `
+        <div class="rule-row ${rule.enabled ? '' : 'disabled'}" data-id="${escapeHtml(rule.id)}">
+            <input type="checkbox" class="rule-enabled" ${rule.enabled ? 'checked' : ''} title="Enable rule">
+            <span class="rule-summary" title="${escapeHtml(describeRule(rule))}">
+                <span class="rule-name">${escapeHtml(rule.name)}</span> ${escapeHtml(describeRule(rule))}
+            </span>
+            <button class="secondary-btn rule-delete" title="Delete rule">&times;</button>
+        </div>
+    `).join('');
+}
+
+export function initMatchReplaceRules() {
+    const rulesBtn = document.getElementById('rules-btn');
+    const rulesModal = document.getElementById('rules-modal');
+    const rulesList = document.getElementById('rules-list');
+    const addRuleBtn = document.getElementById('add-rule-btn');
+    const nameInput = document.getElementById('rule-name');
+    const targetSelect = document.getElementById('rule-target');
+    const headerGroup = document.getElementById('rule-header-group');
+    const headerInput = document.getElementById('rule-header');
+    const matchInput = document.getElementById('rule-match');
+    const replaceInput = document.getElementById('rule-replace');
+    const urlFilterInput = document.getElementById('rule-url-filter');
+    const regexCheckbox = document.getElementById('rule-regex');
+
+    connectToBackground();
+
+    if (!rulesBtn || !rulesModal) return;
+
+    rulesBtn.addEventListener('click', () => {
+        renderRulesList(rulesList);
+        rulesModal.style.display = 'block';
+    });
+
+    if (targetSelect && headerGroup) {
+        targetSelect.addEventListener('change', () => {
+            headerGroup.style.display = targetSelect.value === 'response-body' ? 'none' : 'block';
+        });
+    }
+
+    if (addRuleBtn) {
+        addRuleBtn.addEventListener('click', () => {
+            const target = targetSelect.value;
+            const header = headerInput.value.trim();
+            const match = matchInput.value;
+            const isRegex = regexCheckbox.checked;
+
+            if (target !== 'response-body' && !header) {
+                alert('Please enter a header name.');
+                return;
+            }
+            if (target === 'response-body' && !match) {
+                alert('Body rules need something to match.');
+                return;
+            }
+            if (isRegex && match) {
+                try {
+                    new RegExp(match);
+                } catch (e) {
+                    alert(`Invalid regex: ${e.message}`);
+                    return;
+                }
+            }
+
+            rules.push({
+                id: `rule-${Date.now()}`,
+                name: nameInput.value.trim() || `Rule ${rules.length + 1}`,
+                enabled: true,
+                target,
+                header: target === 'response-body' ? '' : header,
+                match,
+                replace: replaceInput.value,
+                isRegex,
+                urlFilter: urlFilterInput.value.trim()
+            });
+            saveRules();
+            renderRulesList(rulesList);
+
+            nameInput.value = '';
+            headerInput.value = '';
+            matchInput.value = '';
+            replaceInput.value = '';
+            urlFilterInput.value = '';
+            regexCheckbox.checked = false;
+        });
+    }
+
+    if (rulesList) {
+        rulesList.addEventListener('click', (e) => {
+            const row = e.target.closest('.rule-row');
+            if (!row) return;
+            const rule = rules.find(r => r.id === row.dataset.id);
+            if (!rule) return;
+
+            if (e.target.classList.contains('rule-delete')) {
+                rules = rules.filter(r => r !== rule);
+            } else if (e.target.classList.contains('rule-enabled')) {
+                rule.enabled = e.target.checked;
+            } else {
+                return;
+            }
+            saveRules();
+            renderRulesList(rulesList);
+        });
+    }
+}
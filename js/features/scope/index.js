@@ -0,0 +1,117 @@
+// Capture Scope Feature - Editor for the include/exclude rules in state.scopeConfig
+import { state, actions } from '../../core/state.js';
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { escapeHtml } from '../../core/utils/dom.js';
+import { validateScopeRule } from '../../core/utils/scope.js';
+import { registerProjectSection, toStorable } from '../../core/storage/project-sections.js';
+
+const TYPE_LABELS = {
+    host: 'Host',
+    path: 'Path',
+    mime: 'MIME',
+    extension: 'Ext'
+};
+
+const PLACEHOLDERS = {
+    host: '*.example.com',
+    path: '^/api/',
+    mime: 'image/*',
+    extension: '.png'
+};
+
+// Scope is saved per project; projects without one fall back to the defaults
+registerProjectSection('scope', {
+    serialize() {
+        return toStorable(state.scopeConfig);
+    },
+    restore(config) {
+        actions.scope.setConfig(config);
+    }
+});
+
+function renderRuleList(container, list) {
+    if (!container) return;
+    const rules = state.scopeConfig[list];
+
+    if (rules.length === 0) {
+        container.innerHTML = `<div class="rules-empty">${list === 'include' ? 'Everything (no include rules).' : 'Nothing excluded.'}</div>`;
+        return;
+    }
+
+    container.innerHTML = rules.map((rule, index) => `
+        <div class="rule-row ${rule.enabled === false ? 'disabled' : ''}" data-list="${list}" data-index="${index}">
+            <input type="checkbox" class="rule-enabled" ${rule.enabled === false ? '' : 'checked'} title="Enable rule">
+            <span class="rule-summary"><span class="rule-name">${TYPE_LABELS[rule.type] || escapeHtml(rule.type)}</span> ${escapeHtml(rule.pattern)}</span>
+            <button class="secondary-btn rule-delete" title="Delete rule">&times;</button>
+        </div>
+    `).join('');
+}
+
+export function initScopeSettings() {
+    const scopeBtn = document.getElementById('scope-btn');
+    const scopeModal = document.getElementById('scope-modal');
+    const includeList = document.getElementById('scope-include-list');
+    const excludeList = document.getElementById('scope-exclude-list');
+    const listSelect = document.getElementById('scope-rule-list');
+    const typeSelect = document.getElementById('scope-rule-type');
+    const patternInput = document.getElementById('scope-rule-pattern');
+    const addBtn = document.getElementById('scope-add-btn');
+    const resetBtn = document.getElementById('scope-reset-btn');
+
+    if (!scopeBtn || !scopeModal) return;
+
+    const render = () => {
+        renderRuleList(includeList, 'include');
+        renderRuleList(excludeList, 'exclude');
+    };
+
+    events.on(EVENT_NAMES.STATE_SCOPE_CHANGED, () => {
+        render();
+        events.emit(EVENT_NAMES.PROJECT_DIRTY);
+    });
+
+    scopeBtn.addEventListener('click', () => {
+        render();
+        scopeModal.style.display = 'block';
+    });
+
+    if (typeSelect && patternInput) {
+        typeSelect.addEventListener('change', () => {
+            patternInput.placeholder = PLACEHOLDERS[typeSelect.value] || '';
+        });
+    }
+
+    if (addBtn) {
+        addBtn.addEventListener('click', () => {
+            const rule = { type: typeSelect.value, pattern: patternInput.value.trim() };
+            const error = validateScopeRule(rule);
+            if (error) {
+                alert(error);
+                return;
+            }
+            actions.scope.addRule(listSelect.value, rule);
+            patternInput.value = '';
+        });
+    }
+
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            if (confirm('Reset scope rules to the defaults?')) {
+                actions.scope.setConfig(null);
+            }
+        });
+    }
+
+    scopeModal.addEventListener('click', (e) => {
+        const row = e.target.closest('.rule-row');
+        if (!row) return;
+        const list = row.dataset.list;
+        const index = parseInt(row.dataset.index, 10);
+
+        if (e.target.classList.contains('rule-delete')) {
+            actions.scope.removeRule(list, index);
+        } else if (e.target.classList.contains('rule-enabled')) {
+            actions.scope.setRuleEnabled(list, index, e.target.checked);
+        }
+    });
+}
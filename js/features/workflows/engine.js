@@ -0,0 +1,170 @@
+// Workflow Engine - Run a chain of requests with extraction and assertions
+// Each step can use the values extracted by earlier steps as {{variable}}
+// (on top of the active environment, which parseRequest fills in when sending).
+import { substituteVariables } from '../../core/utils/templating.js';
+import { extractValue } from '../../network/macros.js';
+
+export const ASSERTION_TYPES = {
+    'status': 'Status is',
+    'body-contains': 'Body contains',
+    'body-not-contains': 'Body does not contain',
+    'body-regex': 'Body matches regex'
+};
+
+export const WORKFLOW_EXPORT_TYPE = 'rep-workflow';
+
+/**
+ * Whether a status matches an expected value: "200", "2xx" or a list ("200, 302, 4xx")
+ * @param {number} status
+ * @param {string} expected
+ * @returns {boolean}
+ */
+export function matchesStatus(status, expected) {
+    const actual = String(status);
+    return String(expected || '').split(/[\s,]+/).filter(Boolean).some(pattern => {
+        const lower = pattern.toLowerCase();
+        if (/^\dxx$/.test(lower)) return actual.length === 3 && actual[0] === lower[0];
+        return actual === pattern;
+    });
+}
+
+/**
+ * Check one assertion against a step response
+ * @param {{type: string, value: string}} assertion - Type is a key of ASSERTION_TYPES
+ * @param {{status: number, body: string}} response
+ * @returns {string|null} Failure message, or null when it holds
+ */
+export function checkAssertion({ type, value }, response) {
+    const body = response.body || '';
+    switch (type) {
+        case 'status':
+            return matchesStatus(response.status, value) ? null : `Expected status ${value}, got ${response.status}`;
+        case 'body-contains':
+            return body.includes(value) ? null : `Body does not contain "${value}"`;
+        case 'body-not-contains':
+            return body.includes(value) ? `Body contains "${value}"` : null;
+        case 'body-regex': {
+            let regex;
+            try {
+                regex = new RegExp(value);
+            } catch (e) {
+                return `Invalid regex: ${e.message}`;
+            }
+            return regex.test(body) ? null : `Body does not match /${value}/`;
+        }
+        default:
+            return `Unknown assertion "${type}"`;
+    }
+}
+
+/**
+ * Run the steps of a workflow in order. A step fails when its request fails,
+ * an assertion does not hold or an extraction finds nothing; with
+ * `stopOnFailure` the remaining steps are skipped.
+ * @param {Object} workflow
+ * @param {Function} send - Called with (rawText, useHttps, {signal}); resolves to a response
+ *   ({status, statusText, headers, body, setCookies, duration})
+ * @param {Object} [options]
+ * @param {Function} [options.onStep] - Called with (index, stepResult) when a step starts and when it ends
+ * @param {AbortSignal} [options.signal] - Aborts the step in flight and skips the rest
+ * @returns {Promise<{passed: boolean, cancelled: boolean, values: Object<string, string>, steps: Array<Object>}>}
+ */
+export async function runWorkflow(workflow, send, { onStep, signal } = {}) {
+    const values = {};
+    const steps = [];
+    let stopped = false;
+    let cancelled = false;
+
+    for (let i = 0; i < workflow.steps.length; i++) {
+        const step = workflow.steps[i];
+        const result = {
+            id: step.id,
+            name: step.name || (step.rawText.split('\n')[0] || '').trim(),
+            state: 'running',
+            request: substituteVariables(step.rawText, values).text,
+            response: null,
+            extracted: {},
+            failures: [],
+            error: null
+        };
+        steps.push(result);
+
+        if (!cancelled && signal && signal.aborted) cancelled = true;
+        if (stopped || cancelled) {
+            result.state = 'skipped';
+            if (onStep) onStep(i, result);
+            continue;
+        }
+        if (onStep) onStep(i, result);
+
+        try {
+            result.response = await send(result.request, step.useHttps, { signal });
+            step.assertions.forEach(assertion => {
+                const failure = checkAssertion(assertion, result.response);
+                if (failure) result.failures.push(failure);
+            });
+            step.extractions.forEach(extraction => {
+                if (!extraction.variable) return;
+                const value = extractValue(result.response, extraction);
+                if (value === null) {
+                    result.failures.push(`Nothing extracted for {{${extraction.variable}}}`);
+                } else {
+                    result.extracted[extraction.variable] = value;
+                    values[extraction.variable] = value;
+                }
+            });
+        } catch (err) {
+            if (signal && signal.aborted) {
+                // Cancelled while in flight: the step did not run to the end
+                cancelled = true;
+                result.state = 'skipped';
+                if (onStep) onStep(i, result);
+                continue;
+            }
+            result.error = err.message;
+            result.failures.push(err.message);
+        }
+
+        result.state = result.failures.length ? 'failed' : 'passed';
+        if (result.state === 'failed' && workflow.stopOnFailure) stopped = true;
+        if (onStep) onStep(i, result);
+    }
+
+    return {
+        passed: !cancelled && steps.every(step => step.state === 'passed'),
+        cancelled,
+        values,
+        steps
+    };
+}
+
+/**
+ * Portable copy of a workflow for export (ids are reassigned on import)
+ * @param {Object} workflow
+ * @returns {Object}
+ */
+export function serializeWorkflow(workflow) {
+    return {
+        type: WORKFLOW_EXPORT_TYPE,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        workflow: {
+            name: workflow.name,
+            stopOnFailure: workflow.stopOnFailure,
+            steps: workflow.steps.map(({ id, ...step }) => step)
+        }
+    };
+}
+
+/**
+ * Read an exported workflow
+ * @param {string} text - JSON text
+ * @returns {Object} Workflow fields, ready for workflowActions.create
+ */
+export function parseWorkflowExport(text) {
+    const data = JSON.parse(text);
+    if (!data || data.type !== WORKFLOW_EXPORT_TYPE || !data.workflow || !Array.isArray(data.workflow.steps)) {
+        throw new Error('Not a rep+ workflow export');
+    }
+    return data.workflow;
+}
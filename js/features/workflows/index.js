@@ -0,0 +1,372 @@
+// Workflows Feature - Build, run and share chains of requests
+// Steps are sent one after another through the extension (like macro steps);
+// the engine handles variables between steps and pass/fail assertions.
+import { state, actions } from '../../core/state.js';
+import { events, EVENT_NAMES } from '../../core/events.js';
+import { escapeHtml, downloadJSON } from '../../core/utils/dom.js';
+import { registerProjectSection, toStorable } from '../../core/storage/project-sections.js';
+import { EXTRACTION_SOURCES, sendStepRequest } from '../../network/macros.js';
+import { formatRawResponse } from '../../network/response-parser.js';
+import { buildRawRequest } from '../../ui/request-editor.js';
+import { addRequestMenuItem } from '../../ui/request-context-menu.js';
+import { ASSERTION_TYPES, runWorkflow, serializeWorkflow, parseWorkflowExport } from './engine.js';
+
+const STATE_ICONS = { running: '…', passed: '✓', failed: '✗', skipped: '–' };
+
+// Workflows are saved per project; run results are not
+registerProjectSection('workflows', {
+    serialize() {
+        return toStorable(state.workflows);
+    },
+    restore(data) {
+        actions.workflow.setAll(data || []);
+    }
+});
+
+function renderOptions(labels, selected) {
+    return Object.entries(labels).map(([value, label]) =>
+        `<option value="${value}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`
+    ).join('');
+}
+
+function renderStep(step, index, total) {
+    const extractions = step.extractions.map((extraction, i) => `
+        <div class="rule-row workflow-extraction-row" data-rule-index="${i}">
+            <span class="workflow-rule-label">Extract</span>
+            <input type="text" class="form-control workflow-variable" value="${escapeHtml(extraction.variable)}" placeholder="variable">
+            <select class="form-control workflow-extraction-source">${renderOptions(EXTRACTION_SOURCES, extraction.source)}</select>
+            <input type="text" class="form-control workflow-extraction-expression" value="${escapeHtml(extraction.expression)}" placeholder="${extraction.source === 'jsonpath' ? '$.id' : extraction.source === 'regex' ? 'token=(\\w+)' : 'name'}">
+            <button class="secondary-btn rule-delete" data-kind="extraction" title="Delete extraction">&times;</button>
+        </div>
+    `).join('');
+    const assertions = step.assertions.map((assertion, i) => `
+        <div class="rule-row workflow-assertion-row" data-rule-index="${i}">
+            <span class="workflow-rule-label">Assert</span>
+            <select class="form-control workflow-assertion-type">${renderOptions(ASSERTION_TYPES, assertion.type)}</select>
+            <input type="text" class="form-control workflow-assertion-value" value="${escapeHtml(assertion.value)}" placeholder="${assertion.type === 'status' ? '2xx' : 'text'}">
+            <button class="secondary-btn rule-delete" data-kind="assertion" title="Delete assertion">&times;</button>
+        </div>
+    `).join('');
+
+    return `
+        <div class="workflow-step" data-index="${index}" data-id="${escapeHtml(step.id)}">
+            <div class="workflow-step-header">
+                <span class="workflow-step-number">${index + 1}.</span>
+                <input type="text" class="form-control workflow-step-name" value="${escapeHtml(step.name)}" placeholder="${escapeHtml((step.rawText.split('\n')[0] || '').trim())}">
+                <label class="workflow-step-https" title="Use HTTPS"><input type="checkbox" class="workflow-step-https-input" ${step.useHttps ? 'checked' : ''}> HTTPS</label>
+                <button class="secondary-btn workflow-step-move" data-direction="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+                <button class="secondary-btn workflow-step-move" data-direction="1" title="Move down" ${index === total - 1 ? 'disabled' : ''}>&darr;</button>
+                <button class="secondary-btn rule-delete" data-kind="step" title="Remove step">&times;</button>
+            </div>
+            <textarea class="form-control workflow-step-raw" rows="5" spellcheck="false">${escapeHtml(step.rawText)}</textarea>
+            ${extractions}
+            ${assertions}
+            <div class="workflow-step-actions">
+                <button class="secondary-btn workflow-add-extraction">+ Extract</button>
+                <button class="secondary-btn workflow-add-assertion">+ Assert</button>
+            </div>
+        </div>
+    `;
+}
+
+function renderSteps(container, workflow) {
+    if (!workflow) {
+        container.innerHTML = '<div class="rules-empty">No workflows yet. Create one, or right-click a request in the list and choose "Add to workflow".</div>';
+        return;
+    }
+    if (workflow.steps.length === 0) {
+        container.innerHTML = '<div class="rules-empty">No steps. Add requests from the list or the editor.</div>';
+        return;
+    }
+    container.innerHTML = workflow.steps.map((step, index) => renderStep(step, index, workflow.steps.length)).join('');
+}
+
+function renderResults(container, run) {
+    if (!run) {
+        container.innerHTML = '<div class="rules-empty">Not run yet.</div>';
+        return;
+    }
+
+    const summary = run.finished
+        ? `<div class="workflow-summary ${run.passed ? 'passed' : 'failed'}">${run.cancelled ? 'Stopped' : run.passed ? 'All steps passed' : 'Failed'}</div>`
+        : '<div class="workflow-summary">Running...</div>';
+
+    container.innerHTML = summary + run.steps.map((step, index) => {
+        const response = step.response;
+        const status = response ? `${response.status} ${response.statusText || ''}`.trim() : '';
+        const duration = response && Number.isFinite(response.duration) ? `${response.duration}ms` : '';
+        const extracted = Object.entries(step.extracted).map(([name, value]) =>
+            `<div class="workflow-extracted"><code>{{${escapeHtml(name)}}}</code> = ${escapeHtml(value)}</div>`
+        ).join('');
+        const failures = step.failures.map(failure => `<div class="workflow-failure">${escapeHtml(failure)}</div>`).join('');
+        const details = step.state === 'skipped' || step.state === 'running' ? '' : `
+            <details class="workflow-result-details">
+                <summary>Request / response</summary>
+                <pre>${escapeHtml(step.request)}</pre>
+                ${response ? `<pre>${escapeHtml(formatRawResponse(response))}</pre>` : ''}
+            </details>
+        `;
+
+        return `
+            <div class="workflow-result ${step.state}">
+                <div class="workflow-result-header">
+                    <span class="workflow-result-icon">${STATE_ICONS[step.state]}</span>
+                    <span class="workflow-result-name">${index + 1}. ${escapeHtml(step.name)}</span>
+                    <span class="workflow-result-status">${escapeHtml(status)}</span>
+                    <span class="workflow-result-time">${duration}</span>
+                </div>
+                ${failures}
+                ${extracted}
+                ${details}
+            </div>
+        `;
+    }).join('');
+}
+
+export function initWorkflows() {
+    const workflowsBtn = document.getElementById('workflows-btn');
+    const modal = document.getElementById('workflows-modal');
+    if (!workflowsBtn || !modal) return;
+
+    const editSelect = document.getElementById('workflow-edit-select');
+    const nameInput = document.getElementById('workflow-name-input');
+    const stopOnFailureInput = document.getElementById('workflow-stop-on-failure');
+    const stepsList = document.getElementById('workflow-steps-list');
+    const resultsList = document.getElementById('workflow-results');
+    const addStepBtn = document.getElementById('workflow-add-step-btn');
+    const newBtn = document.getElementById('workflow-new-btn');
+    const deleteBtn = document.getElementById('workflow-delete-btn');
+    const runBtn = document.getElementById('workflow-run-btn');
+    const exportBtn = document.getElementById('workflow-export-btn');
+    const importBtn = document.getElementById('workflow-import-btn');
+    const importFile = document.getElementById('workflow-import-file');
+
+    // Workflow being edited, and the results of the last run per workflow
+    let editingId = null;
+    const runs = new Map();
+    let running = null; // { workflowId, controller }
+    const getEditing = () => state.workflows.find(w => w.id === editingId) || state.workflows[0] || null;
+
+    const renderModal = () => {
+        const workflow = getEditing();
+        editingId = workflow ? workflow.id : null;
+
+        editSelect.innerHTML = state.workflows.map(w =>
+            `<option value="${escapeHtml(w.id)}">${escapeHtml(w.name)}</option>`
+        ).join('');
+        editSelect.value = editingId || '';
+        editSelect.disabled = !workflow;
+        [nameInput, stopOnFailureInput, addStepBtn, deleteBtn, exportBtn].forEach(control => {
+            control.disabled = !workflow;
+        });
+        runBtn.disabled = !workflow || (workflow.steps.length === 0 && !running);
+        runBtn.textContent = running ? 'Stop' : 'Run';
+
+        nameInput.value = workflow ? workflow.name : '';
+        stopOnFailureInput.checked = workflow ? workflow.stopOnFailure : true;
+        renderSteps(stepsList, workflow);
+        renderResults(resultsList, workflow ? runs.get(workflow.id) : null);
+    };
+
+    // The whole form is read back on every change
+    const readSteps = () => Array.from(stepsList.querySelectorAll('.workflow-step')).map(card => ({
+        id: card.dataset.id,
+        name: card.querySelector('.workflow-step-name').value.trim(),
+        rawText: card.querySelector('.workflow-step-raw').value,
+        useHttps: card.querySelector('.workflow-step-https-input').checked,
+        extractions: Array.from(card.querySelectorAll('.workflow-extraction-row')).map(row => ({
+            variable: row.querySelector('.workflow-variable').value.trim(),
+            source: row.querySelector('.workflow-extraction-source').value,
+            expression: row.querySelector('.workflow-extraction-expression').value
+        })),
+        assertions: Array.from(card.querySelectorAll('.workflow-assertion-row')).map(row => ({
+            type: row.querySelector('.workflow-assertion-type').value,
+            value: row.querySelector('.workflow-assertion-value').value
+        }))
+    }));
+
+    const saveSteps = (change) => {
+        if (!editingId) return;
+        const steps = readSteps();
+        if (change) change(steps);
+        actions.workflow.update(editingId, { steps });
+    };
+
+    const openModal = () => {
+        renderModal();
+        modal.style.display = 'block';
+    };
+
+    /**
+     * Append a captured request to the workflow being edited (or a new one)
+     * @param {Object} request - Captured request entry
+     */
+    const addRequestToWorkflow = (request) => {
+        const workflow = getEditing() || actions.workflow.create();
+        const urlObj = new URL(request.request.url);
+        actions.workflow.addStep(workflow.id, {
+            name: `${request.request.method} ${urlObj.pathname}`,
+            rawText: buildRawRequest(request),
+            useHttps: urlObj.protocol === 'https:',
+            assertions: [{ type: 'status', value: '2xx' }]
+        });
+        editingId = workflow.id;
+        openModal();
+    };
+
+    addRequestMenuItem('Add to workflow', (request) => addRequestToWorkflow(request));
+
+    events.on(EVENT_NAMES.WORKFLOWS_UPDATED, () => {
+        // Edits re-render on change only, so typing is not interrupted
+        if (modal.style.display === 'block' && !modal.contains(document.activeElement)) {
+            renderModal();
+        }
+        events.emit(EVENT_NAMES.PROJECT_DIRTY);
+    });
+
+    workflowsBtn.addEventListener('click', openModal);
+
+    editSelect.addEventListener('change', () => {
+        editingId = editSelect.value;
+        renderModal();
+    });
+
+    nameInput.addEventListener('change', () => {
+        const name = nameInput.value.trim();
+        if (name && editingId) actions.workflow.update(editingId, { name });
+        renderModal();
+    });
+
+    stopOnFailureInput.addEventListener('change', () => {
+        if (editingId) actions.workflow.update(editingId, { stopOnFailure: stopOnFailureInput.checked });
+    });
+
+    stepsList.addEventListener('change', (e) => {
+        saveSteps();
+        // Source/type changes re-render for the matching placeholder
+        if (e.target.tagName === 'SELECT') renderModal();
+    });
+
+    stepsList.addEventListener('click', (e) => {
+        const card = e.target.closest('.workflow-step');
+        if (!card || !editingId) return;
+        const index = parseInt(card.dataset.index, 10);
+        const button = e.target.closest('button');
+        if (!button) return;
+
+        if (button.classList.contains('workflow-step-move')) {
+            saveSteps();
+            actions.workflow.moveStep(editingId, index, index + parseInt(button.dataset.direction, 10));
+        } else if (button.classList.contains('workflow-add-extraction')) {
+            saveSteps(steps => steps[index].extractions.push({ variable: '', source: 'jsonpath', expression: '' }));
+        } else if (button.classList.contains('workflow-add-assertion')) {
+            saveSteps(steps => steps[index].assertions.push({ type: 'status', value: '2xx' }));
+        } else if (button.dataset.kind === 'step') {
+            saveSteps(steps => steps.splice(index, 1));
+        } else if (button.dataset.kind) {
+            const ruleIndex = parseInt(button.closest('.rule-row').dataset.ruleIndex, 10);
+            const key = button.dataset.kind === 'extraction' ? 'extractions' : 'assertions';
+            saveSteps(steps => steps[index][key].splice(ruleIndex, 1));
+        } else {
+            return;
+        }
+        renderModal();
+    });
+
+    addStepBtn.addEventListener('click', () => {
+        const editor = document.getElementById('raw-request-input');
+        const useHttps = document.getElementById('use-https');
+        const rawText = editor ? editor.innerText.trim() : '';
+        if (!rawText || !editingId) {
+            alert('Open the request to add in the editor first.');
+            return;
+        }
+        saveSteps();
+        actions.workflow.addStep(editingId, {
+            rawText,
+            useHttps: useHttps ? useHttps.checked : true,
+            assertions: [{ type: 'status', value: '2xx' }]
+        });
+        renderModal();
+    });
+
+    newBtn.addEventListener('click', () => {
+        const workflow = actions.workflow.create();
+        editingId = workflow.id;
+        renderModal();
+        nameInput.select();
+    });
+
+    deleteBtn.addEventListener('click', () => {
+        const workflow = getEditing();
+        if (!workflow || !confirm(`Delete workflow "${workflow.name}"?`)) return;
+        actions.workflow.remove(workflow.id);
+        runs.delete(workflow.id);
+        editingId = null;
+        renderModal();
+    });
+
+    runBtn.addEventListener('click', async () => {
+        if (running) {
+            running.controller.abort();
+            return;
+        }
+        const workflow = getEditing();
+        if (!workflow) return;
+        saveSteps();
+
+        const current = getEditing();
+        const run = { steps: [], finished: false };
+        runs.set(current.id, run);
+        running = { workflowId: current.id, controller: new AbortController() };
+        renderModal();
+
+        const showProgress = () => {
+            if (editingId === current.id) renderResults(resultsList, run);
+        };
+
+        try {
+            const outcome = await runWorkflow(current, sendStepRequest, {
+                signal: running.controller.signal,
+                onStep: (index, stepResult) => {
+                    run.steps[index] = stepResult;
+                    showProgress();
+                }
+            });
+            Object.assign(run, outcome);
+        } catch (err) {
+            alert(`Workflow failed: ${err.message}`);
+        } finally {
+            run.finished = true;
+            running = null;
+            renderModal();
+        }
+    });
+
+    exportBtn.addEventListener('click', () => {
+        const workflow = getEditing();
+        if (!workflow) return;
+        saveSteps();
+        const fileName = getEditing().name.replace(/[^\w.-]+/g, '_') || 'workflow';
+        downloadJSON(serializeWorkflow(getEditing()), `${fileName}.json`);
+    });
+
+    importBtn.addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', () => {
+        const file = importFile.files[0];
+        importFile.value = '';
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const workflow = actions.workflow.create(parseWorkflowExport(e.target.result));
+                editingId = workflow.id;
+                renderModal();
+            } catch (error) {
+                alert('Failed to import: ' + error.message);
+            }
+        };
+        reader.readAsText(file);
+    });
+}
@@ -10,7 +10,7 @@ import {
 import { setupNetworkListener } from './network/capture.js';
 import { setupBulkReplay } from './features/bulk-replay/index.js';
 import { copyToClipboard } from './core/utils/dom.js';
-import { renderDiff } from './core/utils/misc.js';
+import { renderResponseDiff } from './core/utils/semantic-diff.js';
 import { highlightHTTP, getHostname } from './core/utils/network.js';
 
 // Feature Modules
@@ -19,15 +19,28 @@ import { initMultiTabCapture } from './network/multi-tab.js';
 import { initExtractorUI } from './features/extractors/index.js';
 import { setupAIFeatures } from './features/ai/index.js';
 import { setupLLMChat } from './features/llm-chat/index.js';
-import { handleSendRequest } from './network/handler.js';
+import { initMatchReplaceRules, tagMatchedRules } from './features/rules/index.js';
+import { initProjects } from './features/projects/index.js';
+import { initScopeSettings } from './features/scope/index.js';
+import { initRepeaterTabs } from './features/repeater/index.js';
+import { initEnvironments } from './features/environments/index.js';
+import { initMacros } from './features/macros/index.js';
+import { initWorkflows } from './features/workflows/index.js';
+import { initComparer } from './features/comparer/index.js';
+import { handleSendRequest, cancelActiveSend } from './network/handler.js';
+import { isManualRedirectMode, setManualRedirectMode } from './network/redirects.js';
+import { isSendFromPageMode, setSendFromPageMode } from './network/request-sender.js';
+import { getSendPolicy, setSendPolicy } from './network/send-policy.js';
 import { initSearch } from './search/index.js';
 
 // UI Modules
 import { setupBlockControls } from './ui/block-controls.js';
+import { setupRequestContextMenu } from './ui/request-context-menu.js';
 import { setupFilters } from './ui/filters.js';
 import { setupSidebar } from './ui/sidebar.js';
 import { setupViewTabs } from './ui/view-tabs.js';
-import { setupRawRequestEditor, initLayoutToggle } from './ui/request-editor.js';
+import { setupRawRequestEditor, initLayoutToggle, saveResponseBody } from './ui/request-editor.js';
+import { setupDiffSettings } from './ui/diff-settings.js';
 
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize UI Elements
@@ -46,6 +59,13 @@ document.addEventListener('DOMContentLoaded', () => {
     setupAIFeatures(elements);
     setupLLMChat(elements);
     initSearch();
+    initMatchReplaceRules();
+    initScopeSettings();
+    initRepeaterTabs();
+    initEnvironments();
+    initMacros();
+    initWorkflows();
+    initComparer();
 
     // Promotional Banner
     if (elements.promoBanner && elements.closeBannerBtn) {
@@ -79,26 +99,19 @@ document.addEventListener('DOMContentLoaded', () => {
             request.starred = true;
         }
 
+        // Mark requests rewritten by match & replace rules
+        tagMatchedRules(request);
+
         // Use action to add request (automatically emits events)
         const index = actions.request.add(request);
     };
 
-    setupNetworkListener((request) => {
-        if (state.blockRequests) {
-            const hasActiveList = state.requests.length > 0;
-            const hasQueued = state.blockedQueue.length > 0;
-            if (!hasActiveList && !hasQueued) {
-                // Show the first blocked request immediately so the user can step through
-                processCapturedRequest(request);
-            } else {
-                state.blockedQueue.push(request);
-                // Emit event to update block buttons
-                events.emit('block-queue:updated');
-            }
-            return;
-        }
-        processCapturedRequest(request);
-    });
+    // Intercepted requests are held by the background script until forwarded,
+    // so everything that reaches the DevTools network listener is already sent
+    setupNetworkListener(processCapturedRequest);
+
+    // Reopen the last project once every section has registered
+    initProjects();
 
     // Setup UI Components
     setupResizeHandle();
@@ -107,7 +120,8 @@ document.addEventListener('DOMContentLoaded', () => {
     setupUndoRedo();
 
     // Setup UI Features
-    setupBlockControls(processCapturedRequest);
+    setupBlockControls();
+    setupRequestContextMenu();
     setupFilters();
     setupSidebar();
     setupViewTabs();
@@ -119,6 +133,41 @@ document.addEventListener('DOMContentLoaded', () => {
         elements.sendBtn.addEventListener('click', handleSendRequest);
     }
 
+    if (elements.cancelSendBtn) {
+        elements.cancelSendBtn.addEventListener('click', cancelActiveSend);
+    }
+
+    // Timeout and retry policy for single sends
+    if (elements.sendTimeoutInput && elements.sendRetriesInput) {
+        const { timeoutMs, maxRetries } = getSendPolicy();
+        elements.sendTimeoutInput.value = timeoutMs / 1000;
+        elements.sendRetriesInput.value = maxRetries;
+        elements.sendTimeoutInput.addEventListener('change', () => {
+            setSendPolicy({ timeoutSeconds: elements.sendTimeoutInput.value });
+            elements.sendTimeoutInput.value = getSendPolicy().timeoutMs / 1000;
+        });
+        elements.sendRetriesInput.addEventListener('change', () => {
+            setSendPolicy({ maxRetries: elements.sendRetriesInput.value });
+            elements.sendRetriesInput.value = getSendPolicy().maxRetries;
+        });
+    }
+
+    // Manual redirect mode (step through 3xx hops)
+    if (elements.manualRedirectsCheckbox) {
+        elements.manualRedirectsCheckbox.checked = isManualRedirectMode();
+        elements.manualRedirectsCheckbox.addEventListener('change', () => {
+            setManualRedirectMode(elements.manualRedirectsCheckbox.checked);
+        });
+    }
+
+    // Send from page mode (first-party replay in the inspected tab)
+    if (elements.sendFromPageCheckbox) {
+        elements.sendFromPageCheckbox.checked = isSendFromPageMode();
+        elements.sendFromPageCheckbox.addEventListener('change', () => {
+            setSendFromPageMode(elements.sendFromPageCheckbox.checked);
+        });
+    }
+
     // Remove Duplicates Toggle
     if (elements.removeDuplicatesBtn) {
         // Load saved preference (default: true/enabled)
@@ -223,6 +272,21 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // History Navigation
+    // Back/forward through sent requests
+    if (elements.historyBackBtn) {
+        elements.historyBackBtn.addEventListener('click', () => actions.history.goBack());
+    }
+    if (elements.historyForwardBtn) {
+        elements.historyForwardBtn.addEventListener('click', () => actions.history.goForward());
+    }
+    events.on(EVENT_NAMES.HISTORY_NAVIGATED, ({ entry }) => {
+        if (!entry) return;
+        elements.rawRequestInput.innerHTML = highlightHTTP(entry.rawText);
+        if (elements.useHttpsCheckbox) {
+            elements.useHttpsCheckbox.checked = entry.useHttps;
+        }
+    });
+
     // Undo/Redo buttons
     if (elements.undoBtn) {
         elements.undoBtn.addEventListener('click', () => {
@@ -271,21 +335,28 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // Save response body (raw bytes)
+    if (elements.saveResBtn) {
+        elements.saveResBtn.addEventListener('click', saveResponseBody);
+    }
+
     // Screenshot
     if (elements.screenshotBtn) {
         elements.screenshotBtn.addEventListener('click', captureScreenshot);
     }
 
-    // Diff Toggle
-    if (elements.showDiffCheckbox) {
-        elements.showDiffCheckbox.addEventListener('change', () => {
-            if (state.regularRequestBaseline && state.currentResponse) {
-                if (elements.showDiffCheckbox.checked) {
-                    elements.rawResponseDisplay.innerHTML = renderDiff(state.regularRequestBaseline, state.currentResponse);
-                } else {
-                    elements.rawResponseDisplay.innerHTML = highlightHTTP(state.currentResponse);
-                }
+    // Diff Toggle (line or semantic diff against the baseline)
+    const refreshDiffView = () => {
+        if (state.regularRequestBaseline && state.currentResponse) {
+            if (elements.showDiffCheckbox.checked) {
+                elements.rawResponseDisplay.innerHTML = renderResponseDiff(state.regularRequestBaseline, state.currentResponse);
+            } else {
+                elements.rawResponseDisplay.innerHTML = highlightHTTP(state.currentResponse);
             }
-        });
+        }
+    };
+    if (elements.showDiffCheckbox) {
+        elements.showDiffCheckbox.addEventListener('change', refreshDiffView);
+        setupDiffSettings(refreshDiffView);
     }
 });
@@ -1,4 +1,13 @@
 // Network Operations
+import { state } from '../core/state.js';
+import { isInScope } from '../core/utils/scope.js';
+import { getBodyText } from '../core/utils/binary.js';
+import { applyEnvironment } from '../core/utils/templating.js';
+import { harEntryToRedirectHop } from './redirects.js';
+
+// DevTools reports each redirect hop as its own entry; hops are held here
+// (keyed by their target URL) until the request they lead to arrives.
+const MAX_PENDING_REDIRECTS = 50;
 
 export function setupNetworkListener(onRequestCaptured) {
     // Get the current page URL once at setup
@@ -11,6 +20,8 @@ export function setupNetworkListener(onRequestCaptured) {
         });
     }
 
+    const pendingRedirects = new Map(); // target url -> hop[]
+
     // Update page URL when navigation occurs
     browser.devtools.network.onNavigated.addListener((url) => {
         currentPageUrl = url;
@@ -50,22 +61,23 @@ export function setupNetworkListener(onRequestCaptured) {
             // If URL parsing fails, continue with other checks
         }
 
-        // Filter out static resources (JS, CSS, images, fonts, etc.)
-        const url = request.request.url.toLowerCase();
-        const staticExtensions = [
-            '.css', '.jpg', '.jpeg', '.png', '.gif', '.svg', '.webp', '.ico',
-            '.woff', '.woff2', '.ttf', '.eot', '.otf',
-            '.mp4', '.webm', '.mp3', '.wav',
-            '.pdf'
-        ];
-
-        // Check if URL ends with any static extension
-        const isStatic = staticExtensions.some(ext => {
-            return url.endsWith(ext) || url.includes(ext + '?');
-        });
+        // Record the redirect chain that led to this request
+        const chain = pendingRedirects.get(request.request.url);
+        if (chain) {
+            pendingRedirects.delete(request.request.url);
+            request.redirectChain = chain;
+        }
+        const hop = harEntryToRedirectHop(request);
+        if (hop) {
+            pendingRedirects.set(hop.location, (chain || []).concat(hop));
+            if (pendingRedirects.size > MAX_PENDING_REDIRECTS) {
+                pendingRedirects.delete(pendingRedirects.keys().next().value);
+            }
+        }
 
-        if (isStatic) {
-            // console.log('Skipping static resource:', request.request.url);
+        // Apply the configurable capture scope (host, path, MIME, extension rules)
+        const mimeType = request.response?.content?.mimeType || '';
+        if (!isInScope(state.scopeConfig, request.request.url, mimeType)) {
             return;
         }
 
@@ -111,7 +123,16 @@ export function setupNetworkListener(onRequestCaptured) {
     });
 }
 
-export function parseRequest(rawContent, useHttps) {
+/**
+ * Parse raw HTTP request text into its parts without applying any of the
+ * browser fetch restrictions. Header order and forbidden headers are kept.
+ * An absolute-form request line (`GET https://target/path HTTP/1.1`) sets the
+ * URL to connect to, so the Host header can point somewhere else.
+ * @param {string} rawContent - Raw request text (request line, headers, body)
+ * @param {boolean} useHttps - Whether to build an https:// URL
+ * @returns {{method: string, path: string, url: string, host: string, headers: Array<{name: string, value: string}>, bodyText: string|null}}
+ */
+export function parseRawRequest(rawContent, useHttps) {
     const lines = rawContent.split('\n');
     if (lines.length === 0) {
         throw new Error('No content to send');
@@ -125,10 +146,19 @@ export function parseRequest(rawContent, useHttps) {
     }
 
     const method = reqLineParts[0].toUpperCase();
-    const path = reqLineParts[1];
+    let path = reqLineParts[1];
+    let target = null;
+    if (/^https?:\/\//i.test(path)) {
+        try {
+            target = new URL(path);
+            path = target.pathname + target.search;
+        } catch (e) {
+            throw new Error(`Invalid URL in request line: ${path}`);
+        }
+    }
 
     // Split Headers and Body
-    let headers = {};
+    const headers = [];
     let bodyText = null;
     let isBody = false;
     let host = '';
@@ -156,7 +186,7 @@ export function parseRequest(rawContent, useHttps) {
                     if (key.toLowerCase() === 'host') {
                         host = value;
                     } else {
-                        headers[key] = value;
+                        headers.push({ name: key, value });
                     }
                 }
             }
@@ -167,6 +197,10 @@ export function parseRequest(rawContent, useHttps) {
         }
     }
 
+    if (target) {
+        return { method, path, url: target.href, host: host || target.host, headers, bodyText };
+    }
+
     if (!host) {
         throw new Error('Host header is missing!');
     }
@@ -174,6 +208,30 @@ export function parseRequest(rawContent, useHttps) {
     const scheme = useHttps ? 'https' : 'http';
     const url = `${scheme}://${host}${path}`;
 
+    return { method, path, url, host, headers, bodyText };
+}
+
+/**
+ * Turn the editor text into fetch arguments. {{variable}} placeholders are
+ * filled in from the active environment first; any without a value are left
+ * as-is and listed in `unresolved`.
+ * @param {string} rawContent - Raw request text
+ * @param {boolean} useHttps - Whether to build an https:// URL
+ * @param {Object} [options]
+ * @param {boolean} [options.environment=true] - false sends the text as-is (already substituted)
+ * @returns {{url: string, options: Object, method: string, filteredHeaders: Object, bodyText: string|null, rawHeaders: Array<{name: string, value: string}>, unresolved: string[]}}
+ */
+export function parseRequest(rawContent, useHttps, { environment = true } = {}) {
+    const { text, unresolved } = environment
+        ? applyEnvironment(rawContent, state)
+        : { text: rawContent, unresolved: [] };
+    const { method, url, host, headers: headerList, bodyText } = parseRawRequest(text, useHttps);
+
+    const headers = {};
+    headerList.forEach(({ name, value }) => {
+        headers[name] = value;
+    });
+
     // Filter out forbidden headers
     const forbiddenHeaders = [
         'accept-charset', 'accept-encoding', 'access-control-request-headers',
@@ -218,7 +276,10 @@ export function parseRequest(rawContent, useHttps) {
         options.body = bodyText;
     }
 
-    return { url, options, method, filteredHeaders, bodyText };
+    // Exactly what the editor says, for background.js to restore on the wire
+    const rawHeaders = [{ name: 'Host', value: host }, ...headerList];
+
+    return { url, options, method, filteredHeaders, bodyText, rawHeaders, unresolved };
 }
 
 export async function executeRequest(url, options) {
@@ -234,15 +295,20 @@ export async function executeRequest(url, options) {
     const endTime = performance.now();
     const duration = (endTime - startTime).toFixed(0);
 
-    const responseBody = await response.text();
-    const size = new TextEncoder().encode(responseBody).length;
+    // Keep the bytes: decoding binary bodies as text would corrupt them
+    const bodyBytes = new Uint8Array(await response.arrayBuffer());
+    const responseBody = getBodyText(bodyBytes, response.headers.get('content-type'));
 
     return {
         status: response.status,
         statusText: response.statusText,
+        type: response.type, // 'opaqueredirect' for redirect: 'manual'
+        redirected: response.redirected,
+        url: response.url,
         headers: response.headers,
         body: responseBody,
-        size: size,
+        bodyBytes,
+        size: bodyBytes.length,
         duration: duration
     };
 }
\ No newline at end of file
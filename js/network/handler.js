@@ -3,101 +3,333 @@ import { state, addToHistory } from '../core/state.js';
 import { elements } from '../ui/main-ui.js';
 import { events, EVENT_NAMES } from '../core/events.js';
 import { parseRequest } from './capture.js';
-import { sendRequest } from './request-sender.js';
-import { formatRawResponse, getStatusClass } from './response-parser.js';
+import { sendRequest, sendRequestFromPage, isSendFromPageMode } from './request-sender.js';
+import { formatRawResponse, getStatusClass, getRedirectRequest } from './response-parser.js';
+import { isManualRedirectMode } from './redirects.js';
+import { createReplayId, registerReplayHeaders, collectReplayReport, discardReplay } from './replay.js';
+import { getSendPolicy, sendWithPolicy } from './send-policy.js';
+import { prepareWithMacros, injectMacroValues, runTriggeredMacros, toMacroResponse } from './macros.js';
+import { renderRedirectChain } from '../ui/redirect-chain.js';
+import { renderSentHeaders } from '../ui/sent-headers.js';
 import { formatBytes } from '../core/utils/format.js';
-import { renderDiff } from '../core/utils/misc.js';
+import { bytesToBase64 } from '../core/utils/binary.js';
+import { renderResponseDiff } from '../core/utils/semantic-diff.js';
 import { highlightHTTP } from '../core/utils/network.js';
-import { generateHexView } from '../ui/hex-view.js'
+import { generateResponseHexView } from '../ui/hex-view.js'
 import { generateJsonView } from '../ui/json-view.js'
-import { saveEditorState } from '../ui/request-editor.js';
+import { saveActiveEditorState, updatePreview } from '../ui/request-editor.js';
 
 export async function handleSendRequest() {
     const rawContent = elements.rawRequestInput.innerText;
     const useHttps = elements.useHttpsCheckbox.checked;
 
     // Save editor state before sending (preserve modifications)
-    if (state.selectedRequest) {
-        const requestIndex = state.requests.indexOf(state.selectedRequest);
-        if (requestIndex !== -1) {
-            saveEditorState(requestIndex);
-        }
-    }
+    saveActiveEditorState();
 
     // Add to history
     addToHistory(rawContent, useHttps);
     events.emit(EVENT_NAMES.UI_UPDATE_HISTORY_BUTTONS);
 
     try {
-        const { url, options, method, filteredHeaders, bodyText } = parseRequest(rawContent, useHttps);
+        const prepared = await prepareWithMacros(rawContent, useHttps, { onStatus: showMacroStatus });
+        const { url, options, rawHeaders, unresolved } = parseRequest(prepared, useHttps);
+        if (!confirmUnresolvedVariables(unresolved)) return;
+        await sendAndRender({ url, options, rawHeaders }, [], { rawText: rawContent, useHttps });
+    } catch (err) {
+        handleSendError(err);
+    }
+}
 
-        elements.resStatus.textContent = 'Sending...';
-        elements.resStatus.className = 'status-badge';
+/**
+ * Ask before sending a request that still has {{placeholders}} without a value
+ * in the active environment (they would go out literally)
+ * @param {string[]} unresolved - Placeholder names
+ * @returns {boolean} Whether to send
+ */
+export function confirmUnresolvedVariables(unresolved) {
+    if (!unresolved || unresolved.length === 0) return true;
+    const names = unresolved.map(name => `{{${name}}}`).join(', ');
+    return confirm(`No value in the active environment for ${names}.\n\nSend anyway with the placeholders as-is?`);
+}
 
-        console.log('Sending request to:', url);
+let activeSend = null; // AbortController of the send in flight
 
-        const result = await sendRequest(url, options);
+/**
+ * Cancel the send in flight (including a pending retry wait), if any
+ */
+export function cancelActiveSend() {
+    if (activeSend) activeSend.abort();
+}
 
-        elements.resTime.textContent = `${result.duration}ms`;
-        elements.resSize.textContent = formatBytes(result.size);
+function setSending(sending) {
+    if (elements.sendBtn) elements.sendBtn.disabled = sending;
+    if (elements.cancelSendBtn) elements.cancelSendBtn.style.display = sending ? '' : 'none';
+}
 
-        elements.resStatus.textContent = `${result.status} ${result.statusText}`;
-        elements.resStatus.className = getStatusClass(result.status);
+/**
+ * One attempt: tag the request with a fresh replay id (overrides are one-time),
+ * send it and collect what the background reported.
+ * @returns {Promise<Object>} Send result with the replay `report` ({hops, sentHeaders})
+ */
+async function sendAttempt(request, signal, { manualRedirects, fromPage }) {
+    const replayId = createReplayId();
+    const options = {
+        ...request.options,
+        headers: { ...request.options.headers, 'X-Rep-Plus-Replay-Id': replayId },
+        redirect: manualRedirects ? 'manual' : 'follow',
+        signal
+    };
 
-        // Format raw HTTP response
-        const rawResponse = formatRawResponse(result);
+    try {
+        // Extension replays get the editor's forbidden headers (Origin, Referer,
+        // Cookie, Sec-*, Host...) back from background.js; page replays keep the
+        // browser's first-party headers.
+        const registered = !fromPage && request.rawHeaders
+            ? await registerReplayHeaders(replayId, request.rawHeaders)
+            : false;
 
-        // Store current response
-        state.currentResponse = rawResponse;
-        
-        // Save editor state (including response) after receiving response
-        if (state.selectedRequest) {
-            const requestIndex = state.requests.indexOf(state.selectedRequest);
-            if (requestIndex !== -1) {
-                saveEditorState(requestIndex);
-            }
-        }
+        const result = fromPage
+            ? await sendRequestFromPage(request.url, options)
+            : await sendRequest(request.url, options);
+        const report = await collectReplayReport(replayId, result, { expectSentHeaders: registered });
+        return { ...result, report };
+    } catch (err) {
+        discardReplay(replayId);
+        throw err;
+    }
+}
 
-        // Handle Diff Baseline
-        if (!state.regularRequestBaseline) {
-            state.regularRequestBaseline = rawResponse;
-            elements.diffToggle.style.display = 'none';
-        } else {
-            elements.diffToggle.style.display = 'flex';
-            if (elements.showDiffCheckbox && elements.showDiffCheckbox.checked) {
-                elements.rawResponseDisplay.innerHTML = renderDiff(state.regularRequestBaseline, rawResponse);
-            } else {
-                elements.rawResponseDisplay.innerHTML = highlightHTTP(rawResponse);
-            }
-        }
+/**
+ * Send one request (or redirect hop) and show the response.
+ * In manual redirect mode a 3xx stops here and the chain offers the next hop.
+ * The send can be cancelled, times out per attempt and is retried per the
+ * send policy; the badges show elapsed time and attempts.
+ * @param {{url: string, options: Object, rawHeaders: Array<{name: string, value: string}>}} request
+ *   Fetch URL and options plus the exact editor headers (see parseRequest)
+ * @param {Array<Object>} previousHops - Hops already followed manually
+ * @param {{rawText: string, useHttps: boolean}} [macroSource] - Editor request to send
+ *   again when a session macro trigger fires on the response (only once)
+ */
+async function sendAndRender(request, previousHops, macroSource = null) {
+    const { url } = request;
+    elements.resStatus.textContent = 'Sending...';
+    elements.resStatus.className = 'status-badge';
+    elements.resSize.textContent = '';
+    if (elements.resAttempts) elements.resAttempts.textContent = '';
 
-        // If diff not enabled or first response
-        if (!elements.showDiffCheckbox || !elements.showDiffCheckbox.checked || !state.regularRequestBaseline || state.regularRequestBaseline === rawResponse) {
-            elements.rawResponseDisplay.innerHTML = highlightHTTP(rawResponse);
-        }
+    console.log('Sending request to:', url);
+
+    const manualRedirects = isManualRedirectMode();
+    const fromPage = isSendFromPageMode();
+    const { timeoutMs, maxRetries } = getSendPolicy();
 
-        elements.rawResponseDisplay.style.display = 'block';
-        elements.rawResponseDisplay.style.visibility = 'visible';
+    if (activeSend) activeSend.abort();
+    const controller = new AbortController();
+    activeSend = controller;
+    setSending(true);
 
-        // Update other tabs as well
-        elements.rawResponseText.textContent = rawResponse;
-        elements.hexResponseDisplay.textContent = generateHexView(rawResponse);
-        elements.jsonResponseDisplay.innerHTML = '';
-        elements.jsonResponseDisplay.appendChild(generateJsonView(rawResponse));
+    const started = performance.now();
+    const showElapsed = () => {
+        elements.resTime.textContent = `${((performance.now() - started) / 1000).toFixed(1)}s`;
+    };
+    showElapsed();
+    const ticker = setInterval(showElapsed, 100);
 
+    let sent;
+    try {
+        sent = await sendWithPolicy(signal => sendAttempt(request, signal, { manualRedirects, fromPage }), {
+            timeoutMs,
+            maxRetries,
+            signal: controller.signal,
+            onAttempt: (attempt, total) => {
+                elements.resStatus.textContent = attempt > 1 ? `Sending... (attempt ${attempt}/${total})` : 'Sending...';
+                elements.resStatus.className = 'status-badge';
+            },
+            onRetryWait: (delay, reason) => {
+                elements.resStatus.textContent = `${reason}, retrying in ${(delay / 1000).toFixed(1)}s`;
+            }
+        });
     } catch (err) {
-        console.error('Request Failed:', err);
-
-        // Check for missing permissions if it's a fetch error
-        // Note: In Firefox, permissions are granted at install time, not runtime
-        if (err.message === 'Failed to fetch' || err.message.includes('NetworkError')) {
-            // In Firefox, if permissions aren't available, they need to be granted at install time
-            // or manually enabled in about:addons
-            showPermissionError();
-        } else {
-            showError(err);
+        err.elapsed = Math.round(performance.now() - started);
+        throw err;
+    } finally {
+        clearInterval(ticker);
+        if (activeSend === controller) {
+            activeSend = null;
+            setSending(false);
         }
     }
+
+    const elapsed = Math.round(performance.now() - started);
+    const { attempts } = sent;
+    let { report, ...result } = sent.result;
+    const { hops, sentHeaders } = report;
+    const chain = previousHops.concat(hops);
+    renderSentHeaders(elements.sentHeaders, sentHeaders);
+
+    result = resolveOpaqueRedirect(result, hops);
+
+    // A session macro logged in again: resend with the fresh values
+    if (macroSource && await runTriggeredMacros(macroSource.rawText, macroSource.useHttps,
+        toMacroResponse(result, report), { onStatus: showMacroStatus })) {
+        const retry = parseRequest(injectMacroValues(macroSource.rawText, macroSource.useHttps), macroSource.useHttps);
+        return sendAndRender({ url: retry.url, options: retry.options, rawHeaders: retry.rawHeaders }, previousHops);
+    }
+
+    const next = manualRedirects && result.type === 'opaqueredirect'
+        ? getRedirectRequest(request, hops[hops.length - 1])
+        : null;
+    renderRedirectChain(elements.redirectChain, chain, {
+        nextUrl: next ? next.url : null,
+        onFollow: next
+            ? () => sendAndRender(next, chain).catch(handleSendError)
+            : null
+    });
+
+    elements.resTime.textContent = result.fromPage ? `${result.duration}ms (page)` : `${result.duration}ms`;
+    elements.resSize.textContent = formatBytes(result.size);
+    if (elements.resAttempts) {
+        elements.resAttempts.textContent = attempts > 1 ? `${attempts} attempts, ${elapsed}ms total` : '';
+    }
+
+    elements.resStatus.textContent = `${result.status} ${result.statusText}`;
+    elements.resStatus.className = getStatusClass(result.status);
+
+    // Format raw HTTP response
+    const rawResponse = formatRawResponse(result);
+
+    // Store current response (and its raw bytes for hex, preview and save)
+    state.currentResponse = rawResponse;
+    state.currentResponseBody = getResponseBody(result, request.url);
+    
+    // Save editor state (including response) after receiving response
+    saveActiveEditorState();
+
+    // Response history of the request in the editor (picked from in the Comparer)
+    events.emit(EVENT_NAMES.EDITOR_RESPONSE_RECEIVED, {
+        request: elements.rawRequestInput.innerText,
+        response: rawResponse,
+        status: `${result.status} ${result.statusText}`.trim()
+    });
+
+    // The first response becomes the diff baseline
+    const baseline = state.regularRequestBaseline;
+    if (!baseline) state.regularRequestBaseline = rawResponse;
+    renderResponseViews(rawResponse, state.currentResponseBody, baseline);
+}
+
+/**
+ * Show a response in the response pane: raw (or diffed against the baseline
+ * when Diff View is on), plus the raw text, hex, JSON and preview views
+ * @param {string} rawResponse
+ * @param {Object|null} responseBody - Raw body ({contentType, base64, url}) for hex, preview and save
+ * @param {string|null} baseline - Diff baseline; without one the diff toggle is hidden
+ */
+export function renderResponseViews(rawResponse, responseBody, baseline) {
+    elements.diffToggle.style.display = baseline ? 'flex' : 'none';
+    const showDiff = baseline && baseline !== rawResponse &&
+        elements.showDiffCheckbox && elements.showDiffCheckbox.checked;
+    elements.rawResponseDisplay.innerHTML = showDiff
+        ? renderResponseDiff(baseline, rawResponse)
+        : highlightHTTP(rawResponse);
+
+    elements.rawResponseDisplay.style.display = 'block';
+    elements.rawResponseDisplay.style.visibility = 'visible';
+
+    // Update other tabs as well
+    elements.rawResponseText.textContent = rawResponse;
+    elements.hexResponseDisplay.textContent = generateResponseHexView(rawResponse, responseBody);
+    elements.jsonResponseDisplay.innerHTML = '';
+    elements.jsonResponseDisplay.appendChild(generateJsonView(rawResponse));
+    if (elements.resViewPreview && elements.resViewPreview.classList.contains('active')) {
+        updatePreview(rawResponse);
+    }
+}
+
+/**
+ * Send one raw request the way Send does (environment, header filtering,
+ * replay id with the exact editor headers, send-from-page and manual redirect
+ * modes, per-attempt timeout) without touching the response pane.
+ * Retries are left to the caller. Used by bulk replay.
+ * @param {string} rawText - Raw request text
+ * @param {boolean} useHttps
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the send
+ * @param {boolean} [options.environment=true] - false when the environment was
+ *   already applied, so {{...}} in payloads is sent verbatim
+ * @returns {Promise<Object>} Send result (status, statusText, headers, body, bodyBytes, size,
+ *   duration, report) plus `rawResponse` (formatted like the response pane) and
+ *   `responseBody` (raw body for hex, preview and save, or null)
+ */
+export async function sendRawRequest(rawText, useHttps, { signal, environment = true } = {}) {
+    const request = parseRequest(rawText, useHttps, { environment });
+    const manualRedirects = isManualRedirectMode();
+    const fromPage = isSendFromPageMode();
+    const { timeoutMs } = getSendPolicy();
+
+    const { result: sent } = await sendWithPolicy(
+        attemptSignal => sendAttempt(request, attemptSignal, { manualRedirects, fromPage }),
+        { timeoutMs, signal }
+    );
+    const result = resolveOpaqueRedirect(sent, sent.report.hops);
+    return {
+        ...result,
+        rawResponse: formatRawResponse(result),
+        responseBody: getResponseBody(result, request.url)
+    };
+}
+
+// An opaque redirect hides status and headers; use what the background saw
+function resolveOpaqueRedirect(result, hops) {
+    if (result.type !== 'opaqueredirect') return result;
+    const hop = hops[hops.length - 1];
+    return hop ? {
+        ...result,
+        status: hop.status,
+        statusText: (hop.statusLine || '').replace(/^HTTP\/[\d.]+\s+\d+\s*/, ''),
+        headers: hop.responseHeaders || []
+    } : {
+        ...result,
+        status: '',
+        statusText: 'Redirect (details unavailable)'
+    };
+}
+
+// Raw response bytes for hex, preview and save (null when empty)
+function getResponseBody(result, requestUrl) {
+    return result.bodyBytes && result.bodyBytes.length ? {
+        contentType: getResponseContentType(result.headers),
+        base64: bytesToBase64(result.bodyBytes),
+        url: result.url || requestUrl
+    } : null;
+}
+
+function getResponseContentType(headers) {
+    if (Array.isArray(headers)) {
+        const header = headers.find(h => h.name && h.name.toLowerCase() === 'content-type');
+        return header ? header.value : '';
+    }
+    return headers && typeof headers.get === 'function' ? headers.get('content-type') || '' : '';
+}
+
+function handleSendError(err) {
+    if (err.cancelled) {
+        // A newer send aborted this one and owns the response pane now
+        if (!activeSend) showCancelled(err);
+        return;
+    }
+
+    console.error('Request Failed:', err);
+
+    // Check for missing permissions if it's a fetch error
+    // Note: In Firefox, permissions are granted at install time, not runtime
+    if (!err.fromPage && !err.timedOut && (err.message === 'Failed to fetch' || err.message.includes('NetworkError'))) {
+        // In Firefox, if permissions aren't available, they need to be granted at install time
+        // or manually enabled in about:addons
+        showPermissionError();
+    } else {
+        showError(err);
+    }
 }
 
 // Show permission error (Firefox uses static permissions granted at install time)
@@ -124,10 +356,33 @@ function showPermissionError() {
     elements.rawResponseDisplay.style.display = 'block';
 }
 
+function showMacroStatus(message) {
+    elements.resStatus.textContent = message;
+    elements.resStatus.className = 'status-badge';
+}
+
+function showAttempts(err) {
+    if (elements.resAttempts) {
+        elements.resAttempts.textContent = err.attempts > 1 ? `${err.attempts} attempts` : '';
+    }
+}
+
+function showCancelled(err) {
+    elements.resStatus.textContent = 'Cancelled';
+    elements.resStatus.className = 'status-badge';
+    elements.resTime.textContent = `${err.elapsed || 0}ms`;
+    showAttempts(err);
+    elements.rawResponseDisplay.textContent = 'Request cancelled.';
+    elements.rawResponseDisplay.style.display = 'block';
+}
+
 function showError(err) {
-    elements.resStatus.textContent = 'Error';
+    elements.resStatus.textContent = err.timedOut ? 'Timeout' : 'Error';
     elements.resStatus.className = 'status-badge status-5xx';
-    elements.resTime.textContent = '0ms';
-    elements.rawResponseDisplay.textContent = `Error: ${err.message}\n\nStack: ${err.stack}`;
+    elements.resTime.textContent = `${err.elapsed || 0}ms`;
+    showAttempts(err);
+    elements.rawResponseDisplay.textContent = err.timedOut
+        ? `Error: ${err.message}`
+        : `Error: ${err.message}\n\nStack: ${err.stack}`;
     elements.rawResponseDisplay.style.display = 'block';
 }
@@ -0,0 +1,158 @@
+// Intercept Module - Bridges the background interception listener and the blocked queue
+import { state, actions } from '../core/state.js';
+import { events } from '../core/events.js';
+import { parseRawRequest } from './capture.js';
+import { buildRawRequest } from '../ui/request-editor.js';
+
+let interceptPort = null;
+// interceptIds the background is still holding for us
+const pendingIds = new Set();
+
+function getInspectedTabId() {
+    if (browser.devtools && browser.devtools.inspectedWindow) {
+        return browser.devtools.inspectedWindow.tabId;
+    }
+    return null;
+}
+
+function post(message) {
+    if (!interceptPort) return;
+    try {
+        interceptPort.postMessage(message);
+    } catch (e) {
+        console.error('Intercept: failed to reach background', e);
+    }
+}
+
+function connect() {
+    if (interceptPort) return;
+
+    interceptPort = browser.runtime.connect({ name: 'rep-intercept' });
+
+    interceptPort.onMessage.addListener((msg) => {
+        if (msg.type === 'intercepted_request') {
+            queueInterceptedRequest(msg.data);
+        } else if (msg.type === 'intercept-result') {
+            if (msg.error) {
+                console.error(`Intercept: re-issued request ${msg.interceptId} failed:`, msg.error);
+            }
+        }
+    });
+
+    interceptPort.onDisconnect.addListener(() => {
+        // Background releases everything it held for this port
+        interceptPort = null;
+        pendingIds.clear();
+        if (state.blockRequests) {
+            actions.blocking.setBlocking(false);
+        }
+    });
+}
+
+function queueInterceptedRequest(data) {
+    if (!state.blockRequests) {
+        post({ type: 'intercept-forward', interceptId: data.interceptId });
+        return;
+    }
+
+    const entry = {
+        interceptId: data.interceptId,
+        request: {
+            method: data.method,
+            url: data.url,
+            headers: data.headers || [],
+            postData: data.body ? { text: data.body } : undefined
+        },
+        pageUrl: data.documentUrl || data.url,
+        capturedAt: data.timeStamp
+    };
+    entry.rawText = buildRawRequest(entry);
+
+    pendingIds.add(entry.interceptId);
+    actions.blocking.addToBlockedQueue(entry);
+}
+
+/**
+ * Turn real interception on or off for the inspected tab.
+ * Disabling lets every paused request continue unchanged.
+ * @param {boolean} enabled
+ */
+export function setInterceptEnabled(enabled) {
+    if (enabled) {
+        connect();
+        post({ type: 'intercept-set', enabled: true, tabId: getInspectedTabId() });
+        return;
+    }
+
+    post({ type: 'intercept-set', enabled: false });
+    pendingIds.clear();
+    if (interceptPort) {
+        interceptPort.disconnect();
+        interceptPort = null;
+    }
+}
+
+/**
+ * Work out what changed between the intercepted request and the edited raw text.
+ * Only a changed body is sent back so the background can keep the original
+ * (possibly binary) body when it was not touched.
+ * @param {Object} entry - Queued intercepted entry
+ * @param {string} editedRaw - Raw request text from the editor
+ * @returns {{method: string, url: string, headers: Array<{name: string, value: string}>, body?: string}}
+ */
+export function buildInterceptEdits(entry, editedRaw) {
+    const useHttps = entry.request.url.startsWith('https:');
+    const original = parseRawRequest(entry.rawText, useHttps);
+    const edited = parseRawRequest(editedRaw, useHttps);
+
+    const edits = {
+        method: edited.method,
+        url: edited.url,
+        headers: [{ name: 'Host', value: edited.host }, ...edited.headers]
+    };
+
+    // Keep the original URL string when the editor only re-serialized it
+    if (edited.url === original.url) {
+        edits.url = entry.request.url;
+    }
+
+    if ((edited.bodyText || '') !== (original.bodyText || '')) {
+        edits.body = edited.bodyText || '';
+    }
+
+    return edits;
+}
+
+/**
+ * Forward a paused request, optionally with edits
+ * @param {Object} entry - Queued intercepted entry
+ * @param {Object} [edits] - Result of buildInterceptEdits(); omitted to forward unchanged
+ */
+export function forwardIntercepted(entry, edits) {
+    pendingIds.delete(entry.interceptId);
+    actions.blocking.removeFromBlockedQueue(entry);
+    post({ type: 'intercept-forward', interceptId: entry.interceptId, edits });
+}
+
+/**
+ * Drop a paused request so it never reaches the server
+ * @param {Object} entry - Queued intercepted entry
+ */
+export function dropIntercepted(entry) {
+    pendingIds.delete(entry.interceptId);
+    actions.blocking.removeFromBlockedQueue(entry);
+    post({ type: 'intercept-drop', interceptId: entry.interceptId });
+}
+
+// Anything removed from the queue by other means (clear all, group delete)
+// must not stay paused in the browser forever.
+events.on('block-queue:updated', () => {
+    if (pendingIds.size === 0) return;
+    const queuedIds = new Set(state.blockedQueue.map(r => r.interceptId));
+    pendingIds.forEach(interceptId => {
+        if (!queuedIds.has(interceptId)) {
+            pendingIds.delete(interceptId);
+            post({ type: 'intercept-forward', interceptId });
+        }
+    });
+});
@@ -0,0 +1,427 @@
+// Session Macros - Log in again and inject fresh tokens into later requests
+// A macro is a sequence of requests plus extraction rules (regex, JSONPath,
+// response header or Set-Cookie). Extracted values are injected into matching
+// requests as a header or cookie, and can be used as {{variable}} placeholders.
+// A macro runs before each send (or once before a bulk run) when `trigger.before`
+// is set, and after a response matching its trigger (status code or body regex),
+// in which case the request is sent once more with the fresh values.
+import { state, actions } from '../core/state.js';
+import { substituteVariables } from '../core/utils/templating.js';
+import { parseRequest } from './capture.js';
+import { sendRequest } from './request-sender.js';
+import { createReplayId, registerReplayHeaders, collectReplayReport, discardReplay } from './replay.js';
+import { getSendPolicy, sendWithPolicy } from './send-policy.js';
+
+export const EXTRACTION_SOURCES = {
+    regex: 'Regex (body)',
+    jsonpath: 'JSONPath (body)',
+    header: 'Response header',
+    cookie: 'Set-Cookie'
+};
+
+export const INJECTION_TARGETS = {
+    header: 'Header',
+    cookie: 'Cookie'
+};
+
+const JSONPATH_TOKEN = /\.\.(\*|[A-Za-z_$][\w$-]*)|\.(\*|[A-Za-z_$][\w$-]*)|\[(\d+)\]|\[\s*(['"])(.*?)\4\s*\]|\[\*\]/y;
+
+function parseJsonPath(path) {
+    const trimmed = String(path || '').trim();
+    if (!trimmed.startsWith('$')) {
+        throw new Error(`Invalid JSONPath "${path}": must start with $`);
+    }
+
+    const tokens = [];
+    JSONPATH_TOKEN.lastIndex = 1;
+    while (JSONPATH_TOKEN.lastIndex < trimmed.length) {
+        const start = JSONPATH_TOKEN.lastIndex;
+        const match = JSONPATH_TOKEN.exec(trimmed);
+        if (!match) {
+            throw new Error(`Invalid JSONPath "${path}" at position ${start}`);
+        }
+        if (match[1] !== undefined) tokens.push({ recursive: true, key: match[1] });
+        else if (match[2] !== undefined) tokens.push({ key: match[2] });
+        else if (match[3] !== undefined) tokens.push({ index: Number(match[3]) });
+        else if (match[5] !== undefined) tokens.push({ key: match[5] });
+        else tokens.push({ key: '*' });
+    }
+    return tokens;
+}
+
+function getChildren(node, key) {
+    if (node === null || typeof node !== 'object') return [];
+    if (key === '*') return Object.values(node);
+    return Object.prototype.hasOwnProperty.call(node, key) ? [node[key]] : [];
+}
+
+function getDescendants(node) {
+    if (node === null || typeof node !== 'object') return [node];
+    return [node, ...Object.values(node).flatMap(getDescendants)];
+}
+
+/**
+ * Evaluate a JSONPath subset: $, .key, ['key'], [index], * wildcards and ..key
+ * @param {*} data - Parsed JSON
+ * @param {string} path - e.g. "$.data.tokens[0].access_token" or "$..csrf"
+ * @returns {*} First match, or undefined
+ */
+export function evaluateJsonPath(data, path) {
+    let nodes = [data];
+    parseJsonPath(path).forEach(token => {
+        if (token.index !== undefined) {
+            nodes = nodes.filter(Array.isArray).map(node => node[token.index]).filter(node => node !== undefined);
+        } else if (token.recursive) {
+            nodes = nodes.flatMap(getDescendants).flatMap(node => getChildren(node, token.key));
+        } else {
+            nodes = nodes.flatMap(node => getChildren(node, token.key));
+        }
+    });
+    return nodes[0];
+}
+
+function getCookieFromSetCookie(setCookie, name) {
+    const pair = String(setCookie || '').split(';')[0];
+    const equals = pair.indexOf('=');
+    if (equals === -1 || pair.substring(0, equals).trim() !== name) return null;
+    return pair.substring(equals + 1).trim();
+}
+
+/**
+ * Extract a value from a macro response
+ * @param {{status: number, headers: Array<{name: string, value: string}>, body: string, setCookies: string[]}} response
+ * @param {{source: string, expression: string}} extraction - Source is a key of EXTRACTION_SOURCES.
+ *   Regexes return their first capture group (or the whole match); header and
+ *   cookie expressions are names.
+ * @returns {string|null} The value, or null when nothing matched
+ */
+export function extractValue(response, { source, expression }) {
+    if (!String(expression || '').trim()) return null;
+    const name = expression.trim();
+
+    switch (source) {
+        case 'regex': {
+            const match = new RegExp(expression).exec(response.body || '');
+            if (!match) return null;
+            return match.length > 1 ? (match[1] ?? '') : match[0];
+        }
+        case 'jsonpath': {
+            let data;
+            try {
+                data = JSON.parse(response.body);
+            } catch (e) {
+                return null;
+            }
+            const value = evaluateJsonPath(data, name);
+            if (value === undefined || value === null) return null;
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+        case 'header': {
+            const header = (response.headers || []).find(h => h.name.toLowerCase() === name.toLowerCase());
+            return header ? header.value : null;
+        }
+        case 'cookie': {
+            // The last Set-Cookie for a name wins, as in the browser's cookie jar
+            const values = (response.setCookies || [])
+                .map(setCookie => getCookieFromSetCookie(setCookie, name))
+                .filter(value => value !== null);
+            return values.length ? values[values.length - 1] : null;
+        }
+        default:
+            return null;
+    }
+}
+
+function getHeaderBlockEnd(lines) {
+    const end = lines.findIndex((line, index) => index > 0 && line.trim() === '');
+    return end === -1 ? lines.length : end;
+}
+
+function findHeaderLine(lines, end, name) {
+    const lower = name.toLowerCase();
+    for (let i = 1; i < end; i++) {
+        const colon = lines[i].indexOf(':');
+        if (colon > 0 && lines[i].substring(0, colon).trim().toLowerCase() === lower) return i;
+    }
+    return -1;
+}
+
+/**
+ * Set a header in a raw request, replacing an existing one of the same name
+ * @param {string} rawText
+ * @param {string} name
+ * @param {string} value
+ * @returns {string}
+ */
+export function setRequestHeader(rawText, name, value) {
+    const lines = rawText.split('\n');
+    const end = getHeaderBlockEnd(lines);
+    const index = findHeaderLine(lines, end, name);
+    if (index === -1) {
+        lines.splice(end, 0, `${name}: ${value}`);
+    } else {
+        const existing = lines[index].substring(0, lines[index].indexOf(':')).trim();
+        lines[index] = `${existing}: ${value}`;
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Set a cookie in the Cookie header of a raw request (added when missing)
+ * @param {string} rawText
+ * @param {string} name
+ * @param {string} value
+ * @returns {string}
+ */
+export function setRequestCookie(rawText, name, value) {
+    const lines = rawText.split('\n');
+    const index = findHeaderLine(lines, getHeaderBlockEnd(lines), 'cookie');
+    if (index === -1) return setRequestHeader(rawText, 'Cookie', `${name}=${value}`);
+
+    const header = lines[index];
+    const pairs = header.substring(header.indexOf(':') + 1).split(';').map(pair => pair.trim()).filter(Boolean);
+    const existing = pairs.findIndex(pair => pair.split('=')[0].trim() === name);
+    if (existing === -1) pairs.push(`${name}=${value}`);
+    else pairs[existing] = `${name}=${value}`;
+    return setRequestHeader(rawText, 'Cookie', pairs.join('; '));
+}
+
+/**
+ * Write extracted values into a raw request
+ * @param {string} rawText
+ * @param {Array<{variable: string, target: string, name: string}>} injections
+ * @param {Object<string, string>} values - Values by variable name; injections without a value are skipped
+ * @returns {string}
+ */
+export function applyInjections(rawText, injections, values) {
+    return (injections || []).reduce((text, { variable, target, name }) => {
+        if (!name || !Object.prototype.hasOwnProperty.call(values, variable)) return text;
+        return target === 'cookie'
+            ? setRequestCookie(text, name, values[variable])
+            : setRequestHeader(text, name, values[variable]);
+    }, rawText);
+}
+
+/**
+ * Whether a response fires a macro's trigger (status code or body regex)
+ * @param {Object} macro
+ * @param {{status: number, body: string}} response
+ * @returns {boolean}
+ */
+export function matchesTrigger(macro, response) {
+    const { statuses, bodyPattern } = macro.trigger;
+    if (statuses.includes(Number(response.status))) return true;
+    if (!bodyPattern) return false;
+    try {
+        return new RegExp(bodyPattern).test(response.body || '');
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Whether a macro applies to a request URL
+ * @param {Object} macro
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function macroAppliesTo(macro, url) {
+    return macro.enabled && (!macro.urlFilter || String(url || '').includes(macro.urlFilter));
+}
+
+/**
+ * Run the requests of a macro in order. Each step can use values extracted by
+ * the previous ones as {{variable}}; every extraction rule is tried on every
+ * response and the last value found wins.
+ * @param {Object} macro
+ * @param {Function} send - Called with (rawText, step); resolves to a macro response
+ * @param {Object} [options]
+ * @param {Function} [options.onStep] - Called with (step, totalSteps) before each request
+ * @returns {Promise<{values: Object<string, string>, missing: string[]}>} Extracted values and
+ *   the variables no response had a value for
+ */
+export async function runMacro(macro, send, { onStep } = {}) {
+    if (macro.steps.length === 0) {
+        throw new Error(`Macro "${macro.name}" has no requests`);
+    }
+
+    const values = {};
+    for (let i = 0; i < macro.steps.length; i++) {
+        const step = macro.steps[i];
+        if (onStep) onStep(i + 1, macro.steps.length);
+
+        try {
+            const response = await send(substituteVariables(step.rawText, values).text, step);
+            macro.extractions.forEach(extraction => {
+                if (!extraction.variable) return;
+                const value = extractValue(response, extraction);
+                if (value !== null) values[extraction.variable] = value;
+            });
+        } catch (err) {
+            throw new Error(`Macro "${macro.name}" failed at request ${i + 1}: ${err.message}`);
+        }
+    }
+
+    const missing = macro.extractions
+        .map(extraction => extraction.variable)
+        .filter(variable => variable && !Object.prototype.hasOwnProperty.call(values, variable));
+    return { values, missing };
+}
+
+function headersToArray(headers) {
+    if (!headers) return [];
+    if (Array.isArray(headers)) return headers;
+    const list = [];
+    headers.forEach((value, name) => list.push({ name, value }));
+    return list;
+}
+
+/**
+ * Normalize a send result for extraction and trigger checks
+ * @param {Object} result - Send result (headers as a Headers object or an array)
+ * @param {Object} [report] - Replay report with redirect hops and final response headers
+ * @returns {{status: number, statusText: string, headers: Array<{name: string, value: string}>, body: string, setCookies: string[]}}
+ */
+export function toMacroResponse(result, report) {
+    const headers = headersToArray((report && report.responseHeaders) || result.headers);
+    const setCookies = (report ? report.hops : []).flatMap(hop => hop.setCookies || []);
+    headers.filter(h => h.name.toLowerCase() === 'set-cookie').forEach(h => setCookies.push(h.value));
+    return {
+        status: result.status,
+        statusText: result.statusText || '',
+        headers,
+        body: result.body || '',
+        setCookies
+    };
+}
+
+/**
+ * Send a raw request for extraction (macro and workflow steps). It always goes
+ * through the extension with the exact editor headers, so the background can
+ * report Set-Cookie from every redirect hop and the final response.
+ * @param {string} rawText
+ * @param {boolean} useHttps
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the send
+ * @returns {Promise<Object>} See toMacroResponse, plus the `duration` in ms
+ */
+export async function sendStepRequest(rawText, useHttps, { signal } = {}) {
+    const { url, options, rawHeaders } = parseRequest(rawText, useHttps);
+    const { timeoutMs } = getSendPolicy();
+
+    const { result } = await sendWithPolicy(async (signal) => {
+        const replayId = createReplayId();
+        try {
+            const registered = await registerReplayHeaders(replayId, rawHeaders);
+            const sent = await sendRequest(url, {
+                ...options,
+                headers: { ...options.headers, 'X-Rep-Plus-Replay-Id': replayId },
+                signal
+            });
+            const report = await collectReplayReport(replayId, sent, {
+                expectSentHeaders: registered,
+                expectResponseHeaders: registered
+            });
+            return { ...toMacroResponse(sent, report), duration: Number(sent.duration) };
+        } catch (err) {
+            discardReplay(replayId);
+            throw err;
+        }
+    }, { timeoutMs, signal });
+    return result;
+}
+
+const runningMacros = new Map(); // macroId -> Promise of the run in flight
+
+/**
+ * Run a macro and store what it extracted. Callers asking for a macro that is
+ * already running share that run, so concurrent sends log in only once.
+ * @param {Object} macro
+ * @param {Object} [options]
+ * @param {Function} [options.onStatus] - Called with a progress message
+ * @returns {Promise<{values: Object<string, string>, missing: string[]}>}
+ */
+export function runSessionMacro(macro, { onStatus } = {}) {
+    if (runningMacros.has(macro.id)) return runningMacros.get(macro.id);
+
+    const run = runMacro(macro, (rawText, step) => sendStepRequest(rawText, step.useHttps), {
+        onStep: (step, total) => {
+            if (onStatus) onStatus(`Running macro "${macro.name}" (${step}/${total})...`);
+        }
+    }).then(outcome => {
+        actions.macro.setVariables(outcome.values);
+        return outcome;
+    }).finally(() => {
+        runningMacros.delete(macro.id);
+    });
+
+    runningMacros.set(macro.id, run);
+    return run;
+}
+
+function getTargetUrl(rawText, useHttps) {
+    try {
+        return parseRequest(rawText, useHttps).url;
+    } catch (e) {
+        // Unparseable (e.g. a bulk template); only macros without a URL filter apply
+        return '';
+    }
+}
+
+function getApplicableMacros(rawText, useHttps) {
+    const url = getTargetUrl(rawText, useHttps);
+    return state.macros.filter(macro => macroAppliesTo(macro, url));
+}
+
+/**
+ * Inject the current macro values into a raw request
+ * @param {string} rawText
+ * @param {boolean} useHttps
+ * @returns {string}
+ */
+export function injectMacroValues(rawText, useHttps) {
+    return getApplicableMacros(rawText, useHttps).reduce(
+        (text, macro) => applyInjections(text, macro.injections, state.macroVariables),
+        rawText
+    );
+}
+
+/**
+ * Run the macros that apply to a request and run before sending
+ * @param {string} rawText
+ * @param {boolean} useHttps
+ * @param {Object} [options] - See runSessionMacro
+ */
+export async function runBeforeSendMacros(rawText, useHttps, options) {
+    for (const macro of getApplicableMacros(rawText, useHttps).filter(m => m.trigger.before)) {
+        await runSessionMacro(macro, options);
+    }
+}
+
+/**
+ * Run the "before send" macros and inject their values
+ * @param {string} rawText
+ * @param {boolean} useHttps
+ * @param {Object} [options] - See runSessionMacro
+ * @returns {Promise<string>} The raw request with fresh values
+ */
+export async function prepareWithMacros(rawText, useHttps, options) {
+    await runBeforeSendMacros(rawText, useHttps, options);
+    return injectMacroValues(rawText, useHttps);
+}
+
+/**
+ * Run the macros whose trigger fires on a response
+ * @param {string} rawText - Raw request that got the response
+ * @param {boolean} useHttps
+ * @param {Object} response - See toMacroResponse
+ * @param {Object} [options] - See runSessionMacro
+ * @returns {Promise<boolean>} Whether any macro ran (the request should be sent again)
+ */
+export async function runTriggeredMacros(rawText, useHttps, response, options) {
+    const fired = getApplicableMacros(rawText, useHttps).filter(macro => matchesTrigger(macro, response));
+    for (const macro of fired) {
+        await runSessionMacro(macro, options);
+    }
+    return fired.length > 0;
+}
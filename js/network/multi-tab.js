@@ -1,7 +1,15 @@
 // Multi-tab Capture Module
-import { actions } from '../core/state.js';
+import { state, actions } from '../core/state.js';
+import { isInScope } from '../core/utils/scope.js';
 import { events, EVENT_NAMES } from '../core/events.js';
 
+// "HTTP/1.1 200 OK" -> "OK"
+function parseStatusText(statusLine) {
+    if (!statusLine) return '';
+    const match = statusLine.match(/^\S+\s+\d{3}\s*(.*)$/);
+    return match ? match[1] : statusLine;
+}
+
 export function initMultiTabCapture() {
     const multiTabBtn = document.getElementById('multi-tab-btn');
     let backgroundPort = null;
@@ -36,6 +44,9 @@ export function initMultiTabCapture() {
                     // Skip requests from the current inspected tab (handled by setupNetworkListener)
                     if (browser.devtools && browser.devtools.inspectedWindow && req.tabId === browser.devtools.inspectedWindow.tabId) return;
 
+                    // Skip our own replays (tagged by background.js)
+                    if (req.isReplay) return;
+
                     // Filter out non-HTTP requests
                     if (!req.url || !req.url.startsWith('http')) return;
 
@@ -57,6 +68,11 @@ export function initMultiTabCapture() {
                         // If URL parsing fails, continue with other checks
                     }
 
+                    const responseBody = req.responseBody || '';
+                    const responseStatus = req.statusCode || '';
+                    const responseStatusText = parseStatusText(req.statusLine);
+                    const responseHeaders = req.responseHeaders || [];
+
                     // Convert to HAR-like format
                     const harEntry = {
                         request: {
@@ -67,29 +83,32 @@ export function initMultiTabCapture() {
                         },
                         response: {
                             status: req.statusCode,
-                            statusText: req.statusLine || '',
-                            headers: req.responseHeaders || [],
+                            statusText: responseStatusText,
+                            headers: responseHeaders,
                             content: {
-                                mimeType: (req.responseHeaders || []).find(h => h.name.toLowerCase() === 'content-type')?.value || '',
-                                text: '' // Response body not available for background requests
+                                mimeType: responseHeaders.find(h => h.name.toLowerCase() === 'content-type')?.value || '',
+                                // Streamed by background.js via filterResponseData (capped in size)
+                                text: responseBody,
+                                encoding: req.responseEncoding || undefined
                             }
                         },
+                        responseBody,
+                        responseEncoding: req.responseEncoding || '',
+                        responseBodyTruncated: !!req.responseBodyTruncated,
+                        responseBodySkipped: !!req.responseBodySkipped,
+                        responseBodyUnavailable: !!req.responseBodyUnavailable,
+                        responseStatus,
+                        responseStatusText,
+                        responseHeaders,
                         capturedAt: req.timeStamp,
                         fromOtherTab: true, // Flag to indicate source
+                        matchedRules: req.matchedRules || [],
+                        redirectChain: req.redirectChain || [],
                         pageUrl: req.initiator || req.url // Use initiator as pageUrl for grouping
                     };
 
-                    // Filter static resources
-                    const url = req.url.toLowerCase();
-                    const staticExtensions = [
-                        '.css', '.jpg', '.jpeg', '.png', '.gif', '.svg', '.webp', '.ico',
-                        '.woff', '.woff2', '.ttf', '.eot', '.otf',
-                        '.mp4', '.webm', '.mp3', '.wav',
-                        '.pdf'
-                    ];
-
-                    const isStatic = staticExtensions.some(ext => url.endsWith(ext) || url.includes(ext + '?'));
-                    if (isStatic) return;
+                    // Apply the configurable capture scope (host, path, MIME, extension rules)
+                    if (!isInScope(state.scopeConfig, req.url, harEntry.response.content.mimeType)) return;
 
                     // Use action to add request (automatically emits events)
                     const index = actions.request.add(harEntry);
@@ -0,0 +1,49 @@
+// Redirect Module - Manual redirect mode and redirect hops from DevTools
+// Replay hops are reported by background.js through the replay channel (replay.js).
+
+const MANUAL_REDIRECTS_KEY = 'rep_manual_redirects';
+
+/**
+ * Whether replays should stop at each 3xx instead of following it
+ * @returns {boolean}
+ */
+export function isManualRedirectMode() {
+    return localStorage.getItem(MANUAL_REDIRECTS_KEY) === 'true';
+}
+
+/**
+ * @param {boolean} enabled
+ */
+export function setManualRedirectMode(enabled) {
+    localStorage.setItem(MANUAL_REDIRECTS_KEY, enabled ? 'true' : 'false');
+}
+
+/**
+ * Build a hop from a DevTools HAR entry that answered with a redirect
+ * @param {Object} entry - HAR entry
+ * @returns {Object|null} Hop, or null when the entry is not a redirect
+ */
+export function harEntryToRedirectHop(entry) {
+    const status = entry.response ? entry.response.status : 0;
+    const headers = (entry.response && entry.response.headers) || [];
+    const location = headers.find(h => h.name.toLowerCase() === 'location');
+    const target = (entry.response && entry.response.redirectURL) || (location ? location.value : '');
+    if (status < 300 || status >= 400 || !target) return null;
+
+    let resolved = target;
+    try {
+        resolved = new URL(target, entry.request.url).href;
+    } catch (e) {
+        // Keep the raw Location value
+    }
+
+    return {
+        url: entry.request.url,
+        method: entry.request.method,
+        status,
+        statusLine: `HTTP/1.1 ${status} ${entry.response.statusText || ''}`.trim(),
+        location: resolved,
+        setCookies: headers.filter(h => h.name.toLowerCase() === 'set-cookie').map(h => h.value),
+        responseHeaders: headers
+    };
+}
@@ -0,0 +1,136 @@
+// Replay Channel - One-time ids that let background.js recognize our replays
+// Each replay carries an X-Rep-Plus-Replay-Id header (stripped before it goes
+// out). The background uses the id to put the exact editor headers back on the
+// wire, and reports the redirect hops it saw, the headers actually sent and the
+// headers of the final response (Set-Cookie included, which fetch hides).
+
+const REGISTER_TIMEOUT_MS = 1000;
+const REPORT_WAIT_MS = 1500;
+
+let replayPort = null;
+let replayCounter = 0;
+const reports = new Map(); // replayId -> { hops, sentHeaders, responseHeaders }
+const waiters = new Map(); // replayId -> resolve()
+const registrations = new Map(); // replayId -> resolve(boolean)
+
+function connectToBackground() {
+    if (replayPort) return;
+
+    try {
+        replayPort = browser.runtime.connect({ name: 'rep-replay' });
+    } catch (e) {
+        console.error('Replay: failed to connect to background', e);
+        replayPort = null;
+        return;
+    }
+
+    replayPort.onMessage.addListener((msg) => {
+        if (msg.type === 'replay-registered') {
+            const resolve = registrations.get(msg.replayId);
+            if (resolve) resolve(true);
+            return;
+        }
+
+        if (!['replay-redirect', 'replay-sent-headers', 'replay-response-headers'].includes(msg.type)) return;
+        const report = reports.get(msg.replayId);
+        if (!report) return; // Not a replay from this panel, or already collected
+
+        if (msg.type === 'replay-redirect') {
+            report.hops.push(msg.hop);
+        } else if (msg.type === 'replay-response-headers') {
+            report.responseHeaders = msg.headers;
+        } else {
+            // Redirect hops are sent again; keep the request that got the final response
+            report.sentHeaders = msg.headers;
+        }
+
+        const resolve = waiters.get(msg.replayId);
+        if (resolve) resolve();
+    });
+
+    replayPort.onDisconnect.addListener(() => {
+        replayPort = null;
+        setTimeout(connectToBackground, 2000);
+    });
+}
+
+/**
+ * Start tracking a replay
+ * @returns {string} Replay id to send in the X-Rep-Plus-Replay-Id header
+ */
+export function createReplayId() {
+    connectToBackground();
+    const replayId = `replay-${Date.now()}-${++replayCounter}`;
+    reports.set(replayId, { hops: [], sentHeaders: null, responseHeaders: null });
+    return replayId;
+}
+
+/**
+ * Hand the exact editor headers (forbidden ones and Host included) to the
+ * background, which swaps them in when the replay is sent.
+ * @param {string} replayId
+ * @param {Array<{name: string, value: string}>} headers
+ * @returns {Promise<boolean>} Whether the background acknowledged them
+ */
+export function registerReplayHeaders(replayId, headers) {
+    if (!replayPort) return Promise.resolve(false);
+
+    return new Promise(resolve => {
+        const done = (registered) => {
+            clearTimeout(timer);
+            registrations.delete(replayId);
+            resolve(registered);
+        };
+        const timer = setTimeout(() => done(false), REGISTER_TIMEOUT_MS);
+        registrations.set(replayId, done);
+
+        try {
+            replayPort.postMessage({ type: 'replay-register', replayId, headers });
+        } catch (e) {
+            console.error('Replay: failed to register headers', e);
+            done(false);
+        }
+    });
+}
+
+/**
+ * Collect what the background reported for a replay and stop tracking it.
+ * Waits briefly when a report is expected but has not arrived yet.
+ * @param {string} replayId
+ * @param {{type: string, redirected: boolean}} result - Result of the send
+ * @param {Object} [options]
+ * @param {boolean} [options.expectSentHeaders=false] - The background saw the replay id
+ * @param {boolean} [options.expectResponseHeaders=false] - Wait for the final response headers too
+ * @returns {Promise<{hops: Array<Object>, sentHeaders: Array<{name: string, value: string}>|null, responseHeaders: Array<{name: string, value: string}>|null}>}
+ */
+export async function collectReplayReport(replayId, result, { expectSentHeaders = false, expectResponseHeaders = false } = {}) {
+    const report = reports.get(replayId) || { hops: [], sentHeaders: null, responseHeaders: null };
+    const expectsHop = result && (result.type === 'opaqueredirect' || result.redirected);
+    const isMissing = () => (expectsHop && report.hops.length === 0) ||
+        (expectSentHeaders && !report.sentHeaders) ||
+        (expectResponseHeaders && result.type !== 'opaqueredirect' && !report.responseHeaders);
+
+    if (isMissing()) {
+        await new Promise(resolve => {
+            const timer = setTimeout(resolve, REPORT_WAIT_MS);
+            waiters.set(replayId, () => {
+                if (isMissing()) return;
+                clearTimeout(timer);
+                resolve();
+            });
+        });
+    }
+
+    waiters.delete(replayId);
+    reports.delete(replayId);
+    return report;
+}
+
+/**
+ * Stop tracking a replay that never produced a response (error or cancel)
+ * @param {string} replayId
+ */
+export function discardReplay(replayId) {
+    waiters.delete(replayId);
+    reports.delete(replayId);
+}
@@ -1,5 +1,14 @@
 // Request Sender Module - Handles actual HTTP request execution
 import { executeRequest } from './capture.js';
+import { base64ToBytes, getBodyText } from '../core/utils/binary.js';
+
+const SEND_FROM_PAGE_KEY = 'rep_send_from_page';
+const PAGE_POLL_INTERVAL = 100;
+const PAGE_TIMEOUT = 60000;
+// Page-side results live under a registered symbol so nothing collides with app globals
+const PAGE_RESULTS_SYMBOL = 'rep-plus-page-replays';
+
+let pageReplayCounter = 0;
 
 /**
  * Sends an HTTP request and returns the raw response
@@ -11,3 +20,163 @@ export async function sendRequest(url, options) {
     return await executeRequest(url, options);
 }
 
+/**
+ * Whether replays should run inside the inspected page instead of the extension
+ * @returns {boolean}
+ */
+export function isSendFromPageMode() {
+    return localStorage.getItem(SEND_FROM_PAGE_KEY) === 'true';
+}
+
+/**
+ * @param {boolean} enabled
+ */
+export function setSendFromPageMode(enabled) {
+    localStorage.setItem(SEND_FROM_PAGE_KEY, enabled ? 'true' : 'false');
+}
+
+// Runs in the inspected page (serialized with toString), so it must be self-contained.
+// The rep+ tag headers are only sent same-origin: cross-origin they would force a
+// CORS preflight the real app never makes.
+function startPageFetch(key, symbolName, url, init, tagHeaders) {
+    const results = window[Symbol.for(symbolName)] || (window[Symbol.for(symbolName)] = {});
+    const sameOrigin = new URL(url, location.href).origin === location.origin;
+    if (sameOrigin) {
+        Object.assign(init.headers, tagHeaders);
+    }
+
+    const started = performance.now();
+    const controller = new AbortController();
+    init.signal = controller.signal;
+    results[key] = { done: false, controller };
+    fetch(url, init).then(async (response) => {
+        // Bytes travel back as base64 so binary bodies survive the eval round-trip
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        if (!results[key]) return; // Cancelled from the panel
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        const headers = [];
+        response.headers.forEach((value, name) => headers.push({ name, value }));
+        results[key] = {
+            done: true,
+            status: response.status,
+            statusText: response.statusText,
+            type: response.type,
+            redirected: response.redirected,
+            url: response.url,
+            headers,
+            bodyBase64: btoa(binary),
+            duration: Math.round(performance.now() - started)
+        };
+    }).catch((error) => {
+        if (!results[key]) return;
+        results[key] = { done: true, error: String(error && error.message ? error.message : error) };
+    });
+    return true;
+}
+
+function takePageResult(key, symbolName) {
+    const results = window[Symbol.for(symbolName)];
+    const result = results && results[key];
+    if (!result || !result.done) return null;
+    delete results[key];
+    return result;
+}
+
+function abortPageFetch(key, symbolName) {
+    const results = window[Symbol.for(symbolName)];
+    const entry = results && results[key];
+    if (!entry) return false;
+    delete results[key];
+    if (entry.controller) entry.controller.abort();
+    return true;
+}
+
+async function evalInPage(fn, ...args) {
+    const expression = `(${fn.toString()})(${args.map(arg => JSON.stringify(arg)).join(', ')})`;
+    const [result, exceptionInfo] = await browser.devtools.inspectedWindow.eval(expression);
+    if (exceptionInfo && (exceptionInfo.isException || exceptionInfo.isError)) {
+        throw new Error(exceptionInfo.value || exceptionInfo.description || 'Evaluation in the page failed');
+    }
+    return result;
+}
+
+/**
+ * Sends an HTTP request from the inspected page (first-party fetch), so the
+ * browser sets Origin, Referer, Sec-Fetch-* and same-site cookies like the app does.
+ * @param {string} url - The URL to send the request to
+ * @param {Object} options - Fetch options (method, headers, body, etc.); an
+ *   options.signal abort cancels the fetch in the page
+ * @returns {Promise<Object>} Response object with status, headers, body, size, duration
+ */
+export async function sendRequestFromPage(url, options) {
+    if (!browser.devtools || !browser.devtools.inspectedWindow) {
+        throw new Error('Sending from the page is only available inside DevTools');
+    }
+
+    const headers = { ...options.headers };
+    const tagHeaders = { 'X-Rep-Plus-Replay': 'true' };
+    Object.keys(headers).forEach(name => {
+        if (name.toLowerCase().startsWith('x-rep-plus-')) {
+            tagHeaders[name] = headers[name];
+            delete headers[name];
+        }
+    });
+
+    const init = {
+        method: options.method,
+        headers,
+        credentials: 'include',
+        mode: 'cors',
+        cache: 'no-store',
+        redirect: options.redirect || 'follow'
+    };
+    if (options.body !== undefined) {
+        init.body = options.body;
+    }
+
+    const key = `page-replay-${Date.now()}-${++pageReplayCounter}`;
+    await evalInPage(startPageFetch, key, PAGE_RESULTS_SYMBOL, url, init, tagHeaders);
+
+    const deadline = Date.now() + PAGE_TIMEOUT;
+    while (Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, PAGE_POLL_INTERVAL));
+        if (options.signal && options.signal.aborted) {
+            await evalInPage(abortPageFetch, key, PAGE_RESULTS_SYMBOL);
+            const error = new Error('Request cancelled');
+            error.name = 'AbortError';
+            error.fromPage = true;
+            throw error;
+        }
+        const result = await evalInPage(takePageResult, key, PAGE_RESULTS_SYMBOL);
+        if (!result) continue;
+
+        if (result.error) {
+            const error = new Error(`Fetch from the page failed: ${result.error}. Cross-origin requests from the page are subject to CORS.`);
+            error.fromPage = true;
+            throw error;
+        }
+
+        const bodyBytes = base64ToBytes(result.bodyBase64);
+        const contentType = result.headers.find(h => h.name === 'content-type');
+        return {
+            status: result.status,
+            statusText: result.statusText,
+            type: result.type,
+            redirected: result.redirected,
+            url: result.url,
+            headers: result.headers,
+            body: getBodyText(bodyBytes, contentType ? contentType.value : ''),
+            bodyBytes,
+            size: bodyBytes.length,
+            duration: String(result.duration),
+            fromPage: true
+        };
+    }
+
+    const error = new Error(`No response from the page after ${PAGE_TIMEOUT / 1000}s (was it reloaded?)`);
+    error.fromPage = true;
+    throw error;
+}
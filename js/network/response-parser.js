@@ -51,14 +51,51 @@ export function getStatusClass(status) {
 }
 
 /**
- * Handles redirects (future enhancement)
- * @param {Object} response - Response object
- * @param {Object} options - Original request options
- * @returns {Promise<Object>} Final response after following redirects
+ * Builds the request for the next hop of a redirect, the way a browser would:
+ * 301/302 turn POST into GET and 303 turns anything but HEAD into GET (the body
+ * and its Content-* headers are dropped), 307/308 keep method and body.
+ * Authorization is not carried across origins. Exact editor headers
+ * (`rawHeaders`, see parseRequest) get the same treatment and a new Host.
+ * @param {{url: string, options: Object, rawHeaders?: Array<{name: string, value: string}>}} request - The request that got redirected
+ * @param {{status: number, location: string}} hop - The 3xx response
+ * @returns {{url: string, options: Object, rawHeaders?: Array}|null} Next request, or null if there is nowhere to go
  */
-export async function followRedirects(response, options) {
-    // TODO: Implement redirect following logic
-    // For now, just return the response as-is
-    return response;
-}
+export function getRedirectRequest(request, hop) {
+    if (!hop || !hop.location || hop.status < 300 || hop.status >= 400) return null;
+
+    let nextUrl;
+    try {
+        nextUrl = new URL(hop.location, request.url);
+    } catch (e) {
+        return null;
+    }
+
+    const method = (request.options.method || 'GET').toUpperCase();
+    const becomesGet = ((hop.status === 301 || hop.status === 302) && method === 'POST') ||
+        (hop.status === 303 && method !== 'HEAD');
+    const sameOrigin = nextUrl.origin === new URL(request.url).origin;
 
+    const keepHeader = (name) => {
+        const lower = name.toLowerCase();
+        if (becomesGet && (lower === 'content-type' || lower === 'content-length')) return false;
+        return sameOrigin || lower !== 'authorization';
+    };
+
+    const headers = {};
+    Object.entries(request.options.headers || {}).forEach(([name, value]) => {
+        if (keepHeader(name)) headers[name] = value;
+    });
+
+    const options = { ...request.options, method: becomesGet ? 'GET' : method, headers };
+    if (becomesGet) {
+        delete options.body;
+    }
+
+    const next = { url: nextUrl.href, options };
+    if (request.rawHeaders) {
+        next.rawHeaders = request.rawHeaders
+            .filter(h => keepHeader(h.name))
+            .map(h => h.name.toLowerCase() === 'host' ? { name: h.name, value: nextUrl.host } : h);
+    }
+    return next;
+}
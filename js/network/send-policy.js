@@ -0,0 +1,203 @@
+// Send Policy Module - Timeout, cancellation and retries for single sends
+// Each attempt gets its own AbortController, tied to the caller's signal (the
+// Cancel button) and to the per-attempt timeout. Network errors, timeouts and
+// 429/503 responses are retried up to the configured count, honoring Retry-After.
+
+const TIMEOUT_KEY = 'rep_send_timeout';
+const RETRIES_KEY = 'rep_send_retries';
+const DEFAULT_TIMEOUT_SECONDS = 30;
+const MAX_RETRIES = 10;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+const RETRYABLE_STATUSES = [429, 503];
+
+/**
+ * Current send policy
+ * @returns {{timeoutMs: number, maxRetries: number}} timeoutMs is 0 when disabled
+ */
+export function getSendPolicy() {
+    const storedTimeout = localStorage.getItem(TIMEOUT_KEY);
+    const timeoutSeconds = storedTimeout === null ? DEFAULT_TIMEOUT_SECONDS : Number(storedTimeout);
+    const maxRetries = Number(localStorage.getItem(RETRIES_KEY)) || 0;
+    return {
+        timeoutMs: Number.isFinite(timeoutSeconds) && timeoutSeconds > 0 ? Math.round(timeoutSeconds * 1000) : 0,
+        maxRetries: Math.min(Math.max(0, Math.floor(maxRetries)), MAX_RETRIES)
+    };
+}
+
+/**
+ * @param {Object} policy
+ * @param {number} [policy.timeoutSeconds] - Per-attempt timeout, 0 to disable
+ * @param {number} [policy.maxRetries] - Retries after the first attempt
+ */
+export function setSendPolicy({ timeoutSeconds, maxRetries }) {
+    if (timeoutSeconds !== undefined) {
+        localStorage.setItem(TIMEOUT_KEY, String(Math.max(0, Number(timeoutSeconds) || 0)));
+    }
+    if (maxRetries !== undefined) {
+        localStorage.setItem(RETRIES_KEY, String(Math.min(Math.max(0, Math.floor(Number(maxRetries) || 0)), MAX_RETRIES)));
+    }
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} Delay in milliseconds, or null when absent/invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined) return null;
+    const trimmed = String(value).trim();
+    if (!trimmed) return null;
+
+    if (/^\d+$/.test(trimmed)) {
+        return Number(trimmed) * 1000;
+    }
+
+    const date = Date.parse(trimmed);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, date - now);
+}
+
+function getHeader(headers, name) {
+    if (!headers) return null;
+    const lower = name.toLowerCase();
+    if (Array.isArray(headers)) {
+        const header = headers.find(h => h && h.name && h.name.toLowerCase() === lower);
+        return header ? header.value : null;
+    }
+    if (typeof headers.get === 'function') {
+        return headers.get(name);
+    }
+    return null;
+}
+
+/**
+ * Delay before the next attempt: Retry-After when the response has one,
+ * otherwise exponential backoff. Capped at one minute.
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} [result] - Response of that attempt, if any
+ * @returns {number} Milliseconds
+ */
+export function getRetryDelay(attempt, result) {
+    const retryAfter = result ? parseRetryAfter(getHeader(result.headers, 'Retry-After')) : null;
+    const delay = retryAfter !== null ? retryAfter : BASE_RETRY_DELAY_MS * Math.pow(2, attempt - 1);
+    return Math.min(delay, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Whether a response should be retried
+ * @param {Object} result
+ * @returns {boolean}
+ */
+export function isRetryableResponse(result) {
+    return !!result && RETRYABLE_STATUSES.includes(Number(result.status));
+}
+
+// What fetch rejects with when the request never got a response (Firefox,
+// Chrome, Safari). Other TypeErrors are bugs and are not retried.
+const NETWORK_ERROR_PATTERN = /NetworkError when attempting to fetch|Failed to fetch|^Load failed$/i;
+
+/**
+ * Whether a failed send should be retried (network error or timeout)
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isNetworkError(err) {
+    if (!err) return false;
+    return !!err.timedOut || NETWORK_ERROR_PATTERN.test(err.message || '');
+}
+
+function cancelledError() {
+    const error = new Error('Request cancelled');
+    error.cancelled = true;
+    return error;
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(cancelledError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(cancelledError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+async function runAttempt(send, timeoutMs, signal) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    const timer = timeoutMs > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs)
+        : null;
+
+    try {
+        return await send(controller.signal);
+    } catch (err) {
+        if (signal && signal.aborted) throw cancelledError();
+        if (timedOut) {
+            const error = new Error(`Request timed out after ${timeoutMs / 1000}s`);
+            error.timedOut = true;
+            throw error;
+        }
+        throw err;
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+    }
+}
+
+/**
+ * Run a send under a timeout and retry policy.
+ * Errors carry `cancelled` or `timedOut` flags and the `attempts` made.
+ * @param {Function} send - Called with an AbortSignal for each attempt; resolves to a response
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=0] - Per-attempt timeout, 0 to disable
+ * @param {number} [options.maxRetries=0] - Retries after the first attempt
+ * @param {AbortSignal} [options.signal] - Cancels the whole send, including retry waits
+ * @param {Function} [options.onAttempt] - Called with (attempt, totalAttempts) before each attempt
+ * @param {Function} [options.onRetryWait] - Called with (delayMs, reason) before waiting to retry
+ * @returns {Promise<{result: Object, attempts: number}>}
+ */
+export async function sendWithPolicy(send, { timeoutMs = 0, maxRetries = 0, signal, onAttempt, onRetryWait } = {}) {
+    const totalAttempts = maxRetries + 1;
+
+    for (let attempt = 1; ; attempt++) {
+        if (signal && signal.aborted) throw cancelledError();
+        if (onAttempt) onAttempt(attempt, totalAttempts);
+
+        let result;
+        try {
+            result = await runAttempt(send, timeoutMs, signal);
+        } catch (err) {
+            err.attempts = attempt;
+            if (err.cancelled || attempt >= totalAttempts || !isNetworkError(err)) throw err;
+
+            const delay = getRetryDelay(attempt);
+            if (onRetryWait) onRetryWait(delay, err.message);
+            await wait(delay, signal);
+            continue;
+        }
+
+        if (attempt >= totalAttempts || !isRetryableResponse(result)) {
+            return { result, attempts: attempt };
+        }
+
+        const delay = getRetryDelay(attempt, result);
+        if (onRetryWait) onRetryWait(delay, `${result.status} ${result.statusText || ''}`.trim());
+        await wait(delay, signal);
+    }
+}
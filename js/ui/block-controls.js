@@ -1,31 +1,61 @@
 // Block Controls Module - Handles request blocking and forwarding
 import { state, actions } from '../core/state.js';
 import { events } from '../core/events.js';
-import { clearAllRequestsUI, elements } from './main-ui.js';
+import { elements } from './main-ui.js';
+import { showInterceptedRequest } from './request-editor.js';
+import {
+    setInterceptEnabled,
+    buildInterceptEdits,
+    forwardIntercepted,
+    dropIntercepted
+} from '../network/intercept.js';
+
+const MODE_LABELS = { next: 'Forward', all: 'Forward all', drop: 'Drop' };
 
 /**
- * Sets up block/forward controls for request interception
- * @param {Function} processCapturedRequest - Callback to process captured requests
+ * Sets up block/forward controls for request interception.
+ * While blocking is on, requests from the inspected tab are held by the
+ * background script; the oldest one is loaded into the editor so it can be
+ * edited before it is forwarded or dropped.
  */
-export function setupBlockControls(processCapturedRequest) {
+export function setupBlockControls() {
     if (!elements.blockToggleBtn || !elements.forwardBtn || !elements.forwardMenu) return;
     
     const forwardMenuItems = Array.from(elements.forwardMenu.querySelectorAll('.forward-menu-item'));
     let forwardMode = 'next';
+    let loadedEntry = null; // queued request currently shown in the editor
+
+    function loadQueueHead() {
+        const head = state.blockedQueue[0] || null;
+        if (head === loadedEntry) return;
+        loadedEntry = head;
+        if (head) {
+            showInterceptedRequest(head.rawText, head.request.url.startsWith('https:'));
+        }
+    }
+
+    function getHeadEdits(head) {
+        if (head !== loadedEntry || !elements.rawRequestInput) return undefined;
+        try {
+            return buildInterceptEdits(head, elements.rawRequestInput.innerText);
+        } catch (e) {
+            console.error('Invalid edited request, forwarding original:', e);
+            return undefined;
+        }
+    }
 
     function updateBlockButtons() {
         if (elements.blockToggleBtn) {
             elements.blockToggleBtn.classList.toggle('active', state.blockRequests);
             const isBlocking = state.blockRequests;
-            elements.blockToggleBtn.title = isBlocking ? 'Unblock incoming requests' : 'Block incoming requests';
+            elements.blockToggleBtn.title = isBlocking ? 'Stop intercepting requests' : 'Intercept requests';
             elements.blockToggleBtn.innerHTML = isBlocking
                 ? '<svg class="block-icon" viewBox="0 0 24 24" width="14" height="14" fill="currentColor"><path d="M8 5v14l11-7z"/></svg>'
                 : '<svg class="block-icon" viewBox="0 0 24 24" width="14" height="14" fill="currentColor"><path d="M8 5h3v14H8zm5 0h3v14h-3z"/></svg>';
         }
         const count = state.blockedQueue.length;
         if (elements.forwardBtn) {
-            const mode = forwardMode;
-            const label = mode === 'all' ? 'Forward all' : 'Forward';
+            const label = MODE_LABELS[forwardMode] || MODE_LABELS.next;
             const labelEl = elements.forwardBtn.querySelector('.forward-label');
             if (labelEl) {
                 labelEl.textContent = `${label} (${count})`;
@@ -43,15 +73,13 @@ export function setupBlockControls(processCapturedRequest) {
         actions.blocking.setBlocking(newBlockingState);
         
         if (newBlockingState) {
-            // Fresh blocking session: clear current list and queue
-            clearAllRequestsUI();
+            // Fresh blocking session: start with an empty queue, keep the history
             actions.blocking.clearBlockedQueue();
         }
-        // If unblocking, flush all queued
+        // Turning interception off releases everything still paused
+        setInterceptEnabled(newBlockingState);
         if (!newBlockingState && state.blockedQueue.length > 0) {
-            const queued = [...state.blockedQueue];
             actions.blocking.clearBlockedQueue();
-            queued.forEach(req => processCapturedRequest(req));
         }
         updateBlockButtons();
     });
@@ -70,18 +98,14 @@ export function setupBlockControls(processCapturedRequest) {
             return;
         }
 
-        const mode = forwardMode;
-        if (mode === 'all') {
-            const queued = [...state.blockedQueue];
-            actions.blocking.clearBlockedQueue();
-            queued.forEach(req => processCapturedRequest(req));
+        const [head, ...rest] = state.blockedQueue;
+        if (forwardMode === 'drop') {
+            dropIntercepted(head);
         } else {
-            const next = state.blockedQueue.shift();
-            if (next) {
-                // Remove from queue (manually since shift() already removed it)
-                state.blockedQueue = state.blockedQueue.filter(r => r !== next);
-                events.emit('block-queue:updated');
-                processCapturedRequest(next);
+            // Only the request shown in the editor carries edits
+            forwardIntercepted(head, getHeadEdits(head));
+            if (forwardMode === 'all') {
+                rest.forEach(entry => forwardIntercepted(entry));
             }
         }
         updateBlockButtons();
@@ -109,7 +133,10 @@ export function setupBlockControls(processCapturedRequest) {
     }
 
     // React to global events that change queue/counters
-    events.on('block-queue:updated', updateBlockButtons);
+    events.on('block-queue:updated', () => {
+        updateBlockButtons();
+        loadQueueHead();
+    });
     events.on('ui:clear-all', updateBlockButtons);
     
     // Initialize labels
@@ -0,0 +1,42 @@
+// Diff Settings UI - Line/semantic mode picker and the ignore rules editor
+// next to the Diff View toggle. Both apply to single sends and bulk replay.
+import { getDiffMode, setDiffMode, getDiffIgnoreRules, setDiffIgnoreRules } from '../core/utils/semantic-diff.js';
+
+/**
+ * Wire the diff mode select and the ignore rules modal
+ * @param {Function} onChange - Called after the mode or the rules changed, to redraw the diff
+ */
+export function setupDiffSettings(onChange) {
+    const modeSelect = document.getElementById('diff-mode-select');
+    const ignoreBtn = document.getElementById('diff-ignore-btn');
+    const modal = document.getElementById('diff-ignore-modal');
+    const rulesInput = document.getElementById('diff-ignore-rules');
+    const saveBtn = document.getElementById('diff-ignore-save-btn');
+
+    if (modeSelect) {
+        modeSelect.value = getDiffMode();
+        modeSelect.addEventListener('change', () => {
+            setDiffMode(modeSelect.value);
+            onChange();
+        });
+    }
+
+    if (!ignoreBtn || !modal || !rulesInput || !saveBtn) return;
+
+    ignoreBtn.addEventListener('click', () => {
+        rulesInput.value = getDiffIgnoreRules().join('\n');
+        modal.style.display = 'block';
+        rulesInput.focus();
+    });
+
+    saveBtn.addEventListener('click', () => {
+        setDiffIgnoreRules(rulesInput.value.split('\n'));
+        // Rules only matter in semantic mode; saving them means they should apply
+        if (modeSelect && getDiffMode() !== 'semantic') {
+            setDiffMode('semantic');
+            modeSelect.value = 'semantic';
+        }
+        modal.style.display = 'none';
+        onChange();
+    });
+}
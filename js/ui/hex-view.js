@@ -1,8 +1,14 @@
+import { base64ToBytes } from '../core/utils/binary.js';
+
+/**
+ * Hex dump (offset, 16 bytes, ASCII column)
+ * @param {string|Uint8Array} content - Text (UTF-8 encoded) or raw bytes
+ * @returns {string}
+ */
 export function generateHexView(content) {
-    if (!content) return '';
+    if (!content || content.length === 0) return '';
 
-    const encoder = new TextEncoder();
-    const data = encoder.encode(content);
+    const data = content instanceof Uint8Array ? content : new TextEncoder().encode(content);
     let output = '';
     const length = data.length;
 
@@ -32,3 +38,24 @@ export function generateHexView(content) {
 
     return output;
 }
+
+/**
+ * Hex dump of a response: the status line and headers as shown, followed by
+ * the body bytes exactly as received (not the decoded or pretty-printed text)
+ * @param {string} rawResponse - Formatted raw response
+ * @param {{base64: string}|null} body - Raw body (state.currentResponseBody)
+ * @returns {string}
+ */
+export function generateResponseHexView(rawResponse, body) {
+    if (!body || !rawResponse) return generateHexView(rawResponse);
+
+    const separator = rawResponse.indexOf('\n\n');
+    const head = separator === -1 ? rawResponse : rawResponse.slice(0, separator + 2);
+    const headBytes = new TextEncoder().encode(head);
+    const bodyBytes = base64ToBytes(body.base64);
+
+    const bytes = new Uint8Array(headBytes.length + bodyBytes.length);
+    bytes.set(headBytes, 0);
+    bytes.set(bodyBytes, headBytes.length);
+    return generateHexView(bytes);
+}
@@ -1,10 +1,13 @@
 // Main UI Module - Initialization and re-exports
 import { state } from '../core/state.js';
 import { getHostname, highlightHTTP } from '../core/utils/network.js';
+import { isInScope } from '../core/utils/scope.js';
 import { events, EVENT_NAMES } from '../core/events.js';
 import { selectRequest, switchRequestView, switchResponseView, toggleLayout, initPreviewControls, updatePreview } from './request-editor.js';
-import { generateHexView } from './hex-view.js';
+import { generateResponseHexView } from './hex-view.js';
 import { generateJsonView } from './json-view.js';
+import { renderRedirectChain } from './redirect-chain.js';
+import { renderSentHeaders } from './sent-headers.js';
 
 // DOM Elements (initialized in initUI)
 export const elements = {};
@@ -15,7 +18,14 @@ export function initUI() {
     elements.regexToggle = document.getElementById('regex-toggle');
     elements.rawRequestInput = document.getElementById('raw-request-input');
     elements.useHttpsCheckbox = document.getElementById('use-https');
+    elements.manualRedirectsCheckbox = document.getElementById('manual-redirects');
+    elements.sendFromPageCheckbox = document.getElementById('send-from-page');
+    elements.redirectChain = document.getElementById('redirect-chain');
+    elements.sentHeaders = document.getElementById('sent-headers');
     elements.sendBtn = document.getElementById('send-btn');
+    elements.cancelSendBtn = document.getElementById('cancel-send-btn');
+    elements.sendTimeoutInput = document.getElementById('send-timeout');
+    elements.sendRetriesInput = document.getElementById('send-retries');
     elements.rawResponseDisplay = document.getElementById('raw-response-display');
     elements.rawResponseText = document.getElementById('raw-response-text');
     elements.hexResponseDisplay = document.getElementById('res-hex-display');
@@ -23,10 +33,14 @@ export function initUI() {
     elements.resStatus = document.getElementById('res-status');
     elements.resTime = document.getElementById('res-time');
     elements.resSize = document.getElementById('res-size');
+    elements.resAttempts = document.getElementById('res-attempts');
+    elements.historyBackBtn = document.getElementById('history-back-btn');
+    elements.historyForwardBtn = document.getElementById('history-forward-btn');
     elements.undoBtn = document.getElementById('undo-btn');
     elements.redoBtn = document.getElementById('redo-btn');
     elements.copyReqBtn = document.getElementById('copy-req-btn');
     elements.copyResBtn = document.getElementById('copy-res-btn');
+    elements.saveResBtn = document.getElementById('save-res-btn');
     elements.layoutToggleBtn = document.getElementById('layout-toggle-btn');
     elements.screenshotBtn = document.getElementById('screenshot-btn');
     elements.multiTabBtn = document.getElementById('multi-tab-btn');
@@ -66,6 +80,7 @@ export function initUI() {
     elements.reqHexDisplay = document.getElementById('req-hex-display');
     elements.resViewPreview = document.getElementById('res-view-preview');
     elements.responsePreviewIframe = document.getElementById('response-preview-iframe');
+    elements.responseMediaPreview = document.getElementById('response-media-preview');
     elements.previewAllowScriptsCheckbox = document.getElementById('preview-allow-scripts');
     
     // Banner elements
@@ -82,7 +97,8 @@ export function initUI() {
         // Get all requests for this domain (page group)
         const domainRequests = state.requests.filter((req, idx) => {
             const requestPageHostname = getHostname(req.pageUrl || req.request.url);
-            return requestPageHostname === domain;
+            return requestPageHostname === domain &&
+                isInScope(state.scopeConfig, req.request.url, req.response?.content?.mimeType);
         });
 
         if (domainRequests.length === 0) {
@@ -225,6 +241,11 @@ function setupEventListeners() {
             elements.diffToggle.style.display = 'none';
         }
 
+        // Show the redirect chain recorded when the request was captured
+        const selected = index >= 0 ? state.requests[index] : null;
+        renderRedirectChain(elements.redirectChain, selected ? selected.redirectChain : null);
+        renderSentHeaders(elements.sentHeaders, null);
+
         // Update request input
         if (elements.rawRequestInput) {
             elements.rawRequestInput.innerHTML = rawText;
@@ -261,6 +282,9 @@ function setupEventListeners() {
             if (elements.resSize) {
                 elements.resSize.textContent = '';
             }
+            if (elements.resAttempts) {
+                elements.resAttempts.textContent = '';
+            }
         }
 
         // Update history buttons
@@ -287,6 +311,9 @@ function setupEventListeners() {
         if (elements.resSize) {
             elements.resSize.textContent = size || '';
         }
+        if (elements.resAttempts) {
+            elements.resAttempts.textContent = '';
+        }
         if (elements.rawResponseDisplay) {
             elements.rawResponseDisplay.innerHTML = highlightHTTP(content || '');
             elements.rawResponseDisplay.style.display = 'block';
@@ -294,8 +321,11 @@ function setupEventListeners() {
         }
         if (elements.rawResponseText)
             elements.rawResponseText.textContent = content;
-        if (elements.hexResponseDisplay)
-            elements.hexResponseDisplay.textContent = generateHexView(content);
+        if (elements.hexResponseDisplay) {
+            // Raw body bytes belong to the response in state, if this is it
+            const body = content === state.currentResponse ? state.currentResponseBody : null;
+            elements.hexResponseDisplay.textContent = generateResponseHexView(content, body);
+        }
         if (elements.jsonResponseDisplay) {
             elements.jsonResponseDisplay.innerHTML = '';
             elements.jsonResponseDisplay.appendChild(generateJsonView(content));
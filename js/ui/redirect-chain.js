@@ -0,0 +1,55 @@
+// Redirect Chain UI - Lists 3xx hops above the response view
+import { escapeHtml } from '../core/utils/dom.js';
+
+/**
+ * Render a redirect chain (hides the container when there are no hops)
+ * @param {HTMLElement} container
+ * @param {Array<Object>} hops - Hops from background.js or harEntryToRedirectHop()
+ * @param {Object} [options]
+ * @param {string} [options.nextUrl] - Where the next manual hop would go
+ * @param {Function} [options.onFollow] - Called when "Follow" is clicked
+ */
+export function renderRedirectChain(container, hops, { nextUrl, onFollow } = {}) {
+    if (!container) return;
+
+    if (!hops || hops.length === 0) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+        return;
+    }
+
+    const items = hops.map(hop => {
+        const cookies = (hop.setCookies || []).map(cookie =>
+            `<div class="redirect-hop-detail">Set-Cookie: ${escapeHtml(cookie)}</div>`
+        ).join('');
+        return `
+            <li class="redirect-hop">
+                <span class="status-badge">${escapeHtml(String(hop.status))}</span>
+                <span class="redirect-hop-url" title="${escapeHtml(hop.url)}">${escapeHtml(hop.method || '')} ${escapeHtml(hop.url)}</span>
+                <div class="redirect-hop-detail">Location: ${escapeHtml(hop.location || '')}</div>
+                ${cookies}
+            </li>
+        `;
+    }).join('');
+
+    const followBtn = nextUrl && onFollow
+        ? `<button class="secondary-btn redirect-follow-btn" title="${escapeHtml(nextUrl)}">Follow redirect</button>`
+        : '';
+
+    container.innerHTML = `
+        <div class="redirect-chain-header">
+            <span>Redirects (${hops.length})</span>
+            ${followBtn}
+        </div>
+        <ol class="redirect-hops">${items}</ol>
+    `;
+    container.style.display = 'block';
+
+    const btn = container.querySelector('.redirect-follow-btn');
+    if (btn) {
+        btn.addEventListener('click', () => {
+            btn.disabled = true;
+            onFollow();
+        });
+    }
+}
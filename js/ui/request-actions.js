@@ -3,6 +3,7 @@ import { state, actions } from '../core/state.js';
 import { formatTime } from '../core/utils/format.js';
 import { getHostname } from '../core/utils/network.js';
 import { events, EVENT_NAMES } from '../core/events.js';
+import { createRuleBadge } from './request-list.js';
 
 // Set up event listeners for decoupled communication
 events.on(EVENT_NAMES.REQUEST_ACTION_STAR, (data) => {
@@ -386,6 +387,9 @@ function sortRequestsChronologically() {
         item.appendChild(methodSpan);
         item.appendChild(domainBadge);
         item.appendChild(urlSpan);
+        if (request.matchedRules && request.matchedRules.length) {
+            item.appendChild(createRuleBadge(request.matchedRules));
+        }
         item.appendChild(timeSpan);
         item.appendChild(actionsDiv);
 
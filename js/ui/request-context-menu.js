@@ -0,0 +1,69 @@
+// Request Context Menu - Right-click menu on request list items
+// Features add their own entries with addRequestMenuItem().
+import { state } from '../core/state.js';
+import { escapeHtml } from '../core/utils/dom.js';
+
+const menuItems = [];
+let menu = null;
+
+/**
+ * Add an entry to the request list context menu
+ * @param {string} label - Menu label
+ * @param {Function} onSelect - Called with (request, index)
+ */
+export function addRequestMenuItem(label, onSelect) {
+    menuItems.push({ label, onSelect });
+}
+
+function hideMenu() {
+    if (menu) menu.classList.remove('show');
+}
+
+function showMenu(x, y, index) {
+    if (!menu || menuItems.length === 0) return;
+
+    menu.innerHTML = menuItems.map((item, i) =>
+        `<div class="context-menu-item" data-item="${i}">${escapeHtml(item.label)}</div>`
+    ).join('');
+    menu.dataset.index = index;
+
+    menu.style.left = `${x}px`;
+    menu.style.top = `${y}px`;
+    menu.classList.add('show');
+
+    // Keep the menu inside the panel
+    const rect = menu.getBoundingClientRect();
+    if (rect.right > window.innerWidth) menu.style.left = `${Math.max(0, x - rect.width)}px`;
+    if (rect.bottom > window.innerHeight) menu.style.top = `${Math.max(0, y - rect.height)}px`;
+}
+
+export function setupRequestContextMenu() {
+    menu = document.getElementById('request-context-menu');
+    const requestList = document.getElementById('request-list');
+    if (!menu || !requestList) return;
+
+    requestList.addEventListener('contextmenu', (e) => {
+        const item = e.target.closest('.request-item');
+        if (!item) return;
+        e.preventDefault();
+        showMenu(e.clientX, e.clientY, parseInt(item.dataset.index, 10));
+    });
+
+    menu.addEventListener('click', (e) => {
+        const entry = e.target.closest('.context-menu-item[data-item]');
+        if (!entry) return;
+        const index = parseInt(menu.dataset.index, 10);
+        const request = state.requests[index];
+        hideMenu();
+        if (request) {
+            menuItems[parseInt(entry.dataset.item, 10)].onSelect(request, index);
+        }
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!menu.contains(e.target)) hideMenu();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') hideMenu();
+    });
+}
@@ -1,17 +1,33 @@
 // Request Editor Module - Request/response editing and view switching
-import { escapeHtml } from '../core/utils/dom.js';
+import { escapeHtml, downloadBytes } from '../core/utils/dom.js';
+import { base64ToBytes, bytesToBase64, getBodyText, getMediaKind, getMimeType, suggestFileName } from '../core/utils/binary.js';
 import { state, actions } from '../core/state.js';
 import { highlightHTTP } from '../core/utils/network.js';
-import { generateHexView } from './hex-view.js';
+import { generateHexView, generateResponseHexView } from './hex-view.js';
 import { generateJsonView } from './json-view.js';
 import { events, EVENT_NAMES } from '../core/events.js';
 import { getStatusClass, formatRawResponse } from '../network/response-parser.js';
 import { elements } from './main-ui.js';
+import { registerProjectSection } from '../core/storage/project-sections.js';
 
 // Store editor content per request to preserve modifications
 let editorContentByRequest = new Map(); // Map<requestIndex, { content: string, undoStack: string[], redoStack: string[], response?: {...} }>
 let lastSelectedRequestIndex = -1; // Track last selected request to save state
 
+// Persist per-request editor state with the active project
+registerProjectSection('editor', {
+    serialize() {
+        if (lastSelectedRequestIndex !== -1) {
+            saveEditorState(lastSelectedRequestIndex);
+        }
+        return Array.from(editorContentByRequest.entries());
+    },
+    restore(entries) {
+        editorContentByRequest = new Map(Array.isArray(entries) ? entries : []);
+        lastSelectedRequestIndex = -1;
+    }
+});
+
 /**
  * Save current editor state for the given request index (including response)
  */
@@ -47,6 +63,7 @@ export function saveEditorState(requestIndex) {
             statusClass: elements.resStatus ? elements.resStatus.className : 'status-badge',
             time: elements.resTime ? elements.resTime.textContent : '',
             size: elements.resSize ? elements.resSize.textContent : '',
+            body: state.currentResponseBody || null,
             baseline: state.regularRequestBaseline || null
         };
     }
@@ -56,27 +73,140 @@ export function saveEditorState(requestIndex) {
 }
 
 /**
- * Get the original request content for a given request index
+ * Save the editor state of the selected captured request, if one is loaded
+ * (a Repeater tab or intercepted request in the editor is left alone)
  */
-function getOriginalRequestContent(requestIndex) {
-    if (requestIndex < 0 || requestIndex >= state.requests.length) {
-        return null;
+export function saveActiveEditorState() {
+    if (lastSelectedRequestIndex !== -1) {
+        saveEditorState(lastSelectedRequestIndex);
     }
-    
-    const request = state.requests[requestIndex];
-    if (!request || !request.request) {
-        return null;
+}
+
+/**
+ * Snapshot everything the editor and response view currently hold
+ * @returns {{rawText: string, useHttps: boolean, history: Array, historyIndex: number, undoStack: string[], redoStack: string[], response: Object|null, baseline: string|null}}
+ */
+export function captureEditorContext() {
+    const rawText = elements.rawRequestInput
+        ? (elements.rawRequestInput.innerText || elements.rawRequestInput.textContent || '')
+        : '';
+    const hasResponse = state.currentResponse || (elements.resStatus && elements.resStatus.textContent);
+
+    return {
+        rawText,
+        useHttps: elements.useHttpsCheckbox ? elements.useHttpsCheckbox.checked : true,
+        history: [...state.requestHistory],
+        historyIndex: state.historyIndex,
+        undoStack: [...state.undoStack],
+        redoStack: [...state.redoStack],
+        response: hasResponse ? {
+            content: state.currentResponse || '',
+            status: elements.resStatus ? elements.resStatus.textContent : '',
+            statusClass: elements.resStatus ? elements.resStatus.className : 'status-badge',
+            time: elements.resTime ? elements.resTime.textContent : '',
+            size: elements.resSize ? elements.resSize.textContent : '',
+            body: state.currentResponseBody || null
+        } : null,
+        baseline: state.regularRequestBaseline || null
+    };
+}
+
+/**
+ * Load a standalone editor context (e.g. a Repeater tab) into the editor.
+ * The captured request selection is saved and released first, like an
+ * intercepted request.
+ * @param {Object} context - Same shape as captureEditorContext() returns
+ */
+export function loadEditorContext(context) {
+    saveActiveEditorState();
+    lastSelectedRequestIndex = -1;
+    state.selectedRequest = null;
+
+    state.requestHistory = context.history && context.history.length
+        ? [...context.history]
+        : [{ rawText: context.rawText, useHttps: context.useHttps }];
+    state.historyIndex = typeof context.historyIndex === 'number' && context.historyIndex >= 0
+        ? Math.min(context.historyIndex, state.requestHistory.length - 1)
+        : state.requestHistory.length - 1;
+    state.undoStack = context.undoStack && context.undoStack.length ? [...context.undoStack] : [context.rawText];
+    state.redoStack = context.redoStack ? [...context.redoStack] : [];
+    state.currentResponse = context.response ? context.response.content : null;
+    state.currentResponseBody = context.response ? context.response.body || null : null;
+    state.regularRequestBaseline = context.baseline || null;
+
+    events.emit('ui:request-selected', {
+        index: -1,
+        rawText: highlightHTTP(context.rawText),
+        useHttps: context.useHttps,
+        request: null
+    });
+
+    if (context.response) {
+        events.emit(EVENT_NAMES.UI_UPDATE_RESPONSE_VIEW, {
+            status: context.response.status || '',
+            statusClass: context.response.statusClass || 'status-badge',
+            time: context.response.time || '',
+            size: context.response.size || '',
+            content: context.response.content || ''
+        });
     }
-    
-    // Reconstruct original request from captured data
-    const urlObj = new URL(request.request.url);
+    events.emit(EVENT_NAMES.UI_UPDATE_HISTORY_BUTTONS);
+}
+
+/**
+ * Raw response body of a captured request. DevTools (and the multi-tab
+ * capture) hand binary bodies over base64-encoded; text bodies are re-encoded.
+ * @param {Object} entry - Captured entry
+ * @returns {{bytes: Uint8Array, contentType: string}}
+ */
+function getCapturedResponseBody(entry) {
+    const headers = entry.responseHeaders || [];
+    const contentTypeHeader = headers.find(h => h.name && h.name.toLowerCase() === 'content-type');
+    const contentType = contentTypeHeader ? contentTypeHeader.value : '';
+    const body = entry.responseBody || '';
+
+    if (entry.responseEncoding === 'base64') {
+        try {
+            return { bytes: base64ToBytes(body), contentType };
+        } catch (e) {
+            // Not valid base64 after all; show it as text
+        }
+    }
+    // DevTools already decoded the text, so the bytes are UTF-8 whatever the charset was
+    return { bytes: new TextEncoder().encode(body), contentType: getMimeType(contentType) || 'text/plain' };
+}
+
+/**
+ * Build raw HTTP response text from a captured entry
+ * @param {Object} entry - Captured entry with response status, headers and body
+ * @param {{bytes: Uint8Array, contentType: string}} [body] - Decoded body, if already at hand
+ * @returns {string} Raw response text ('' when the response was not captured)
+ */
+export function buildRawResponse(entry, body = null) {
+    if (entry.responseBody === undefined && !entry.responseStatus) return '';
+    const { bytes, contentType } = body || getCapturedResponseBody(entry);
+    return formatRawResponse({
+        status: entry.responseStatus || '',
+        statusText: entry.responseStatusText || '',
+        headers: entry.responseHeaders || [],
+        body: getBodyText(bytes, contentType)
+    });
+}
+
+/**
+ * Build raw HTTP request text from a captured HAR-style entry
+ * @param {Object} entry - Captured entry with a `request` object (method, url, headers, postData)
+ * @returns {string} Raw request text with JSON bodies pretty-printed
+ */
+export function buildRawRequest(entry) {
+    const urlObj = new URL(entry.request.url);
     const path = urlObj.pathname + urlObj.search;
-    const method = request.request.method;
-    const httpVersion = request.request.httpVersion || 'HTTP/1.1';
+    const method = entry.request.method;
+    const httpVersion = entry.request.httpVersion || 'HTTP/1.1';
 
     let rawText = `${method} ${path} ${httpVersion}\n`;
 
-    let headers = request.request.headers;
+    const headers = entry.request.headers || [];
     const hasHost = headers.some(h => h.name.toLowerCase() === 'host');
     if (!hasHost) {
         rawText += `Host: ${urlObj.host}\n`;
@@ -88,8 +218,8 @@ function getOriginalRequestContent(requestIndex) {
         .join('\n');
 
     // Body
-    if (request.request.postData && request.request.postData.text) {
-        let bodyText = request.request.postData.text;
+    if (entry.request.postData && entry.request.postData.text) {
+        let bodyText = entry.request.postData.text;
         try {
             const jsonBody = JSON.parse(bodyText);
             bodyText = JSON.stringify(jsonBody, null, 2);
@@ -98,10 +228,26 @@ function getOriginalRequestContent(requestIndex) {
         }
         rawText += '\n\n' + bodyText;
     }
-    
+
     return rawText;
 }
 
+/**
+ * Get the original request content for a given request index
+ */
+function getOriginalRequestContent(requestIndex) {
+    if (requestIndex < 0 || requestIndex >= state.requests.length) {
+        return null;
+    }
+    
+    const request = state.requests[requestIndex];
+    if (!request || !request.request) {
+        return null;
+    }
+    
+    return buildRawRequest(request);
+}
+
 /**
  * Restore editor state for the given request index
  * @returns {string|null} The restored content, or null if no saved state
@@ -141,6 +287,7 @@ function restoreEditorState(requestIndex) {
         // Restore response if available
         if (savedState.response) {
             state.currentResponse = savedState.response.content || '';
+            state.currentResponseBody = savedState.response.body || null;
             state.regularRequestBaseline = savedState.response.baseline || null;
             
             // Emit event to update response UI (this will update all response views)
@@ -166,6 +313,9 @@ export function selectRequest(index) {
         return;
     }
     
+    // Let a Repeater tab showing in the editor stash its state first
+    events.emit(EVENT_NAMES.EDITOR_CONTEXT_CHANGING, { source: 'request' });
+
     // Save current editor state before switching (if we had a previous selection)
     if (lastSelectedRequestIndex !== -1 && lastSelectedRequestIndex !== index && elements.rawRequestInput) {
         saveEditorState(lastSelectedRequestIndex);
@@ -184,6 +334,7 @@ export function selectRequest(index) {
     
     // Update tracked index
     lastSelectedRequestIndex = index;
+    state.currentResponseBody = null;
 
     // Try to restore saved editor state, otherwise reconstruct from original
     let rawText = restoreEditorState(index);
@@ -191,38 +342,8 @@ export function selectRequest(index) {
     
     if (!rawText) {
         // No saved state - reconstruct from original captured request
-        // Parse URL
+        rawText = buildRawRequest(state.selectedRequest);
         const urlObj = new URL(state.selectedRequest.request.url);
-        const path = urlObj.pathname + urlObj.search;
-        const method = state.selectedRequest.request.method;
-        const httpVersion = state.selectedRequest.request.httpVersion || 'HTTP/1.1';
-
-        // Construct Raw Request
-        rawText = `${method} ${path} ${httpVersion}\n`;
-
-        let headers = state.selectedRequest.request.headers;
-        const hasHost = headers.some(h => h.name.toLowerCase() === 'host');
-        if (!hasHost) {
-            rawText += `Host: ${urlObj.host}\n`;
-        }
-
-        rawText += headers
-            .filter(h => !h.name.startsWith(':'))
-            .map(h => `${h.name}: ${h.value}`)
-            .join('\n');
-
-        // Body
-        if (state.selectedRequest.request.postData && state.selectedRequest.request.postData.text) {
-            let bodyText = state.selectedRequest.request.postData.text;
-            try {
-                const jsonBody = JSON.parse(bodyText);
-                bodyText = JSON.stringify(jsonBody, null, 2);
-            } catch (e) {
-                // Not JSON or invalid JSON, use as-is
-            }
-            rawText += '\n\n' + bodyText;
-        }
-
         useHttps = urlObj.protocol === 'https:';
 
         // Initialize History (only for new/original requests)
@@ -272,21 +393,27 @@ export function selectRequest(index) {
     if (!hasSavedResponse && state.selectedRequest.responseBody !== undefined) {
         const status = state.selectedRequest.responseStatus || '';
         const statusText = state.selectedRequest.responseStatusText || '';
-        const responseHeaders = state.selectedRequest.responseHeaders || [];
-        const responseBody = state.selectedRequest.responseBody || '';
-
-        const rawResponse = formatRawResponse({
-            status,
-            statusText,
-            headers: responseHeaders,
-            body: responseBody
-        });
+        const body = getCapturedResponseBody(state.selectedRequest);
+        const rawResponse = buildRawResponse(state.selectedRequest, body);
 
         state.currentResponse = rawResponse;
-
-        // Estimate size from body length
-        const sizeBytes = new TextEncoder().encode(responseBody || '').length;
-        const sizeLabel = sizeBytes ? `${sizeBytes} bytes` : '';
+        state.currentResponseBody = body.bytes.length ? {
+            contentType: body.contentType,
+            base64: bytesToBase64(body.bytes),
+            url: state.selectedRequest.request.url
+        } : null;
+
+        const sizeBytes = body.bytes.length;
+        let sizeLabel = sizeBytes ? `${sizeBytes} bytes` : '';
+        if (sizeLabel && state.selectedRequest.responseBodyTruncated) {
+            sizeLabel += ' (truncated)';
+        }
+        if (state.selectedRequest.responseBodySkipped) {
+            sizeLabel = 'body not captured for this type';
+        }
+        if (state.selectedRequest.responseBodyUnavailable) {
+            sizeLabel = 'body unavailable (response filter failed)';
+        }
 
         events.emit(EVENT_NAMES.UI_UPDATE_RESPONSE_VIEW, {
             status: status ? `${status} ${statusText}`.trim() : '',
@@ -306,6 +433,38 @@ export function selectRequest(index) {
     }
 }
 
+/**
+ * Load a paused (intercepted) request into the editor.
+ * The current selection is saved and released so edits to the intercepted
+ * request never overwrite a captured request's editor state.
+ * @param {string} rawText - Raw request text
+ * @param {boolean} useHttps - Whether the request uses HTTPS
+ */
+export function showInterceptedRequest(rawText, useHttps) {
+    events.emit(EVENT_NAMES.EDITOR_CONTEXT_CHANGING, { source: 'intercept' });
+
+    if (lastSelectedRequestIndex !== -1 && elements.rawRequestInput) {
+        saveEditorState(lastSelectedRequestIndex);
+    }
+    lastSelectedRequestIndex = -1;
+
+    state.currentResponse = null;
+    state.currentResponseBody = null;
+    state.regularRequestBaseline = null;
+    state.requestHistory = [];
+    state.historyIndex = -1;
+    actions.history.add(rawText, useHttps);
+    state.undoStack = [rawText];
+    state.redoStack = [];
+
+    events.emit('ui:request-selected', {
+        index: -1,
+        rawText: highlightHTTP(rawText),
+        useHttps,
+        request: null
+    });
+}
+
 export function toggleLayout(save = true) {
     const container = document.querySelector('.split-view-container');
     const isVertical = container.classList.toggle('vertical-layout');
@@ -461,7 +620,7 @@ export function switchResponseView(view) {
         if (pre) pre.textContent = content;
     } else if (view === 'hex') {
         const hexDisplay = elements.hexResponseDisplay || document.getElementById('res-hex-display');
-        if (hexDisplay) hexDisplay.textContent = generateHexView(content);
+        if (hexDisplay) hexDisplay.textContent = generateResponseHexView(content, state.currentResponseBody);
     } else if (view === 'json') {
         const jsonDisplay = elements.jsonResponseDisplay || document.getElementById('res-json-display');
         if (jsonDisplay) {
@@ -494,6 +653,44 @@ function extractBody(rawHttp) {
     return '';
 }
 
+let mediaPreviewUrl = null;
+
+// Show images, audio, video and PDFs from the raw body bytes (a blob URL,
+// so the bytes are never decoded as text)
+function showMediaPreview(iframe, kind, body) {
+    const container = elements.responseMediaPreview || document.getElementById('response-media-preview');
+    if (!container) return false;
+
+    if (mediaPreviewUrl) URL.revokeObjectURL(mediaPreviewUrl);
+    mediaPreviewUrl = URL.createObjectURL(new Blob([base64ToBytes(body.base64)], { type: getMimeType(body.contentType) }));
+
+    const media = kind === 'pdf'
+        ? document.createElement('iframe')
+        : document.createElement(kind === 'image' ? 'img' : kind);
+    if (kind === 'audio' || kind === 'video') media.controls = true;
+    media.className = `media-preview-${kind}`;
+    media.src = mediaPreviewUrl;
+
+    container.innerHTML = '';
+    container.appendChild(media);
+    container.style.display = 'flex';
+    iframe.style.display = 'none';
+    return true;
+}
+
+function hideMediaPreview(iframe) {
+    const container = elements.responseMediaPreview || document.getElementById('response-media-preview');
+    if (container) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+    }
+    if (mediaPreviewUrl) {
+        URL.revokeObjectURL(mediaPreviewUrl);
+        mediaPreviewUrl = null;
+    }
+    iframe.style.display = '';
+}
+
 // Update preview iframe with response body
 export function updatePreview(rawResponse) {
     const iframe = elements.responsePreviewIframe || document.getElementById('response-preview-iframe');
@@ -501,6 +698,12 @@ export function updatePreview(rawResponse) {
     
     if (!iframe) return;
 
+    // Media bodies render from their bytes; everything else goes through the iframe
+    const body = rawResponse === state.currentResponse ? state.currentResponseBody : null;
+    const mediaKind = body ? getMediaKind(body.contentType) : null;
+    if (mediaKind && showMediaPreview(iframe, mediaKind, body)) return;
+    hideMediaPreview(iframe);
+
     // Extract body from raw HTTP response
     const htmlBody = extractBody(rawResponse);
     
@@ -536,6 +739,19 @@ export function updatePreview(rawResponse) {
     iframe.srcdoc = htmlBody;
 }
 
+/**
+ * Save the body of the response on screen to a file, byte for byte
+ */
+export function saveResponseBody() {
+    const body = state.currentResponseBody;
+    if (!body) {
+        alert('No response body to save.');
+        return;
+    }
+    downloadBytes(base64ToBytes(body.base64), suggestFileName(body.url, body.contentType),
+        getMimeType(body.contentType) || 'application/octet-stream');
+}
+
 // Setup checkbox listener for preview
 export function initPreviewControls() {
     const allowScriptsCheckbox = elements.previewAllowScriptsCheckbox || document.getElementById('preview-allow-scripts');
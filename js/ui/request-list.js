@@ -180,6 +180,19 @@ export function createDomainGroup(hostname, isThirdParty = false) {
     return group;
 }
 
+/**
+ * Badge shown on requests rewritten by match & replace rules
+ * @param {string[]} ruleNames - Names of the rules that fired
+ * @returns {HTMLElement}
+ */
+export function createRuleBadge(ruleNames) {
+    const badge = document.createElement('span');
+    badge.className = 'rule-badge';
+    badge.textContent = ruleNames.length === 1 ? 'rule' : `${ruleNames.length} rules`;
+    badge.title = `Rewritten by: ${ruleNames.join(', ')}`;
+    return badge;
+}
+
 export function createRequestItemElement(request, index, categoryData) {
     const item = document.createElement('div');
     item.className = 'request-item';
@@ -326,6 +339,9 @@ export function createRequestItemElement(request, index, categoryData) {
     item.appendChild(numberSpan);
     item.appendChild(methodSpan);
     item.appendChild(urlSpan);
+    if (request.matchedRules && request.matchedRules.length) {
+        item.appendChild(createRuleBadge(request.matchedRules));
+    }
     item.appendChild(timeSpan);
     item.appendChild(actionsDiv);
 
@@ -373,6 +389,7 @@ export function createRequestItemElement(request, index, categoryData) {
             }
             // Update state
             request.name = newName || null;
+            events.emit(EVENT_NAMES.PROJECT_DIRTY);
 
             // Re-render label
             urlSpan.innerHTML = '';
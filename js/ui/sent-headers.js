@@ -0,0 +1,29 @@
+// Sent Headers UI - Shows the request headers a replay actually put on the wire
+import { escapeHtml } from '../core/utils/dom.js';
+
+/**
+ * Render the headers reported by background.js (hides the container when there are none)
+ * @param {HTMLElement} container
+ * @param {Array<{name: string, value: string}>|null} headers
+ */
+export function renderSentHeaders(container, headers) {
+    if (!container) return;
+
+    if (!headers || headers.length === 0) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+        return;
+    }
+
+    const lines = headers.map(h =>
+        `<div><span class="sent-header-name">${escapeHtml(h.name)}:</span> ${escapeHtml(h.value ?? '')}</div>`
+    ).join('');
+
+    container.innerHTML = `
+        <details>
+            <summary>Request headers sent (${headers.length})</summary>
+            <div class="sent-headers-list">${lines}</div>
+        </details>
+    `;
+    container.style.display = 'block';
+}
@@ -1,6 +1,8 @@
 // UI Utilities Module - Setup functions, resize, context menu, undo/redo, export/import
 import { state, actions } from '../core/state.js';
 import { highlightHTTP } from '../core/utils/network.js';
+import { applyEnvironment } from '../core/utils/templating.js';
+import { parseRawRequest } from '../network/capture.js';
 import { decodeJWT } from '../core/utils/misc.js';
 import { events, EVENT_NAMES } from '../core/events.js';
 import { elements } from './main-ui.js'; // Keep for context menu and undo/redo which need direct element access
@@ -15,6 +17,16 @@ export function updateHistoryButtons() {
     if (redoBtn) {
         redoBtn.disabled = state.redoStack.length === 0;
     }
+
+    // Back/forward through sent requests
+    const backBtn = document.getElementById('history-back-btn');
+    const forwardBtn = document.getElementById('history-forward-btn');
+    if (backBtn) {
+        backBtn.disabled = state.historyIndex <= 0;
+    }
+    if (forwardBtn) {
+        forwardBtn.disabled = state.historyIndex >= state.requestHistory.length - 1;
+    }
 }
 
 // Set up event listener for decoupled communication
@@ -907,6 +919,32 @@ function handleEncodeDecode(action) {
     }
 }
 
+/**
+ * The request to copy: what the editor holds, with the active environment's
+ * {{variables}} filled in. Falls back to the captured request if the editor
+ * text does not parse.
+ * @returns {{url: string, method: string, headers: Array<{name: string, value: string}>, postData?: {text: string}}|null}
+ */
+function getCopyAsRequest() {
+    const rawText = elements.rawRequestInput ? elements.rawRequestInput.innerText : '';
+    const useHttps = elements.useHttpsCheckbox ? elements.useHttpsCheckbox.checked : true;
+    try {
+        const { text, unresolved } = applyEnvironment(rawText, state);
+        if (unresolved.length > 0) {
+            console.warn(`Copy as: no value for ${unresolved.map(name => `{{${name}}}`).join(', ')}`);
+        }
+        const parsed = parseRawRequest(text, useHttps);
+        return {
+            url: parsed.url,
+            method: parsed.method,
+            headers: [{ name: 'Host', value: parsed.host }, ...parsed.headers],
+            postData: parsed.bodyText !== null ? { text: parsed.bodyText } : undefined
+        };
+    } catch (e) {
+        return state.selectedRequest && state.selectedRequest.request ? state.selectedRequest.request : null;
+    }
+}
+
 /**
  * Handle "Copy as ..." actions from the context menu.
  * These operate only on the request editor and require full selection of the request.
@@ -919,12 +957,12 @@ function handleCopyAs(action) {
         return;
     }
 
-    if (!state.selectedRequest || !state.selectedRequest.request) {
-        console.warn('No selected request to copy as curl/bash');
+    const req = getCopyAsRequest();
+    if (!req) {
+        console.warn('No request to copy as curl/bash');
         return;
     }
 
-    const req = state.selectedRequest.request;
     const method = (req.method || 'GET').toUpperCase();
     const headers = (req.headers || []).filter(h => !h.name.startsWith(':'));
     const body = req.postData && typeof req.postData.text === 'string' ? req.postData.text : '';
@@ -0,0 +1,348 @@
+// Tests for the background script (panel ports, response body capture and rewriting)
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+// background.js is a plain script: run it with a fake `browser` and hand its
+// listeners back to the tests
+const source = readFileSync(resolve(__dirname, '../background.js'), 'utf8');
+const exported = [
+  'handleBeforeRequest', 'handleRewriteHeadersReceived', 'handleBeforeRedirect', 'handleCompleted',
+  'ports', 'channelPorts', 'requestMap', 'MAX_RESPONSE_BODY_BYTES', 'MAX_REWRITE_BODY_BYTES'
+];
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (fn) => listeners.push(fn),
+    hasListener: (fn) => listeners.includes(fn)
+  };
+}
+
+function createFilter() {
+  const written = [];
+  return {
+    written,
+    write: vi.fn(data => written.push(new Uint8Array(data))),
+    close: vi.fn(),
+    disconnect: vi.fn(),
+    text() {
+      return written.map(bytes => new TextDecoder().decode(bytes)).join('');
+    }
+  };
+}
+
+// filterFails: filterResponseData throws, as without the webRequestFilterResponse permission
+function loadBackground({ filterFails = false } = {}) {
+  const filters = new Map();
+  const onConnect = createEvent();
+  const webRequest = {
+    filterResponseData: vi.fn(requestId => {
+      if (filterFails) throw new Error('Missing permission');
+      const filter = createFilter();
+      filters.set(requestId, filter);
+      return filter;
+    })
+  };
+  ['onBeforeRequest', 'onBeforeSendHeaders', 'onSendHeaders', 'onHeadersReceived',
+    'onBeforeRedirect', 'onCompleted', 'onErrorOccurred'].forEach(name => {
+    webRequest[name] = createEvent();
+  });
+  const browser = {
+    runtime: { onConnect, onMessage: createEvent() },
+    webRequest
+  };
+
+  const run = new Function('browser', 'setInterval', `${source}\nreturn { ${exported.join(', ')} };`);
+  const bg = run(browser, () => 0);
+
+  bg.filters = filters;
+  bg.connect = (name) => {
+    const onMessage = createEvent();
+    const onDisconnect = createEvent();
+    const port = {
+      name,
+      messages: [],
+      postMessage: vi.fn(message => port.messages.push(message)),
+      onMessage,
+      onDisconnect,
+      send: (message) => onMessage.listeners.forEach(fn => fn(message)),
+      disconnect: () => onDisconnect.listeners.forEach(fn => fn())
+    };
+    onConnect.listeners.forEach(fn => fn(port));
+    return port;
+  };
+  return bg;
+}
+
+const encode = (text) => new TextEncoder().encode(text).buffer;
+
+// A request through onBeforeRequest, the response headers and the body
+function respond(bg, { requestId = '1', url = 'https://example.com/page', type = 'xmlhttprequest', contentType = 'text/html', chunks = [] } = {}) {
+  bg.handleBeforeRequest({ requestId, url, method: 'GET', type, tabId: 1 });
+  bg.handleRewriteHeadersReceived({
+    requestId,
+    url,
+    statusCode: 200,
+    responseHeaders: [{ name: 'Content-Type', value: contentType }]
+  });
+  const filter = bg.filters.get(requestId);
+  if (filter) {
+    // A disconnected filter hands the rest of the stream back to the browser
+    const disconnected = () => filter.disconnect.mock.calls.length > 0;
+    chunks.forEach(chunk => {
+      if (!disconnected()) filter.ondata({ data: encode(chunk) });
+    });
+    if (!disconnected()) filter.onstop();
+  }
+  bg.handleCompleted({ requestId, url, statusCode: 200, statusLine: 'HTTP/1.1 200 OK', responseHeaders: [] });
+  return filter;
+}
+
+describe('background capture', () => {
+  let bg;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    bg = loadBackground();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const captured = (port) => port.messages.filter(m => m.type === 'captured_request').map(m => m.data);
+
+  it('captures nothing while no panel consumes captured requests', () => {
+    const rules = bg.connect('rep-rules');
+    rules.send({ type: 'rules-set', rules: [] });
+    bg.connect('rep-replay');
+    const intercept = bg.connect('rep-intercept');
+    intercept.send({ type: 'intercept-set', enabled: true, tabId: 7 });
+
+    respond(bg, { chunks: ['<p>hi</p>'] });
+
+    expect(bg.ports.size).toBe(0);
+    expect(bg.channelPorts.size).toBe(3);
+    expect(bg.filters.size).toBe(0);
+    expect(bg.requestMap.size).toBe(0);
+    expect(rules.messages).toEqual([]);
+    expect(intercept.messages).toEqual([]);
+  });
+
+  it('stops capturing when the last panel disconnects', () => {
+    const panel = bg.connect('rep-panel');
+    respond(bg, { chunks: ['one'] });
+    panel.disconnect();
+    respond(bg, { requestId: '2', chunks: ['two'] });
+
+    expect(captured(panel).map(req => req.responseBody)).toEqual(['one']);
+    expect(bg.filters.has('2')).toBe(false);
+  });
+
+  it('reports text bodies with the request once the body is in', () => {
+    const panel = bg.connect('rep-panel');
+    bg.handleBeforeRequest({ requestId: '1', url: 'https://example.com/api', method: 'POST', type: 'xmlhttprequest', tabId: 3, requestBody: { raw: [{ bytes: encode('a=1') }] } });
+    bg.handleRewriteHeadersReceived({ requestId: '1', url: 'https://example.com/api', responseHeaders: [{ name: 'Content-Type', value: 'application/json' }] });
+    const filter = bg.filters.get('1');
+    filter.ondata({ data: encode('{"ok":') });
+
+    // onCompleted can fire before the filter has the whole body
+    bg.handleCompleted({ requestId: '1', statusCode: 200, statusLine: 'HTTP/1.1 200 OK', responseHeaders: [] });
+    expect(captured(panel)).toEqual([]);
+
+    filter.ondata({ data: encode('true}') });
+    filter.onstop();
+
+    const [req] = captured(panel);
+    expect(req).toMatchObject({ method: 'POST', tabId: 3, requestBody: 'a=1', statusCode: 200, responseBody: '{"ok":true}', responseBodyTruncated: false, responseBodySkipped: false });
+    expect(filter.text()).toBe('{"ok":true}');
+    expect(bg.requestMap.size).toBe(0);
+  });
+
+  it('truncates bodies over the cap but passes them through whole', () => {
+    const panel = bg.connect('rep-panel');
+    const chunk = 'x'.repeat(bg.MAX_RESPONSE_BODY_BYTES / 2 + 10);
+    const filter = respond(bg, { contentType: 'text/plain', chunks: [chunk, chunk] });
+
+    const [req] = captured(panel);
+    expect(req.responseBody).toHaveLength(bg.MAX_RESPONSE_BODY_BYTES);
+    expect(req.responseBodyTruncated).toBe(true);
+    expect(filter.text()).toBe(chunk + chunk);
+  });
+
+  it('reports binary bodies as base64', () => {
+    const panel = bg.connect('rep-panel');
+    respond(bg, { contentType: 'application/octet-stream', chunks: ['\x00\x01'] });
+
+    const [req] = captured(panel);
+    expect(req.responseEncoding).toBe('base64');
+    expect(req.responseBody).toBe(btoa('\x00\x01'));
+  });
+
+  it('marks images, media and fonts as captured without a body', () => {
+    const panel = bg.connect('rep-panel');
+    ['image', 'media', 'font', 'object'].forEach((type, i) => respond(bg, { requestId: String(i), type, contentType: 'image/png' }));
+
+    expect(bg.filters.size).toBe(0);
+    const reqs = captured(panel);
+    expect(reqs).toHaveLength(4);
+    reqs.forEach(req => {
+      expect(req.responseBodySkipped).toBe(true);
+      expect(req.responseBody).toBeUndefined();
+    });
+  });
+
+  it('marks bodies unavailable when the response filter cannot be attached', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    bg = loadBackground({ filterFails: true });
+    const panel = bg.connect('rep-panel');
+    respond(bg, { chunks: ['hi'] });
+
+    const [req] = captured(panel);
+    expect(req.responseBodyUnavailable).toBe(true);
+    expect(req.responseBody).toBeUndefined();
+    expect(bg.requestMap.size).toBe(0);
+  });
+
+  it('keeps the redirect chain when the request is seen again after a redirect', () => {
+    const panel = bg.connect('rep-panel');
+    bg.handleBeforeRequest({ requestId: '1', url: 'http://example.com/login', method: 'POST', type: 'main_frame', tabId: 1 });
+    bg.handleBeforeRedirect({
+      requestId: '1',
+      url: 'http://example.com/login',
+      method: 'POST',
+      statusCode: 302,
+      redirectUrl: 'https://example.com/home',
+      responseHeaders: [{ name: 'Set-Cookie', value: 'sid=1' }]
+    });
+    respond(bg, { url: 'https://example.com/home', type: 'main_frame', chunks: ['home'] });
+
+    const [req] = captured(panel);
+    expect(req.url).toBe('https://example.com/home');
+    expect(req.redirectChain).toHaveLength(1);
+    expect(req.redirectChain[0]).toMatchObject({ url: 'http://example.com/login', status: 302, location: 'https://example.com/home', setCookies: ['sid=1'] });
+  });
+});
+
+const bodyRule = {
+  id: 'r1',
+  name: 'Swap',
+  enabled: true,
+  target: 'response-body',
+  match: 'secret',
+  replace: 'public'
+};
+
+describe('background response body rules', () => {
+  let bg;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    bg = loadBackground();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('rewrites text bodies and reports the rule to the rules channel', () => {
+    const rules = bg.connect('rep-rules');
+    rules.send({ type: 'rules-set', rules: [bodyRule] });
+
+    const filter = respond(bg, { chunks: ['<p>sec', 'ret</p>'] });
+
+    expect(filter.text()).toBe('<p>public</p>');
+    expect(filter.close).toHaveBeenCalled();
+    const matched = rules.messages.find(m => m.type === 'rule-matched');
+    expect(matched.data.rules).toEqual(['Swap']);
+  });
+
+  it('shows the rewritten body to capture consumers', () => {
+    const panel = bg.connect('rep-panel');
+    panel.send({ type: 'rules-set', rules: [bodyRule] });
+
+    respond(bg, { chunks: ['a secret'] });
+
+    const captured = panel.messages.find(m => m.type === 'captured_request');
+    expect(captured.data.responseBody).toBe('a public');
+    expect(captured.data.matchedRules).toEqual(['Swap']);
+  });
+
+  it('passes binary responses through untouched', () => {
+    const rules = bg.connect('rep-rules');
+    rules.send({ type: 'rules-set', rules: [bodyRule] });
+
+    const filter = respond(bg, { contentType: 'application/octet-stream', chunks: ['secret', ' data'] });
+
+    // Only the first chunk went through the filter
+    expect(filter.text()).toBe('secret');
+    expect(filter.disconnect).toHaveBeenCalled();
+    expect(rules.messages.some(m => m.type === 'rule-matched')).toBe(false);
+  });
+
+  it('passes bodies larger than the rewrite limit through untouched', () => {
+    const rules = bg.connect('rep-rules');
+    rules.send({ type: 'rules-set', rules: [bodyRule] });
+
+    const half = 'secret'.padEnd(bg.MAX_REWRITE_BODY_BYTES / 2 + 1, 'x');
+    const filter = respond(bg, { chunks: [half, half, 'secret'] });
+
+    // The first two chunks were held back, then released as they were
+    expect(filter.written).toHaveLength(2);
+    expect(filter.text()).toBe(half + half + 'secret');
+    expect(rules.messages.some(m => m.type === 'rule-matched')).toBe(false);
+  });
+
+  it('does not filter request types that are never rewritten', () => {
+    const rules = bg.connect('rep-rules');
+    rules.send({ type: 'rules-set', rules: [bodyRule] });
+
+    respond(bg, { type: 'image', contentType: 'image/png' });
+    expect(bg.filters.size).toBe(0);
+  });
+
+  it('only rewrites URLs matching the rule filter', () => {
+    const rules = bg.connect('rep-rules');
+    rules.send({ type: 'rules-set', rules: [{ ...bodyRule, urlFilter: '/api/' }] });
+
+    respond(bg, { url: 'https://example.com/page', chunks: ['secret'] });
+    expect(bg.filters.size).toBe(0);
+
+    const filter = respond(bg, { requestId: '2', url: 'https://example.com/api/me', chunks: ['secret'] });
+    expect(filter.text()).toBe('public');
+  });
+
+  it('passes responses through and tells the rules channel once when the filter cannot be attached', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    bg = loadBackground({ filterFails: true });
+    const rules = bg.connect('rep-rules');
+    rules.send({ type: 'rules-set', rules: [bodyRule] });
+
+    respond(bg, { chunks: ['secret'] });
+    respond(bg, { requestId: '2', chunks: ['secret'] });
+
+    expect(bg.filters.size).toBe(0);
+    expect(bg.requestMap.size).toBe(0);
+    expect(rules.messages.filter(m => m.type === 'body-rules-unavailable')).toEqual([
+      { type: 'body-rules-unavailable', error: 'Missing permission' }
+    ]);
+    expect(rules.messages.some(m => m.type === 'rule-matched')).toBe(false);
+
+    // Reported again after the rules change
+    rules.send({ type: 'rules-set', rules: [bodyRule] });
+    respond(bg, { requestId: '3', chunks: ['secret'] });
+    expect(rules.messages.filter(m => m.type === 'body-rules-unavailable')).toHaveLength(2);
+  });
+
+  it('stops applying rules when the rules channel disconnects', () => {
+    const rules = bg.connect('rep-rules');
+    rules.send({ type: 'rules-set', rules: [bodyRule] });
+    rules.disconnect();
+
+    respond(bg, { chunks: ['secret'] });
+    expect(bg.filters.size).toBe(0);
+    expect(bg.requestMap.size).toBe(0);
+  });
+});
@@ -0,0 +1,83 @@
+// Tests for binary-safe response bodies (byte helpers, hex view, executeRequest)
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  getBodyText,
+  isBinaryBody,
+  getMediaKind,
+  bytesToBase64,
+  base64ToBytes,
+  suggestFileName
+} from '../js/core/utils/binary.js';
+import { generateHexView, generateResponseHexView } from '../js/ui/hex-view.js';
+import { executeRequest } from '../js/network/capture.js';
+
+const PNG_HEADER = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+
+describe('binary body helpers', () => {
+  it('should round-trip bytes through base64', () => {
+    const bytes = new Uint8Array(256).map((_, i) => i);
+    expect(base64ToBytes(bytesToBase64(bytes))).toEqual(bytes);
+  });
+
+  it('should decode text bodies with the declared charset', () => {
+    const latin1 = new Uint8Array([0x63, 0x61, 0x66, 0xe9]);
+    expect(getBodyText(latin1, 'text/plain; charset=iso-8859-1')).toBe('café');
+    expect(getBodyText(new TextEncoder().encode('{"a":1}'), 'application/json')).toBe('{"a":1}');
+  });
+
+  it('should show a placeholder instead of decoding binary bodies', () => {
+    expect(isBinaryBody(PNG_HEADER, 'image/png')).toBe(true);
+    expect(isBinaryBody(PNG_HEADER, '')).toBe(true);
+    expect(isBinaryBody(new TextEncoder().encode('plain'), '')).toBe(false);
+    expect(getBodyText(PNG_HEADER, 'image/png')).toMatch(/^\[Binary body: 10 Bytes, image\/png/);
+  });
+
+  it('should classify previewable media', () => {
+    expect(getMediaKind('image/svg+xml')).toBe('image');
+    expect(getMediaKind('audio/mpeg')).toBe('audio');
+    expect(getMediaKind('video/mp4')).toBe('video');
+    expect(getMediaKind('application/pdf; name=x')).toBe('pdf');
+    expect(getMediaKind('text/html')).toBeNull();
+  });
+
+  it('should suggest file names from the URL or the content type', () => {
+    expect(suggestFileName('https://example.com/img/logo.png?v=2', 'image/png')).toBe('logo.png');
+    expect(suggestFileName('https://example.com/download', 'application/pdf')).toBe('download.pdf');
+    expect(suggestFileName('https://example.com/', 'application/x-custom')).toBe('response.bin');
+  });
+});
+
+describe('hex view', () => {
+  it('should dump raw bytes as they are', () => {
+    const dump = generateHexView(PNG_HEADER);
+    expect(dump).toContain('89 50 4e 47 0d 0a 1a 0a  00 ff');
+    expect(dump).toContain('|.PNG......');
+  });
+
+  it('should show the real body bytes after the response head', () => {
+    const raw = 'HTTP/1.1 200 OK\ncontent-type: image/png\n\n[Binary body]';
+    const dump = generateResponseHexView(raw, { base64: bytesToBase64(PNG_HEADER) });
+    expect(dump).toContain('89 50 4e 47');
+    expect(dump).not.toContain('[Binary');
+    expect(dump).not.toMatch(/ef bf bd/); // no U+FFFD replacement characters
+  });
+});
+
+describe('executeRequest', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('should keep the raw bytes of binary responses', async () => {
+    global.fetch = vi.fn(async () => new Response(PNG_HEADER, {
+      status: 200,
+      headers: { 'Content-Type': 'image/png' }
+    }));
+
+    const result = await executeRequest('https://example.com/logo.png', { method: 'GET' });
+
+    expect(result.bodyBytes).toEqual(PNG_HEADER);
+    expect(result.size).toBe(PNG_HEADER.length);
+    expect(result.body).toMatch(/^\[Binary body/);
+  });
+});
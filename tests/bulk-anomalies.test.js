@@ -0,0 +1,180 @@
+// Tests for bulk replay anomaly detection (simhash, clusters, baseline, outliers, table highlighting)
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  simhash,
+  hammingDistance,
+  createClusterIndex,
+  formatCluster,
+  computeBaseline,
+  findAnomalies,
+  CLUSTER_DISTANCE,
+  STRUCTURE_DISTANCE
+} from '../js/features/bulk-replay/anomalies.js';
+import { createResultsTable } from '../js/features/bulk-replay/results-table.js';
+
+const forbidden = payload => `<html><head><title>403 Forbidden</title></head><body><h1>Forbidden</h1>
+<p>You don't have permission to access this resource. The request was blocked by the web application firewall.</p>
+<p>Reference: ${payload}</p><hr><address>Apache/2.4.41 (Ubuntu) Server at example.com Port 443</address></body></html>`;
+
+const dashboard = `<html><head><title>Dashboard</title><script src="/app.js"></script></head><body>
+<nav><a href="/">Home</a><a href="/settings">Settings</a><a href="/logout">Logout</a></nav>
+<main><h2>Welcome back, admin</h2><table><tr><td>Orders</td><td>42</td></tr><tr><td>Users</td><td>7</td></tr></table></main></body></html>`;
+
+const row = (index, status, body, extra = {}) => ({
+  index,
+  status,
+  size: body.length,
+  words: body.split(/\s+/).filter(Boolean).length,
+  lines: body.split('\n').length,
+  time: 100,
+  simhash: simhash(body),
+  ...extra
+});
+
+describe('simhash', () => {
+  it('is a stable 64-bit hex string', () => {
+    expect(simhash(dashboard)).toMatch(/^[0-9a-f]{16}$/);
+    expect(simhash(dashboard)).toBe(simhash(dashboard));
+    expect(simhash('')).toBe('0000000000000000');
+  });
+
+  it('keeps similar bodies close and different pages far apart', () => {
+    const a = simhash(forbidden('abc'));
+    expect(hammingDistance(a, simhash(forbidden('abc')))).toBe(0);
+    expect(hammingDistance(a, simhash(forbidden('xyz123')))).toBeLessThanOrEqual(CLUSTER_DISTANCE);
+    expect(hammingDistance(a, simhash(dashboard))).toBeGreaterThan(STRUCTURE_DISTANCE);
+  });
+
+  it('counts differing bits', () => {
+    expect(hammingDistance('0000000000000000', 'ffffffffffffffff')).toBe(64);
+    expect(hammingDistance('8000000000000001', '0000000000000000')).toBe(2);
+  });
+});
+
+describe('clusters', () => {
+  it('collapses a run into clusters with counts', () => {
+    const index = createClusterIndex();
+    for (let i = 0; i < 980; i++) index.add({ status: 403, simhash: simhash(forbidden('x')), size: 300 });
+    for (let i = 0; i < 20; i++) index.add({ status: 200, simhash: simhash(dashboard), size: 400 + i });
+
+    const clusters = index.getClusters();
+    expect(clusters.map(c => [c.id, c.count])).toEqual([[1, 980], [2, 20]]);
+    expect(formatCluster(clusters[0])).toBe('980 × identical 403 (300 Bytes)');
+    expect(formatCluster(clusters[1])).toBe('20 × similar 200 (400 Bytes - 419 Bytes)');
+  });
+
+  it('keeps statuses and errors apart and returns stable ids', () => {
+    const index = createClusterIndex();
+    const hash = simhash(forbidden('a'));
+    expect(index.add({ status: 403, simhash: hash, size: 10 })).toBe(1);
+    expect(index.add({ status: 401, simhash: hash, size: 10 })).toBe(2);
+    expect(index.add({ status: 'Error', simhash: null })).toBe(3);
+    expect(index.add({ status: 'Error', simhash: null })).toBe(3);
+    expect(index.add({ status: 403, simhash: simhash(forbidden('bb')), size: 11 })).toBe(1);
+    expect(formatCluster(index.getClusters()[1])).toBe('2 × identical Error');
+    index.reset();
+    expect(index.getClusters()).toEqual([]);
+  });
+});
+
+describe('baseline and anomalies', () => {
+  const run = () => [
+    ...Array.from({ length: 30 }, (_, i) => row(i, 403, forbidden(`payload${i}`))),
+    row(30, 200, dashboard),
+    row(31, 403, forbidden('slow'), { time: 5000 }),
+    row(32, 403, forbidden('x') + 'A'.repeat(500))
+  ];
+
+  it('waits for enough responses', () => {
+    expect(computeBaseline(run().slice(0, 4))).toBeNull();
+    expect(computeBaseline([{ index: 0, status: null }, { index: 1, skipped: true, status: 'Skipped' }])).toBeNull();
+  });
+
+  it('computes the typical response', () => {
+    const baseline = computeBaseline(run());
+    expect(baseline.status).toBe(403);
+    expect(baseline.count).toBe(33);
+    expect(baseline.time.median).toBe(100);
+    expect(hammingDistance(baseline.simhash, simhash(forbidden('payload0')))).toBeLessThanOrEqual(CLUSTER_DISTANCE);
+  });
+
+  it('flags rare statuses, outlying metrics and different bodies', () => {
+    const rows = run();
+    const baseline = computeBaseline(rows);
+    const metrics = r => findAnomalies(r, baseline).map(a => a.metric);
+
+    expect(rows.slice(0, 30).every(r => metrics(r).length === 0)).toBe(true);
+    expect(metrics(rows[30])).toEqual(expect.arrayContaining(['status', 'structure']));
+    expect(metrics(rows[31])).toEqual(['time']);
+    expect(metrics(rows[32])).toEqual(expect.arrayContaining(['size']));
+    expect(findAnomalies(rows[30], baseline)[0].message).toBe('Status 200: 1 of 33 responses (usually 403)');
+    expect(findAnomalies(rows[31], baseline)[0].message).toBe('5000ms (typical 100ms)');
+  });
+
+  it('does not flag faster responses, skipped rows or rows without a baseline', () => {
+    const baseline = computeBaseline(run());
+    expect(findAnomalies(row(40, 403, forbidden('fast'), { time: 1 }), baseline)).toEqual([]);
+    expect(findAnomalies({ index: 41, skipped: true, status: 'Skipped' }, baseline)).toEqual([]);
+    expect(findAnomalies(row(42, 500, dashboard), null)).toEqual([]);
+  });
+});
+
+describe('results table', () => {
+  let table;
+  let summary;
+  let results;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    document.body.innerHTML = '<div id="clusters"></div><table><thead></thead><tbody></tbody></table>';
+    table = document.querySelector('table');
+    summary = document.getElementById('clusters');
+    results = createResultsTable(table, { clusterSummary: summary, onSelect: () => {}, onCompare: () => {} });
+  });
+
+  const addDone = (index, status, body) => results.setRow(index, {
+    payloads: [`p${index}`],
+    encodedPayloads: [`p${index}`],
+    statusLabel: String(status),
+    status,
+    size: body.length,
+    time: 100,
+    duration: '100ms',
+    response: { headers: [], body }
+  });
+  const ids = () => [...table.querySelectorAll('tbody tr[data-index]')].map(tr => Number(tr.dataset.index));
+
+  it('highlights anomalies and fills the cluster and anomaly columns', () => {
+    for (let i = 0; i < 9; i++) addDone(i, 403, forbidden(`p${i}`));
+    addDone(9, 200, dashboard);
+    vi.advanceTimersByTime(600);
+
+    const odd = table.querySelector('tr[data-index="9"]');
+    expect(odd.classList.contains('anomaly')).toBe(true);
+    expect(odd.querySelector('.bulk-cell-status').classList.contains('bulk-anomaly')).toBe(true);
+    expect(odd.querySelector('.bulk-cell-anomalies').textContent).toContain('status');
+    expect(odd.querySelector('.bulk-cell-cluster').textContent).toBe('#2');
+    expect(table.querySelector('tr[data-index="0"]').classList.contains('anomaly')).toBe(false);
+    expect([...summary.querySelectorAll('.bulk-cluster-chip')].map(chip => chip.textContent.trim()))
+      .toEqual([expect.stringMatching(/^9 × similar 403/), expect.stringMatching(/^1 × 200/)]);
+    vi.useRealTimers();
+  });
+
+  it('filters to a cluster from its button and back', () => {
+    for (let i = 0; i < 5; i++) addDone(i, 403, forbidden('x'));
+    addDone(5, 200, dashboard);
+    vi.advanceTimersByTime(600);
+
+    summary.querySelector('.bulk-cluster-chip[data-cluster="2"]').click();
+    expect(ids()).toEqual([5]);
+    expect(table.querySelector('.bulk-filter-input[data-key="cluster"]').value).toBe('2');
+    expect(summary.querySelector('.bulk-cluster-chip.active').dataset.cluster).toBe('2');
+
+    summary.querySelector('.bulk-cluster-chip[data-cluster="2"]').click();
+    expect(ids()).toEqual([0, 1, 2, 3, 4, 5]);
+
+    results.reset();
+    expect(summary.innerHTML).toBe('');
+    vi.useRealTimers();
+  });
+});
@@ -0,0 +1,154 @@
+// Tests for context-aware payload encoding in bulk replay (context detection, escaping, overrides, raw and encoded payloads)
+import { describe, it, expect } from 'vitest';
+import { detectPositionContexts, encodePayload, getPositionEncoding } from '../js/features/bulk-replay/contexts.js';
+import { createAttack } from '../js/features/bulk-replay/engine.js';
+import { renderPayloadOptions, bindPayloadOptions, readPayloadEncoding } from '../js/features/bulk-replay/payload-ui.js';
+
+const contextsOf = template => detectPositionContexts(template).map(c => c.context);
+
+describe('detectPositionContexts', () => {
+  it('finds URL path and query positions on the request line', () => {
+    expect(contextsOf('GET /users/§1§/posts?q=§x§&page=§2§ HTTP/1.1\nHost: example.com\n\n'))
+      .toEqual(['url-path', 'url-query', 'url-query']);
+    expect(contextsOf('§GET§ / HTTP/1.1\nHost: a\n\n')).toEqual(['request-line']);
+  });
+
+  it('tells cookies from other headers', () => {
+    expect(contextsOf('GET / HTTP/1.1\nHost: a\nCookie: session=§abc§; theme=dark\nX-Api-Key: §key§\n\n'))
+      .toEqual(['cookie', 'header']);
+  });
+
+  it('tells JSON strings from other JSON values', () => {
+    const template = 'POST /api HTTP/1.1\r\nContent-Type: application/json\r\n\r\n{"name":"§bob§","id":§1§,"note":"say \\"§hi§\\""}';
+    expect(contextsOf(template)).toEqual(['json-string', 'json-value', 'json-string']);
+  });
+
+  it('reads the body type from Content-Type, or guesses it', () => {
+    expect(contextsOf('POST / HTTP/1.1\nContent-Type: application/x-www-form-urlencoded\n\nuser=§a§&pass=§b§'))
+      .toEqual(['form', 'form']);
+    expect(contextsOf('POST / HTTP/1.1\nContent-Type: text/xml\n\n<a>§x§</a>')).toEqual(['xml']);
+    expect(contextsOf('POST / HTTP/1.1\nContent-Type: multipart/form-data; boundary=x\n\n--x\n\n§v§')).toEqual(['multipart']);
+    expect(contextsOf('POST / HTTP/1.1\nHost: a\n\n{"a":"§x§"}')).toEqual(['json-string']);
+    expect(contextsOf('POST / HTTP/1.1\nHost: a\n\nuser=§a§')).toEqual(['form']);
+    expect(contextsOf('POST / HTTP/1.1\nContent-Type: text/plain\n\nhello §a§')).toEqual(['body']);
+  });
+
+  it('labels each context with its default encoding', () => {
+    expect(detectPositionContexts('GET /?q=§1§ HTTP/1.1\n\n')).toEqual([
+      { context: 'url-query', label: 'URL query', encoding: 'url-query' }
+    ]);
+  });
+});
+
+describe('encodePayload', () => {
+  it('escapes for each encoding', () => {
+    const payload = `a "b" & c=d\n<e>`;
+    expect(encodePayload(payload, 'none')).toBe(payload);
+    expect(encodePayload(payload, 'url')).toBe('a%20%22b%22%20%26%20c%3Dd%0A%3Ce%3E');
+    expect(encodePayload(payload, 'form')).toBe('a+%22b%22+%26+c%3Dd%0A%3Ce%3E');
+    expect(encodePayload(payload, 'json-string')).toBe('a \\"b\\" & c=d\\n<e>');
+    expect(encodePayload(payload, 'xml')).toBe('a &quot;b&quot; &amp; c=d\n&lt;e&gt;');
+    expect(encodePayload(payload, 'header')).toBe('a "b" & c=d<e>');
+    expect(encodePayload(payload, 'url-path')).toBe('a%20"b"%20&%20c=d%0A<e>');
+    expect(encodePayload(payload, 'url-query')).toBe('a%20"b"%20%26%20c=d%0A<e>');
+    expect(encodePayload(payload, 'cookie')).toBe('a%20"b"%20&%20c=d%0A<e>');
+    expect(encodePayload(payload, 'form-value')).toBe('a+"b"+%26+c=d%0A<e>');
+    expect(encodePayload('a;b', 'cookie')).toBe('a%3Bb');
+    expect(encodePayload('a#b?c', 'url-path')).toBe('a%23b%3Fc');
+  });
+
+  it('keeps traversal sequences in URL contexts', () => {
+    ['url-path', 'url-query', 'cookie', 'form-value'].forEach(encoding => {
+      expect(encodePayload('../../../etc/passwd', encoding)).toBe('../../../etc/passwd');
+      expect(encodePayload('..\\..\\windows\\win.ini', encoding)).toBe('..\\..\\windows\\win.ini');
+    });
+  });
+
+  it('never encodes payloads that are already URL-encoded a second time', () => {
+    ['url-path', 'url-query', 'cookie', 'form-value'].forEach(encoding => {
+      expect(encodePayload('%27%20OR%201=1--', encoding)).toBe('%27%20OR%201=1--');
+      expect(encodePayload('..%2F..%2Fetc%2Fpasswd', encoding)).toBe('..%2F..%2Fetc%2Fpasswd');
+      expect(encodePayload('%252e%252e%252f', encoding)).toBe('%252e%252e%252f');
+    });
+  });
+
+  it('uses the override, else the detected context', () => {
+    const context = { context: 'json-string', label: 'JSON string', encoding: 'json-string' };
+    expect(getPositionEncoding({ encoding: 'auto', context })).toBe('json-string');
+    expect(getPositionEncoding({ encoding: 'none', context })).toBe('none');
+    expect(getPositionEncoding({})).toBe('none');
+  });
+});
+
+describe('encoding in attacks', () => {
+  it('inserts encoded payloads and records both raw and encoded', () => {
+    const template = 'POST /?q=§1§ HTTP/1.1\nContent-Type: application/json\n\n{"name":"§a§"}';
+    const [query, json] = detectPositionContexts(template);
+    const attack = createAttack('pitchfork', [
+      { type: 'simple-list', list: 'a&b=c', originalValue: '1', context: query, encoding: 'auto' },
+      { type: 'simple-list', list: 'say "hi"', originalValue: 'a', context: json, encoding: 'auto' }
+    ], template);
+    const request = attack.requestAt(0);
+    expect(request.payloads).toEqual(['a&b=c', 'say "hi"']);
+    expect(request.encodedPayloads).toEqual(['a%26b=c', 'say \\"hi\\"']);
+    expect(request.requestContent).toBe('POST /?q=a%26b=c HTTP/1.1\nContent-Type: application/json\n\n{"name":"say \\"hi\\""}');
+  });
+
+  it('sends path traversal and URL-encoded processing output as they are', () => {
+    const template = 'GET /files/§name§?id=§1§ HTTP/1.1\n\n';
+    const [path, query] = detectPositionContexts(template);
+    const attack = createAttack('pitchfork', [
+      { type: 'simple-list', list: '../../etc/passwd', originalValue: 'name', context: path, encoding: 'auto' },
+      { type: 'simple-list', list: "' OR 1=1", originalValue: '1', context: query, encoding: 'auto', processing: [{ type: 'url-encode' }] }
+    ], template);
+    const request = attack.requestAt(0);
+    expect(request.payloads).toEqual(['../../etc/passwd', "'%20OR%201%3D1"]);
+    expect(request.encodedPayloads).toEqual(request.payloads);
+    expect(request.requestContent).toBe("GET /files/../../etc/passwd?id='%20OR%201%3D1 HTTP/1.1\n\n");
+  });
+
+  it('encodes after processing and leaves untouched positions as they are', () => {
+    const template = 'GET /?a=§x y§&b=§2§ HTTP/1.1\n\n';
+    const [first, second] = detectPositionContexts(template);
+    const attack = createAttack('sniper', [
+      { type: 'simple-list', list: '', originalValue: 'x y', context: first, encoding: 'auto' },
+      { type: 'simple-list', list: 'p', originalValue: '2', context: second, encoding: 'auto', processing: [{ type: 'prefix', value: '<' }] }
+    ], template);
+    expect(attack.requestAt(0).requestContent).toBe('GET /?a=x y&b=<p HTTP/1.1\n\n');
+  });
+
+  it('honours a per-position override', () => {
+    const template = 'GET /?q=§1§ HTTP/1.1\n\n';
+    const [context] = detectPositionContexts(template);
+    const attack = createAttack('sniper', [
+      { type: 'simple-list', list: '<script>', originalValue: '1', context, encoding: 'none' }
+    ], template);
+    expect(attack.requestAt(0).requestContent).toBe('GET /?q=<script> HTTP/1.1\n\n');
+  });
+});
+
+describe('encoding select', () => {
+  it('shows the detected context, previews the sent value and reads the override', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderPayloadOptions({ index: 0, originalValue: '1', context: detectPositionContexts('GET /?q=§1§ HTTP/1.1\n\n')[0] });
+    bindPayloadOptions(container);
+    const select = container.querySelector('.payload-encoding-select');
+    expect(select.options[0].textContent).toBe('Auto: URL query (Escape & # ? and spaces)');
+    expect(readPayloadEncoding(container)).toBe('auto');
+
+    container.querySelector('.payload-list-input').value = 'a b';
+    container.querySelector('.payload-list-input').dispatchEvent(new Event('input', { bubbles: true }));
+    expect(container.querySelector('.processing-encoded-preview').textContent).toBe('Sent as: a%20b');
+
+    select.value = 'form';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(container.querySelector('.processing-encoded-preview').textContent).toBe('Sent as: a+b');
+    expect(readPayloadEncoding(container)).toBe('form');
+  });
+
+  it('defers to each position for a shared config', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderPayloadOptions({});
+    expect(container.querySelector('.payload-encoding-select').options[0].textContent).toBe('Auto (per position)');
+  });
+});
@@ -0,0 +1,91 @@
+// Tests for the bulk replay attack engine (attack modes, exact totals, random access, resume)
+import { describe, it, expect } from 'vitest';
+import { createAttack, generateAttackRequests } from '../js/features/bulk-replay/engine.js';
+
+const template = 'GET /?a=§1§&b=§2§ HTTP/1.1\nHost: example.com\n\n';
+
+const list = (originalValue, ...items) => ({ type: 'simple-list', list: items.join('\n'), originalValue });
+const numbers = (originalValue, from, to, step) => ({ type: 'numbers', numbers: { from, to, step }, originalValue });
+
+const payloadsOf = (attackType, configs) =>
+  [...generateAttackRequests(attackType, configs, template)].map(r => r.payloads);
+
+describe('attack modes', () => {
+  it('sniper: one position at a time, others keep their original value', () => {
+    expect(payloadsOf('sniper', [list('1', 'x', 'y'), list('2', 'z')])).toEqual([
+      ['x', '2'], ['y', '2'], ['1', 'z']
+    ]);
+  });
+
+  it('battering ram: the first list in every position', () => {
+    expect(payloadsOf('battering-ram', [list('1', 'x', 'y'), list('2', 'z')])).toEqual([
+      ['x', 'x'], ['y', 'y']
+    ]);
+  });
+
+  it('pitchfork: zipped, up to the shortest list', () => {
+    expect(payloadsOf('pitchfork', [list('1', 'x', 'y', 'w'), numbers('2', 1, 2, 1)])).toEqual([
+      ['x', '1'], ['y', '2']
+    ]);
+  });
+
+  it('cluster bomb: every combination, last position fastest', () => {
+    expect(payloadsOf('cluster-bomb', [list('1', 'x', 'y'), numbers('2', 0, 20, 10)])).toEqual([
+      ['x', '0'], ['x', '10'], ['x', '20'],
+      ['y', '0'], ['y', '10'], ['y', '20']
+    ]);
+  });
+
+  it('fills the template and skips blank list lines', () => {
+    const [first] = generateAttackRequests('sniper', [list('1', '', 'x', '  '), list('2')], template);
+    expect(first).toEqual({
+      index: 0,
+      payloads: ['x', '2'],
+      encodedPayloads: ['x', '2'],
+      requestContent: 'GET /?a=x&b=2 HTTP/1.1\nHost: example.com\n\n',
+      skipped: false
+    });
+  });
+
+  it('rejects unknown attack types', () => {
+    expect(() => createAttack('shotgun', [list('1', 'x')], template)).toThrow('Unknown attack type');
+  });
+});
+
+describe('lazy generation', () => {
+  it('knows the exact total up front', () => {
+    const configs = [list('1', 'a', 'b', 'c'), numbers('2', 1, 10, 3)];
+    expect(createAttack('sniper', configs, template).total).toBe(7);
+    expect(createAttack('battering-ram', configs, template).total).toBe(3);
+    expect(createAttack('pitchfork', configs, template).total).toBe(3);
+    expect(createAttack('cluster-bomb', configs, template).total).toBe(12);
+  });
+
+  it('counts invalid number ranges as empty', () => {
+    expect(createAttack('sniper', [numbers('1', 5, 1, 1), numbers('2', 1, 5, 0)], template).total).toBe(0);
+    expect(createAttack('sniper', [numbers('1', 1, 5, NaN)], template).total).toBe(0);
+  });
+
+  it('builds any request of a million-request cluster bomb directly', () => {
+    const configs = [numbers('1', 0, 999, 1), numbers('2', 0, 999, 1)];
+    const attack = createAttack('cluster-bomb', configs, template);
+    expect(attack.total).toBe(1000000);
+    expect(attack.requestAt(0).payloads).toEqual(['0', '0']);
+    expect(attack.requestAt(123456).payloads).toEqual(['123', '456']);
+    expect(attack.requestAt(999999).requestContent).toContain('a=999&b=999');
+    expect(() => attack.requestAt(1000000)).toThrow(RangeError);
+  });
+
+  it('resumes from an index', () => {
+    const configs = [list('1', 'x', 'y'), numbers('2', 0, 20, 10)];
+    const resumed = [...generateAttackRequests('cluster-bomb', configs, template, 4)];
+    expect(resumed.map(r => [r.index, ...r.payloads])).toEqual([[4, 'y', '10'], [5, 'y', '20']]);
+  });
+
+  it('yields requests only as they are asked for', () => {
+    const configs = [numbers('1', 1, 1e6, 1), numbers('2', 1, 1e6, 1)];
+    const requests = generateAttackRequests('cluster-bomb', configs, template);
+    expect(requests.next().value.payloads).toEqual(['1', '1']);
+    expect(requests.next().value.payloads).toEqual(['1', '2']);
+  });
+});
@@ -0,0 +1,135 @@
+// Tests for bulk replay payload types (wordlists, brute force, case and character variants, dates, null, copy position)
+import { describe, it, expect } from 'vitest';
+import {
+  createPayloadSet,
+  getCaseVariants,
+  parseSubstitutionRules,
+  formatDate
+} from '../js/features/bulk-replay/payloads.js';
+import { createAttack } from '../js/features/bulk-replay/engine.js';
+import { renderPayloadOptions, bindPayloadOptions, readPayloadConfig } from '../js/features/bulk-replay/payload-ui.js';
+
+const all = set => Array.from({ length: set.count }, (_, i) => set.at(i));
+
+describe('payload types', () => {
+  it('wordlist: one payload per non-blank line of the file', () => {
+    const set = createPayloadSet({ type: 'wordlist', wordlist: { name: 'users.txt', text: 'admin\r\nroot\n\n  \nguest\n' } });
+    expect(all(set)).toEqual(['admin', 'root', 'guest']);
+    expect(() => createPayloadSet({ type: 'wordlist', wordlist: null })).toThrow('Choose a wordlist file');
+  });
+
+  it('brute force: every string of each length, shortest first', () => {
+    const set = createPayloadSet({ type: 'brute-force', bruteForce: { charset: 'ab', minLength: 1, maxLength: 2 } });
+    expect(all(set)).toEqual(['a', 'b', 'aa', 'ab', 'ba', 'bb']);
+  });
+
+  it('brute force: ignores repeated characters and counts without generating', () => {
+    const set = createPayloadSet({ type: 'brute-force', bruteForce: { charset: 'aab', minLength: 3, maxLength: 3 } });
+    expect(set.count).toBe(8);
+    const big = createPayloadSet({ type: 'brute-force', bruteForce: { charset: 'abcdefghijklmnopqrstuvwxyz0123456789', minLength: 1, maxLength: 6 } });
+    expect(big.count).toBe(2238976116);
+    expect(big.at(big.count - 1)).toBe('999999');
+    expect(() => createPayloadSet({ type: 'brute-force', bruteForce: { charset: 'abcdefghij', minLength: 1, maxLength: 20 } }))
+      .toThrow('Too many payloads');
+  });
+
+  it('case modification: selected variants without duplicates', () => {
+    expect(getCaseVariants('aDmin', ['original', 'lower', 'upper', 'capitalize', 'invert']))
+      .toEqual(['aDmin', 'admin', 'ADMIN', 'Admin', 'AdMIN']);
+    expect(getCaseVariants('admin', ['original', 'lower'])).toEqual(['admin']);
+    const set = createPayloadSet({ type: 'case-modification', originalValue: 'user', caseModification: { base: '', modes: ['upper'] } });
+    expect(all(set)).toEqual(['USER']);
+  });
+
+  it('character substitution: every combination, the base value first', () => {
+    expect(parseSubstitutionRules('a=4,@\nE = 3\nbad line\nx=')).toEqual(new Map([['a', ['4', '@']], ['e', ['3']]]));
+    const set = createPayloadSet({ type: 'char-substitution', originalValue: 'x', substitution: { base: 'Pae', rules: 'a=4,@\ne=3' } });
+    expect(all(set)).toEqual(['Pae', 'Pa3', 'P4e', 'P43', 'P@e', 'P@3']);
+  });
+
+  it('dates: inclusive range with a day step and a format', () => {
+    const set = createPayloadSet({ type: 'dates', dates: { from: '2024-02-27', to: '2024-03-02', stepDays: 2, format: 'DD/MM/YYYY' } });
+    expect(all(set)).toEqual(['27/02/2024', '29/02/2024', '02/03/2024']);
+    expect(formatDate(new Date(Date.UTC(2024, 0, 5)), 'D MMM YY (M)')).toBe('5 Jan 24 (1)');
+    expect(() => createPayloadSet({ type: 'dates', dates: { from: '', to: '2024-01-01', stepDays: 1 } })).toThrow();
+  });
+
+  it('null payloads: the original value or an empty string, N times', () => {
+    expect(all(createPayloadSet({ type: 'null', originalValue: 'abc', nullPayloads: { count: 3, keepOriginal: true } })))
+      .toEqual(['abc', 'abc', 'abc']);
+    expect(all(createPayloadSet({ type: 'null', originalValue: 'abc', nullPayloads: { count: 2, keepOriginal: false } })))
+      .toEqual(['', '']);
+  });
+});
+
+describe('copy other position', () => {
+  const template = 'user=§a§&confirm=§b§&x=§c§';
+  const configs = () => [
+    { type: 'simple-list', list: 'p1\np2', originalValue: 'a' },
+    { type: 'copy-position', copyFrom: 0, originalValue: 'b' },
+    { type: 'simple-list', list: 'q1', originalValue: 'c' }
+  ];
+
+  it('follows its source in cluster bomb and pitchfork without adding requests', () => {
+    const attack = createAttack('cluster-bomb', configs(), template);
+    expect(attack.total).toBe(2);
+    expect(attack.requestAt(1).requestContent).toBe('user=p2&confirm=p2&x=q1');
+    expect(createAttack('pitchfork', configs(), template).total).toBe(1);
+  });
+
+  it('in sniper, copies the payload while its source is attacked and the original otherwise', () => {
+    const attack = createAttack('sniper', configs(), template);
+    expect(attack.total).toBe(3);
+    expect(attack.requestAt(0).payloads).toEqual(['p1', 'p1', 'c']);
+    expect(attack.requestAt(2).payloads).toEqual(['a', 'a', 'q1']);
+  });
+
+  it('rejects loops', () => {
+    const looped = configs();
+    looped[0] = { type: 'copy-position', copyFrom: 1, originalValue: 'a' };
+    expect(() => createAttack('sniper', looped, template)).toThrow('loop');
+  });
+});
+
+describe('payload options UI', () => {
+  function mount(options) {
+    const container = document.createElement('div');
+    container.innerHTML = renderPayloadOptions(options);
+    bindPayloadOptions(container);
+    const select = container.querySelector('.payload-type-select');
+    const choose = type => {
+      select.value = type;
+      select.dispatchEvent(new Event('change'));
+    };
+    return { container, choose };
+  }
+
+  it('shows the options of the selected type only', () => {
+    const { container, choose } = mount({ index: 0, positionCount: 2 });
+    choose('dates');
+    const visible = [...container.querySelectorAll('.payload-options')].filter(el => el.style.display !== 'none');
+    expect(visible.map(el => el.dataset.payloadType)).toEqual(['dates']);
+  });
+
+  it('offers "copy other position" only with other positions', () => {
+    const types = options => [...mount(options).container.querySelectorAll('.payload-type-select option')].map(o => o.value);
+    expect(types({ index: 1, positionCount: 2 })).toContain('copy-position');
+    expect(types({})).not.toContain('copy-position');
+  });
+
+  it('reads the config of the selected type', () => {
+    const { container, choose } = mount({ index: 0, positionCount: 3 });
+    choose('brute-force');
+    container.querySelector('.bf-charset-input').value = 'xyz';
+    container.querySelector('.bf-max-input').value = '2';
+    expect(readPayloadConfig(container)).toEqual({ type: 'brute-force', bruteForce: { charset: 'xyz', minLength: 1, maxLength: 2 } });
+
+    choose('copy-position');
+    container.querySelector('.copy-from-select').value = '2';
+    expect(readPayloadConfig(container)).toEqual({ type: 'copy-position', copyFrom: 2 });
+
+    choose('case-modification');
+    container.querySelectorAll('.case-mode-checkbox').forEach(box => { box.checked = box.value === 'upper'; });
+    expect(readPayloadConfig(container)).toEqual({ type: 'case-modification', caseModification: { base: '', modes: ['upper'] } });
+  });
+});
@@ -0,0 +1,146 @@
+// Tests for bulk replay payload processing (encoders, hashes, regex steps, skip, preview, attacks)
+import { describe, it, expect } from 'vitest';
+import { createHash } from 'node:crypto';
+import { compileProcessing, previewProcessing } from '../js/features/bulk-replay/processing.js';
+import { md5, sha1, sha256 } from '../js/core/utils/hash.js';
+import { createAttack } from '../js/features/bulk-replay/engine.js';
+import { renderPayloadOptions, bindPayloadOptions, readProcessingSteps } from '../js/features/bulk-replay/payload-ui.js';
+
+const run = (payload, ...steps) => compileProcessing(steps)(payload);
+
+describe('hashes', () => {
+  it('match the reference digests, including UTF-8 and multi-block input', () => {
+    ['', 'abc', 'pässwörd', 'x'.repeat(55), 'x'.repeat(56), 'x'.repeat(200)].forEach(text => {
+      expect(md5(text)).toBe(createHash('md5').update(text).digest('hex'));
+      expect(sha1(text)).toBe(createHash('sha1').update(text).digest('hex'));
+      expect(sha256(text)).toBe(createHash('sha256').update(text).digest('hex'));
+    });
+  });
+});
+
+describe('processing steps', () => {
+  it('applies steps in order', () => {
+    expect(run('admin', { type: 'prefix', value: '<' }, { type: 'suffix', value: '>' }, { type: 'uppercase' }))
+      .toEqual({ value: '<ADMIN>', skipped: false });
+    expect(run('admin', { type: 'uppercase' }, { type: 'prefix', value: 'x' }).value).toBe('xADMIN');
+  });
+
+  it('encodes', () => {
+    expect(run('a b&c/é', { type: 'url-encode' }).value).toBe('a%20b%26c%2F%C3%A9');
+    expect(run('a/é', { type: 'url-encode-all' }).value).toBe('%61%2F%C3%A9');
+    expect(run('héllo', { type: 'base64-encode' }).value).toBe('aMOpbGxv');
+    expect(run(`<a href="x">'&'</a>`, { type: 'html-encode' }).value).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    expect(run('<é', { type: 'unicode-encode' }).value).toBe('\\u003c\\u00e9');
+  });
+
+  it('hashes and changes case', () => {
+    expect(run('password', { type: 'md5' }).value).toBe('5f4dcc3b5aa765d61d8327deb882cf99');
+    expect(run('Password', { type: 'lowercase' }, { type: 'sha1' }).value).toBe('5baa61e4c9b93f3f0682250b6cf8331b7ee68fd8');
+    expect(run('abc', { type: 'sha256' }).value).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+
+  it('replaces every regex match, with groups', () => {
+    expect(run('user_1_2', { type: 'regex-replace', value: '_(\\d)', replacement: '-$1' }).value).toBe('user-1-2');
+    expect(run('a1b2', { type: 'regex-replace', value: '\\d' }).value).toBe('ab');
+  });
+
+  it('skips payloads that match, before later steps run', () => {
+    expect(run('admin', { type: 'skip-if-matches', value: '^adm' }, { type: 'md5' })).toEqual({ value: 'admin', skipped: true });
+    expect(run('guest', { type: 'skip-if-matches', value: '^adm' }, { type: 'uppercase' })).toEqual({ value: 'GUEST', skipped: false });
+  });
+
+  it('rejects invalid patterns and unknown steps up front', () => {
+    expect(() => compileProcessing([{ type: 'regex-replace', value: '(' }])).toThrow('Invalid pattern');
+    expect(() => compileProcessing([{ type: 'rot13' }])).toThrow('Unknown processing step');
+  });
+});
+
+describe('previewProcessing', () => {
+  it('shows the value after each step, stopping at a skip or an error', () => {
+    expect(previewProcessing('ab', [
+      { type: 'uppercase' },
+      { type: 'suffix', value: '!' },
+      { type: 'skip-if-matches', value: '!$' },
+      { type: 'md5' }
+    ])).toEqual([
+      { value: 'AB', skipped: false, error: null },
+      { value: 'AB!', skipped: false, error: null },
+      { value: 'AB!', skipped: true, error: null },
+      { value: null, skipped: false, error: null }
+    ]);
+    const [broken, after] = previewProcessing('x', [{ type: 'regex-replace', value: '[' }, { type: 'uppercase' }]);
+    expect(broken.error).toMatch('Invalid pattern');
+    expect(after.value).toBeNull();
+  });
+});
+
+describe('processing in attacks', () => {
+  const template = 'u=§a§&p=§b§';
+
+  it('processes payloads per position and leaves untouched positions alone', () => {
+    const attack = createAttack('sniper', [
+      { type: 'simple-list', list: 'x', originalValue: 'a', processing: [{ type: 'prefix', value: 'pre-' }] },
+      { type: 'simple-list', list: 'secret', originalValue: 'b', processing: [{ type: 'md5' }] }
+    ], template);
+    expect(attack.requestAt(0).requestContent).toBe('u=pre-x&p=b');
+    expect(attack.requestAt(1).requestContent).toBe(`u=a&p=${md5('secret')}`);
+  });
+
+  it('processes a copied payload with the copy position\'s own steps', () => {
+    const attack = createAttack('pitchfork', [
+      { type: 'simple-list', list: 'pw', originalValue: 'a' },
+      { type: 'copy-position', copyFrom: 0, originalValue: 'b', processing: [{ type: 'sha256' }] }
+    ], template);
+    expect(attack.requestAt(0).payloads).toEqual(['pw', sha256('pw')]);
+  });
+
+  it('marks skipped requests but keeps the total', () => {
+    const attack = createAttack('cluster-bomb', [
+      { type: 'simple-list', list: 'admin\nguest', originalValue: 'a', processing: [{ type: 'skip-if-matches', value: 'admin' }] },
+      { type: 'simple-list', list: '1\n2', originalValue: 'b' }
+    ], template);
+    expect(attack.total).toBe(4);
+    expect([0, 1, 2, 3].map(i => attack.requestAt(i).skipped)).toEqual([true, true, false, false]);
+  });
+
+  it('reports the position of a broken step', () => {
+    expect(() => createAttack('sniper', [
+      { type: 'simple-list', list: 'x', originalValue: 'a' },
+      { type: 'simple-list', list: 'y', originalValue: 'b', processing: [{ type: 'skip-if-matches', value: '*' }] }
+    ], template)).toThrow(/^Position 2: Invalid pattern/);
+  });
+});
+
+describe('processing UI', () => {
+  it('adds steps, shows a preview of each and reads the chain', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderPayloadOptions({ index: 0, originalValue: 'orig' });
+    bindPayloadOptions(container);
+    container.querySelector('.payload-list-input').value = 'admin\nroot';
+
+    container.querySelector('.processing-add-btn').click();
+    container.querySelector('.processing-add-btn').click();
+    const rows = container.querySelectorAll('.processing-step-row');
+    rows[0].querySelector('.processing-step-type').value = 'suffix';
+    rows[0].querySelector('.processing-step-value').value = '1';
+    rows[1].querySelector('.processing-step-type').value = 'base64-encode';
+    rows[1].querySelector('.processing-step-value').value = 'ignored';
+    rows[1].querySelector('.processing-step-type').dispatchEvent(new Event('change', { bubbles: true }));
+
+    const previews = [...container.querySelectorAll('.processing-step-preview')].map(el => el.textContent);
+    expect(previews).toEqual(['→ admin1', '→ YWRtaW4x']);
+    expect(rows[1].querySelector('.processing-step-value').style.display).toBe('none');
+    expect(readProcessingSteps(container)).toEqual([
+      { type: 'suffix', value: '1', replacement: '' },
+      { type: 'base64-encode', value: 'ignored', replacement: '' }
+    ]);
+
+    container.querySelector('.processing-sample-input').value = 'x';
+    container.querySelector('.processing-sample-input').dispatchEvent(new Event('input', { bubbles: true }));
+    expect(container.querySelector('.processing-step-preview').textContent).toBe('→ x1');
+
+    rows[0].querySelector('.rule-delete').click();
+    expect(readProcessingSteps(container).map(step => step.type)).toEqual(['base64-encode']);
+    expect(container.querySelector('.processing-step-number').textContent).toBe('1.');
+  });
+});
@@ -0,0 +1,253 @@
+// Tests for bulk replay results (grep match/extract rules, word and line counts, filters, sorting, result cache, results table)
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  normalizeGrepRule,
+  getGrepRules,
+  setGrepRules,
+  compileGrepRules,
+  countWordsAndLines,
+  getResultColumns,
+  matchesFilter,
+  sortAndFilterRows,
+  createResultCache
+} from '../js/features/bulk-replay/results.js';
+import { createResultsTable } from '../js/features/bulk-replay/results-table.js';
+
+const match = (id, pattern, extra = {}) => normalizeGrepRule({ id, kind: 'match', pattern, ...extra });
+const extract = (id, source, expression, extra = {}) => normalizeGrepRule({ id, kind: 'extract', source, expression, ...extra });
+
+const response = {
+  headers: [{ name: 'Content-Type', value: 'application/json' }, { name: 'X-Debug', value: 'on' }],
+  body: '{"user":{"role":"admin","id":7},"msg":"Welcome back"}\n'
+};
+
+describe('grep rules', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('saves and loads rules', () => {
+    setGrepRules([match('m1', 'error'), extract('e1', 'jsonpath', '$.id')]);
+    expect(getGrepRules().map(rule => [rule.id, rule.kind])).toEqual([['m1', 'match'], ['e1', 'extract']]);
+    localStorage.setItem('rep_bulk_grep_rules', '{broken');
+    expect(getGrepRules()).toEqual([]);
+  });
+
+  it('matches strings (case-insensitive by default) and regexes in headers and body', () => {
+    const analyze = compileGrepRules([
+      match('plain', 'welcome BACK'),
+      match('cased', 'welcome BACK', { caseSensitive: true }),
+      match('header', 'x-debug: on'),
+      match('re', '"id":\\d+', { regex: true }),
+      match('miss', 'SQL syntax')
+    ]);
+    expect(analyze(response).grep).toEqual({ plain: true, cased: false, header: true, re: true, miss: false });
+  });
+
+  it('extracts a regex group, a whole match or a JSONPath value', () => {
+    const analyze = compileGrepRules([
+      extract('group', 'regex', '"role":"(\\w+)"'),
+      extract('whole', 'regex', 'X-Debug: \\w+'),
+      extract('path', 'jsonpath', '$.user.role'),
+      extract('object', 'jsonpath', '$.user'),
+      extract('none', 'jsonpath', '$.missing')
+    ]);
+    expect(analyze(response).grep).toEqual({
+      group: 'admin',
+      whole: 'X-Debug: on',
+      path: 'admin',
+      object: '{"role":"admin","id":7}',
+      none: null
+    });
+    expect(compileGrepRules([extract('path', 'jsonpath', '$.a')])({ headers: [], body: '<html>' }).grep.path).toBeNull();
+  });
+
+  it('rejects invalid rules up front, naming the rule', () => {
+    expect(() => compileGrepRules([match('m', '(', { regex: true, name: 'Broken' })])).toThrow(/^Broken: Invalid pattern/);
+    expect(() => compileGrepRules([extract('e', 'jsonpath', 'user.role')])).toThrow('must start with $');
+  });
+
+  it('counts words and lines of the body', () => {
+    expect(countWordsAndLines('')).toEqual({ words: 0, lines: 0 });
+    expect(countWordsAndLines('one two\nthree\n')).toEqual({ words: 3, lines: 2 });
+    expect(countWordsAndLines('a\n\nb')).toEqual({ words: 2, lines: 3 });
+    expect(compileGrepRules([])(response)).toMatchObject({ words: 2, lines: 1 });
+  });
+});
+
+describe('filters and sorting', () => {
+  it('filters numbers by value, comparison, range and list', () => {
+    expect(matchesFilter(404, '404', 'number')).toBe(true);
+    expect(matchesFilter(1500, '>1000', 'number')).toBe(true);
+    expect(matchesFilter(1000, '>1000', 'number')).toBe(false);
+    expect(matchesFilter(204, '200-299', 'number')).toBe(true);
+    expect(matchesFilter(302, '301, 302', 'number')).toBe(true);
+    expect(matchesFilter(404, '!404', 'number')).toBe(false);
+    expect(matchesFilter(200, '!=404', 'number')).toBe(true);
+    expect(matchesFilter('Error', 'err', 'number')).toBe(true);
+    expect(matchesFilter(null, '>1', 'number')).toBe(false);
+  });
+
+  it('filters booleans by yes/no and text by substring', () => {
+    expect(matchesFilter(true, 'yes', 'boolean')).toBe(true);
+    expect(matchesFilter(null, 'no', 'boolean')).toBe(true);
+    expect(matchesFilter(false, 'y', 'boolean')).toBe(false);
+    expect(matchesFilter('Admin, x', 'admin', 'text')).toBe(true);
+    expect(matchesFilter('guest', '!adm', 'text')).toBe(true);
+    expect(matchesFilter('anything', '  ', 'text')).toBe(true);
+  });
+
+  it('sorts by any column, keeping rows without a value last', () => {
+    const columns = getResultColumns([extract('e1', 'regex', 'x')]);
+    const rows = [
+      { index: 0, payloads: ['b'], status: 200, size: 30, grep: { e1: 'zeta' } },
+      { index: 1, payloads: ['a'], status: 404, size: null, grep: {} },
+      { index: 2, payloads: ['c'], status: 200, size: 10, grep: { e1: 'alpha' } }
+    ];
+    const order = view => sortAndFilterRows(rows, columns, view).map(row => row.index);
+    expect(order({ sortKey: 'size', sortDir: 'asc' })).toEqual([2, 0, 1]);
+    expect(order({ sortKey: 'size', sortDir: 'desc' })).toEqual([0, 2, 1]);
+    expect(order({ sortKey: 'payload', sortDir: 'asc' })).toEqual([1, 0, 2]);
+    expect(order({ sortKey: 'grep:e1', sortDir: 'asc' })).toEqual([2, 0, 1]);
+    expect(order({ filters: { status: '200', 'grep:e1': 'alp' } })).toEqual([2]);
+  });
+});
+
+describe('createResultCache', () => {
+  it('keeps only the most recently added results', () => {
+    const cache = createResultCache(2);
+    cache.set(0, 'a');
+    cache.set(1, 'b');
+    cache.set(0, 'a2'); // Updating makes it the newest
+    cache.set(2, 'c');
+    expect([cache.get(0), cache.get(1), cache.get(2)]).toEqual(['a2', undefined, 'c']);
+    const kept = [];
+    cache.forEach((result, index) => kept.push([index, result]));
+    expect(kept).toEqual([[0, 'a2'], [2, 'c']]);
+
+    cache.clear();
+    expect(cache.get(2)).toBeUndefined();
+  });
+});
+
+describe('createResultsTable', () => {
+  let table;
+  let selected;
+  let compared;
+  let results;
+  let bodies;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<table><thead></thead><tbody></tbody></table>';
+    selected = [];
+    compared = [];
+    bodies = new Map();
+    results = createResultsTable(document.querySelector('table'), {
+      onSelect: index => selected.push(index),
+      onCompare: index => compared.push(index),
+      // Stands in for the saved run in bulk-db
+      readResponses: async (visit) => {
+        for (const [index, body] of bodies) {
+          if (visit(index, { headers: [], body }) === false) return;
+        }
+      }
+    });
+    table = document.querySelector('table');
+  });
+
+  const headers = () => [...table.querySelectorAll('thead tr:first-child th')].map(th => th.textContent.trim());
+  const ids = () => [...table.querySelectorAll('tbody tr[data-index]')].map(tr => Number(tr.dataset.index));
+  const cell = (index, key) => table.querySelector(`tbody tr[data-index="${index}"] .bulk-cell-${key}`).textContent;
+
+  const addDone = (index, status, body) => {
+    bodies.set(index, body);
+    results.setRow(index, row(index, status, body));
+  };
+  const row = (index, status, body) => ({
+    payloads: [`p${index}`],
+    encodedPayloads: [`p${index}`],
+    statusLabel: `${status} OK`,
+    status,
+    size: body.length,
+    time: 10 * (index + 1),
+    duration: `${10 * (index + 1)}ms`,
+    response: { headers: [], body }
+  });
+
+  it('shows the default columns, words and lines', () => {
+    expect(headers()).toEqual(['ID ▲', 'Payload', 'Status', 'Size', 'Words', 'Lines', 'Time', 'Cluster', 'Anomalies', '']);
+    addDone(0, 200, 'hello world\nbye');
+    expect(cell(0, 'payload')).toBe('p0');
+    expect(cell(0, 'status')).toBe('200 OK');
+    expect(cell(0, 'words')).toBe('3');
+    expect(cell(0, 'lines')).toBe('2');
+    expect(cell(0, 'time')).toBe('10ms');
+  });
+
+  it('keeps only column values on rows, not the response', () => {
+    addDone(0, 200, 'hello world\nbye');
+    const saved = results.getRow(0);
+    expect(saved).not.toHaveProperty('response');
+    expect(saved).toMatchObject({ index: 0, status: 200, size: 15, words: 3, lines: 2, grep: {} });
+    expect(saved.simhash).toMatch(/^[0-9a-f]{16}$/);
+    expect(JSON.stringify(saved)).not.toContain('hello');
+  });
+
+  it('adds grep columns and re-analyzes existing rows from the stored responses', async () => {
+    addDone(0, 200, 'Welcome admin');
+    addDone(1, 200, 'Invalid password');
+    await results.setRules([match('m1', 'welcome', { name: 'Logged in' }), extract('e1', 'regex', 'Welcome (\\w+)')]);
+    expect(headers()).toContain('Logged in');
+    expect(cell(0, 'grep-m1')).toBe('✓');
+    expect(cell(1, 'grep-m1')).toBe('');
+    expect(cell(0, 'grep-e1')).toBe('admin');
+  });
+
+  it('sorts on header clicks and filters as you type', async () => {
+    vi.useFakeTimers();
+    addDone(0, 200, 'a');
+    addDone(1, 404, 'bbbbbb');
+    addDone(2, 200, 'ccc');
+
+    const sizeHeader = [...table.querySelectorAll('th.bulk-sortable')].find(th => th.dataset.key === 'size');
+    sizeHeader.click();
+    expect(ids()).toEqual([0, 2, 1]);
+    table.querySelector('th.bulk-sortable[data-key="size"]').click();
+    expect(ids()).toEqual([1, 2, 0]);
+
+    const statusFilter = table.querySelector('.bulk-filter-input[data-key="status"]');
+    statusFilter.value = '200';
+    statusFilter.dispatchEvent(new Event('input', { bubbles: true }));
+    expect(ids()).toEqual([2, 0]);
+
+    // Rows arriving later join the sorted, filtered view
+    addDone(3, 200, 'dddddddddd');
+    vi.advanceTimersByTime(250);
+    expect(ids()).toEqual([3, 2, 0]);
+    vi.useRealTimers();
+  });
+
+  it('reports row clicks and comparer clicks', () => {
+    addDone(0, 200, 'x');
+    table.querySelector('tbody tr').click();
+    table.querySelector('.bulk-compare-btn').click();
+    expect(selected).toEqual([0]);
+    expect(compared).toEqual([0]);
+    expect(table.querySelector('tbody tr').classList.contains('selected')).toBe(true);
+  });
+
+  it('renders a window of rows and keeps the others as data', () => {
+    for (let i = 0; i < 500; i++) addDone(i, 200, `body ${i}`);
+    expect(ids()).toHaveLength(100);
+    expect(table.querySelector('tbody tr.bulk-spacer')).not.toBeNull();
+    expect(results.getVisibleIndexes()).toHaveLength(500);
+
+    table.querySelector('th.bulk-sortable[data-key="index"]').click();
+    expect(ids()[0]).toBe(499);
+    expect(results.getVisibleIndexes()[0]).toBe(499);
+  });
+
+  it('clears rows on reset', () => {
+    addDone(0, 200, 'x');
+    results.reset();
+    expect(ids()).toEqual([]);
+  });
+});
@@ -0,0 +1,214 @@
+// Tests for saved bulk attacks (setups, position configs, run checkpoints, restoring the config form)
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  normalizeAttackSetup,
+  buildPositionConfigs,
+  describeRun,
+  isRunResumable,
+  createRunRecorder,
+  RUN_HEARTBEAT_MS,
+  RUN_STALE_MS
+} from '../js/features/bulk-replay/saved-attacks.js';
+import {
+  renderPayloadOptions,
+  bindPayloadOptions,
+  fillPayloadOptions,
+  readPayloadConfig,
+  readProcessingSteps,
+  readPayloadEncoding
+} from '../js/features/bulk-replay/payload-ui.js';
+import { createAttack } from '../js/features/bulk-replay/engine.js';
+import { detectPositionContexts } from '../js/features/bulk-replay/contexts.js';
+
+describe('attack setups', () => {
+  it('fills in defaults and drops per-template fields', () => {
+    const setup = normalizeAttackSetup({
+      attackType: 'nope',
+      positions: [{ index: 0, originalValue: 'x', context: { context: 'url-query' }, type: 'numbers', numbers: { from: 1, to: NaN, step: 1 } }],
+      schedule: { concurrency: '4' }
+    });
+    expect(setup.attackType).toBe('sniper');
+    // Saved before payloads were encoded: still sent raw
+    expect(setup.positions).toEqual([{ type: 'numbers', numbers: { from: 1, to: null, step: 1 }, processing: [], encoding: 'none' }]);
+    expect(setup.shared).toEqual({ type: 'simple-list', processing: [], encoding: 'none' });
+    expect(setup.schedule).toMatchObject({ concurrency: 4, delayMs: 0 });
+  });
+
+  it('builds position configs from a template', () => {
+    const template = 'GET /items?id=§1§&q=§a§ HTTP/1.1\nHost: example.com';
+    const setup = normalizeAttackSetup({
+      attackType: 'cluster-bomb',
+      positions: [{ type: 'simple-list', list: '1\n2', encoding: 'auto' }, { type: 'simple-list', list: 'x\ny\nz', encoding: 'none' }],
+      shared: { type: 'simple-list', list: 'same' }
+    });
+    const configs = buildPositionConfigs(template, setup, detectPositionContexts(template));
+    expect(configs.map(c => [c.index, c.originalValue, c.list, c.encoding, c.context.context])).toEqual([
+      [0, '1', '1\n2', 'auto', 'url-query'],
+      [1, 'a', 'x\ny\nz', 'none', 'url-query']
+    ]);
+    expect(createAttack('cluster-bomb', configs, template).total).toBe(6);
+
+    const shared = buildPositionConfigs(template, { ...setup, attackType: 'battering-ram' });
+    expect(shared.map(c => c.list)).toEqual(['same', 'same']);
+  });
+
+  it('describes a run', () => {
+    const label = describeRun({
+      template: 'POST /login HTTP/1.1\nHost: a',
+      setup: { attackType: 'cluster-bomb' },
+      completed: 1200,
+      total: 5000,
+      status: 'running',
+      updatedAt: 0
+    });
+    expect(label).toMatch(/ · Cluster Bomb · POST \/login · 1200\/5000 · interrupted$/);
+  });
+});
+
+describe('isRunResumable', () => {
+  const now = 1_000_000;
+
+  it('offers stopped runs and runs whose panel went away', () => {
+    expect(isRunResumable({ status: 'stopped', owner: 'me' }, 'me', now)).toBe(true);
+    expect(isRunResumable({ status: 'running', owner: 'other', heartbeatAt: now - RUN_STALE_MS - 1 }, 'me', now)).toBe(true);
+    // Saved before heartbeats were recorded
+    expect(isRunResumable({ status: 'running', updatedAt: 0 }, 'me', now)).toBe(true);
+  });
+
+  it('never offers finished runs or runs still going on', () => {
+    expect(isRunResumable({ status: 'done' }, 'me', now)).toBe(false);
+    expect(isRunResumable({ status: 'running', owner: 'other', heartbeatAt: now - 1000 }, 'me', now)).toBe(false);
+    expect(isRunResumable({ status: 'running', owner: 'me', heartbeatAt: 0 }, 'me', now)).toBe(false);
+  });
+});
+
+describe('createRunRecorder', () => {
+  beforeEach(() => vi.useFakeTimers());
+
+  const entry = index => ({ payloads: [`p${index}`], encodedPayloads: [`p${index}`], result: { status: 200 }, statusLabel: '200 OK', skipped: false });
+
+  it('resumes after the last request completed in order', async () => {
+    const saves = [];
+    const run = { id: 'r1', total: 10, nextIndex: 0, completed: 0, status: 'running' };
+    const recorder = createRunRecorder(run, { save: async (r, results) => saves.push([r, results]), flushMs: 1000 });
+
+    recorder.record(1, entry(1));
+    expect(run.nextIndex).toBe(0);
+    recorder.record(0, entry(0));
+    recorder.record(3, entry(3));
+    expect(run).toMatchObject({ nextIndex: 2, completed: 3 });
+    expect(saves).toEqual([]);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(saves).toHaveLength(1);
+    expect(saves[0][0]).toMatchObject({ id: 'r1', nextIndex: 2, completed: 3, status: 'running' });
+    expect(saves[0][1].map(r => r.index)).toEqual([1, 0, 3]);
+
+    recorder.record(2, entry(2));
+    expect(run.nextIndex).toBe(4);
+    await recorder.finish('stopped');
+    expect(saves).toHaveLength(2);
+    expect(saves[1][0]).toMatchObject({ nextIndex: 4, completed: 4, status: 'stopped' });
+    expect(saves[1][1].map(r => r.index)).toEqual([2]);
+    vi.useRealTimers();
+  });
+
+  it('keeps the heartbeat of a run fresh until it finishes, paused or not', async () => {
+    const saves = [];
+    const run = { id: 'r4', total: 10, nextIndex: 0, completed: 0, status: 'running', owner: 'me' };
+    const recorder = createRunRecorder(run, { save: async (r, results) => saves.push([r, results]) });
+
+    await vi.advanceTimersByTimeAsync(RUN_HEARTBEAT_MS * 2);
+    expect(saves).toHaveLength(2);
+    expect(saves[1][0]).toMatchObject({ status: 'running', owner: 'me', heartbeatAt: Date.now() });
+    expect(saves[1][1]).toEqual([]);
+    expect(isRunResumable(saves[1][0], 'other', Date.now())).toBe(false);
+
+    await recorder.finish('stopped');
+    await vi.advanceTimersByTimeAsync(RUN_HEARTBEAT_MS * 2);
+    expect(saves).toHaveLength(3);
+    vi.useRealTimers();
+  });
+
+  it('counts saved results after the resume point', async () => {
+    const run = { id: 'r2', total: 10, nextIndex: 4, completed: 6, status: 'stopped' };
+    const recorder = createRunRecorder(run, { save: async () => {}, doneIndexes: [0, 1, 2, 3, 5, 6] });
+    expect(run.nextIndex).toBe(4);
+    recorder.record(4, entry(4));
+    expect(run).toMatchObject({ nextIndex: 7, completed: 7 });
+    vi.useRealTimers();
+  });
+
+  it('keeps going when saving fails', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const run = { id: 'r3', total: 2, nextIndex: 0, completed: 0 };
+    const recorder = createRunRecorder(run, { save: async () => { throw new Error('quota'); } });
+    recorder.record(0, entry(0));
+    await recorder.finish('stopped');
+    expect(error).toHaveBeenCalled();
+    expect(run.nextIndex).toBe(1);
+    error.mockRestore();
+    vi.useRealTimers();
+  });
+});
+
+describe('fillPayloadOptions', () => {
+  let container;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="card"></div>';
+    container = document.getElementById('card');
+    container.innerHTML = renderPayloadOptions({ index: 0, positionCount: 2, originalValue: 'admin', context: detectPositionContexts('GET /?a=§x§ HTTP/1.1')[0] });
+    bindPayloadOptions(container);
+  });
+
+  const read = () => ({ ...readPayloadConfig(container), processing: readProcessingSteps(container), encoding: readPayloadEncoding(container) });
+  const visibleType = () => [...container.querySelectorAll('.payload-options')].find(o => o.style.display === 'block').dataset.payloadType;
+
+  it('puts every payload type back as it was read', () => {
+    const configs = [
+      { type: 'simple-list', list: 'a\nb' },
+      { type: 'wordlist', wordlist: { name: 'users.txt', text: 'root\nadmin\n' } },
+      { type: 'numbers', numbers: { from: 5, to: 50, step: 5 } },
+      { type: 'brute-force', bruteForce: { charset: 'ab', minLength: 2, maxLength: 4 } },
+      { type: 'case-modification', caseModification: { base: 'Admin', modes: ['lower', 'upper'] } },
+      { type: 'char-substitution', substitution: { base: 'pass', rules: 'a=4' } },
+      { type: 'dates', dates: { from: '2024-01-01', to: '2024-02-01', stepDays: 7, format: 'DD/MM/YYYY' } },
+      { type: 'null', nullPayloads: { count: 3, keepOriginal: false } },
+      { type: 'copy-position', copyFrom: 1 }
+    ];
+    configs.forEach(config => {
+      fillPayloadOptions(container, { ...config, processing: [], encoding: 'auto' });
+      expect(visibleType()).toBe(config.type);
+      expect(readPayloadConfig(container)).toEqual(config);
+    });
+    fillPayloadOptions(container, { type: 'wordlist', wordlist: { name: 'users.txt', text: 'root\nadmin\n' } });
+    expect(container.querySelector('.wordlist-file-name').textContent).toBe('users.txt: 2 payloads');
+  });
+
+  it('restores processing steps and the encoding', () => {
+    const config = {
+      type: 'simple-list',
+      list: 'abc',
+      processing: [
+        { type: 'prefix', value: 'x-', replacement: '' },
+        { type: 'regex-replace', value: 'b', replacement: 'B' },
+        { type: 'base64-encode', value: '', replacement: '' }
+      ],
+      encoding: 'none'
+    };
+    fillPayloadOptions(container, config);
+    expect(read()).toEqual(config);
+    expect(container.querySelectorAll('.processing-step-preview')[2].textContent).toBe('→ eC1hQmM=');
+
+    fillPayloadOptions(container, { ...config, processing: [], encoding: 'auto' });
+    expect(container.querySelectorAll('.processing-step-row')).toHaveLength(0);
+    expect(readPayloadEncoding(container)).toBe('auto');
+  });
+
+  it('ignores values that are not options', () => {
+    fillPayloadOptions(container, { type: 'copy-position', copyFrom: 7, encoding: 'rot13' });
+    expect(readPayloadConfig(container)).toEqual({ type: 'copy-position', copyFrom: 1 });
+    expect(readPayloadEncoding(container)).toBe('auto');
+  });
+});
@@ -0,0 +1,250 @@
+// Tests for the bulk replay scheduler (concurrency, delays, rate cap, 429 backoff, retries, pause/stop, aborting requests in flight)
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  normalizeSchedule,
+  getBulkSchedule,
+  setBulkSchedule,
+  getStartGap,
+  runBulkSchedule
+} from '../js/features/bulk-replay/scheduler.js';
+
+const ok = { status: 200, statusText: 'OK', headers: [] };
+
+// Record when each attempt starts (ms since the run began)
+function recorder(respond = () => ok) {
+  const started = Date.now();
+  const starts = [];
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const send = async (index, attempt) => {
+    starts.push({ index, attempt, at: Date.now() - started });
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    inFlight--;
+    return respond(index, attempt);
+  };
+  return { send, starts, maxInFlight: () => maxInFlight };
+}
+
+describe('schedule settings', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('fills in defaults and clamps values', () => {
+    expect(normalizeSchedule()).toEqual({ concurrency: 1, delayMs: 0, jitterMs: 0, maxRps: 0, maxRetries: 0 });
+    expect(normalizeSchedule({ concurrency: '500', delayMs: '-5', jitterMs: 'x', maxRps: '2.5', maxRetries: 99 }))
+      .toEqual({ concurrency: 50, delayMs: 0, jitterMs: 0, maxRps: 2.5, maxRetries: 10 });
+  });
+
+  it('saves and loads the last schedule', () => {
+    setBulkSchedule({ concurrency: 4, delayMs: 250, jitterMs: 50, maxRps: 10, maxRetries: 2 });
+    expect(getBulkSchedule()).toEqual({ concurrency: 4, delayMs: 250, jitterMs: 50, maxRps: 10, maxRetries: 2 });
+    localStorage.setItem('rep_bulk_schedule', '{broken');
+    expect(getBulkSchedule().concurrency).toBe(1);
+  });
+
+  it('spaces starts by the delay plus jitter, or the rate cap if slower', () => {
+    const schedule = normalizeSchedule({ delayMs: 100, jitterMs: 100 });
+    expect(getStartGap(schedule, () => 0.5)).toBe(150);
+    expect(getStartGap({ ...schedule, maxRps: 2 }, () => 0.5)).toBe(500);
+    expect(getStartGap(normalizeSchedule({ maxRps: 20 }), () => 0)).toBe(50);
+  });
+});
+
+describe('runBulkSchedule', () => {
+  beforeEach(() => vi.useFakeTimers());
+  afterEach(() => vi.useRealTimers());
+
+  it('runs every request with at most `concurrency` in flight', async () => {
+    const { send, starts, maxInFlight } = recorder();
+    const done = [];
+    const run = runBulkSchedule(7, send, {
+      concurrency: 3,
+      onDone: (index, { result, attempts }) => done.push([index, result.status, attempts])
+    });
+    await vi.runAllTimersAsync();
+    expect(await run).toEqual({ completed: 7, stopped: false });
+    expect(maxInFlight()).toBe(3);
+    expect(starts.map(s => s.index)).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    expect(done.sort((a, b) => a[0] - b[0])).toEqual([0, 1, 2, 3, 4, 5, 6].map(i => [i, 200, 1]));
+  });
+
+  it('spaces request starts across workers', async () => {
+    const { send, starts } = recorder();
+    const run = runBulkSchedule(4, send, { concurrency: 4, delayMs: 100 });
+    await vi.runAllTimersAsync();
+    await run;
+    expect(starts.map(s => s.at)).toEqual([0, 100, 200, 300]);
+  });
+
+  it('holds every worker for Retry-After on 429 and retries', async () => {
+    const { send, starts } = recorder((index, attempt) => (index === 0 && attempt === 1)
+      ? { status: 429, statusText: 'Too Many Requests', headers: [{ name: 'Retry-After', value: '2' }] }
+      : ok);
+    const waits = [];
+    const run = runBulkSchedule(3, send, {
+      concurrency: 1,
+      maxRetries: 1,
+      onRetryWait: (index, delay, reason) => waits.push([index, delay, reason])
+    });
+    await vi.runAllTimersAsync();
+    expect(await run).toEqual({ completed: 3, stopped: false });
+    expect(waits).toEqual([[0, 2000, '429 Too Many Requests']]);
+    expect(starts.map(s => [s.index, s.attempt])).toEqual([[0, 1], [0, 2], [1, 1], [2, 1]]);
+    expect(starts[1].at).toBeGreaterThanOrEqual(2000);
+  });
+
+  it('still backs off on 429 when retries are used up', async () => {
+    const { send, starts } = recorder(index => index === 0
+      ? { status: 429, statusText: '', headers: [] }
+      : ok);
+    const done = [];
+    const run = runBulkSchedule(3, send, {
+      concurrency: 2,
+      onDone: (index, { result }) => done.push([index, result.status])
+    });
+    await vi.runAllTimersAsync();
+    await run;
+    expect(done).toContainEqual([0, 429]);
+    // Request 1 started with request 0; request 2 waited for the 1s backoff
+    expect(starts.find(s => s.index === 2).at).toBeGreaterThanOrEqual(1000);
+  });
+
+  it('retries network errors but not other errors', async () => {
+    const send = vi.fn(async (index, attempt) => {
+      if (index === 0 && attempt === 1) throw new TypeError('NetworkError when attempting to fetch resource.');
+      if (index === 1) throw new Error('Host header missing');
+      return ok;
+    });
+    const done = [];
+    const run = runBulkSchedule(2, send, {
+      maxRetries: 2,
+      onDone: (index, { result, error, attempts }) => done.push([index, result && result.status, error && error.message, attempts])
+    });
+    await vi.runAllTimersAsync();
+    await run;
+    expect(done).toEqual([
+      [0, 200, null, 2],
+      [1, null, 'Host header missing', 1]
+    ]);
+  });
+
+  it('resumes from a start index', async () => {
+    const { send, starts } = recorder();
+    const run = runBulkSchedule(5, send, { concurrency: 2, startIndex: 3 });
+    await vi.runAllTimersAsync();
+    expect(await run).toEqual({ completed: 2, stopped: false });
+    expect(starts.map(s => s.index)).toEqual([3, 4]);
+  });
+
+  it('finishes skipped requests without sending or waiting', async () => {
+    const { send, starts } = recorder();
+    const done = [];
+    const run = runBulkSchedule(4, send, {
+      delayMs: 100,
+      skip: index => index % 2 === 1,
+      onDone: (index, { skipped }) => done.push([index, skipped])
+    });
+    await vi.runAllTimersAsync();
+    expect(await run).toEqual({ completed: 4, stopped: false });
+    expect(starts.map(s => [s.index, s.at])).toEqual([[0, 0], [2, 100]]);
+    expect(done).toEqual([[0, false], [1, true], [2, false], [3, true]]);
+  });
+
+  it('holds new requests while paused and ends when stopped', async () => {
+    let paused = true;
+    let stopped = false;
+    const { send, starts } = recorder();
+    const run = runBulkSchedule(5, send, {
+      delayMs: 100,
+      shouldPause: () => paused,
+      shouldStop: () => stopped
+    });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(starts).toHaveLength(0);
+
+    paused = false;
+    await vi.advanceTimersByTimeAsync(150);
+    const startedBeforeStop = starts.length;
+    expect(startedBeforeStop).toBeGreaterThan(0);
+
+    stopped = true;
+    await vi.runAllTimersAsync();
+    const result = await run;
+    expect(result.stopped).toBe(true);
+    expect(starts.length).toBe(startedBeforeStop);
+    expect(result.completed).toBe(startedBeforeStop);
+  });
+
+  // A send that takes `ms` unless its signal aborts it
+  const slowSend = (ms, aborts) => (index, attempt, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => resolve(ok), ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      aborts.push(index);
+      reject(new DOMException('Aborted', 'AbortError'));
+    });
+  });
+
+  it('aborts requests in flight on stop and drops them', async () => {
+    let stopped = false;
+    const aborts = [];
+    const done = [];
+    const run = runBulkSchedule(4, slowSend(5000, aborts), {
+      concurrency: 2,
+      shouldStop: () => stopped,
+      onDone: (index) => done.push(index)
+    });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    stopped = true;
+    await vi.advanceTimersByTimeAsync(200);
+
+    expect(await run).toEqual({ completed: 0, stopped: true });
+    expect(aborts).toEqual([0, 1]);
+    expect(done).toEqual([]);
+  });
+
+  it('drops a result that arrives after stop', async () => {
+    let stopped = false;
+    const done = [];
+    const run = runBulkSchedule(1, async () => {
+      // Ignores its signal and answers anyway
+      await new Promise(resolve => setTimeout(resolve, 50));
+      stopped = true;
+      return ok;
+    }, { shouldStop: () => stopped, onDone: (index) => done.push(index) });
+
+    await vi.runAllTimersAsync();
+    expect(await run).toEqual({ completed: 0, stopped: true });
+    expect(done).toEqual([]);
+  });
+
+  it('aborts requests in flight on pause and sends them again on resume', async () => {
+    let paused = false;
+    const aborts = [];
+    const starts = [];
+    const done = [];
+    const send = slowSend(1000, aborts);
+    const run = runBulkSchedule(1, (index, attempt, signal) => {
+      starts.push([index, attempt]);
+      return send(index, attempt, signal);
+    }, {
+      shouldPause: () => paused,
+      onDone: (index, { result, attempts }) => done.push([index, result.status, attempts])
+    });
+
+    await vi.advanceTimersByTimeAsync(300);
+    paused = true;
+    await vi.advanceTimersByTimeAsync(2000);
+    expect(aborts).toEqual([0]);
+    expect(done).toEqual([]);
+
+    paused = false;
+    await vi.runAllTimersAsync();
+    expect(await run).toEqual({ completed: 1, stopped: false });
+    expect(starts).toEqual([[0, 1], [0, 1]]);
+    expect(done).toEqual([[0, 200, 1]]);
+  });
+});
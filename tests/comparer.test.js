@@ -0,0 +1,160 @@
+// Tests for the comparer (line alignment, word-level diff, synced scrolling, items)
+import { describe, it, expect, beforeAll, beforeEach } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import {
+  diffLineWords,
+  compareTexts,
+  renderComparerSide,
+  syncScroll
+} from '../js/features/comparer/engine.js';
+import { state, comparerActions } from '../js/core/state/index.js';
+
+beforeAll(() => {
+  // The panel loads lib/diff.min.js as a global
+  const source = readFileSync(resolve(__dirname, '../lib/diff.min.js'), 'utf8');
+  const module = { exports: {} };
+  new Function('exports', 'module', source)(module.exports, module);
+  globalThis.Diff = module.exports;
+});
+
+const sides = (rows, which) => rows.map(row => row[which] && row[which].type);
+
+describe('diffLineWords', () => {
+  it('marks only the words that differ', () => {
+    const { left, right } = diffLineWords('role: user id: 7', 'role: admin id: 7');
+    expect(left.filter(s => s.changed).map(s => s.text)).toEqual(['user']);
+    expect(right.filter(s => s.changed).map(s => s.text)).toEqual(['admin']);
+    expect(left.map(s => s.text).join('')).toBe('role: user id: 7');
+    expect(right.map(s => s.text).join('')).toBe('role: admin id: 7');
+  });
+});
+
+describe('compareTexts', () => {
+  it('reports no differences for equal texts', () => {
+    const { rows, stats } = compareTexts('a\nb\n', 'a\r\nb\r\n');
+    expect(rows).toHaveLength(2);
+    expect(stats).toEqual({ changed: 0, added: 0, removed: 0 });
+    expect(sides(rows, 'left')).toEqual(['same', 'same']);
+  });
+
+  it('pairs removed and added lines as changed', () => {
+    const { rows, stats } = compareTexts(
+      'GET /api/me HTTP/1.1\nCookie: role=user\nAccept: */*',
+      'GET /api/me HTTP/1.1\nCookie: role=admin\nAccept: */*'
+    );
+    expect(stats).toEqual({ changed: 1, added: 0, removed: 0 });
+    expect(rows[1].left.type).toBe('changed');
+    expect(rows[1].right.segments.find(s => s.changed).text).toBe('admin');
+    expect(rows[2].left.no).toBe(3);
+    expect(rows[2].right.no).toBe(3);
+  });
+
+  it('keeps both sides aligned with fillers for extra lines', () => {
+    const { rows, stats } = compareTexts('a\nb\nc', 'a\nc\nd\ne');
+    expect(stats).toEqual({ changed: 0, added: 2, removed: 1 });
+    expect(sides(rows, 'left')).toEqual(['same', 'removed', 'same', null, null]);
+    expect(sides(rows, 'right')).toEqual(['same', null, 'same', 'added', 'added']);
+    expect(rows[3].right.no).toBe(3);
+  });
+
+  it('handles empty and missing texts', () => {
+    expect(compareTexts('', '').rows).toEqual([]);
+    const { rows, stats } = compareTexts(undefined, 'x');
+    expect(stats.added).toBe(1);
+    expect(rows[0].left).toBeNull();
+  });
+});
+
+describe('renderComparerSide', () => {
+  it('escapes text and wraps changed words per side', () => {
+    const { rows } = compareTexts('<b>old</b>', '<b>new</b>');
+    const left = renderComparerSide(rows, 'left');
+    const right = renderComparerSide(rows, 'right');
+    expect(left).toContain('&lt;b&gt;');
+    expect(left).toContain('comparer-word-removed');
+    expect(right).toContain('comparer-word-added');
+    expect(left).not.toContain('<b>');
+  });
+
+  it('renders a filler where the other side has an extra line', () => {
+    const { rows } = compareTexts('a', 'a\nb');
+    const left = renderComparerSide(rows, 'left');
+    expect(left.match(/comparer-line /g)).toHaveLength(2);
+    expect(left).toContain('comparer-filler');
+  });
+});
+
+describe('syncScroll', () => {
+  const pane = (max) => {
+    const el = document.createElement('div');
+    let top = 0;
+    Object.defineProperty(el, 'scrollTop', {
+      get: () => top,
+      set: (value) => { top = Math.min(value, max); }
+    });
+    el.scrollLeft = 0;
+    return el;
+  };
+
+  it('scrolls the other pane in both directions', () => {
+    const first = pane(1000);
+    const second = pane(1000);
+    syncScroll(first, second);
+
+    first.scrollTop = 120;
+    first.dispatchEvent(new Event('scroll'));
+    expect(second.scrollTop).toBe(120);
+    second.dispatchEvent(new Event('scroll')); // echo of our own update
+
+    second.scrollTop = 300;
+    second.dispatchEvent(new Event('scroll'));
+    expect(first.scrollTop).toBe(300);
+  });
+
+  it('does not swallow the next scroll of a pane that could not move', () => {
+    const first = pane(1000);
+    const second = pane(50);
+    syncScroll(first, second);
+    second.scrollTop = 50;
+    second.dispatchEvent(new Event('scroll'));
+    first.dispatchEvent(new Event('scroll')); // echo
+
+    first.scrollTop = 500;
+    first.dispatchEvent(new Event('scroll'));
+    second.dispatchEvent(new Event('scroll')); // echo
+    // second is already at its end: no echo, so its own scroll is followed
+    second.scrollTop = 10;
+    second.dispatchEvent(new Event('scroll'));
+    expect(first.scrollTop).toBe(10);
+  });
+});
+
+describe('comparerActions', () => {
+  beforeEach(() => {
+    state.comparerItems = [];
+    state.responseHistory = {};
+  });
+
+  it('adds, removes and clears items', () => {
+    const a = comparerActions.add({ label: 'A', request: 'GET / HTTP/1.1', response: 'HTTP/1.1 200 OK' });
+    const b = comparerActions.add({ source: 'bulk' });
+    expect(state.comparerItems.map(item => item.label)).toEqual(['A', 'Item 2']);
+    expect(b.source).toBe('bulk');
+    expect(b.response).toBe('');
+    comparerActions.remove(a.id);
+    expect(state.comparerItems).toEqual([b]);
+    comparerActions.clear();
+    expect(state.comparerItems).toEqual([]);
+  });
+
+  it('keeps the last 20 responses per request', () => {
+    for (let i = 1; i <= 25; i++) {
+      comparerActions.recordResponse('request:0', { label: `#${i}`, request: 'r', response: `${i}` });
+    }
+    comparerActions.recordResponse('tab:x', { request: 'r', response: 'x' });
+    expect(state.responseHistory['request:0']).toHaveLength(20);
+    expect(state.responseHistory['request:0'][0].label).toBe('#6');
+    expect(state.responseHistory['tab:x'][0]).toMatchObject({ label: 'Response 1', source: 'history' });
+  });
+});
@@ -0,0 +1,98 @@
+// Tests for sendRawRequest (the send pipeline shared by Send and bulk replay)
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { sendRawRequest } from '../js/network/handler.js';
+import { createAttack } from '../js/features/bulk-replay/engine.js';
+import { applyEnvironment } from '../js/core/utils/templating.js';
+import { state, environmentActions } from '../js/core/state/index.js';
+
+describe('sendRawRequest', () => {
+  let fetchCalls;
+  let nextResponse;
+
+  beforeEach(() => {
+    localStorage.clear();
+    // No background port in tests: replays go out without header overrides
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    fetchCalls = [];
+    nextResponse = () => new Response('{"id":1,"role":"user"}', {
+      status: 200,
+      statusText: 'OK',
+      headers: { 'Content-Type': 'application/json' }
+    });
+    global.fetch = vi.fn(async (url, init) => {
+      fetchCalls.push({ url, init });
+      return nextResponse();
+    });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    vi.restoreAllMocks();
+  });
+
+  it('sends like Send does: filtered headers, credentials and the replay marker', async () => {
+    const raw = 'POST /api/users?x=1 HTTP/1.1\nHost: example.com\nOrigin: https://evil.test\nContent-Length: 12\nX-Token: abc\n\n{"name":"a"}';
+    await sendRawRequest(raw, true);
+
+    expect(fetchCalls).toHaveLength(1);
+    const { url, init } = fetchCalls[0];
+    expect(url).toBe('https://example.com/api/users?x=1');
+    expect(init.method).toBe('POST');
+    expect(init.body).toBe('{"name":"a"}');
+    expect(init.credentials).toBe('include');
+    expect(init.redirect).toBe('follow');
+    expect(init.headers['X-Token']).toBe('abc');
+    expect(init.headers['X-Rep-Plus-Replay']).toBe('true');
+    expect(init.headers['X-Rep-Plus-Replay-Id']).toMatch(/^replay-/);
+    expect(init.headers).not.toHaveProperty('Origin');
+    expect(init.headers).not.toHaveProperty('Host');
+    expect(init.headers).not.toHaveProperty('Content-Length');
+  });
+
+  it('fills in environment variables and uses http when asked', async () => {
+    await sendRawRequest('GET /{{missing}} HTTP/1.1\nHost: example.com\n\n', false);
+    expect(fetchCalls[0].url).toBe('http://example.com/{{missing}}');
+  });
+
+  it('sends {{...}} in bulk payloads verbatim once the environment was applied', async () => {
+    const env = environmentActions.create('prod', [{ key: 'token', value: 'secret' }]);
+    environmentActions.setActive(env.id);
+    try {
+      // Bulk replay fills in the template first, then inserts the payloads
+      const { text: template } = applyEnvironment('POST /search?q=§x§ HTTP/1.1\nHost: example.com\nX-Token: {{token}}\n\n', state);
+      const attack = createAttack('sniper', [{ index: 0, type: 'simple-list', list: '{{token}}' }], template);
+      await sendRawRequest(attack.requestAt(0).requestContent, true, { environment: false });
+    } finally {
+      environmentActions.setAll([]);
+    }
+
+    expect(fetchCalls[0].init.headers['X-Token']).toBe('secret');
+    expect(fetchCalls[0].url).toBe('https://example.com/search?q={{token}}');
+  });
+
+  it('formats the response like the response pane', async () => {
+    const result = await sendRawRequest('GET / HTTP/1.1\nHost: example.com\n\n', true);
+    expect(result.status).toBe(200);
+    expect(result.rawResponse).toBe('HTTP/1.1 200 OK\ncontent-type: application/json\n\n{\n  "id": 1,\n  "role": "user"\n}');
+    expect(result.responseBody.contentType).toBe('application/json');
+    expect(result.size).toBe(22);
+  });
+
+  it('keeps binary bodies as bytes', async () => {
+    nextResponse = () => new Response(new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]), {
+      status: 200,
+      headers: { 'Content-Type': 'image/png' }
+    });
+    const result = await sendRawRequest('GET /logo.png HTTP/1.1\nHost: example.com\n\n', true);
+    expect(result.responseBody).toEqual({
+      contentType: 'image/png',
+      base64: 'iVBORwD/',
+      url: 'https://example.com/logo.png'
+    });
+  });
+
+  it('rejects a request without a Host', async () => {
+    await expect(sendRawRequest('GET / HTTP/1.1\n\n', true)).rejects.toThrow();
+    expect(fetchCalls).toHaveLength(0);
+  });
+});
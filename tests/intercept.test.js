@@ -0,0 +1,39 @@
+// Tests for request interception (edit detection before forwarding)
+import { describe, it, expect } from 'vitest';
+import { buildInterceptEdits } from '../js/network/intercept.js';
+
+const entry = {
+  interceptId: 'intercept-1',
+  request: { method: 'POST', url: 'https://example.com/api?x=1' },
+  rawText: `POST /api?x=1 HTTP/1.1
+Host: example.com
+Content-Type: application/json
+
+{"a":1}`
+};
+
+describe('buildInterceptEdits', () => {
+  it('should not include a body when only headers changed', () => {
+    const edited = entry.rawText.replace('Content-Type: application/json', 'Content-Type: application/json\nX-Test: 1');
+    const edits = buildInterceptEdits(entry, edited);
+
+    expect(edits.method).toBe('POST');
+    expect(edits.url).toBe('https://example.com/api?x=1');
+    expect(edits.headers).toContainEqual({ name: 'X-Test', value: '1' });
+    expect(edits.headers[0]).toEqual({ name: 'Host', value: 'example.com' });
+    expect(edits).not.toHaveProperty('body');
+  });
+
+  it('should include the body when it was edited', () => {
+    const edits = buildInterceptEdits(entry, entry.rawText.replace('{"a":1}', '{"a":2}'));
+    expect(edits.body).toBe('{"a":2}');
+  });
+
+  it('should report method and URL changes', () => {
+    const edited = entry.rawText.replace('POST /api?x=1', 'PUT /api?x=2');
+    const edits = buildInterceptEdits(entry, edited);
+
+    expect(edits.method).toBe('PUT');
+    expect(edits.url).toBe('https://example.com/api?x=2');
+  });
+});
@@ -0,0 +1,219 @@
+// Tests for session macros (extraction, injection, triggers, running a macro)
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  evaluateJsonPath,
+  extractValue,
+  setRequestHeader,
+  setRequestCookie,
+  applyInjections,
+  matchesTrigger,
+  macroAppliesTo,
+  runMacro,
+  toMacroResponse
+} from '../js/network/macros.js';
+import { applyEnvironment } from '../js/core/utils/templating.js';
+import { state, macroActions } from '../js/core/state/index.js';
+
+const response = (overrides = {}) => ({
+  status: 200,
+  statusText: 'OK',
+  headers: [],
+  body: '',
+  setCookies: [],
+  ...overrides
+});
+
+const RAW = 'GET /api/me HTTP/1.1\nHost: example.com\nCookie: theme=dark; session=old\n\n';
+
+describe('evaluateJsonPath', () => {
+  const data = {
+    data: { tokens: [{ access_token: 'a1' }, { access_token: 'a2' }], 'csrf-token': 'c1' },
+    meta: { nested: { csrf: 'deep' } }
+  };
+
+  it('should follow keys, indexes and quoted keys', () => {
+    expect(evaluateJsonPath(data, '$.data.tokens[1].access_token')).toBe('a2');
+    expect(evaluateJsonPath(data, "$.data['csrf-token']")).toBe('c1');
+    expect(evaluateJsonPath(data, '$')).toBe(data);
+  });
+
+  it('should support wildcards and recursive descent', () => {
+    expect(evaluateJsonPath(data, '$.data.tokens[*].access_token')).toBe('a1');
+    expect(evaluateJsonPath(data, '$..csrf')).toBe('deep');
+  });
+
+  it('should return undefined for missing paths and reject invalid ones', () => {
+    expect(evaluateJsonPath(data, '$.data.missing.key')).toBeUndefined();
+    expect(() => evaluateJsonPath(data, 'data.tokens')).toThrow('must start with $');
+    expect(() => evaluateJsonPath(data, '$.data tokens')).toThrow('Invalid JSONPath');
+  });
+});
+
+describe('extractValue', () => {
+  it('should return the first regex group, or the whole match', () => {
+    const res = response({ body: '<input name="csrf" value="t0k3n">' });
+    expect(extractValue(res, { source: 'regex', expression: 'value="([^"]+)"' })).toBe('t0k3n');
+    expect(extractValue(res, { source: 'regex', expression: 't0k\\w+' })).toBe('t0k3n');
+    expect(extractValue(res, { source: 'regex', expression: 'nope' })).toBeNull();
+  });
+
+  it('should read JSON bodies, stringifying objects', () => {
+    const res = response({ body: '{"access_token":"abc","user":{"id":7}}' });
+    expect(extractValue(res, { source: 'jsonpath', expression: '$.access_token' })).toBe('abc');
+    expect(extractValue(res, { source: 'jsonpath', expression: '$.user' })).toBe('{"id":7}');
+    expect(extractValue(response({ body: 'not json' }), { source: 'jsonpath', expression: '$.a' })).toBeNull();
+  });
+
+  it('should read headers case-insensitively', () => {
+    const res = response({ headers: [{ name: 'X-CSRF-Token', value: 'h1' }] });
+    expect(extractValue(res, { source: 'header', expression: 'x-csrf-token' })).toBe('h1');
+  });
+
+  it('should read the last Set-Cookie for a name', () => {
+    const res = response({
+      setCookies: ['session=first; Path=/', 'other=x', 'session=second; HttpOnly']
+    });
+    expect(extractValue(res, { source: 'cookie', expression: 'session' })).toBe('second');
+    expect(extractValue(res, { source: 'cookie', expression: 'sess' })).toBeNull();
+  });
+});
+
+describe('request injection', () => {
+  it('should replace an existing header keeping its name, or add it before the body', () => {
+    expect(setRequestHeader(RAW, 'host', 'other.com')).toContain('\nHost: other.com\n');
+
+    const post = 'POST /login HTTP/1.1\nHost: example.com\n\na=1';
+    expect(setRequestHeader(post, 'Authorization', 'Bearer x'))
+      .toBe('POST /login HTTP/1.1\nHost: example.com\nAuthorization: Bearer x\n\na=1');
+  });
+
+  it('should update or add cookies in the Cookie header', () => {
+    expect(setRequestCookie(RAW, 'session', 'new')).toContain('\nCookie: theme=dark; session=new\n');
+    expect(setRequestCookie(RAW, 'csrf', 'c')).toContain('\nCookie: theme=dark; session=old; csrf=c\n');
+    expect(setRequestCookie('GET / HTTP/1.1\nHost: a.com', 'session', 's')).toBe('GET / HTTP/1.1\nHost: a.com\nCookie: session=s');
+  });
+
+  it('should only inject variables that have a value', () => {
+    const injections = [
+      { variable: 'token', target: 'header', name: 'Authorization' },
+      { variable: 'sid', target: 'cookie', name: 'session' },
+      { variable: 'unknown', target: 'header', name: 'X-Unknown' }
+    ];
+    const text = applyInjections(RAW, injections, { token: 'Bearer t', sid: 's2' });
+
+    expect(text).toContain('Authorization: Bearer t');
+    expect(text).toContain('Cookie: theme=dark; session=s2');
+    expect(text).not.toContain('X-Unknown');
+  });
+});
+
+describe('macro triggers', () => {
+  const macro = {
+    enabled: true,
+    urlFilter: '/api/',
+    trigger: { before: false, statuses: [401], bodyPattern: 'session (expired|invalid)' }
+  };
+
+  it('should fire on a status or a body match', () => {
+    expect(matchesTrigger(macro, response({ status: 401 }))).toBe(true);
+    expect(matchesTrigger(macro, response({ body: '{"error":"session expired"}' }))).toBe(true);
+    expect(matchesTrigger(macro, response({ body: 'ok' }))).toBe(false);
+    expect(matchesTrigger({ trigger: { statuses: [], bodyPattern: '(' } }, response())).toBe(false);
+  });
+
+  it('should only apply to enabled macros matching the URL filter', () => {
+    expect(macroAppliesTo(macro, 'https://example.com/api/me')).toBe(true);
+    expect(macroAppliesTo(macro, 'https://example.com/static/app.js')).toBe(false);
+    expect(macroAppliesTo({ ...macro, enabled: false }, 'https://example.com/api/me')).toBe(false);
+  });
+});
+
+describe('runMacro', () => {
+  const loginMacro = {
+    name: 'Login',
+    steps: [
+      { rawText: 'GET /login HTTP/1.1\nHost: example.com', useHttps: true },
+      { rawText: 'POST /login HTTP/1.1\nHost: example.com\n\ncsrf={{csrf}}', useHttps: true }
+    ],
+    extractions: [
+      { variable: 'csrf', source: 'regex', expression: 'name="csrf" value="(\\w+)"' },
+      { variable: 'token', source: 'jsonpath', expression: '$.token' },
+      { variable: 'sid', source: 'cookie', expression: 'session' }
+    ]
+  };
+
+  it('should run steps in order, feeding earlier values into later requests', async () => {
+    const send = vi.fn()
+      .mockResolvedValueOnce(response({ body: '<input name="csrf" value="abc">' }))
+      .mockResolvedValueOnce(response({ body: '{"token":"t1"}', setCookies: ['session=s1; Path=/'] }));
+    const onStep = vi.fn();
+
+    const { values, missing } = await runMacro(loginMacro, send, { onStep });
+
+    expect(send.mock.calls[1][0]).toContain('csrf=abc');
+    expect(values).toEqual({ csrf: 'abc', token: 't1', sid: 's1' });
+    expect(missing).toEqual([]);
+    expect(onStep).toHaveBeenCalledWith(2, 2);
+  });
+
+  it('should report variables nothing was extracted for', async () => {
+    const send = vi.fn(async () => response({ body: '{}' }));
+    const { missing } = await runMacro(loginMacro, send);
+    expect(missing).toEqual(['csrf', 'token', 'sid']);
+  });
+
+  it('should name the macro and step that failed', async () => {
+    const send = vi.fn()
+      .mockResolvedValueOnce(response())
+      .mockRejectedValueOnce(new Error('NetworkError'));
+    await expect(runMacro(loginMacro, send)).rejects.toThrow('Macro "Login" failed at request 2: NetworkError');
+    await expect(runMacro({ ...loginMacro, steps: [] }, send)).rejects.toThrow('has no requests');
+  });
+});
+
+describe('toMacroResponse', () => {
+  it('should collect Set-Cookie from redirect hops and the final response headers', () => {
+    const result = { status: 200, statusText: 'OK', headers: new Headers({ 'Content-Type': 'text/html' }), body: 'hi' };
+    const report = {
+      hops: [{ setCookies: ['session=hop'] }],
+      responseHeaders: [{ name: 'Set-Cookie', value: 'csrf=final' }]
+    };
+
+    const res = toMacroResponse(result, report);
+    expect(res.setCookies).toEqual(['session=hop', 'csrf=final']);
+    expect(res.headers).toEqual(report.responseHeaders);
+    expect(toMacroResponse(result).headers).toEqual([{ name: 'content-type', value: 'text/html' }]);
+  });
+});
+
+describe('macro state', () => {
+  beforeEach(() => {
+    macroActions.setAll([]);
+  });
+
+  it('should create and update normalized macros', () => {
+    const macro = macroActions.create({ trigger: { statuses: ['401'] } });
+    expect(macro.name).toBe('Macro 1');
+    expect(macro.enabled).toBe(true);
+    expect(macro.trigger).toEqual({ before: false, statuses: [401], bodyPattern: '' });
+
+    macroActions.update(macro.id, { name: 'Login', urlFilter: '/api/' });
+    expect(state.macros[0]).toMatchObject({ id: macro.id, name: 'Login', urlFilter: '/api/' });
+
+    macroActions.remove(macro.id);
+    expect(state.macros).toEqual([]);
+  });
+
+  it('should make extracted values available as placeholders, over the environment', () => {
+    state.environments = [{ id: 'env', name: 'dev', variables: [{ key: 'token', value: 'env-token' }, { key: 'host', value: 'dev.local' }] }];
+    state.activeEnvironmentId = 'env';
+    macroActions.setVariables({ token: 'fresh' });
+
+    expect(applyEnvironment('{{host}} {{token}}', state).text).toBe('dev.local fresh');
+
+    macroActions.clearVariables();
+    expect(applyEnvironment('{{token}}', state).text).toBe('env-token');
+    state.environments = [];
+    state.activeEnvironmentId = null;
+  });
+});
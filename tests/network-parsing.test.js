@@ -1,6 +1,6 @@
 // Tests for network parsing (request parsing, response formatting, export/import)
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { parseRequest, executeRequest } from '../js/network/capture.js';
+import { parseRequest, parseRawRequest, executeRequest } from '../js/network/capture.js';
 import { formatRawResponse, getStatusClass } from '../js/network/response-parser.js';
 import { exportRequests, importRequests } from '../js/ui/ui-utils.js';
 import { state, clearRequests, addRequest } from '../js/core/state.js';
@@ -11,6 +11,54 @@ const mockElements = {
   useHttpsCheckbox: { checked: false }
 };
 
+describe('Raw Request Parsing', () => {
+  it('should keep header order and forbidden headers', () => {
+    const rawContent = `POST /submit HTTP/1.1
+Host: example.com
+Origin: https://example.com
+Content-Type: text/plain
+Cookie: a=1
+
+hello`;
+
+    const result = parseRawRequest(rawContent, true);
+
+    expect(result.method).toBe('POST');
+    expect(result.path).toBe('/submit');
+    expect(result.host).toBe('example.com');
+    expect(result.url).toBe('https://example.com/submit');
+    expect(result.headers).toEqual([
+      { name: 'Origin', value: 'https://example.com' },
+      { name: 'Content-Type', value: 'text/plain' },
+      { name: 'Cookie', value: 'a=1' }
+    ]);
+    expect(result.bodyText).toBe('hello');
+  });
+
+  it('should throw when Host is missing', () => {
+    expect(() => parseRawRequest('GET / HTTP/1.1\nAccept: */*', false)).toThrow('Host header is missing!');
+  });
+
+  it('should connect to an absolute-form URL and keep a different Host', () => {
+    const result = parseRawRequest('GET https://target.example/reset?x=1 HTTP/1.1\nHost: evil.example', false);
+
+    expect(result.url).toBe('https://target.example/reset?x=1');
+    expect(result.path).toBe('/reset?x=1');
+    expect(result.host).toBe('evil.example');
+  });
+
+  it('should return the exact editor headers from parseRequest', () => {
+    const { rawHeaders, filteredHeaders } = parseRequest('GET / HTTP/1.1\nHost: example.com\nOrigin: https://evil.example\nSec-Fetch-Site: none', true);
+
+    expect(rawHeaders).toEqual([
+      { name: 'Host', value: 'example.com' },
+      { name: 'Origin', value: 'https://evil.example' },
+      { name: 'Sec-Fetch-Site', value: 'none' }
+    ]);
+    expect(filteredHeaders.Origin).toBeUndefined();
+  });
+});
+
 describe('Request Parsing', () => {
   it('should parse a simple GET request', () => {
     const rawContent = `GET /api/users HTTP/1.1
@@ -0,0 +1,118 @@
+// Tests for saving project requests as records (only new, changed or removed requests are written)
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createRequestRecordTracker } from '../js/core/storage/project-requests.js';
+
+const capture = (url) => ({ request: { method: 'GET', url }, starred: false, color: null, name: null });
+
+describe('project request records', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = createRequestRecordTracker();
+  });
+
+  const save = (requests) => {
+    const changes = tracker.changes(requests);
+    tracker.commit(changes);
+    return changes;
+  };
+
+  it('writes new requests once, with ids in capture order', () => {
+    const requests = [capture('https://a/1'), capture('https://a/2')];
+    const first = save(requests);
+    expect(first.put.map(({ id, request }) => [id, request])).toEqual([[1, requests[0]], [2, requests[1]]]);
+    expect(first.remove).toEqual([]);
+
+    requests.push(capture('https://a/3'));
+    const second = save(requests);
+    expect(second.put.map(({ id }) => id)).toEqual([3]);
+
+    expect(save(requests).put).toEqual([]);
+  });
+
+  it('writes a request again when its star, color or name changes', () => {
+    const requests = [capture('https://a/1'), capture('https://a/2'), capture('https://a/3')];
+    save(requests);
+
+    requests[0].starred = true;
+    requests[2].name = 'login';
+    expect(save(requests).put.map(({ id }) => id)).toEqual([1, 3]);
+
+    requests[1].color = 'red';
+    expect(save(requests).put.map(({ id }) => id)).toEqual([2]);
+  });
+
+  it('keeps rule matches that arrive after the request was saved across a reload', () => {
+    // Records as the project store holds them
+    const store = new Map();
+    const saveToStore = (requests) => {
+      const changes = tracker.changes(requests);
+      changes.put.forEach(({ id, request }) => store.set(id, JSON.parse(JSON.stringify(request))));
+      changes.remove.forEach(id => store.delete(id));
+      tracker.commit(changes);
+      return changes;
+    };
+
+    const requests = [capture('https://a/1'), { ...capture('https://a/2'), matchedRules: ['Swap'] }];
+    saveToStore(requests);
+
+    // A response body rule reports its match late
+    requests[0].matchedRules = ['Swap'];
+    expect(saveToStore(requests).put.map(({ id }) => id)).toEqual([1]);
+    requests[1].matchedRules = [...requests[1].matchedRules, 'Strip CSP'];
+    expect(saveToStore(requests).put.map(({ id }) => id)).toEqual([2]);
+    expect(saveToStore(requests).put).toEqual([]);
+
+    // Reopen the project
+    const reloaded = createRequestRecordTracker();
+    const records = [...store].map(([id, request]) => ({ id, request }));
+    reloaded.reset(records);
+    expect(records.map(({ request }) => request.matchedRules)).toEqual([['Swap'], ['Swap', 'Strip CSP']]);
+    expect(reloaded.changes(records.map(({ request }) => request)).put).toEqual([]);
+  });
+
+  it('deletes the records of removed requests', () => {
+    const requests = [capture('https://a/1'), capture('https://a/2'), capture('https://a/3')];
+    save(requests);
+
+    const changes = save([requests[0], requests[2]]);
+    expect(changes.put).toEqual([]);
+    expect(changes.remove).toEqual([2]);
+    expect(save([requests[0], requests[2]]).remove).toEqual([]);
+
+    expect(save([]).remove).toEqual([1, 3]);
+  });
+
+  it('retries changes that were never committed, keeping their ids', () => {
+    const requests = [capture('https://a/1')];
+    const failed = tracker.changes(requests);
+    requests.push(capture('https://a/2'));
+
+    const retry = tracker.changes(requests);
+    expect(retry.put.map(({ id }) => id)).toEqual([1, 2]);
+    expect(failed.put[0].id).toBe(1);
+
+    // Never written, so nothing to delete
+    expect(tracker.changes([]).remove).toEqual([]);
+  });
+
+  it('continues from the records of a loaded project', () => {
+    const loaded = [{ id: 4, request: capture('https://a/4') }, { id: 9, request: capture('https://a/9') }];
+    tracker.reset(loaded);
+    const requests = [loaded[0].request, loaded[1].request, capture('https://a/new')];
+
+    const changes = save(requests);
+    expect(changes.put.map(({ id }) => id)).toEqual([10]);
+    expect(save([requests[1], requests[2]]).remove).toEqual([4]);
+  });
+
+  it('ignores a save that finishes after another project was opened', () => {
+    const requests = [capture('https://a/1')];
+    const changes = tracker.changes(requests);
+    tracker.reset([]);
+    tracker.commit(changes);
+
+    expect(tracker.changes([]).remove).toEqual([]);
+    expect(tracker.changes(requests).put).toHaveLength(1);
+  });
+});
@@ -0,0 +1,47 @@
+// Tests for project section registry (serialize/restore of persisted data)
+import { describe, it, expect } from 'vitest';
+import {
+  registerProjectSection,
+  serializeProjectSections,
+  restoreProjectSections,
+  toStorable
+} from '../js/core/storage/project-sections.js';
+
+describe('Project sections', () => {
+  it('should serialize and restore registered sections', async () => {
+    let value = { count: 1 };
+    registerProjectSection('test-counter', {
+      serialize: () => value,
+      restore: (data) => { value = data || { count: 0 }; }
+    });
+
+    const saved = serializeProjectSections();
+    expect(saved['test-counter']).toEqual({ count: 1 });
+
+    value = { count: 5 };
+    await restoreProjectSections(saved);
+    expect(value).toEqual({ count: 1 });
+  });
+
+  it('should restore missing sections with undefined so they reset', async () => {
+    let restoredWith = 'untouched';
+    registerProjectSection('test-missing', {
+      serialize: () => 'x',
+      restore: (data) => { restoredWith = data; }
+    });
+
+    await restoreProjectSections({});
+    expect(restoredWith).toBeUndefined();
+  });
+
+  it('should reject sections without handlers', () => {
+    expect(() => registerProjectSection('broken', {})).toThrow();
+  });
+});
+
+describe('toStorable', () => {
+  it('should drop functions such as HAR getContent', () => {
+    const entry = { request: { url: 'https://example.com' }, getContent: () => {} };
+    expect(toStorable(entry)).toEqual({ request: { url: 'https://example.com' } });
+  });
+});
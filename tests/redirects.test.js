@@ -0,0 +1,74 @@
+// Tests for redirect chains (next-hop building and DevTools HAR hops)
+import { describe, it, expect } from 'vitest';
+import { getRedirectRequest } from '../js/network/response-parser.js';
+import { harEntryToRedirectHop } from '../js/network/redirects.js';
+
+describe('Redirect Following', () => {
+  const post = {
+    url: 'https://example.com/login',
+    options: {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer x' },
+      body: '{"a":1}'
+    }
+  };
+
+  it('should turn POST into GET without a body on 302', () => {
+    const next = getRedirectRequest(post, { status: 302, location: '/home' });
+
+    expect(next.url).toBe('https://example.com/home');
+    expect(next.options.method).toBe('GET');
+    expect(next.options.body).toBeUndefined();
+    expect(next.options.headers['Content-Type']).toBeUndefined();
+    expect(next.options.headers.Authorization).toBe('Bearer x');
+  });
+
+  it('should keep method and body on 307', () => {
+    const next = getRedirectRequest(post, { status: 307, location: 'https://example.com/v2/login' });
+
+    expect(next.options.method).toBe('POST');
+    expect(next.options.body).toBe('{"a":1}');
+  });
+
+  it('should drop Authorization when leaving the origin', () => {
+    const next = getRedirectRequest(post, { status: 308, location: 'https://other.com/login' });
+
+    expect(next.options.headers.Authorization).toBeUndefined();
+  });
+
+  it('should carry exact editor headers to the next hop with a new Host', () => {
+    const next = getRedirectRequest(
+      { ...post, rawHeaders: [{ name: 'Host', value: 'example.com' }, { name: 'Content-Type', value: 'application/json' }, { name: 'Origin', value: 'https://example.com' }] },
+      { status: 303, location: 'https://www.example.com/done' }
+    );
+
+    expect(next.rawHeaders).toEqual([
+      { name: 'Host', value: 'www.example.com' },
+      { name: 'Origin', value: 'https://example.com' }
+    ]);
+  });
+
+  it('should return null for non-redirects or missing Location', () => {
+    expect(getRedirectRequest(post, { status: 200, location: '/x' })).toBeNull();
+    expect(getRedirectRequest(post, { status: 302, location: '' })).toBeNull();
+  });
+
+  it('should build a hop from a HAR redirect entry', () => {
+    const hop = harEntryToRedirectHop({
+      request: { method: 'GET', url: 'http://example.com/a' },
+      response: {
+        status: 301,
+        statusText: 'Moved Permanently',
+        redirectURL: '',
+        headers: [
+          { name: 'Location', value: '/b' },
+          { name: 'Set-Cookie', value: 'sid=1' }
+        ]
+      }
+    });
+
+    expect(hop.location).toBe('http://example.com/b');
+    expect(hop.setCookies).toEqual(['sid=1']);
+    expect(hop.status).toBe(301);
+  });
+});
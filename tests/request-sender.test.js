@@ -0,0 +1,82 @@
+// Tests for sending requests from the inspected page (inspectedWindow.eval)
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { sendRequestFromPage } from '../js/network/request-sender.js';
+
+describe('sendRequestFromPage', () => {
+  let fetchCalls;
+
+  beforeEach(() => {
+    fetchCalls = [];
+    // The page is the jsdom window: evaluate the expression right here
+    global.browser = {
+      devtools: {
+        inspectedWindow: {
+          eval: vi.fn(async (expression) => [(0, eval)(expression), undefined])
+        }
+      }
+    };
+    global.fetch = vi.fn(async (url, init) => {
+      fetchCalls.push({ url, init });
+      return new Response('{"ok":true}', {
+        status: 201,
+        statusText: 'Created',
+        headers: { 'Content-Type': 'application/json' }
+      });
+    });
+  });
+
+  afterEach(() => {
+    delete global.browser;
+    delete global.fetch;
+  });
+
+  it('should run the fetch in the page and return status, headers and body', async () => {
+    const result = await sendRequestFromPage(`${location.origin}/api`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Rep-Plus-Replay-Id': 'replay-1' },
+      body: '{"a":1}'
+    });
+
+    expect(result.status).toBe(201);
+    expect(result.statusText).toBe('Created');
+    expect(result.body).toBe('{"ok":true}');
+    expect(new TextDecoder().decode(result.bodyBytes)).toBe('{"ok":true}');
+    expect(result.headers).toContainEqual({ name: 'content-type', value: 'application/json' });
+    expect(result.fromPage).toBe(true);
+    expect(fetchCalls[0].init.credentials).toBe('include');
+    expect(fetchCalls[0].init.body).toBe('{"a":1}');
+  });
+
+  it('should only add the rep+ tag headers for same-origin targets', async () => {
+    const options = () => ({ method: 'GET', headers: { 'X-Rep-Plus-Replay-Id': 'replay-2' } });
+
+    await sendRequestFromPage(`${location.origin}/same`, options());
+    await sendRequestFromPage('https://other.example/cross', options());
+
+    expect(fetchCalls[0].init.headers['X-Rep-Plus-Replay']).toBe('true');
+    expect(fetchCalls[0].init.headers['X-Rep-Plus-Replay-Id']).toBe('replay-2');
+    expect(fetchCalls[1].init.headers).toEqual({});
+  });
+
+  it('should surface fetch failures from the page', async () => {
+    global.fetch = vi.fn(async () => { throw new TypeError('NetworkError when attempting to fetch resource.'); });
+
+    await expect(sendRequestFromPage('https://other.example/x', { method: 'GET', headers: {} }))
+      .rejects.toMatchObject({ fromPage: true });
+  });
+
+  it('should abort the fetch in the page when the signal is aborted', async () => {
+    let pageSignal;
+    global.fetch = vi.fn((url, init) => {
+      pageSignal = init.signal;
+      return new Promise(() => {});
+    });
+    const controller = new AbortController();
+
+    const promise = sendRequestFromPage(`${location.origin}/slow`, { method: 'GET', headers: {}, signal: controller.signal });
+    controller.abort();
+
+    await expect(promise).rejects.toMatchObject({ name: 'AbortError', fromPage: true });
+    expect(pageSignal.aborted).toBe(true);
+  });
+});
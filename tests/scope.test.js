@@ -0,0 +1,82 @@
+// Tests for capture scope utilities (host globs, path regex, MIME, extensions)
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_SCOPE_CONFIG,
+  globToRegExp,
+  matchHostGlob,
+  matchesScopeRule,
+  getScopeTarget,
+  isInScope,
+  validateScopeRule
+} from '../js/core/utils/scope.js';
+
+describe('matchHostGlob', () => {
+  it('should match wildcard subdomains and the apex domain', () => {
+    expect(matchHostGlob('*.example.com', 'api.example.com')).toBe(true);
+    expect(matchHostGlob('*.example.com', 'example.com')).toBe(true);
+    expect(matchHostGlob('*.example.com', 'example.org')).toBe(false);
+  });
+
+  it('should be case-insensitive and anchored', () => {
+    expect(matchHostGlob('Example.com', 'EXAMPLE.COM')).toBe(true);
+    expect(matchHostGlob('example.com', 'notexample.com')).toBe(false);
+  });
+
+  it('should escape regex characters in globs', () => {
+    expect(globToRegExp('a.b').test('axb')).toBe(false);
+  });
+});
+
+describe('matchesScopeRule', () => {
+  const target = getScopeTarget('https://app.example.com/api/users.json?id=1', 'application/json; charset=utf-8');
+
+  it('should match path regexes against path and query', () => {
+    expect(matchesScopeRule({ type: 'path', pattern: '^/api/' }, target)).toBe(true);
+    expect(matchesScopeRule({ type: 'path', pattern: 'id=\\d' }, target)).toBe(true);
+  });
+
+  it('should treat invalid regexes as non-matching', () => {
+    expect(matchesScopeRule({ type: 'path', pattern: '(' }, target)).toBe(false);
+  });
+
+  it('should match MIME globs without parameters', () => {
+    expect(matchesScopeRule({ type: 'mime', pattern: 'application/*' }, target)).toBe(true);
+    expect(matchesScopeRule({ type: 'mime', pattern: 'image/*' }, target)).toBe(false);
+  });
+
+  it('should match extensions with or without a leading dot', () => {
+    expect(matchesScopeRule({ type: 'extension', pattern: '.json' }, target)).toBe(true);
+    expect(matchesScopeRule({ type: 'extension', pattern: 'json' }, target)).toBe(true);
+  });
+
+  it('should ignore disabled rules', () => {
+    expect(matchesScopeRule({ type: 'extension', pattern: '.json', enabled: false }, target)).toBe(false);
+  });
+});
+
+describe('isInScope', () => {
+  it('should keep SVG and PDF but drop images with the default config', () => {
+    expect(isInScope(DEFAULT_SCOPE_CONFIG, 'https://example.com/logo.svg')).toBe(true);
+    expect(isInScope(DEFAULT_SCOPE_CONFIG, 'https://example.com/report.pdf')).toBe(true);
+    expect(isInScope(DEFAULT_SCOPE_CONFIG, 'https://example.com/logo.png?v=2')).toBe(false);
+  });
+
+  it('should require an include match when include rules exist', () => {
+    const config = {
+      include: [{ type: 'host', pattern: '*.target.com' }],
+      exclude: [{ type: 'path', pattern: '^/static/' }]
+    };
+    expect(isInScope(config, 'https://api.target.com/v1')).toBe(true);
+    expect(isInScope(config, 'https://other.com/v1')).toBe(false);
+    expect(isInScope(config, 'https://api.target.com/static/app.js')).toBe(false);
+  });
+});
+
+describe('validateScopeRule', () => {
+  it('should reject empty patterns, unknown types and bad regexes', () => {
+    expect(validateScopeRule({ type: 'host', pattern: ' ' })).toBeTruthy();
+    expect(validateScopeRule({ type: 'cookie', pattern: 'x' })).toBeTruthy();
+    expect(validateScopeRule({ type: 'path', pattern: '[' })).toMatch(/Invalid regex/);
+    expect(validateScopeRule({ type: 'host', pattern: 'example.com' })).toBeNull();
+  });
+});
@@ -0,0 +1,150 @@
+// Tests for the semantic response diff (JSON paths, header sets, ignore rules)
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  parseRawResponse,
+  flattenJson,
+  compileIgnoreRules,
+  semanticDiff,
+  renderSemanticDiff,
+  getDiffMode,
+  setDiffMode,
+  getDiffIgnoreRules,
+  setDiffIgnoreRules
+} from '../js/core/utils/semantic-diff.js';
+
+const raw = (status, headers, body) => `HTTP/1.1 ${status}\n${headers.map(h => `${h}\n`).join('')}\n${body}`;
+
+describe('parseRawResponse', () => {
+  it('should split status line, headers and body', () => {
+    const parsed = parseRawResponse(raw('200 OK', ['Content-Type: application/json', 'X-Id: 1'], '{\n  "a": 1\n}'));
+    expect(parsed.statusLine).toBe('HTTP/1.1 200 OK');
+    expect(parsed.headers).toEqual([
+      { name: 'Content-Type', value: 'application/json' },
+      { name: 'X-Id', value: '1' }
+    ]);
+    expect(parsed.body).toBe('{\n  "a": 1\n}');
+  });
+});
+
+describe('flattenJson', () => {
+  it('should map paths to leaf values, quoting unusual keys', () => {
+    const flat = flattenJson({ user: { id: 7, tags: ['a'] }, 'x-y': null, empty: {}, list: [] });
+    expect(Object.fromEntries(flat)).toEqual({
+      '$.user.id': '7',
+      '$.user.tags[0]': '"a"',
+      '$["x-y"]': 'null',
+      '$.empty': '{}',
+      '$.list': '[]'
+    });
+  });
+});
+
+describe('compileIgnoreRules', () => {
+  it('should sort rules by kind and report invalid regexes', () => {
+    const rules = compileIgnoreRules(['$.meta.ts', 'header:X-Request-*', '\\d{13}', '# comment', '', '(']);
+    expect(rules.paths).toHaveLength(1);
+    expect(rules.headers[0].test('x-request-id')).toBe(true);
+    expect(rules.values).toHaveLength(1);
+    expect(rules.errors).toHaveLength(1);
+  });
+
+  it('should match JSON paths with wildcards, any depth and children', () => {
+    const [wildcard, deep, prefix] = compileIgnoreRules(['$.items[*].updatedAt', '$..requestId', '$.meta']).paths;
+    expect(wildcard.test('$.items[3].updatedAt')).toBe(true);
+    expect(wildcard.test('$.items[3].name')).toBe(false);
+    expect(deep.test('$.requestId')).toBe(true);
+    expect(deep.test('$.a.b[0].requestId')).toBe(true);
+    expect(deep.test('$.a.requestIds')).toBe(false);
+    expect(prefix.test('$.meta.page')).toBe(true);
+    expect(prefix.test('$.metadata')).toBe(false);
+  });
+});
+
+describe('semanticDiff', () => {
+  const baseline = raw('200 OK',
+    ['Content-Type: application/json', 'Set-Cookie: a=1', 'Set-Cookie: b=2', 'Date: Mon, 19 Oct 2026 10:00:00 GMT'],
+    JSON.stringify({ id: 1, name: 'bob', meta: { ts: 1760868000000, requestId: 'r-1' } }, null, 2));
+
+  it('should ignore reordered JSON keys and header order', () => {
+    const current = raw('200 OK',
+      ['set-cookie: b=2', 'Date: Mon, 19 Oct 2026 10:00:00 GMT', 'Set-Cookie: a=1', 'content-type: application/json'],
+      JSON.stringify({ meta: { requestId: 'r-1', ts: 1760868000000 }, name: 'bob', id: 1 }));
+
+    const diff = semanticDiff(baseline, current);
+    expect(diff.status).toBeNull();
+    expect(diff.headers).toEqual([]);
+    expect(diff.body).toEqual({ kind: 'json', entries: [] });
+  });
+
+  it('should report changed, added and removed paths and headers', () => {
+    const current = raw('500 Internal Server Error',
+      ['Content-Type: application/json', 'Set-Cookie: a=1', 'Date: Mon, 19 Oct 2026 10:00:00 GMT', 'X-New: 1'],
+      JSON.stringify({ id: 1, name: 'alice', meta: { ts: 1760868000000 }, admin: true }));
+
+    const diff = semanticDiff(baseline, current);
+    expect(diff.status).toMatchObject({ type: 'changed', current: 'HTTP/1.1 500 Internal Server Error' });
+    expect(diff.headers).toEqual([
+      { key: 'Set-Cookie', type: 'changed', baseline: 'a=1, b=2', current: 'a=1' },
+      { key: 'X-New', type: 'added', current: '1' }
+    ]);
+    expect(diff.body.entries).toEqual([
+      { key: '$.name', type: 'changed', baseline: '"bob"', current: '"alice"' },
+      { key: '$.meta.requestId', type: 'removed', baseline: '"r-1"' },
+      { key: '$.admin', type: 'added', current: 'true' }
+    ]);
+  });
+
+  it('should drop ignored paths, headers and volatile values and count them', () => {
+    const current = raw('200 OK',
+      ['Content-Type: application/json', 'Set-Cookie: a=1', 'Set-Cookie: b=2', 'Date: Mon, 19 Oct 2026 10:05:00 GMT'],
+      JSON.stringify({ id: 1, name: 'bob', meta: { ts: 1760868300000, requestId: 'r-2' } }));
+
+    expect(semanticDiff(baseline, current).body.entries).toHaveLength(2);
+
+    const diff = semanticDiff(baseline, current, ['header:date', '$..requestId', '\\d{13}']);
+    expect(diff.headers).toEqual([]);
+    expect(diff.body.entries).toEqual([]);
+    expect(diff.ignored).toBe(3);
+  });
+
+  it('should compare non-JSON bodies as text with value rules applied', () => {
+    const diff = semanticDiff(
+      raw('200 OK', [], '<p>nonce=abc123</p>'),
+      raw('200 OK', [], '<p>nonce=def456</p>'),
+      ['nonce=\\w+']
+    );
+    expect(diff.body).toEqual({ kind: 'text', baseline: '<p>«ignored»</p>', current: '<p>«ignored»</p>' });
+  });
+});
+
+describe('renderSemanticDiff', () => {
+  it('should summarize differences and escape values', () => {
+    const html = renderSemanticDiff(
+      raw('200 OK', [], '{"a":"<b>"}'),
+      raw('200 OK', [], '{"a":"<i>"}')
+    );
+    expect(html).toContain('1 difference');
+    expect(html).toContain('Body (JSON)');
+    expect(html).toContain('$.a: "&lt;i&gt;"');
+  });
+
+  it('should say when there are no differences', () => {
+    const same = raw('200 OK', ['A: 1'], '{}');
+    expect(renderSemanticDiff(same, same)).toContain('No differences');
+  });
+});
+
+describe('diff preferences', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('should default to line mode and store the mode', () => {
+    expect(getDiffMode()).toBe('lines');
+    setDiffMode('semantic');
+    expect(getDiffMode()).toBe('semantic');
+  });
+
+  it('should store ignore rules without blanks and comments', () => {
+    setDiffIgnoreRules(['header:Date', '  ', '# volatile', ' $..id ']);
+    expect(getDiffIgnoreRules()).toEqual(['header:Date', '$..id']);
+  });
+});
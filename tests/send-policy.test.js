@@ -0,0 +1,151 @@
+// Tests for the single-send timeout, cancellation and retry policy
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  parseRetryAfter,
+  getRetryDelay,
+  sendWithPolicy,
+  isNetworkError,
+  getSendPolicy,
+  setSendPolicy
+} from '../js/network/send-policy.js';
+
+const response = (status, headers = []) => ({ status, statusText: '', headers });
+
+// Never settles until the signal aborts, then rejects like fetch does
+const hangingSend = (signal) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+});
+
+describe('parseRetryAfter', () => {
+  it('should read delay-seconds', () => {
+    expect(parseRetryAfter('5')).toBe(5000);
+    expect(parseRetryAfter(' 0 ')).toBe(0);
+  });
+
+  it('should read an HTTP date relative to now', () => {
+    const now = Date.parse('Mon, 19 Oct 2026 10:00:00 GMT');
+    expect(parseRetryAfter('Mon, 19 Oct 2026 10:00:03 GMT', now)).toBe(3000);
+    expect(parseRetryAfter('Mon, 19 Oct 2026 09:00:00 GMT', now)).toBe(0);
+  });
+
+  it('should ignore missing or invalid values', () => {
+    expect(parseRetryAfter(null)).toBeNull();
+    expect(parseRetryAfter('')).toBeNull();
+    expect(parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('getRetryDelay', () => {
+  it('should honor Retry-After from array or Headers responses', () => {
+    expect(getRetryDelay(1, response(429, [{ name: 'retry-after', value: '2' }]))).toBe(2000);
+    expect(getRetryDelay(1, { status: 503, headers: new Headers({ 'Retry-After': '3' }) })).toBe(3000);
+  });
+
+  it('should back off exponentially without Retry-After and cap the delay', () => {
+    expect(getRetryDelay(1)).toBe(1000);
+    expect(getRetryDelay(3)).toBe(4000);
+    expect(getRetryDelay(20)).toBe(60000);
+    expect(getRetryDelay(1, response(503, [{ name: 'Retry-After', value: '3600' }]))).toBe(60000);
+  });
+});
+
+describe('getSendPolicy / setSendPolicy', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('should default to a 30s timeout and no retries', () => {
+    expect(getSendPolicy()).toEqual({ timeoutMs: 30000, maxRetries: 0 });
+  });
+
+  it('should store a disabled timeout and clamp retries', () => {
+    setSendPolicy({ timeoutSeconds: 0, maxRetries: 99 });
+    expect(getSendPolicy()).toEqual({ timeoutMs: 0, maxRetries: 10 });
+  });
+});
+
+describe('sendWithPolicy', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should return the first response when retries are off', async () => {
+    const send = vi.fn(async () => response(503));
+    const { result, attempts } = await sendWithPolicy(send);
+
+    expect(result.status).toBe(503);
+    expect(attempts).toBe(1);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('should retry 429/503 after the Retry-After delay', async () => {
+    const send = vi.fn()
+      .mockResolvedValueOnce(response(429, [{ name: 'Retry-After', value: '2' }]))
+      .mockResolvedValueOnce(response(200));
+    const onRetryWait = vi.fn();
+
+    const promise = sendWithPolicy(send, { maxRetries: 2, onRetryWait });
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(send).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+
+    const { result, attempts } = await promise;
+    expect(result.status).toBe(200);
+    expect(attempts).toBe(2);
+    expect(onRetryWait).toHaveBeenCalledWith(2000, '429');
+  });
+
+  it('should retry network errors but not other failures', async () => {
+    const networkError = vi.fn()
+      .mockRejectedValueOnce(new TypeError('NetworkError when attempting to fetch resource.'))
+      .mockResolvedValueOnce(response(200));
+    const promise = sendWithPolicy(networkError, { maxRetries: 1 });
+    await vi.advanceTimersByTimeAsync(1000);
+    expect((await promise).attempts).toBe(2);
+
+    const otherError = vi.fn().mockRejectedValue(new Error('Invalid request'));
+    await expect(sendWithPolicy(otherError, { maxRetries: 3 })).rejects.toMatchObject({ attempts: 1 });
+    expect(otherError).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not retry programming errors that happen to be TypeErrors', async () => {
+    const bug = vi.fn(async () => null.status);
+    await expect(sendWithPolicy(bug, { maxRetries: 3 })).rejects.toMatchObject({ name: 'TypeError', attempts: 1 });
+    expect(bug).toHaveBeenCalledTimes(1);
+  });
+
+  it('should only count fetch network failures and timeouts as network errors', () => {
+    expect(isNetworkError(new TypeError('NetworkError when attempting to fetch resource.'))).toBe(true);
+    expect(isNetworkError(new TypeError('Failed to fetch'))).toBe(true);
+    expect(isNetworkError(new TypeError('Load failed'))).toBe(true);
+    expect(isNetworkError(new Error('Fetch from the page failed: NetworkError when attempting to fetch resource.'))).toBe(true);
+    expect(isNetworkError(Object.assign(new Error('Request timed out after 5s'), { timedOut: true }))).toBe(true);
+    expect(isNetworkError(new TypeError("Cannot read properties of undefined (reading 'headers')"))).toBe(false);
+    expect(isNetworkError(new TypeError('Window.fetch: Invalid URL'))).toBe(false);
+  });
+
+  it('should time out each attempt and report the attempts made', async () => {
+    const promise = sendWithPolicy(hangingSend, { timeoutMs: 500, maxRetries: 1 });
+    const assertion = expect(promise).rejects.toMatchObject({ timedOut: true, attempts: 2 });
+    await vi.advanceTimersByTimeAsync(500 + 1000 + 500);
+    await assertion;
+  });
+
+  it('should cancel an attempt in flight or a pending retry wait', async () => {
+    const inFlight = new AbortController();
+    const first = sendWithPolicy(hangingSend, { signal: inFlight.signal });
+    inFlight.abort();
+    await expect(first).rejects.toMatchObject({ cancelled: true });
+
+    const waiting = new AbortController();
+    const send = vi.fn(async () => response(503));
+    const second = sendWithPolicy(send, { maxRetries: 3, signal: waiting.signal });
+    const assertion = expect(second).rejects.toMatchObject({ cancelled: true });
+    await vi.advanceTimersByTimeAsync(10);
+    waiting.abort();
+    await assertion;
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+});
@@ -1,6 +1,6 @@
 // Test for state management functions
 import { describe, it, expect, beforeEach } from 'vitest';
-import { state, addRequest, clearRequests, addToHistory } from '../js/core/state/index.js';
+import { state, addRequest, clearRequests, addToHistory, repeaterActions } from '../js/core/state/index.js';
 
 describe('State Management', () => {
   beforeEach(() => {
@@ -289,5 +289,40 @@ describe('State Management', () => {
       expect(state.blockedQueue[0]).toBe(request);
     });
   });
+
+  describe('Repeater Tabs', () => {
+    beforeEach(() => {
+      repeaterActions.setAll([]);
+    });
+
+    it('should create tabs with their own history and default names', () => {
+      const first = repeaterActions.create({ rawText: 'GET / HTTP/1.1', useHttps: true });
+      const second = repeaterActions.create({ name: 'Login', rawText: 'POST /login HTTP/1.1', useHttps: false });
+
+      expect(state.repeaterTabs).toHaveLength(2);
+      expect(first.name).toBe('Tab 1');
+      expect(second.name).toBe('Login');
+      expect(first.id).not.toBe(second.id);
+      expect(first.history).toEqual([{ rawText: 'GET / HTTP/1.1', useHttps: true }]);
+      expect(first.history).not.toBe(second.history);
+    });
+
+    it('should rename, reorder and remove tabs', () => {
+      const a = repeaterActions.create({ rawText: 'a', useHttps: true });
+      const b = repeaterActions.create({ rawText: 'b', useHttps: true });
+      const c = repeaterActions.create({ rawText: 'c', useHttps: true });
+
+      repeaterActions.rename(b.id, 'Renamed');
+      expect(b.name).toBe('Renamed');
+
+      repeaterActions.move(c.id, 0);
+      expect(state.repeaterTabs.map(t => t.id)).toEqual([c.id, a.id, b.id]);
+
+      repeaterActions.setActive(a.id);
+      repeaterActions.remove(a.id);
+      expect(state.repeaterTabs.map(t => t.id)).toEqual([c.id, b.id]);
+      expect(state.activeRepeaterTabId).toBeNull();
+    });
+  });
 });
 
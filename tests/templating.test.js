@@ -0,0 +1,75 @@
+// Tests for environment variables and {{placeholder}} substitution
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  findPlaceholders,
+  substituteVariables,
+  getActiveEnvironmentVariables
+} from '../js/core/utils/templating.js';
+import { state, environmentActions } from '../js/core/state/index.js';
+import { parseRequest } from '../js/network/capture.js';
+
+describe('findPlaceholders', () => {
+  it('should list each placeholder name once, allowing inner spaces', () => {
+    expect(findPlaceholders('GET /{{ version }}/users/{{id}}?v={{version}}')).toEqual(['version', 'id']);
+  });
+
+  it('should ignore expressions that are not variable names', () => {
+    expect(findPlaceholders('name={{7*7}}&x={{}}')).toEqual([]);
+  });
+});
+
+describe('substituteVariables', () => {
+  it('should replace known variables and report the rest', () => {
+    const { text, unresolved } = substituteVariables(
+      'Host: {{host}}\nAuthorization: Bearer {{token}}\nX-Trace: {{trace}}',
+      { host: 'staging.example.com', token: 'abc' }
+    );
+
+    expect(text).toBe('Host: staging.example.com\nAuthorization: Bearer abc\nX-Trace: {{trace}}');
+    expect(unresolved).toEqual(['trace']);
+  });
+
+  it('should allow empty values and not inherit from Object.prototype', () => {
+    const { text, unresolved } = substituteVariables('{{empty}}|{{constructor}}', { empty: '' });
+    expect(text).toBe('|{{constructor}}');
+    expect(unresolved).toEqual(['constructor']);
+  });
+});
+
+describe('environments', () => {
+  beforeEach(() => {
+    environmentActions.setAll([]);
+  });
+
+  it('should use only the active environment and its enabled variables', () => {
+    const staging = environmentActions.create('staging', [
+      { key: 'host', value: 'staging.example.com' },
+      { key: 'token', value: 'old', enabled: false }
+    ]);
+    environmentActions.create('prod', [{ key: 'host', value: 'example.com' }]);
+
+    expect(getActiveEnvironmentVariables(state)).toEqual({});
+
+    environmentActions.setActive(staging.id);
+    expect(getActiveEnvironmentVariables(state)).toEqual({ host: 'staging.example.com' });
+
+    environmentActions.remove(staging.id);
+    expect(state.activeEnvironmentId).toBeNull();
+  });
+
+  it('should substitute at send time in parseRequest', () => {
+    const env = environmentActions.create('prod', [
+      { key: 'host', value: 'api.example.com' },
+      { key: 'token', value: 'secret' }
+    ]);
+    environmentActions.setActive(env.id);
+
+    const raw = 'POST /login HTTP/1.1\nHost: {{host}}\nAuthorization: Bearer {{token}}\n\n{"user":"{{user}}"}';
+    const result = parseRequest(raw, true);
+
+    expect(result.url).toBe('https://api.example.com/login');
+    expect(result.options.headers.Authorization).toBe('Bearer secret');
+    expect(result.options.body).toBe('{"user":"{{user}}"}');
+    expect(result.unresolved).toEqual(['user']);
+  });
+});
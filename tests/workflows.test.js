@@ -0,0 +1,206 @@
+// Tests for workflows (assertions, variables between steps, stop on failure, export)
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  matchesStatus,
+  checkAssertion,
+  runWorkflow,
+  serializeWorkflow,
+  parseWorkflowExport
+} from '../js/features/workflows/engine.js';
+import { state, workflowActions } from '../js/core/state/index.js';
+
+const response = (status, body = '', overrides = {}) => ({
+  status,
+  statusText: '',
+  headers: [],
+  body,
+  setCookies: [],
+  duration: 5,
+  ...overrides
+});
+
+const step = (rawText, overrides = {}) => ({
+  id: rawText,
+  name: '',
+  rawText,
+  useHttps: true,
+  extractions: [],
+  assertions: [],
+  ...overrides
+});
+
+describe('matchesStatus', () => {
+  it('should match exact codes, classes and lists', () => {
+    expect(matchesStatus(200, '200')).toBe(true);
+    expect(matchesStatus(204, '2xx')).toBe(true);
+    expect(matchesStatus(302, '200, 3XX')).toBe(true);
+    expect(matchesStatus(404, '2xx,3xx')).toBe(false);
+    expect(matchesStatus(200, '')).toBe(false);
+  });
+});
+
+describe('checkAssertion', () => {
+  it('should return null when the assertion holds and a message otherwise', () => {
+    const res = response(201, '{"ok":true,"id":42}');
+    expect(checkAssertion({ type: 'status', value: '2xx' }, res)).toBeNull();
+    expect(checkAssertion({ type: 'status', value: '200' }, res)).toBe('Expected status 200, got 201');
+    expect(checkAssertion({ type: 'body-contains', value: '"ok":true' }, res)).toBeNull();
+    expect(checkAssertion({ type: 'body-not-contains', value: 'error' }, res)).toBeNull();
+    expect(checkAssertion({ type: 'body-not-contains', value: 'ok' }, res)).toBe('Body contains "ok"');
+    expect(checkAssertion({ type: 'body-regex', value: '"id":\\d+' }, res)).toBeNull();
+    expect(checkAssertion({ type: 'body-regex', value: '(' }, res)).toMatch(/^Invalid regex/);
+  });
+});
+
+describe('runWorkflow', () => {
+  const workflow = {
+    name: 'Sign-up',
+    stopOnFailure: true,
+    steps: [
+      step('POST /register HTTP/1.1\nHost: a.com\n\nuser=bob', {
+        extractions: [{ variable: 'userId', source: 'jsonpath', expression: '$.id' }],
+        assertions: [{ type: 'status', value: '201' }]
+      }),
+      step('GET /verify/{{userId}} HTTP/1.1\nHost: a.com', {
+        assertions: [{ type: 'body-contains', value: 'verified' }]
+      }),
+      step('POST /login HTTP/1.1\nHost: a.com')
+    ]
+  };
+
+  it('should pass values between steps and report each step', async () => {
+    const send = vi.fn()
+      .mockResolvedValueOnce(response(201, '{"id":"u7"}'))
+      .mockResolvedValueOnce(response(200, 'verified'))
+      .mockResolvedValueOnce(response(200));
+    const onStep = vi.fn();
+
+    const result = await runWorkflow(workflow, send, { onStep });
+
+    expect(send.mock.calls[1]).toEqual(['GET /verify/u7 HTTP/1.1\nHost: a.com', true, { signal: undefined }]);
+    expect(result.passed).toBe(true);
+    expect(result.values).toEqual({ userId: 'u7' });
+    expect(result.steps.map(s => s.state)).toEqual(['passed', 'passed', 'passed']);
+    expect(result.steps[0].extracted).toEqual({ userId: 'u7' });
+    expect(result.steps[1].name).toBe('GET /verify/{{userId}} HTTP/1.1');
+    // Once when each step starts, once when it ends
+    expect(onStep).toHaveBeenCalledTimes(6);
+  });
+
+  it('should fail a step on assertions or missing extractions and skip the rest', async () => {
+    const send = vi.fn(async () => response(400, '{"error":"taken"}'));
+
+    const result = await runWorkflow(workflow, send);
+
+    expect(result.passed).toBe(false);
+    expect(result.steps[0].failures).toEqual(['Expected status 201, got 400', 'Nothing extracted for {{userId}}']);
+    expect(result.steps.map(s => s.state)).toEqual(['failed', 'skipped', 'skipped']);
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep going without stopOnFailure and record request errors', async () => {
+    const send = vi.fn()
+      .mockRejectedValueOnce(new Error('NetworkError'))
+      .mockResolvedValue(response(200, 'verified'));
+
+    const result = await runWorkflow({ ...workflow, stopOnFailure: false }, send);
+
+    expect(result.steps[0]).toMatchObject({ state: 'failed', error: 'NetworkError' });
+    expect(result.steps.slice(1).map(s => s.state)).toEqual(['passed', 'passed']);
+  });
+
+  it('should skip the remaining steps once cancelled', async () => {
+    const controller = new AbortController();
+    const send = vi.fn(async () => {
+      controller.abort();
+      return response(201, '{"id":"u7"}');
+    });
+
+    const result = await runWorkflow(workflow, send, { signal: controller.signal });
+
+    expect(result.cancelled).toBe(true);
+    expect(result.passed).toBe(false);
+    expect(result.steps.map(s => s.state)).toEqual(['passed', 'skipped', 'skipped']);
+  });
+
+  it('should abort the step in flight when cancelled', async () => {
+    vi.useFakeTimers();
+    const controller = new AbortController();
+    // The second step hangs until its signal aborts it
+    const send = vi.fn((rawText, useHttps, { signal }) => {
+      if (send.mock.calls.length === 1) return Promise.resolve(response(201, '{"id":"u7"}'));
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve(response(200, 'late')), 60000);
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(new Error('Request cancelled'));
+        });
+      });
+    });
+
+    const run = runWorkflow(workflow, send, { signal: controller.signal });
+    await vi.advanceTimersByTimeAsync(1000);
+    controller.abort();
+    const result = await run;
+    vi.useRealTimers();
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(send.mock.calls[1][2].signal).toBe(controller.signal);
+    expect(result.cancelled).toBe(true);
+    expect(result.steps.map(s => s.state)).toEqual(['passed', 'skipped', 'skipped']);
+    expect(result.steps[1].failures).toEqual([]);
+  });
+});
+
+describe('workflow export', () => {
+  it('should round-trip a workflow without step ids', () => {
+    const exported = JSON.stringify(serializeWorkflow({
+      name: 'Flow',
+      stopOnFailure: false,
+      steps: [step('GET / HTTP/1.1\nHost: a.com')]
+    }));
+
+    const workflow = parseWorkflowExport(exported);
+    expect(workflow.name).toBe('Flow');
+    expect(workflow.stopOnFailure).toBe(false);
+    expect(workflow.steps[0]).not.toHaveProperty('id');
+    expect(workflow.steps[0].rawText).toBe('GET / HTTP/1.1\nHost: a.com');
+  });
+
+  it('should reject other JSON files', () => {
+    expect(() => parseWorkflowExport('{"requests":[]}')).toThrow('Not a rep+ workflow export');
+    expect(() => parseWorkflowExport('nope')).toThrow();
+  });
+});
+
+describe('workflow state', () => {
+  beforeEach(() => {
+    workflowActions.setAll([]);
+  });
+
+  it('should create workflows and add, move and normalize steps', () => {
+    const workflow = workflowActions.create();
+    expect(workflow).toMatchObject({ name: 'Workflow 1', stopOnFailure: true, steps: [] });
+
+    const first = workflowActions.addStep(workflow.id, { rawText: 'GET /a HTTP/1.1' });
+    workflowActions.addStep(workflow.id, { rawText: 'GET /b HTTP/1.1', useHttps: false });
+    expect(first.id).toMatch(/^step-/);
+    expect(first.assertions).toEqual([]);
+
+    workflowActions.moveStep(workflow.id, 1, 0);
+    expect(state.workflows[0].steps.map(s => s.rawText)).toEqual(['GET /b HTTP/1.1', 'GET /a HTTP/1.1']);
+    expect(state.workflows[0].steps[0].useHttps).toBe(false);
+
+    workflowActions.moveStep(workflow.id, 0, 5);
+    expect(state.workflows[0].steps[0].rawText).toBe('GET /b HTTP/1.1');
+  });
+
+  it('should update and remove workflows', () => {
+    const workflow = workflowActions.create({ name: 'Flow' });
+    workflowActions.update(workflow.id, { stopOnFailure: false });
+    expect(state.workflows[0]).toMatchObject({ id: workflow.id, name: 'Flow', stopOnFailure: false });
+
+    workflowActions.remove(workflow.id);
+    expect(state.workflows).toEqual([]);
+  });
+});